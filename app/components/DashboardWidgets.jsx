@@ -1,4 +1,5 @@
 import React from "react";
+import PropTypes from "prop-types";
 import { motion } from "framer-motion";
 import { useTheme } from "../contexts/ThemeContext.jsx";
 
@@ -476,6 +477,78 @@ export function ChannelPerformance({ stats }) {
   );
 }
 
+/**
+ * Call Limiter — live dial slots against the shop's call limits
+ */
+export function CallLimiterCard({ limiter }) {
+  const { isDark } = useTheme();
+  if (!limiter) return null;
+
+  const meters = [
+    {
+      name: "Calls in Progress",
+      value: limiter.active,
+      max: limiter.maxConcurrentCalls,
+      color: "violet",
+    },
+    {
+      name: "Dialled Last Minute",
+      value: limiter.lastMinute,
+      max: limiter.maxCallsPerMinute,
+      color: "emerald",
+    },
+  ];
+
+  return (
+    <div
+      className={`p-8 rounded-[2.5rem] border-2 ${isDark ? "bg-slate-900 border-slate-800" : "bg-white border-slate-100 shadow-sm"}`}
+    >
+      <div className="flex justify-between items-center mb-8">
+        <h3 className="text-xl font-black">Call Limits</h3>
+        <span
+          className={`px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-widest ${limiter.waiting > 0 ? "bg-amber-500/10 text-amber-500" : isDark ? "bg-slate-800 text-slate-400" : "bg-slate-100 text-slate-500"}`}
+        >
+          {limiter.waiting} waiting
+        </span>
+      </div>
+      <div className="space-y-6">
+        {meters.map((m) => {
+          const progress = Math.min(100, Math.round((m.value / (m.max || 1)) * 100));
+          return (
+            <div key={m.name} className="space-y-3">
+              <div className="flex justify-between items-end">
+                <p className="font-bold">{m.name}</p>
+                <p className={`font-black text-${m.color}-500`}>
+                  {m.value}/{m.max}
+                </p>
+              </div>
+              <div
+                className={`h-3 rounded-full overflow-hidden ${isDark ? "bg-slate-800" : "bg-slate-100"}`}
+              >
+                <motion.div
+                  initial={{ width: 0 }}
+                  animate={{ width: `${progress}%` }}
+                  className={`h-full rounded-full bg-gradient-to-r from-${m.color}-600 to-${m.color}-400`}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+CallLimiterCard.propTypes = {
+  limiter: PropTypes.shape({
+    active: PropTypes.number,
+    waiting: PropTypes.number,
+    lastMinute: PropTypes.number,
+    maxConcurrentCalls: PropTypes.number,
+    maxCallsPerMinute: PropTypes.number,
+  }),
+};
+
 /**
  * Recent Activity — uses REAL order data
  */
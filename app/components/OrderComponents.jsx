@@ -1,6 +1,8 @@
 import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
 import { motion, AnimatePresence } from "framer-motion";
 import { useTheme } from "../contexts/ThemeContext.jsx";
+import { CANCEL_REASON_LABEL } from "../constants.js";
 
 // ============================================================================
 // ORDER PAGE HEADER - Premium Light Theme
@@ -427,34 +429,47 @@ export function OrderStatsCards({ stats }) {
 // ORDER AI INSIGHTS PANEL - Premium Light Design
 // ============================================================================
 
+const percent = (share) => `${Math.round(share * 100)}%`;
+
 export function OrderAIInsightsPanel({ insights }) {
   const { isDark } = useTheme();
 
-  const defaultInsights = {
-    topCancellationReason: "Customer not answering",
-    bestCallTime: "10:00 AM - 2:00 PM",
-    mostUsedLanguage: "English (US)",
-    recommendation: "Consider adding WhatsApp follow-up for unanswered calls",
-  };
-
-  const data = { ...defaultInsights, ...insights };
+  const reasons = insights?.cancellationReasons?.reasons ?? [];
+  const bestHours = insights?.answerHours?.best ?? null;
+  const languages = insights?.languageMix ?? [];
+  const period = insights?.periodDays ?? 30;
 
   const insightsList = [
     {
-      label: "Top Cancellation Reason",
-      value: data.topCancellationReason,
+      label: "Top Cancellation Reasons",
+      value: reasons[0]
+        ? `${reasons[0].label} (${percent(reasons[0].share)})`
+        : "No reasons captured yet",
+      detail: reasons
+        .slice(1, 3)
+        .map((r) => `${r.label} ${percent(r.share)}`)
+        .join(" · "),
       icon: "M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z",
       color: "rose",
     },
     {
-      label: "Best Call Time",
-      value: data.bestCallTime,
+      label: "Best Answer Hours",
+      value: bestHours ? bestHours.label : "Not enough calls yet",
+      detail: bestHours
+        ? `${percent(bestHours.answerRate)} answered · ${bestHours.attempts} calls`
+        : "",
       icon: "M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z",
       color: "blue",
     },
     {
-      label: "Most Used Language",
-      value: data.mostUsedLanguage,
+      label: "Language Mix",
+      value: languages[0]
+        ? `${languages[0].label} (${percent(languages[0].share)})`
+        : "No transcripts yet",
+      detail: languages
+        .slice(1)
+        .map((l) => `${l.label} ${percent(l.share)}`)
+        .join(" · "),
       icon: "M3 5h12M9 3v2m1.048 9.5A18.022 18.022 0 016.412 9m6.088 9h7M11 21l5-10 5 10M12.751 5C11.783 10.77 8.07 15.61 3 18.129",
       color: "violet",
     },
@@ -535,7 +550,7 @@ export function OrderAIInsightsPanel({ insights }) {
               <p
                 className={`text-sm ${isDark ? "text-slate-400" : "text-slate-500"}`}
               >
-                Smart recommendations for better conversions
+                From your calls and orders in the last {period} days
               </p>
             </div>
           </div>
@@ -615,6 +630,13 @@ export function OrderAIInsightsPanel({ insights }) {
               >
                 {insight.value}
               </p>
+              {insight.detail && (
+                <p
+                  className={`text-xs mt-1 ${isDark ? "text-slate-500" : "text-slate-400"}`}
+                >
+                  {insight.detail}
+                </p>
+              )}
             </motion.div>
           ))}
         </div>
@@ -662,7 +684,8 @@ export function OrderAIInsightsPanel({ insights }) {
             <p
               className={`text-sm ${isDark ? "text-indigo-400/80" : "text-indigo-700"}`}
             >
-              {data.recommendation}
+              {insights?.recommendation ??
+                `Not enough data in the last ${period} days for a recommendation yet`}
             </p>
           </div>
         </motion.div>
@@ -671,6 +694,10 @@ export function OrderAIInsightsPanel({ insights }) {
   );
 }
 
+OrderAIInsightsPanel.propTypes = {
+  insights: PropTypes.object,
+};
+
 // ============================================================================
 // ORDER TABLE STATUS CONFIG - Light Theme
 // ============================================================================
@@ -1318,9 +1345,15 @@ export function OrderDataTable({ orders, onRowClick, selectedId, onRecall }) {
 // ORDER DRAWER - Premium Light Design
 // ============================================================================
 
-export function OrderDrawer({ isOpen, onClose, order, children }) {
+export function OrderDrawer({ isOpen, onClose, order, onAddressReviewed, children }) {
   const { isDark } = useTheme();
   const latestLog = order?.callLogs?.[0];
+  const attempts = order?.attempts ?? [];
+  // Transcripts of calls placed before attempts were recorded have no attempt row.
+  const attemptCallIds = new Set(attempts.map((a) => a.vapiCallId));
+  const unmatchedTranscripts = (order?.transcripts ?? []).filter(
+    (t) => !attemptCallIds.has(t.vapiCallId),
+  );
 
   const getStatusConfig = (status, isOrder = true) => {
     if (isDark) {
@@ -1458,6 +1491,65 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                     </div>
                   </div>
 
+                  {/* Risk Score (riskScoringService) */}
+                  {order?.riskScore !== null && order?.riskScore !== undefined && (
+                    <div className="mb-6">
+                      <h4
+                        className={`text-sm font-semibold uppercase tracking-wider mb-3 ${isDark ? "text-slate-400" : "text-slate-500"}`}
+                      >
+                        Risk
+                      </h4>
+                      <div className="flex flex-wrap gap-2 mb-3">
+                        <span
+                          className={`inline-flex items-center px-3 py-1.5 rounded-full text-xs font-medium border ${
+                            order.riskScore >= 60
+                              ? "bg-rose-500/10 text-rose-500 border-rose-500/20"
+                              : order.riskScore >= 25
+                                ? "bg-amber-500/10 text-amber-500 border-amber-500/20"
+                                : "bg-emerald-500/10 text-emerald-500 border-emerald-500/20"
+                          }`}
+                        >
+                          Score: {order.riskScore}/100
+                        </span>
+                        {order.riskPath && (
+                          <span className="inline-flex items-center px-3 py-1.5 rounded-full text-xs font-medium border bg-slate-500/10 text-slate-500 border-slate-500/20">
+                            Path: {order.riskPath.replace("_", " ")}
+                          </span>
+                        )}
+                      </div>
+                      {Array.isArray(order.riskReasons) && order.riskReasons.length > 0 && (
+                        <div className="space-y-2">
+                          {order.riskReasons.map((reason) => (
+                            <div
+                              key={reason.code}
+                              className={`
+                              flex justify-between items-center gap-3 p-3 rounded-lg text-sm
+                              ${isDark ? "bg-slate-800/50" : "bg-slate-50"}
+                            `}
+                            >
+                              <span className={isDark ? "text-slate-300" : "text-slate-600"}>
+                                {reason.detail}
+                              </span>
+                              <span
+                                className={`font-semibold whitespace-nowrap ${
+                                  reason.points > 0
+                                    ? isDark
+                                      ? "text-rose-400"
+                                      : "text-rose-600"
+                                    : isDark
+                                      ? "text-emerald-400"
+                                      : "text-emerald-600"
+                                }`}
+                              >
+                                {reason.points > 0 ? `+${reason.points}` : reason.points}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
                   {/* Customer Info */}
                   <div className="mb-6">
                     <h4
@@ -1485,6 +1577,39 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                           {order?.phoneNumber || "—"}
                         </span>
                       </div>
+                      {Array.isArray(order?.phoneCandidates) &&
+                        order.phoneCandidates.length > 1 && (
+                          <div
+                            className={`
+                            flex justify-between items-start gap-3 p-3 rounded-lg
+                            ${isDark ? "bg-slate-800/50" : "bg-slate-50"}
+                          `}
+                          >
+                            <span
+                              className={
+                                isDark ? "text-slate-400" : "text-slate-500"
+                              }
+                            >
+                              All Numbers
+                            </span>
+                            <span className="flex flex-col items-end font-mono text-sm">
+                              {order.phoneCandidates.map((phone) => (
+                                <span
+                                  key={phone}
+                                  className={
+                                    phone === order.phoneNumber
+                                      ? isDark
+                                        ? "text-white"
+                                        : "text-slate-700"
+                                      : "text-slate-400"
+                                  }
+                                >
+                                  {phone}
+                                </span>
+                              ))}
+                            </span>
+                          </div>
+                        )}
                       <div
                         className={`
                         flex justify-between items-center p-3 rounded-lg
@@ -1541,6 +1666,42 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                         >
                           {order?.address || "—"}
                         </span>
+                        {order?.correctedAddress && (
+                          <span
+                            className={`text-sm ${isDark ? "text-amber-300" : "text-amber-700"}`}
+                          >
+                            Corrected on call: {order.correctedAddress}
+                          </span>
+                        )}
+                        {order?.landmark && (
+                          <span
+                            className={`text-xs ${isDark ? "text-slate-400" : "text-slate-500"}`}
+                          >
+                            Landmark: {order.landmark}
+                          </span>
+                        )}
+                        {order?.addressStatus === "confirmed" && !order?.addressNeedsReview && (
+                          <span className="text-xs font-medium text-emerald-500">
+                            ✓ Confirmed by customer
+                          </span>
+                        )}
+                        {order?.addressNeedsReview && (
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="text-xs font-semibold text-violet-500">
+                              {order.addressStatus === "disputed"
+                                ? "Customer says this address is wrong — needs review"
+                                : "Address changed — needs review"}
+                            </span>
+                            {onAddressReviewed && (
+                              <button
+                                onClick={() => onAddressReviewed(order)}
+                                className={`text-xs font-semibold px-2.5 py-1 rounded-md ${isDark ? "bg-slate-700 text-white hover:bg-slate-600" : "bg-white text-slate-700 border border-slate-200 hover:bg-slate-100"}`}
+                              >
+                                Mark reviewed
+                              </button>
+                            )}
+                          </div>
+                        )}
                       </div>
                       <div
                         className={`
@@ -1569,6 +1730,37 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                           {latestLog?.retryCount || 0}
                         </span>
                       </div>
+                      {latestLog?.deferredUntil && (
+                        <div
+                          className={`
+                          flex justify-between items-center p-3 rounded-lg
+                          ${isDark ? "bg-slate-800/50" : "bg-slate-50"}
+                        `}
+                        >
+                          <span
+                            className={
+                              isDark ? "text-slate-400" : "text-slate-500"
+                            }
+                          >
+                            Deferred Until
+                          </span>
+                          <span
+                            className={
+                              isDark ? "text-amber-400" : "text-amber-600"
+                            }
+                          >
+                            {new Date(latestLog.deferredUntil).toLocaleString(
+                              "en-IN",
+                              {
+                                day: "2-digit",
+                                month: "short",
+                                hour: "2-digit",
+                                minute: "2-digit",
+                              },
+                            )}
+                          </span>
+                        </div>
+                      )}
                       <div
                         className={`
                         flex justify-between items-center p-3 rounded-lg
@@ -1591,8 +1783,72 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                     </div>
                   </div>
 
-                  {/* Communication Log */}
-                  {order?.communicationLog && Array.isArray(order.communicationLog) && (
+                  {/* Customer History (CustomerProfile for this phone) */}
+                  {order?.customerProfile && (
+                    <div className="mb-6">
+                      <h4
+                        className={`text-sm font-semibold uppercase tracking-wider mb-3 ${isDark ? "text-slate-400" : "text-slate-500"}`}
+                      >
+                        Customer History
+                      </h4>
+                      <p
+                        className={`text-sm font-medium mb-3 ${
+                          order.customerProfile.cancelledOrders > 0 ||
+                          order.customerProfile.wrongNumberCount > 0
+                            ? isDark
+                              ? "text-amber-400"
+                              : "text-amber-600"
+                            : isDark
+                              ? "text-white"
+                              : "text-slate-700"
+                        }`}
+                      >
+                        {order.customerProfile.summary}
+                      </p>
+                      <div className="space-y-3">
+                        {[
+                          ["COD Orders", order.customerProfile.codOrders],
+                          ["Confirmed", order.customerProfile.confirmedOrders],
+                          ["Cancelled", order.customerProfile.cancelledOrders],
+                          ["Wrong Number", order.customerProfile.wrongNumberCount],
+                          ["Preferred Channel", order.customerProfile.preferredChannel || "—"],
+                          ["Language", order.customerProfile.language || "—"],
+                          [
+                            "Last Contact",
+                            order.customerProfile.lastContactAt
+                              ? new Date(order.customerProfile.lastContactAt).toLocaleString(
+                                  "en-IN",
+                                  {
+                                    day: "2-digit",
+                                    month: "short",
+                                    hour: "2-digit",
+                                    minute: "2-digit",
+                                  },
+                                )
+                              : "—",
+                          ],
+                        ].map(([label, value]) => (
+                          <div
+                            key={label}
+                            className={`
+                            flex justify-between items-center p-3 rounded-lg
+                            ${isDark ? "bg-slate-800/50" : "bg-slate-50"}
+                          `}
+                          >
+                            <span className={isDark ? "text-slate-400" : "text-slate-500"}>
+                              {label}
+                            </span>
+                            <span className={`capitalize ${isDark ? "text-white" : "text-slate-700"}`}>
+                              {value}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Communication Timeline (OrderEvent rows) */}
+                  {Array.isArray(order?.timeline) && order.timeline.length > 0 && (
                     <div className="mb-6">
                       <h4
                         className={`text-sm font-semibold uppercase tracking-wider mb-3 ${isDark ? "text-slate-400" : "text-slate-500"}`}
@@ -1600,9 +1856,9 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                         Communication Timeline
                       </h4>
                       <div className="space-y-4 pl-2">
-                        {order.communicationLog.map((log, idx) => (
-                          <div key={idx} className="relative flex gap-4">
-                            {idx !== order.communicationLog.length - 1 && (
+                        {order.timeline.map((entry, idx) => (
+                          <div key={entry.id} className="relative flex gap-4">
+                            {idx !== order.timeline.length - 1 && (
                               <div
                                 className={`absolute left-[11px] top-6 bottom-[-16px] w-[2px] ${isDark ? "bg-slate-700" : "bg-slate-100"}`}
                               />
@@ -1621,16 +1877,21 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                               <p
                                 className={`text-sm font-medium ${isDark ? "text-white" : "text-slate-700"}`}
                               >
-                                {log.event}
+                                {entry.message}
                               </p>
                               <p
                                 className={`text-[11px] ${isDark ? "text-slate-500" : "text-slate-400"}`}
                               >
-                                {new Date(log.timestamp).toLocaleTimeString([], {
-                                  hour: "2-digit",
-                                  minute: "2-digit",
-                                  second: "2-digit",
-                                })}
+                                {entry.createdAt
+                                  ? new Date(entry.createdAt).toLocaleTimeString([], {
+                                      hour: "2-digit",
+                                      minute: "2-digit",
+                                      second: "2-digit",
+                                    })
+                                  : "—"}
+                                {entry.channel && ` · ${entry.channel}`}
+                                {entry.actor && ` · ${entry.actor}`}
+                                {entry.phoneNumber && ` · ${entry.phoneNumber}`}
                               </p>
                             </div>
                           </div>
@@ -1639,31 +1900,45 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                     </div>
                   )}
 
-                  {/* Transcript Section */}
-                  {latestLog?.transcript && (
+                  {/* Call Attempts — every dial, with its transcript */}
+                  {attempts.length > 0 && (
                     <div className="mb-6">
                       <h4
                         className={`text-sm font-semibold uppercase tracking-wider mb-3 ${isDark ? "text-slate-400" : "text-slate-500"}`}
                       >
-                        Call Transcript
+                        Call Attempts ({attempts.length})
                       </h4>
-                      <div
-                        className={`
-                        p-4 rounded-lg max-h-48 overflow-y-auto
-                        ${isDark ? "bg-slate-800/50 border border-slate-700/50" : "bg-slate-50 border border-slate-100"}
-                      `}
+                      <div className="space-y-4">
+                        {attempts.map((a) => (
+                          <CallAttemptCard
+                            key={a.id}
+                            attempt={a}
+                            transcript={order.transcripts?.find((t) => t.vapiCallId === a.vapiCallId)}
+                            isDark={isDark}
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Call Transcripts — calls without an attempt row */}
+                  {unmatchedTranscripts.length > 0 && (
+                    <div className="mb-6">
+                      <h4
+                        className={`text-sm font-semibold uppercase tracking-wider mb-3 ${isDark ? "text-slate-400" : "text-slate-500"}`}
                       >
-                        <p
-                          className={`text-sm leading-relaxed ${isDark ? "text-slate-300" : "text-slate-700"}`}
-                        >
-                          {latestLog.transcript}
-                        </p>
+                        Call Transcripts
+                      </h4>
+                      <div className="space-y-4">
+                        {unmatchedTranscripts.map((t) => (
+                          <CallTranscriptCard key={t.id} transcript={t} isDark={isDark} />
+                        ))}
                       </div>
                     </div>
                   )}
 
                   {/* AI Decision Section */}
-                  {latestLog?.intent && (
+                  {(latestLog?.lastIntent || order?.cancelReason) && (
                     <div>
                       <h4
                         className={`text-sm font-semibold uppercase tracking-wider mb-3 ${isDark ? "text-slate-400" : "text-slate-500"}`}
@@ -1683,9 +1958,17 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
                         <p
                           className={`font-medium ${isDark ? "text-white" : "text-slate-700"}`}
                         >
-                          {latestLog.intent}
+                          {latestLog?.lastIntent ?? "CANCEL"}
                         </p>
-                        {latestLog.failureReason && (
+                        {order?.cancelReason && (
+                          <p
+                            className={`text-sm mt-2 ${isDark ? "text-rose-300" : "text-rose-600"}`}
+                          >
+                            Reason: {CANCEL_REASON_LABEL[order.cancelReason] ?? order.cancelReason}
+                            {order.cancelReasonNote && ` — “${order.cancelReasonNote}”`}
+                          </p>
+                        )}
+                        {latestLog?.failureReason && (
                           <p
                             className={`text-sm mt-2 ${isDark ? "text-slate-400" : "text-slate-500"}`}
                           >
@@ -1705,6 +1988,202 @@ export function OrderDrawer({ isOpen, onClose, order, children }) {
   );
 }
 
+OrderDrawer.propTypes = {
+  isOpen: PropTypes.bool,
+  onClose: PropTypes.func,
+  order: PropTypes.object,
+  onAddressReviewed: PropTypes.func,
+  children: PropTypes.node,
+};
+
+function formatDuration(seconds) {
+  if (seconds == null) return null;
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return m > 0 ? `${m}m ${s}s` : `${s}s`;
+}
+
+const INTENT_SOURCE_LABELS = {
+  structured_output: "structured output",
+  ended_reason: "ended reason",
+  transcript: "transcript",
+  poll: "API poll",
+  cron: "stale-call recovery",
+  dial_error: "dial error",
+};
+
+function formatAttemptTime(value) {
+  return value
+    ? new Date(value).toLocaleString([], {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    : null;
+}
+
+/** One dial: number, timing, how it ended, the intent and what it cost. */
+function CallAttemptCard({ attempt: a, transcript, isDark }) {
+  const duration =
+    a.durationSeconds != null
+      ? formatDuration(a.durationSeconds)
+      : a.startedAt && a.endedAt
+        ? formatDuration(Math.max(0, Math.round((new Date(a.endedAt) - new Date(a.startedAt)) / 1000)))
+        : null;
+  const label = isDark ? "text-slate-500" : "text-slate-400";
+  const value = isDark ? "text-slate-200" : "text-slate-700";
+
+  return (
+    <div
+      className={`p-4 rounded-lg ${isDark ? "bg-slate-800/30 border border-slate-700/50" : "bg-white border border-slate-200"}`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <p className={`text-sm font-bold ${value}`}>
+          Attempt #{a.attemptNumber}
+          <span className={`ml-2 font-mono text-xs font-medium ${label}`}>{a.phoneNumber}</span>
+        </p>
+        <span
+          className={`px-2 py-0.5 rounded-full text-[10px] font-bold uppercase tracking-wider ${
+            a.status === "failed"
+              ? "bg-rose-500/10 text-rose-500"
+              : a.status === "dialing"
+                ? "bg-sky-500/10 text-sky-500"
+                : isDark
+                  ? "bg-slate-700 text-slate-300"
+                  : "bg-slate-100 text-slate-600"
+          }`}
+        >
+          {a.status}
+        </span>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-xs">
+        {[
+          ["Started", formatAttemptTime(a.startedAt)],
+          ["Ended", formatAttemptTime(a.endedAt)],
+          ["Duration", duration],
+          ["Ended reason", a.endedReason],
+          [
+            "Intent",
+            a.intent &&
+              `${a.intent}${a.intentSource ? ` · ${INTENT_SOURCE_LABELS[a.intentSource] ?? a.intentSource}` : ""}`,
+          ],
+          ["Cost", a.cost != null ? `$${Number(a.cost).toFixed(3)}` : null],
+        ].map(([k, v]) => (
+          <div key={k}>
+            <dt className={`uppercase tracking-wider text-[10px] font-semibold ${label}`}>{k}</dt>
+            <dd className={`font-medium ${value}`}>{v || "—"}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {a.failureReason && (
+        <p className="mt-3 text-xs text-rose-500 break-words">{a.failureReason}</p>
+      )}
+      {a.vapiCallId && (
+        <p className={`mt-2 text-[10px] font-mono break-all ${label}`}>{a.vapiCallId}</p>
+      )}
+
+      {transcript && (
+        <div className="mt-3">
+          <CallTranscriptCard transcript={transcript} isDark={isDark} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+CallAttemptCard.propTypes = {
+  attempt: PropTypes.object.isRequired,
+  transcript: PropTypes.object,
+  isDark: PropTypes.bool,
+};
+
+/** One call's transcript: summary, recording and speaker turns. */
+function CallTranscriptCard({ transcript: t, isDark }) {
+  const turns = Array.isArray(t.messages) ? t.messages : [];
+  const meta = [
+    `Attempt ${t.attempt}`,
+    formatDuration(t.durationSeconds),
+    t.endedReason,
+    t.startedAt &&
+      new Date(t.startedAt).toLocaleString([], {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+      }),
+  ].filter(Boolean);
+
+  return (
+    <div
+      className={`p-4 rounded-lg ${isDark ? "bg-slate-800/50 border border-slate-700/50" : "bg-slate-50 border border-slate-100"}`}
+    >
+      <p className={`text-[11px] font-semibold mb-2 ${isDark ? "text-slate-400" : "text-slate-500"}`}>
+        {meta.join(" · ")}
+      </p>
+
+      {t.summary && (
+        <p className={`text-sm mb-3 ${isDark ? "text-slate-200" : "text-slate-700"}`}>
+          {t.summary}
+        </p>
+      )}
+
+      {t.recordingUrl && (
+        <audio controls preload="none" src={t.recordingUrl} className="w-full h-9 mb-3">
+          {/* The speaker turns below are the transcript of this recording. */}
+          <track kind="captions" />
+          <a href={t.recordingUrl} target="_blank" rel="noreferrer">
+            Recording
+          </a>
+        </audio>
+      )}
+
+      <div className="max-h-64 overflow-y-auto space-y-2 pr-1">
+        {turns.length > 0 ? (
+          turns.map((turn, i) => {
+            const isAssistant = turn.role === "assistant";
+            return (
+              <div key={i} className={`flex ${isAssistant ? "justify-start" : "justify-end"}`}>
+                <div
+                  className={`max-w-[85%] px-3 py-2 rounded-2xl text-sm ${
+                    isAssistant
+                      ? isDark
+                        ? "bg-violet-500/15 text-violet-100"
+                        : "bg-violet-100 text-violet-900"
+                      : isDark
+                        ? "bg-slate-700 text-slate-100"
+                        : "bg-white border border-slate-200 text-slate-700"
+                  }`}
+                >
+                  <p className="text-[10px] font-bold uppercase tracking-wider opacity-60 mb-0.5">
+                    {isAssistant ? "AI Agent" : "Customer"}
+                    {turn.secondsFromStart != null && ` · ${formatDuration(Math.round(turn.secondsFromStart))}`}
+                  </p>
+                  {turn.text}
+                </div>
+              </div>
+            );
+          })
+        ) : t.transcript ? (
+          <p className={`text-sm leading-relaxed whitespace-pre-line ${isDark ? "text-slate-300" : "text-slate-700"}`}>
+            {t.transcript}
+          </p>
+        ) : (
+          <p className="text-xs text-slate-400">No transcript was recorded for this attempt.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+CallTranscriptCard.propTypes = {
+  transcript: PropTypes.object.isRequired,
+  isDark: PropTypes.bool,
+};
+
 // ============================================================================
 // CREATE ORDER MODAL - Premium Light Design
 // ============================================================================
@@ -1814,7 +2293,7 @@ export function CreateOrderModal({ isOpen, onClose, onSubmit, isLoading }) {
               <label
                 className={`block text-sm font-medium mb-1.5 ${isDark ? "text-slate-300" : "text-slate-700"}`}
               >
-                Phone Number (E.164)
+                Phone Number
               </label>
               <input
                 type="tel"
@@ -2143,7 +2622,7 @@ export function TestCallModal({ isOpen, onClose, onSubmit, isLoading }) {
                 `}
               />
               <p className="text-[10px] text-slate-400 pl-1 mt-1">
-                E.164 format (e.g., +919876543210)
+                International (e.g., +919876543210) or local number
               </p>
             </div>
 
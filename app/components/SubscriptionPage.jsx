@@ -1,12 +1,78 @@
 import React from "react";
+import PropTypes from "prop-types";
+import { useFetcher } from "react-router";
 import { motion } from "framer-motion";
 import { useTheme } from "../contexts/ThemeContext.jsx";
+import { OVER_QUOTA_ACTION } from "../constants.js";
+
+const money = (value) => `$${Number(value ?? 0).toFixed(2)}`;
+const formatNumber = (value) => Number(value ?? 0).toLocaleString();
+
+function formatDate(iso, opts = { month: "long", day: "numeric", year: "numeric" }) {
+  return new Date(iso).toLocaleDateString([], opts);
+}
+
+// Feature rows of the plan cards, by BILLING_PLAN key.
+const PLAN_FEATURES = {
+  starter: [
+    { name: "AI Voice Calls", active: true },
+    { name: "WhatsApp Integration", active: true },
+    { name: "Basic Analytics", active: true },
+    { name: "Email Support", active: true },
+    { name: "Custom Scripts", active: false },
+    { name: "API Access", active: false },
+  ],
+  professional: [
+    { name: "AI Voice Calls", active: true },
+    { name: "WhatsApp Integration", active: true },
+    { name: "Advanced Analytics", active: true },
+    { name: "Priority Support", active: true },
+    { name: "Custom Scripts", active: true },
+    { name: "API Access", active: false },
+  ],
+  enterprise: [
+    { name: "AI Voice Calls", active: true },
+    { name: "WhatsApp Integration", active: true },
+    { name: "Advanced Analytics", active: true },
+    { name: "Priority Support", active: true },
+    { name: "Custom Scripts", active: true },
+    { name: "API Access", active: true },
+  ],
+};
 
 /**
  * Subscription Page Component
+ *
+ * @param {object} props
+ * @param {object} props.usage              - getUsageSummary() for the current billing period
+ * @param {object} props.quota              - getQuotaStatus() — minutes included, used and left
+ * @param {object[]} props.plans            - BILLING_PLAN entries
+ * @param {object | null} props.subscription - the shop's active plan, if any
+ * @param {string} props.overQuotaAction    - AppConfig.overQuotaAction
+ * @param {boolean} props.whatsappEnabled
  */
-export default function SubscriptionPage() {
+export default function SubscriptionPage({
+  usage,
+  quota,
+  plans,
+  subscription,
+  overQuotaAction,
+  whatsappEnabled,
+}) {
   const { isDark } = useTheme();
+  const fetcher = useFetcher();
+  const periodEnd = new Date(usage.period.end);
+  // The period ends at midnight of its last day + 1 — show the last day.
+  const lastDay = new Date(periodEnd.getTime() - 1);
+  const daysRemaining = Math.max(0, Math.ceil((periodEnd.getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+  const currentPlan = plans.find((p) => p.key === subscription?.plan) ?? null;
+  const includedLeft = Math.max(0, quota.includedMinutes - quota.usedMinutes);
+  const busyPlan = fetcher.state !== "idle" ? fetcher.formData?.get("plan") : null;
+
+  const subscribe = (plan) =>
+    fetcher.submit({ intent: "subscribe", plan: plan.key }, { method: "post" });
+  const setOverQuotaAction = (value) =>
+    fetcher.submit({ intent: "over-quota-action", overQuotaAction: value }, { method: "post" });
 
   return (
     <div className={`min-h-screen p-6 lg:p-10 ${isDark ? "bg-black text-white" : "bg-slate-50 text-slate-900"}`}>
@@ -20,6 +86,23 @@ export default function SubscriptionPage() {
           </p>
         </section>
 
+        {fetcher.data?.error && (
+          <div className="p-5 rounded-3xl border-2 border-rose-500/30 bg-rose-500/10 text-rose-500 text-sm font-bold">
+            {fetcher.data.error}
+          </div>
+        )}
+
+        {quota.overQuota && (
+          <div className="p-5 rounded-3xl border-2 border-amber-500/30 bg-amber-500/10 text-amber-600 text-sm font-bold">
+            {currentPlan
+              ? "Your AI minutes for this period are used up."
+              : "No active plan — AI calls are off until you subscribe."}{" "}
+            {quota.action === OVER_QUOTA_ACTION.WHATSAPP
+              ? "Orders are confirmed over WhatsApp instead."
+              : "Calls are paused until minutes are available."}
+          </div>
+        )}
+
         {/* Top Usage & Status Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Current Usage Card */}
@@ -32,7 +115,9 @@ export default function SubscriptionPage() {
                 <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">AI Voice Minutes</p>
               </div>
               <span className="px-4 py-2 rounded-full bg-gradient-to-r from-violet-600 to-indigo-600 text-white text-xs font-bold shadow-lg shadow-violet-600/20">
-                Professional Plan
+                {currentPlan ? `${currentPlan.name} Plan` : "No Plan"} ·{" "}
+                {formatDate(usage.period.start, { month: "short", day: "numeric" })} –{" "}
+                {formatDate(lastDay.toISOString(), { month: "short", day: "numeric" })}
               </span>
             </div>
 
@@ -58,7 +143,7 @@ export default function SubscriptionPage() {
                     strokeLinecap="round"
                     fill="transparent"
                     initial={{ strokeDasharray: "0 553" }}
-                    animate={{ strokeDasharray: `${(1247 / 2000) * 553} 553` }}
+                    animate={{ strokeDasharray: `${quotaShare(quota) * 553} 553` }}
                     transition={{ duration: 1.5, ease: "easeOut" }}
                   />
                   <defs>
@@ -90,59 +175,69 @@ export default function SubscriptionPage() {
               {/* Stats Center */}
               <div className="flex-1 space-y-4">
                 <div className="flex items-baseline gap-2">
-                  <span className="text-6xl font-black text-violet-600">1,247</span>
-                  <span className="text-xl font-bold text-slate-400">/ 2,000 min</span>
+                  <span className="text-6xl font-black text-violet-600">{formatNumber(usage.minutes)}</span>
+                  <span className="text-xl font-bold text-slate-400">
+                    {currentPlan ? `/ ${formatNumber(quota.includedMinutes)} min` : "min this period"}
+                  </span>
                 </div>
                 <div className={`h-3 w-full rounded-full overflow-hidden ${isDark ? "bg-slate-800" : "bg-slate-100"}`}>
                   <motion.div
                     initial={{ width: 0 }}
-                    animate={{ width: "62.35%" }}
+                    animate={{ width: `${quotaShare(quota) * 100}%` }}
                     className="h-full bg-gradient-to-r from-violet-600 to-pink-500 rounded-full"
                   />
                 </div>
-                <p className="text-sm font-medium text-slate-500 italic">753 minutes remaining this month</p>
+                <p className="text-sm font-medium text-slate-500 italic">
+                  {currentPlan
+                    ? `${formatNumber(Math.floor(includedLeft))} included minutes left · ${daysRemaining} days left in the period`
+                    : "Subscribe to a plan to place AI calls"}
+                </p>
               </div>
             </div>
 
-            <div className="grid grid-cols-2 gap-4 z-10">
-              <div className={`p-5 rounded-3xl border ${isDark ? "bg-slate-800/50 border-slate-700" : "bg-slate-50 border-slate-100"}`}>
-                <div className="flex items-center gap-3 mb-2">
-                  <div className="p-2 rounded-xl bg-violet-500/10 text-violet-500">
-                    <PhoneIcon className="w-4 h-4" />
-                  </div>
-                  <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">AI Calls</p>
-                </div>
-                <p className="text-2xl font-black">892 calls</p>
-              </div>
-              <div className={`p-5 rounded-3xl border ${isDark ? "bg-slate-800/50 border-slate-700" : "bg-slate-50 border-slate-100"}`}>
-                <div className="flex items-center gap-3 mb-2">
-                  <div className="p-2 rounded-xl bg-emerald-500/10 text-emerald-500">
-                    <TrendIcon className="w-4 h-4" />
-                  </div>
-                  <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">Success Rate</p>
-                </div>
-                <p className="text-2xl font-black">72%</p>
-              </div>
+            <div className="grid grid-cols-3 gap-4 z-10">
+              <UsageTile
+                icon={<PhoneIcon className="w-4 h-4" />}
+                tone="bg-violet-500/10 text-violet-500"
+                label="AI Calls"
+                value={`${formatNumber(usage.calls)} calls`}
+                isDark={isDark}
+              />
+              <UsageTile
+                icon={<TrendIcon className="w-4 h-4" />}
+                tone="bg-emerald-500/10 text-emerald-500"
+                label="Total Spend"
+                value={money(usage.spend)}
+                isDark={isDark}
+              />
+              <UsageTile
+                icon={<StatusIcon className="w-4 h-4" />}
+                tone="bg-amber-500/10 text-amber-500"
+                label="Per Confirmed Order"
+                value={usage.costPerConfirmedOrder == null ? "—" : money(usage.costPerConfirmedOrder)}
+                hint={`${formatNumber(usage.confirmedOrders)} confirmed`}
+                isDark={isDark}
+              />
             </div>
 
             {/* Background elements */}
             <div className={`absolute top-0 right-0 w-64 h-64 bg-violet-600/5 rounded-full blur-3xl pointer-events-none -mr-20 -mt-20`} />
           </div>
 
-          {/* Subscription Status Card */}
+          {/* Billing Period Card */}
           <div className={`p-8 rounded-[2.5rem] border-2 flex flex-col ${
             isDark ? "bg-slate-900 border-slate-800" : "bg-white border-slate-100 shadow-premium-light"
           }`}>
-            <h3 className="text-2xl font-black mb-8">Subscription Status</h3>
-            
+            <h3 className="text-2xl font-black mb-8">Billing Period</h3>
+
             <div className="flex-1 space-y-6">
               <div className="flex items-center gap-4">
                 <div className="w-12 h-12 rounded-2xl bg-violet-500/10 text-violet-500 flex items-center justify-center">
                   <CalendarIcon className="w-6 h-6" />
                 </div>
                 <div>
-                  <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">Expires on</p>
-                  <p className="text-lg font-black">February 15, 2025</p>
+                  <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">Resets on</p>
+                  <p className="text-lg font-black">{formatDate(usage.period.end)}</p>
                 </div>
               </div>
 
@@ -152,7 +247,7 @@ export default function SubscriptionPage() {
                 </div>
                 <div>
                   <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">Days remaining</p>
-                  <p className="text-lg font-black">-398 days</p>
+                  <p className="text-lg font-black">{daysRemaining} days</p>
                 </div>
               </div>
 
@@ -161,16 +256,67 @@ export default function SubscriptionPage() {
                   <StatusIcon className="w-6 h-6" />
                 </div>
                 <div>
-                  <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">Status</p>
-                  <p className="text-lg font-black text-emerald-500">Active</p>
+                  <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">Spend so far</p>
+                  <p className="text-lg font-black text-emerald-500">{money(usage.spend)}</p>
                 </div>
               </div>
             </div>
 
-            <button className="w-full mt-8 py-4 rounded-2xl bg-gradient-to-r from-violet-600 via-indigo-600 to-blue-500 text-white font-black flex items-center justify-center gap-3 shadow-xl shadow-indigo-600/20 hover:scale-[1.02] transition-transform">
-              <RefreshIcon className="w-5 h-5" />
-              Renew Early
-            </button>
+            <p className="mt-8 text-xs font-medium text-slate-400">
+              Periods follow calendar months in {usage.timezone}.
+            </p>
+          </div>
+        </div>
+
+        {/* Daily Usage Chart */}
+        <DailyUsageChart daily={usage.daily} isDark={isDark} />
+
+        {/* Overage & Over-quota behaviour */}
+        <div className={`p-8 rounded-[2.5rem] border-2 grid grid-cols-1 lg:grid-cols-2 gap-10 ${
+          isDark ? "bg-slate-900 border-slate-800" : "bg-white border-slate-100 shadow-premium-light"
+        }`}>
+          <div>
+            <h3 className="text-2xl font-black mb-1">Overage</h3>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-6">Minutes past your plan</p>
+            {currentPlan ? (
+              <div className="space-y-2">
+                <p className="text-3xl font-black">
+                  {money(subscription.balanceUsed)}{" "}
+                  <span className="text-base font-bold text-slate-400">of {money(subscription.cappedAmount)} cap</span>
+                </p>
+                <p className="text-sm font-medium text-slate-500">
+                  {money(currentPlan.overagePerMinute)} per extra minute · about{" "}
+                  {formatNumber(quota.overageMinutes)} overage minutes left this billing cycle
+                </p>
+                {subscription.test && (
+                  <p className="text-xs font-bold text-amber-500">Test charge — the store is not billed.</p>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm font-medium text-slate-500">Overage billing starts with a plan.</p>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-2xl font-black mb-1">When Minutes Run Out</h3>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-6">No call is placed without minutes</p>
+            <div className="space-y-3">
+              <QuotaActionOption
+                label="Confirm over WhatsApp"
+                hint={whatsappEnabled ? "Due calls send the WhatsApp confirmation instead" : "Turn on WhatsApp in Configuration to use this"}
+                selected={overQuotaAction === OVER_QUOTA_ACTION.WHATSAPP && whatsappEnabled}
+                disabled={!whatsappEnabled}
+                onSelect={() => setOverQuotaAction(OVER_QUOTA_ACTION.WHATSAPP)}
+                isDark={isDark}
+              />
+              <QuotaActionOption
+                label="Pause calls"
+                hint="Due calls wait for the next billing period"
+                selected={overQuotaAction === OVER_QUOTA_ACTION.PAUSE || !whatsappEnabled}
+                onSelect={() => setOverQuotaAction(OVER_QUOTA_ACTION.PAUSE)}
+                isDark={isDark}
+              />
+            </div>
           </div>
         </div>
 
@@ -189,7 +335,12 @@ export default function SubscriptionPage() {
               </div>
             </div>
             
-            <a href="#" className="text-sm font-bold text-violet-600 flex items-center gap-2 hover:underline">
+            <a
+              href="https://business.facebook.com/"
+              target="_blank"
+              rel="noreferrer"
+              className="text-sm font-bold text-violet-600 flex items-center gap-2 hover:underline"
+            >
               Manage in Meta Business
               <ExternalLinkIcon className="w-4 h-4" />
             </a>
@@ -198,15 +349,15 @@ export default function SubscriptionPage() {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-10">
             <div className={`p-6 rounded-3xl border ${isDark ? "bg-slate-800/50 border-slate-700" : "bg-slate-50 border-slate-100"}`}>
               <p className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-1">Messages Sent</p>
-              <p className="text-3xl font-black">1,284</p>
+              <p className="text-3xl font-black">{formatNumber(usage.whatsappMessages)}</p>
             </div>
             <div className={`p-6 rounded-3xl border ${isDark ? "bg-slate-800/50 border-slate-700" : "bg-slate-50 border-slate-100"}`}>
-              <p className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-1">Conversations</p>
-              <p className="text-3xl font-black">892</p>
+              <p className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-1">Orders Messaged</p>
+              <p className="text-3xl font-black">{formatNumber(usage.whatsappConversations)}</p>
             </div>
             <div className={`p-6 rounded-3xl border ${isDark ? "bg-slate-800/50 border-slate-700" : "bg-slate-50 border-slate-100"}`}>
-              <p className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-1">Est. Cost (this month)</p>
-              <p className="text-3xl font-black text-violet-600">$24.50</p>
+              <p className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-1">Est. Cost (this period)</p>
+              <p className="text-3xl font-black text-violet-600">{money(usage.whatsappCost)}</p>
             </div>
           </div>
         </div>
@@ -216,53 +367,30 @@ export default function SubscriptionPage() {
           <h2 className="text-3xl font-black">Available Plans</h2>
           
           <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
-            <PlanCard 
-              name="Starter"
-              price="29"
-              minutes="500"
-              features={[
-                { name: "AI Voice Calls", active: true },
-                { name: "WhatsApp Integration", active: true },
-                { name: "Basic Analytics", active: true },
-                { name: "Email Support", active: true },
-                { name: "Custom Scripts", active: false },
-                { name: "API Access", active: false },
-              ]}
-              buttonText="Upgrade"
-              isDark={isDark}
-            />
-            <PlanCard 
-              name="Professional"
-              price="79"
-              minutes="2,000"
-              features={[
-                { name: "AI Voice Calls", active: true },
-                { name: "WhatsApp Integration", active: true },
-                { name: "Advanced Analytics", active: true },
-                { name: "Priority Support", active: true },
-                { name: "Custom Scripts", active: true },
-                { name: "API Access", active: false },
-              ]}
-              buttonText="Current Plan"
-              isCurrent={true}
-              popular={true}
-              isDark={isDark}
-            />
-            <PlanCard 
-              name="Enterprise"
-              price="199"
-              minutes="10,000"
-              features={[
-                { name: "AI Voice Calls", active: true },
-                { name: "WhatsApp Integration", active: true },
-                { name: "Advanced Analytics", active: true },
-                { name: "Priority Support", active: true },
-                { name: "Custom Scripts", active: true },
-                { name: "API Access", active: true },
-              ]}
-              buttonText="Upgrade"
-              isDark={isDark}
-            />
+            {plans.map((plan) => (
+              <PlanCard
+                key={plan.key}
+                name={plan.name}
+                price={plan.price}
+                minutes={formatNumber(plan.includedMinutes)}
+                overage={money(plan.overagePerMinute)}
+                features={PLAN_FEATURES[plan.key] ?? []}
+                buttonText={
+                  plan.key === currentPlan?.key
+                    ? "Current Plan"
+                    : busyPlan === plan.key
+                      ? "Redirecting…"
+                      : currentPlan
+                        ? "Switch Plan"
+                        : "Subscribe"
+                }
+                isCurrent={plan.key === currentPlan?.key}
+                disabled={busyPlan != null}
+                onSelect={() => subscribe(plan)}
+                popular={plan.key === "professional"}
+                isDark={isDark}
+              />
+            ))}
           </div>
         </section>
 
@@ -271,7 +399,143 @@ export default function SubscriptionPage() {
   );
 }
 
-function PlanCard({ name, price, minutes, features, buttonText, isCurrent, popular, isDark }) {
+SubscriptionPage.propTypes = {
+  usage: PropTypes.object.isRequired,
+  quota: PropTypes.object.isRequired,
+  plans: PropTypes.arrayOf(PropTypes.object).isRequired,
+  subscription: PropTypes.object,
+  overQuotaAction: PropTypes.string,
+  whatsappEnabled: PropTypes.bool,
+};
+
+/** Share of the plan's included minutes used, 0–1. */
+function quotaShare(quota) {
+  if (!quota.includedMinutes) return 0;
+  return Math.min(1, quota.usedMinutes / quota.includedMinutes);
+}
+
+function QuotaActionOption({ label, hint, selected, disabled, onSelect, isDark }) {
+  return (
+    <button
+      type="button"
+      disabled={disabled || selected}
+      onClick={onSelect}
+      className={`w-full text-left p-4 rounded-2xl border-2 transition-all ${
+        selected
+          ? "border-violet-500 bg-violet-500/5"
+          : isDark ? "border-slate-800 hover:border-slate-700" : "border-slate-100 hover:border-slate-200"
+      } ${disabled ? "opacity-50 cursor-not-allowed" : ""}`}
+    >
+      <p className="text-sm font-black">{label}</p>
+      <p className="text-xs font-medium text-slate-400 mt-1">{hint}</p>
+    </button>
+  );
+}
+
+QuotaActionOption.propTypes = {
+  label: PropTypes.string.isRequired,
+  hint: PropTypes.string,
+  selected: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onSelect: PropTypes.func,
+  isDark: PropTypes.bool,
+};
+
+function UsageTile({ icon, tone, label, value, hint, isDark }) {
+  return (
+    <div className={`p-5 rounded-3xl border ${isDark ? "bg-slate-800/50 border-slate-700" : "bg-slate-50 border-slate-100"}`}>
+      <div className="flex items-center gap-3 mb-2">
+        <div className={`p-2 rounded-xl ${tone}`}>{icon}</div>
+        <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">{label}</p>
+      </div>
+      <p className="text-2xl font-black">{value}</p>
+      {hint && <p className="text-xs font-medium text-slate-400 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+UsageTile.propTypes = {
+  icon: PropTypes.node,
+  tone: PropTypes.string,
+  label: PropTypes.string.isRequired,
+  value: PropTypes.node,
+  hint: PropTypes.node,
+  isDark: PropTypes.bool,
+};
+
+/** Minutes per day of the billing period as SVG bars; hover a bar for the day's numbers. */
+function DailyUsageChart({ daily, isDark }) {
+  const W = 720, H = 200, PAD_L = 36, PAD_R = 8, PAD_T = 16, PAD_B = 28;
+  const chartW = W - PAD_L - PAD_R;
+  const chartH = H - PAD_T - PAD_B;
+  const peak = Math.max(0, ...daily.map((d) => d.minutes));
+  const maxMinutes = Math.max(peak, 1);
+  const slot = chartW / Math.max(daily.length, 1);
+  const barW = Math.max(2, slot * 0.6);
+
+  return (
+    <div className={`p-8 rounded-[2.5rem] border-2 ${
+      isDark ? "bg-slate-900 border-slate-800" : "bg-white border-slate-100 shadow-premium-light"
+    }`}>
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h3 className="text-2xl font-black mb-1">Daily Usage</h3>
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-widest">AI voice minutes per day</p>
+        </div>
+        <p className="text-sm font-bold text-slate-400">
+          Peak {formatNumber(peak)} min
+        </p>
+      </div>
+
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" preserveAspectRatio="xMidYMid meet">
+        {[0, 0.5, 1].map((f) => {
+          const y = PAD_T + chartH - f * chartH;
+          return (
+            <g key={f}>
+              <line x1={PAD_L} y1={y} x2={PAD_L + chartW} y2={y} stroke={isDark ? "#1e293b" : "#f1f5f9"} strokeWidth="1" />
+              <text x={PAD_L - 6} y={y + 4} textAnchor="end" fontSize="10" fontWeight="700" fill={isDark ? "#475569" : "#94a3b8"}>
+                {Math.round(f * maxMinutes)}
+              </text>
+            </g>
+          );
+        })}
+
+        {daily.map((d, i) => {
+          const h = (d.minutes / maxMinutes) * chartH;
+          const x = PAD_L + i * slot + (slot - barW) / 2;
+          return (
+            <g key={d.date}>
+              <title>
+                {`${d.date}: ${d.minutes} min · ${d.calls} calls · ${d.messages} WhatsApp · ${money(d.cost)}`}
+              </title>
+              <motion.rect
+                x={x}
+                width={barW}
+                rx={Math.min(3, barW / 2)}
+                fill={isDark ? "#8b5cf6" : "#7c3aed"}
+                initial={{ y: PAD_T + chartH, height: 0 }}
+                animate={{ y: PAD_T + chartH - h, height: h }}
+                transition={{ duration: 0.6, delay: i * 0.01 }}
+              />
+              {(i === 0 || (i + 1) % 5 === 0) && (
+                <text x={x + barW / 2} y={H - 8} textAnchor="middle" fontSize="10" fontWeight="700" fill={isDark ? "#475569" : "#94a3b8"}>
+                  {Number(d.date.slice(-2))}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+DailyUsageChart.propTypes = {
+  daily: PropTypes.arrayOf(PropTypes.object).isRequired,
+  isDark: PropTypes.bool,
+};
+
+function PlanCard({ name, price, minutes, overage, features, buttonText, isCurrent, disabled, onSelect, popular, isDark }) {
   return (
     <div className={`relative p-8 rounded-[2.5rem] border-2 transition-all hover:scale-[1.02] flex flex-col h-full ${
       popular 
@@ -291,6 +555,7 @@ function PlanCard({ name, price, minutes, features, buttonText, isCurrent, popul
           <span className="text-slate-400 font-bold">/month</span>
         </div>
         <p className="text-sm font-bold text-slate-500 mt-2">{minutes} AI minutes included</p>
+        <p className="text-xs font-bold text-slate-400 mt-1">then {overage}/min</p>
       </div>
 
       <div className="flex-1 space-y-4 mb-10">
@@ -304,8 +569,10 @@ function PlanCard({ name, price, minutes, features, buttonText, isCurrent, popul
         ))}
       </div>
 
-      <button 
-        disabled={isCurrent}
+      <button
+        type="button"
+        disabled={isCurrent || disabled}
+        onClick={onSelect}
         className={`w-full py-4 rounded-2xl font-black transition-all ${
           isCurrent 
             ? (isDark ? "bg-slate-800 text-slate-500 cursor-not-allowed" : "bg-slate-100 text-slate-400 cursor-not-allowed")
@@ -318,6 +585,22 @@ function PlanCard({ name, price, minutes, features, buttonText, isCurrent, popul
   );
 }
 
+PlanCard.propTypes = {
+  name: PropTypes.string.isRequired,
+  price: PropTypes.number,
+  minutes: PropTypes.string,
+  overage: PropTypes.string,
+  features: PropTypes.arrayOf(
+    PropTypes.shape({ name: PropTypes.string, active: PropTypes.bool }),
+  ),
+  buttonText: PropTypes.string,
+  isCurrent: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onSelect: PropTypes.func,
+  popular: PropTypes.bool,
+  isDark: PropTypes.bool,
+};
+
 // Custom Icons
 const PhoneIcon = (props) => (
   <svg {...props} fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
@@ -349,12 +632,6 @@ const StatusIcon = (props) => (
   </svg>
 );
 
-const RefreshIcon = (props) => (
-  <svg {...props} fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
-    <path strokeLinecap="round" strokeLinejoin="round" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-  </svg>
-);
-
 const WhatsAppIcon = (props) => (
   <svg {...props} viewBox="0 0 24 24" fill="currentColor">
     <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z" />
@@ -30,8 +30,194 @@ export const CALL_INTENT = {
   RECALL_REQUEST: "RECALL_REQUEST",
   NO_RESPONSE: "NO_RESPONSE",
   WRONG_NUMBER: "WRONG_NUMBER",
+  UNCLEAR: "UNCLEAR", // transcript answer too ambiguous to act on — manual review
 };
 
+// CallAttempt.intentSource — how the attempt's intent was detected.
+export const INTENT_SOURCE = {
+  STRUCTURED_OUTPUT: "structured_output", // assistant's structured output / tool call
+  ENDED_REASON: "ended_reason",           // no-answer, busy, voicemail
+  TRANSCRIPT: "transcript",               // intent classifier on the transcript
+  POLL: "poll",                           // read back from the Vapi API
+  CRON: "cron",                           // stale-call recovery
+  DIAL_ERROR: "dial_error",               // Vapi refused the dial
+};
+
+// Hard safety ceiling only — the per-shop limit is AppConfig.maxRetries,
+// applied through the retry policy (services/retryPolicy.server.js).
 export const ORDER_MAX_RETRIES = 100;
 export const GENERAL_MAX_RETRIES = 3;
 
+
+// OrderEvent.type — one row per state change on an order (append-only).
+export const ORDER_EVENT_TYPE = {
+  ORDER_CREATED: "ORDER_CREATED",
+  FIRST_CONTACT_SCHEDULED: "FIRST_CONTACT_SCHEDULED",
+  CALL_DEFERRED: "CALL_DEFERRED",
+  RETRY_SCHEDULED: "RETRY_SCHEDULED",
+  RETRY_LIMIT_REACHED: "RETRY_LIMIT_REACHED",
+  PHONE_SWITCHED: "PHONE_SWITCHED",
+  WHATSAPP_SENT: "WHATSAPP_SENT",
+  WHATSAPP_REMINDER_SENT: "WHATSAPP_REMINDER_SENT",
+  WHATSAPP_REPLY: "WHATSAPP_REPLY",
+  WHATSAPP_TIMEOUT: "WHATSAPP_TIMEOUT",
+  ORDER_CONFIRMED: "ORDER_CONFIRMED",
+  ORDER_CANCELLED: "ORDER_CANCELLED",
+  WRONG_NUMBER: "WRONG_NUMBER",
+  ESCALATED: "ESCALATED",
+  RISK_SCORED: "RISK_SCORED",
+  SHOPIFY_SYNCED: "SHOPIFY_SYNCED",
+  SHOPIFY_SYNC_FAILED: "SHOPIFY_SYNC_FAILED",
+  SHOPIFY_CANCELLED: "SHOPIFY_CANCELLED",
+  SHOPIFY_CANCEL_FAILED: "SHOPIFY_CANCEL_FAILED",
+  FULFILLMENT_HELD: "FULFILLMENT_HELD",
+  FULFILLMENT_RELEASED: "FULFILLMENT_RELEASED",
+  FULFILLMENT_HOLD_FAILED: "FULFILLMENT_HOLD_FAILED",
+  SHOPIFY_ORDER_EDITED: "SHOPIFY_ORDER_EDITED",
+  SHOPIFY_ORDER_CLOSED: "SHOPIFY_ORDER_CLOSED",
+  ADDRESS_CONFIRMED: "ADDRESS_CONFIRMED",
+  ADDRESS_CORRECTED: "ADDRESS_CORRECTED",
+  ADDRESS_DISPUTED: "ADDRESS_DISPUTED",
+  ADDRESS_REVIEWED: "ADDRESS_REVIEWED",
+  SHOPIFY_ADDRESS_UPDATED: "SHOPIFY_ADDRESS_UPDATED",
+  SHOPIFY_ADDRESS_FAILED: "SHOPIFY_ADDRESS_FAILED",
+  CANCEL_REASON_CAPTURED: "CANCEL_REASON_CAPTURED",
+  QUOTA_EXCEEDED: "QUOTA_EXCEEDED",
+};
+
+// Order.addressStatus — outcome of reading the address back on the call.
+export const ADDRESS_STATUS = {
+  CONFIRMED: "confirmed",   // customer agreed
+  CORRECTED: "corrected",   // customer gave a new address (correctedAddress)
+  DISPUTED: "disputed",     // customer said it's wrong but gave no new one
+};
+
+// Order.cancelReason — why the customer cancelled, from the call's structured
+// output or a WhatsApp reply. Fixed taxonomy so the insights panel can rank it.
+export const CANCEL_REASON = {
+  ORDERED_BY_MISTAKE: "ordered_by_mistake",
+  PRICE_TOO_HIGH: "price_too_high",
+  DELIVERY_TOO_SLOW: "delivery_too_slow",
+  FOUND_CHEAPER: "found_cheaper",
+  DID_NOT_ORDER: "did_not_order",
+};
+
+export const CANCEL_REASON_LABEL = {
+  [CANCEL_REASON.ORDERED_BY_MISTAKE]: "Ordered by mistake",
+  [CANCEL_REASON.PRICE_TOO_HIGH]: "Price too high",
+  [CANCEL_REASON.DELIVERY_TOO_SLOW]: "Delivery too slow",
+  [CANCEL_REASON.FOUND_CHEAPER]: "Found it cheaper",
+  [CANCEL_REASON.DID_NOT_ORDER]: "Did not order",
+};
+
+// Order.confirmationStatus when the merchant settled the order in Shopify
+// (orders/cancelled, orders/fulfilled, or orders/updated with the order
+// marked paid) — no further calls, messages or late call results apply to it.
+export const SHOPIFY_CLOSED_STATUS = {
+  CANCELLED: "shopify_cancelled",
+  PAID: "shopify_paid",
+  FULFILLED: "shopify_fulfilled",
+};
+
+// Order.riskPath — how an order is verified, chosen by the COD risk scorer
+// (services/riskScoringService.server.js) when the order is created.
+export const RISK_PATH = {
+  AUTO_CONFIRM: "auto_confirm",     // trusted repeat customer — no contact
+  WHATSAPP: "whatsapp",             // WhatsApp only, never falls back to a call
+  CALL: "call",                     // AI call straight away
+  MANUAL_REVIEW: "manual_review",   // too risky — merchant decides
+};
+
+export const EVENT_CHANNEL = {
+  CALL: "call",
+  WHATSAPP: "whatsapp",
+  SYSTEM: "system",
+};
+
+// Who caused the event.
+export const EVENT_ACTOR = {
+  CRON: "cron",
+  WEBHOOK: "webhook",
+  MERCHANT: "merchant",
+  SYSTEM: "system",
+};
+
+// Job.type — work processed by the job worker (services/jobQueueService.server.js).
+export const JOB_TYPE = {
+  // Periodic sweeps — enqueued once per interval, whichever worker gets there first
+  ORDER_SWEEP: "order_sweep",                 // claims due order call rows → per-row jobs
+  REMINDER_SWEEP: "reminder_sweep",           // unreplied WhatsApp → reminder / escalation jobs
+  CUSTOMER_CALL_SWEEP: "customer_call_sweep", // CustomerCall retries due
+  JOB_CLEANUP: "job_cleanup",                 // prunes finished jobs, dial slots, webhook events
+
+  // Per-row work
+  ORDER_FIRST_CONTACT: "order_first_contact", // WhatsApp or dial for a new order
+  ORDER_DIAL: "order_dial",                   // queued / retry / WhatsApp-timeout dial
+  ORDER_RECOVER_STALE: "order_recover_stale", // IN_PROGRESS call whose webhook never came
+  WHATSAPP_SEND: "whatsapp_send",             // WhatsApp fallback after call retries ran out
+  WHATSAPP_REMINDER: "whatsapp_reminder",     // second WhatsApp message
+  WHATSAPP_ESCALATE: "whatsapp_escalate",     // no reply after the reminder → manual review
+  CUSTOMER_CALL_START: "customer_call_start", // first dial of one CustomerCall
+  CUSTOMER_CALL_RETRY: "customer_call_retry", // redial one CustomerCall
+};
+
+// WebhookEvent.source — where an inbound webhook came from
+// (services/webhookEventService.server.js).
+export const WEBHOOK_SOURCE = {
+  VAPI_ORDER: "vapi_order",           // api.order-vapi-webhook
+  VAPI_CUSTOMER: "vapi_customer",     // api.vapi-webhook
+  TWILIO_WHATSAPP: "twilio_whatsapp", // api.whatsapp-webhook
+};
+
+// WebhookEvent.status — what processing the event did.
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: "received",   // stored, handler still running (or crashed)
+  PROCESSED: "processed", // handler applied it
+  IGNORED: "ignored",     // handler ran but had nothing to do
+  FAILED: "failed",       // handler threw — see error
+};
+
+// UsageEvent.kind — what a usage ledger row counts
+// (services/usageService.server.js).
+export const USAGE_KIND = {
+  ORDER_CALL: "order_call",             // one CallAttempt — seconds + Vapi cost
+  CUSTOMER_CALL: "customer_call",       // one CustomerCall dial — seconds + Vapi cost
+  WHATSAPP_MESSAGE: "whatsapp_message", // one outbound WhatsApp message
+};
+
+// Plans sold through Shopify billing (services/billingService.server.js).
+// Minutes beyond includedMinutes are charged at overagePerMinute, up to
+// overageCap per Shopify billing cycle.
+export const BILLING_PLAN = {
+  starter: {
+    key: "starter",
+    name: "Starter",
+    price: 29,
+    includedMinutes: 500,
+    overagePerMinute: 0.08,
+    overageCap: 100,
+  },
+  professional: {
+    key: "professional",
+    name: "Professional",
+    price: 79,
+    includedMinutes: 2000,
+    overagePerMinute: 0.06,
+    overageCap: 300,
+  },
+  enterprise: {
+    key: "enterprise",
+    name: "Enterprise",
+    price: 199,
+    includedMinutes: 10000,
+    overagePerMinute: 0.04,
+    overageCap: 1000,
+  },
+};
+
+// AppConfig.overQuotaAction — what happens to a due call once the shop's
+// minutes (and overage cap) are used up.
+export const OVER_QUOTA_ACTION = {
+  WHATSAPP: "whatsapp", // confirm over WhatsApp instead
+  PAUSE: "pause",       // hold the call until the next billing period
+};
@@ -4,16 +4,11 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
-import { startCronJobs } from "./utils/cronJobs.server.js";
-import { startOrderCronJobs } from "./utils/orderCronJobs.server.js";
-import { startReminderService } from "./services/reminderService.server.js";
+import { startInlineJobWorker } from "./utils/jobHandlers.server.js";
 
-// Boot the auto-retry schedulers when the server module is first loaded.
-// Both use global singleton guards to prevent duplicate schedulers under
-// Vite HMR or if this module is re-evaluated.
-startCronJobs();
-startOrderCronJobs();
-startReminderService();
+// Process the job queue (dials, retries, WhatsApp, reminders) in this
+// process unless a separate worker runs it (JOB_WORKER=external).
+startInlineJobWorker();
 
 export const streamTimeout = 5000;
 
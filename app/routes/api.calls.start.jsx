@@ -1,26 +1,27 @@
 // app/routes/api.calls.start.jsx
+import { authenticate } from "../shopify.server";
 import {
   getAllPendingCalls,
-  setCallCalling,
-  setCallRetrying,
-  markCallFailed,
-  updateCallWithVapiId,
-  MAX_RETRIES,
+  deferCall,
 } from "../services/callService.server.js";
-
 import {
-  initiateVapiCall,
-  isPermanentVapiError,
-} from "../services/vapiService.server.js";
+  loadCallingWindow,
+  nextCallingSlot,
+} from "../services/callingWindow.server.js";
+import { enqueueJob } from "../services/jobQueueService.server.js";
+import { JOB_TYPE } from "../constants.js";
 
 export const action = async ({ request }) => {
   if (request.method !== "POST") {
     return Response.json({ error: "Method not allowed" }, { status: 405 });
   }
 
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
   let pending;
   try {
-    pending = await getAllPendingCalls();
+    pending = await getAllPendingCalls(shop);
   } catch (err) {
     console.error("[Start] DB fetch error:", err.message);
     return Response.json(
@@ -38,68 +39,41 @@ export const action = async ({ request }) => {
     });
   }
 
-  console.log(`[Start] Firing ${pending.length} pending call(s) …`);
-
-  const results = { started: 0, failed: 0, errors: [] };
-
-  for (const call of pending) {
-    try {
-      await setCallCalling(call.id);
-
-      const vapiRes = await initiateVapiCall({
-        customerName: call.customerName,
-        phone: call.phone,
-        callId: call.id,
-      });
-
-      if (!vapiRes?.id) {
-        throw new Error("Vapi returned no call ID.");
-      }
-
-      await updateCallWithVapiId(call.id, vapiRes.id);
-
-      results.started++;
-      console.log(
-        `[Start] ✓ "${call.customerName}" (${call.phone}) → vapiId=${vapiRes.id}`,
+  // Outside calling hours → hand the batch to the retry cron at the next slot.
+  const now = new Date();
+  const slot = nextCallingSlot(await loadCallingWindow(shop), now);
+  if (!slot || slot.getTime() !== now.getTime()) {
+    const deferUntil = slot ?? new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    for (const call of pending) {
+      await deferCall(call.id, deferUntil).catch((err) =>
+        console.error(`[Start] deferCall(${call.id}) err:`, err.message),
       );
-    } catch (err) {
-      results.failed++;
-      results.errors.push({
-        id: call.id,
-        customerName: call.customerName,
-        phone: call.phone,
-        error: err.message,
-      });
-      console.error(
-        `[Start] ✗ "${call.customerName}" (${call.phone}):`,
-        err.message,
-      );
-
-      try {
-        if (isPermanentVapiError(err)) {
-          await markCallFailed(call.id, err.message);
-        } else {
-          if (call.retryCount < MAX_RETRIES) {
-            await setCallRetrying(call.id, err.message);
-          } else {
-            await markCallFailed(call.id, err.message);
-          }
-        }
-      } catch (recoveryErr) {
-        console.error(
-          `[Start] Recovery update failed for ${call.id}:`,
-          recoveryErr.message,
-        );
-      }
     }
+    console.log(
+      `[Start] Outside calling hours — ${pending.length} call(s) deferred to ${deferUntil.toISOString()}`,
+    );
+    return Response.json({
+      success: true,
+      message: `Outside calling hours — ${pending.length} call(s) scheduled for ${deferUntil.toLocaleString()}.`,
+      started: 0,
+      failed: 0,
+      deferred: pending.length,
+      deferredUntil: deferUntil.toISOString(),
+    });
   }
 
+  // Dial through the job worker, which applies the shop's dial limits —
+  // never a loop of Vapi requests inside this HTTP request.
+  for (const call of pending) {
+    await enqueueJob(JOB_TYPE.CUSTOMER_CALL_START, { callId: call.id }, { maxAttempts: 1 });
+  }
+  console.log(`[Start] Queued ${pending.length} pending call(s)`);
+
   return Response.json({
     success: true,
-    started: results.started,
-    failed: results.failed,
-    ...(results.errors.length > 0 ? { errors: results.errors } : {}),
+    message: `${pending.length} call(s) queued — they go out as dial slots free up.`,
+    started: 0,
+    queued: pending.length,
+    failed: 0,
   });
 };
-
-
@@ -1,4 +1,5 @@
 // app/routes/api.calls.upload.jsx
+import { authenticate } from "../shopify.server";
 import { createCallsBatch } from "../services/callService.server.js";
 import {
   validatePhone,
@@ -10,6 +11,8 @@ export const action = async ({ request }) => {
     return Response.json({ error: "Method not allowed" }, { status: 405 });
   }
 
+  const { session } = await authenticate.admin(request);
+
   let body;
   try {
     body = await request.json();
@@ -89,7 +92,7 @@ export const action = async ({ request }) => {
   }
 
   try {
-    const result = await createCallsBatch(valid);
+    const result = await createCallsBatch(session.shop, valid);
     return Response.json({
       success: true,
       created: result.count,
@@ -1,4 +1,6 @@
 import prisma from "../db.server.js";
+import { authenticate } from "../shopify.server";
+import { getShopConfig } from "../services/shopConfigService.server.js";
 
 /**
  * GET  /api/voices → fetches REAL voices from Vapi API
@@ -8,11 +10,11 @@ import prisma from "../db.server.js";
 const VAPI_BASE_URL = "https://api.vapi.ai";
 
 /* ─────────────────────────────────────────────────────────────
-   Get Vapi API key from DB → env fallback
+   Get the shop's Vapi API key from DB → env fallback
    ───────────────────────────────────────────────────────────── */
-async function getVapiApiKey() {
+async function getVapiApiKey(shop) {
   try {
-    const config = await prisma.appConfig.findFirst({ where: { shop: "default" } });
+    const config = await getShopConfig(shop);
     if (config?.vapiApiKey) return config.vapiApiKey;
   } catch (_) {}
   return process.env.VAPI_API_KEY || "";
@@ -211,14 +213,15 @@ function buildStyleFromProvider(provider) {
 /* ═══════════════════════════════════════════════════════════
    LOADER — fetch real voices from Vapi
    ═══════════════════════════════════════════════════════════ */
-export async function loader() {
-  const apiKey = await getVapiApiKey();
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const apiKey = await getVapiApiKey(session.shop);
   const voices = await fetchRealVoices(apiKey);
 
   // Get the current selected voice from DB
   let selectedVoiceId = null;
   try {
-    const config = await prisma.appConfig.findFirst({ where: { shop: "default" } });
+    const config = await getShopConfig(session.shop);
     selectedVoiceId = config?.selectedVoice || null;
   } catch (_) {}
 
@@ -234,6 +237,7 @@ export async function loader() {
    ACTION — select a voice (saves to DB)
    ═══════════════════════════════════════════════════════════ */
 export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
 
@@ -243,9 +247,9 @@ export async function action({ request }) {
     const voiceProvider = formData.get("voiceProvider");
 
     await prisma.appConfig.upsert({
-      where: { shop: "default" },
+      where: { shop: session.shop },
       update: { selectedVoice: voiceId },
-      create: { shop: "default", selectedVoice: voiceId },
+      create: { shop: session.shop, selectedVoice: voiceId },
     });
 
     console.log(`[Voices] ✅ Selected: "${voiceName}" (${voiceProvider}) → ${voiceId}`);
@@ -5,12 +5,17 @@
  */
 
 import prisma from "../db.server.js";
+import { authenticate } from "../shopify.server";
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
 
-export async function loader() {
   try {
     // Count WhatsApp messages sent (callLogs where whatsappSentAt is set)
     const sent = await prisma.callLog.count({
       where: {
+        shop,
         whatsappSentAt: { not: null },
       },
     });
@@ -18,6 +23,7 @@ export async function loader() {
     // Count replies received
     const replied = await prisma.callLog.count({
       where: {
+        shop,
         whatsappReplied: true,
       },
     });
@@ -25,6 +31,7 @@ export async function loader() {
     // Count pending (sent but no reply, not failed)
     const pending = await prisma.callLog.count({
       where: {
+        shop,
         whatsappSentAt: { not: null },
         whatsappReplied: false,
         status: "WHATSAPP_SENT",
@@ -34,6 +41,7 @@ export async function loader() {
     // Count failed/timed out (sent, no reply, status is FAILED)
     const failed = await prisma.callLog.count({
       where: {
+        shop,
         whatsappSentAt: { not: null },
         whatsappReplied: false,
         status: "FAILED",
@@ -8,8 +8,10 @@ import {
   DashboardStatsCards,
   ConfirmationRateChart,
   ChannelPerformance,
+  CallLimiterCard,
   RecentActivity,
 } from "../components/DashboardWidgets.jsx";
+import { getDialLimiterState } from "../services/dialLimiterService.server.js";
 import { DataTable, Drawer, ActiveCallOverlay } from "../components/DashboardComponents.jsx";
 import { useTheme } from "../contexts/ThemeContext.jsx";
 
@@ -17,7 +19,8 @@ import { useTheme } from "../contexts/ThemeContext.jsx";
    LOADER — all real data from Prisma
    ═══════════════════════════════════════════════════════════════ */
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
 
   const now = new Date();
   const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
@@ -31,12 +34,12 @@ export const loader = async ({ request }) => {
     pendingManualReview,
     invalidOrders,
   ] = await Promise.all([
-    prisma.order.count(),
-    prisma.order.count({ where: { orderStatus: "CONFIRMED" } }),
-    prisma.order.count({ where: { orderStatus: "CANCELLED" } }),
-    prisma.order.count({ where: { orderStatus: "PENDING" } }),
-    prisma.order.count({ where: { orderStatus: "PENDING_MANUAL_REVIEW" } }),
-    prisma.order.count({ where: { orderStatus: "INVALID" } }),
+    prisma.order.count({ where: { shop } }),
+    prisma.order.count({ where: { shop, orderStatus: "CONFIRMED" } }),
+    prisma.order.count({ where: { shop, orderStatus: "CANCELLED" } }),
+    prisma.order.count({ where: { shop, orderStatus: "PENDING" } }),
+    prisma.order.count({ where: { shop, orderStatus: "PENDING_MANUAL_REVIEW" } }),
+    prisma.order.count({ where: { shop, orderStatus: "INVALID" } }),
   ]);
 
   // ── Call log stats ───────────────────────────────────────────
@@ -49,20 +52,20 @@ export const loader = async ({ request }) => {
     queuedCalls,
     whatsappSentCalls,
   ] = await Promise.all([
-    prisma.callLog.count(),
-    prisma.callLog.count({ where: { status: "COMPLETED" } }),
-    prisma.callLog.count({ where: { status: "FAILED" } }),
-    prisma.callLog.count({ where: { status: "RETRY_SCHEDULED" } }),
-    prisma.callLog.count({ where: { status: "IN_PROGRESS" } }),
-    prisma.callLog.count({ where: { status: "QUEUED" } }),
-    prisma.callLog.count({ where: { status: "WHATSAPP_SENT" } }),
+    prisma.callLog.count({ where: { shop } }),
+    prisma.callLog.count({ where: { shop, status: "COMPLETED" } }),
+    prisma.callLog.count({ where: { shop, status: "FAILED" } }),
+    prisma.callLog.count({ where: { shop, status: "RETRY_SCHEDULED" } }),
+    prisma.callLog.count({ where: { shop, status: "IN_PROGRESS" } }),
+    prisma.callLog.count({ where: { shop, status: "QUEUED" } }),
+    prisma.callLog.count({ where: { shop, status: "WHATSAPP_SENT" } }),
   ]);
 
   // ── Today's stats ────────────────────────────────────────────
   const [todayOrders, todayCalls, todayWhatsApp] = await Promise.all([
-    prisma.order.count({ where: { createdAt: { gte: todayStart } } }),
-    prisma.callLog.count({ where: { createdAt: { gte: todayStart } } }),
-    prisma.callLog.count({ where: { whatsappSentAt: { gte: todayStart } } }),
+    prisma.order.count({ where: { shop, createdAt: { gte: todayStart } } }),
+    prisma.callLog.count({ where: { shop, createdAt: { gte: todayStart } } }),
+    prisma.callLog.count({ where: { shop, whatsappSentAt: { gte: todayStart } } }),
   ]);
 
   // ── Confirmation rate ────────────────────────────────────────
@@ -83,10 +86,11 @@ export const loader = async ({ request }) => {
 
     const [dayConfirmed, dayTotal] = await Promise.all([
       prisma.order.count({
-        where: { orderStatus: "CONFIRMED", updatedAt: { gte: dayStart, lte: dayEnd } },
+        where: { shop, orderStatus: "CONFIRMED", updatedAt: { gte: dayStart, lte: dayEnd } },
       }),
       prisma.order.count({
         where: {
+          shop,
           orderStatus: { in: ["CONFIRMED", "CANCELLED"] },
           updatedAt: { gte: dayStart, lte: dayEnd },
         },
@@ -108,6 +112,7 @@ export const loader = async ({ request }) => {
 
   // ── Recent orders with call logs ─────────────────────────────
   const recentOrders = await prisma.order.findMany({
+    where: { shop },
     orderBy: { createdAt: "desc" },
     take: 5,
     include: {
@@ -142,13 +147,14 @@ export const loader = async ({ request }) => {
 
   // ── Also include general CustomerCall data ───────────────────
   const [generalTotal, generalAnswered, generalFailed, generalCalling] = await Promise.all([
-    prisma.customerCall.count(),
-    prisma.customerCall.count({ where: { status: "answered" } }),
-    prisma.customerCall.count({ where: { status: "failed" } }),
-    prisma.customerCall.count({ where: { status: "calling" } }),
+    prisma.customerCall.count({ where: { shop } }),
+    prisma.customerCall.count({ where: { shop, status: "answered" } }),
+    prisma.customerCall.count({ where: { shop, status: "failed" } }),
+    prisma.customerCall.count({ where: { shop, status: "calling" } }),
   ]);
 
   const recentGeneralCalls = await prisma.customerCall.findMany({
+    where: { shop },
     orderBy: { createdAt: "desc" },
     take: 20,
   });
@@ -195,6 +201,7 @@ export const loader = async ({ request }) => {
     },
     orders: serializedOrders,
     generalCalls: serializedGeneralCalls,
+    dialLimiter: await getDialLimiterState(shop),
   };
 };
 
@@ -202,7 +209,7 @@ export const loader = async ({ request }) => {
    DASHBOARD PAGE
    ═══════════════════════════════════════════════════════════════ */
 export default function Dashboard() {
-  const { stats, orders, generalCalls } = useLoaderData();
+  const { stats, orders, generalCalls, dialLimiter } = useLoaderData();
   const shopify = useAppBridge();
   const { revalidate } = useRevalidator();
   const { isDark, toggleTheme } = useTheme();
@@ -288,7 +295,8 @@ export default function Dashboard() {
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
-        <div className="lg:col-span-4">
+        <div className="lg:col-span-4 space-y-8">
+          <CallLimiterCard limiter={dialLimiter} />
           <RecentActivity orders={tableCalls} />
         </div>
         <div className="lg:col-span-8">
@@ -1,63 +1,48 @@
 import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
 import { useLoaderData, useFetcher } from "react-router";
 import { motion, AnimatePresence } from "framer-motion";
 import { useTheme } from "../contexts/ThemeContext.jsx";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server.js";
+import { getOrCreateShopConfig } from "../services/shopConfigService.server.js";
+import { getOrderTags } from "../services/shopifyOrderService.server.js";
 
 /* ═══════════════════════════════════════════════════════════════
    LOADER — fetch config + scripts from DB
    ═══════════════════════════════════════════════════════════════ */
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
 
-  // Upsert — ensure a config row always exists
-  let config = await prisma.appConfig.findFirst({ where: { shop: "default" } });
-  if (!config) {
-    config = await prisma.appConfig.create({
-      data: {
-        id: "default",
-        shop: "default",
-        vapiApiKey: process.env.VAPI_API_KEY || "",
-        vapiPhoneId: process.env.VAPI_PHONE_NUMBER_ID || "",
-        vapiAssistantId:
-          process.env.VAPI_ORDER_ASSISTANT_ID ||
-          process.env.VAPI_ASSISTANT_ID ||
-          "",
-        callLanguage: process.env.CALL_LANGUAGE || "hindi",
-        twilioSid: process.env.TWILIO_ACCOUNT_SID || "",
-        twilioToken: process.env.TWILIO_AUTH_TOKEN || "",
-        twilioWaFrom: process.env.TWILIO_WHATSAPP_FROM || "",
-        whatsappEnabled: true,
-      },
-    });
-  }
+  // Ensure this shop has a config row (adopts legacy "default" data once)
+  const config = await getOrCreateShopConfig(shop);
 
   // Seed default scripts if none exist
-  const scriptCount = await prisma.script.count({ where: { shop: "default" } });
+  const scriptCount = await prisma.script.count({ where: { shop } });
   if (scriptCount === 0) {
     await prisma.script.createMany({
       data: [
         {
-          shop: "default",
+          shop,
           name: "Standard Confirmation",
           body: "Hi {{CUSTOMER_NAME}}, this is a confirmation call for your Order #{{ORDER_ID}} worth ₹{{TOTAL}}.\n\nYour items: {{PRODUCT_LIST}}\nDelivery to: {{ADDRESS}}\n\nPlease confirm by saying YES or CANCEL to cancel this order.",
           isActive: true,
         },
         {
-          shop: "default",
+          shop,
           name: "High Value Order",
           body: "Hello {{CUSTOMER_NAME}}, we are calling regarding your premium order #{{ORDER_ID}} worth ₹{{TOTAL}}.\n\nWe want to personally confirm this order with you. Your items will be delivered to {{ADDRESS}} by {{DELIVERY_DATE}}.\n\nShall we proceed with this order?",
           isActive: false,
         },
         {
-          shop: "default",
+          shop,
           name: "Hindi Script",
           body: "नमस्ते {{CUSTOMER_NAME}}, मैं {{STORE_NAME}} की तरफ से बोल रहा हूं।\n\nआपने ₹{{TOTAL}} का Order #{{ORDER_ID}} place किया है।\n\nक्या आप इस ऑर्डर की पुष्टि करते हैं?",
           isActive: false,
         },
         {
-          shop: "default",
+          shop,
           name: "Abandoned Cart",
           body: "Hi {{CUSTOMER_NAME}}, we noticed you left some items in your cart!\n\nYour cart total was ₹{{TOTAL}}. Would you like to complete your purchase? We can help you with that right now.",
           isActive: false,
@@ -67,13 +52,14 @@ export const loader = async ({ request }) => {
   }
 
   const scripts = await prisma.script.findMany({
-    where: { shop: "default" },
+    where: { shop },
     orderBy: { createdAt: "asc" },
   });
 
   // Serialize dates
   const serializedConfig = {
     ...config,
+    orderTags: getOrderTags(config),
     createdAt: config.createdAt?.toISOString(),
     updatedAt: config.updatedAt?.toISOString(),
   };
@@ -91,14 +77,15 @@ export const loader = async ({ request }) => {
    ACTION — handle form submissions
    ═══════════════════════════════════════════════════════════════ */
 export const action = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
   const formData = await request.formData();
   const intent = formData.get("intent");
 
   /* ── Save WhatsApp settings ───────────────────────────── */
   if (intent === "save-whatsapp") {
     await prisma.appConfig.update({
-      where: { id: "default" },
+      where: { shop },
       data: {
         waAutoConfirm: formData.get("waAutoConfirm") === "true",
         waUpdateNotify: formData.get("waUpdateNotify") === "true",
@@ -107,10 +94,25 @@ export const action = async ({ request }) => {
           parseInt(String(formData.get("waTimeoutMinutes") || "5"), 10) || 5,
         initialDelay: formData.get("initialDelay") || "immediate",
         retryInterval: formData.get("retryInterval") || "2hours",
+        retryPolicy: {
+          backoff: formData.get("retryBackoff") || "fixed",
+          jitter: formData.get("retryJitter") === "true" ? 0.1 : 0,
+          delays: {
+            BUSY: parseInt(String(formData.get("retryDelayBusy") || "0"), 10) || null,
+            RECALL_REQUEST:
+              parseInt(String(formData.get("retryDelayRecall") || "0"), 10) || null,
+            NO_RESPONSE:
+              parseInt(String(formData.get("retryDelayNoResponse") || "0"), 10) || null,
+          },
+          maxAttempts: {
+            whatsapp: parseInt(String(formData.get("waMaxMessages") || "2"), 10) || 2,
+          },
+        },
         twilioSid: formData.get("twilioSid") || "",
         twilioToken: formData.get("twilioToken") || "",
         twilioWaFrom: formData.get("twilioWaFrom") || "",
         whatsappEnabled: formData.get("whatsappEnabled") === "true",
+        riskScoring: formData.get("riskScoring") === "true",
       },
     });
     return { success: true, message: "WhatsApp settings saved" };
@@ -119,19 +121,63 @@ export const action = async ({ request }) => {
   /* ── Save voice selection ─────────────────────────────── */
   if (intent === "save-voice") {
     await prisma.appConfig.update({
-      where: { id: "default" },
+      where: { shop },
       data: {
         selectedVoice: formData.get("selectedVoice") || "Sarah",
         vapiApiKey: formData.get("vapiApiKey") || "",
         vapiPhoneId: formData.get("vapiPhoneId") || "",
         vapiAssistantId: formData.get("vapiAssistantId") || "",
+        vapiWebhookSecret: String(formData.get("vapiWebhookSecret") || "").trim(),
         callLanguage: formData.get("callLanguage") || "hindi",
         maxRetries: parseInt(formData.get("maxRetries") || "3", 10),
+        maxConcurrentCalls:
+          parseInt(String(formData.get("maxConcurrentCalls") || "3"), 10) || 3,
+        maxCallsPerMinute:
+          parseInt(String(formData.get("maxCallsPerMinute") || "10"), 10) || 10,
+        callingWindow: {
+          timezone: formData.get("cwTimezone") || "Asia/Kolkata",
+          weekday: {
+            start: formData.get("cwWeekdayStart") || "09:00",
+            end: formData.get("cwWeekdayEnd") || "21:00",
+          },
+          weekend:
+            formData.get("cwWeekendEnabled") === "true"
+              ? {
+                  start: formData.get("cwWeekendStart") || "10:00",
+                  end: formData.get("cwWeekendEnd") || "19:00",
+                }
+              : null,
+          holidays: String(formData.get("cwHolidays") || "")
+            .split(",")
+            .map((d) => d.trim())
+            .filter(Boolean),
+        },
       },
     });
     return { success: true, message: "AI Voice settings saved" };
   }
 
+  /* ── Save Shopify write-back settings ─────────────────── */
+  if (intent === "save-shopify") {
+    await prisma.appConfig.update({
+      where: { shop },
+      data: {
+        shopifyWriteBack: formData.get("shopifyWriteBack") === "true",
+        orderTags: {
+          confirmed: String(formData.get("tagConfirmed") ?? "").trim(),
+          cancelled: String(formData.get("tagCancelled") ?? "").trim(),
+          wrongNumber: String(formData.get("tagWrongNumber") ?? "").trim(),
+        },
+        autoCancelOrders: formData.get("autoCancelOrders") === "true",
+        cancelRestock: formData.get("cancelRestock") === "true",
+        cancelNotify: formData.get("cancelNotify") === "true",
+        holdFulfillment: formData.get("holdFulfillment") === "true",
+        pushAddressToShopify: formData.get("pushAddressToShopify") === "true",
+      },
+    });
+    return { success: true, message: "Shopify settings saved" };
+  }
+
   /* ── Save / update a script ───────────────────────────── */
   if (intent === "save-script") {
     const scriptId = formData.get("scriptId");
@@ -139,8 +185,8 @@ export const action = async ({ request }) => {
     const body = formData.get("scriptBody");
 
     if (scriptId) {
-      await prisma.script.update({
-        where: { id: scriptId },
+      await prisma.script.updateMany({
+        where: { id: scriptId, shop },
         data: { name, body },
       });
     }
@@ -154,18 +200,18 @@ export const action = async ({ request }) => {
 
     // Deactivate all
     await prisma.script.updateMany({
-      where: { shop: "default" },
+      where: { shop },
       data: { isActive: false },
     });
 
     // Activate selected
-    await prisma.script.update({
-      where: { id: scriptId },
+    await prisma.script.updateMany({
+      where: { id: scriptId, shop },
       data: { isActive: true },
     });
 
     await prisma.appConfig.update({
-      where: { id: "default" },
+      where: { shop },
       data: { activeScriptId: scriptId },
     });
 
@@ -176,7 +222,7 @@ export const action = async ({ request }) => {
   if (intent === "create-script") {
     const newScript = await prisma.script.create({
       data: {
-        shop: "default",
+        shop,
         name: formData.get("scriptName") || "New Script",
         body:
           formData.get("scriptBody") ||
@@ -190,7 +236,7 @@ export const action = async ({ request }) => {
   /* ── Delete a script ──────────────────────────────────── */
   if (intent === "delete-script") {
     const scriptId = formData.get("scriptId");
-    await prisma.script.delete({ where: { id: scriptId } });
+    await prisma.script.deleteMany({ where: { id: scriptId, shop } });
     return { success: true, message: "Script deleted" };
   }
 
@@ -221,6 +267,11 @@ export default function ConfigurationPage() {
       label: "Scripts",
       icon: <ScriptIcon className="w-full h-full" />,
     },
+    {
+      id: "shopify",
+      label: "Shopify",
+      icon: <StoreIcon className="w-full h-full" />,
+    },
   ];
 
   return (
@@ -265,6 +316,7 @@ export default function ConfigurationPage() {
             {activeTab === "whatsapp" && <WhatsAppTab config={config} />}
             {activeTab === "voices" && <VoicesTab config={config} />}
             {activeTab === "scripts" && <ScriptsTab scripts={scripts} />}
+            {activeTab === "shopify" && <ShopifyTab config={config} />}
           </motion.div>
         </AnimatePresence>
       </div>
@@ -284,6 +336,7 @@ function WhatsAppTab({ config }) {
   const [whatsappEnabled, setWhatsappEnabled] = useState(
     config.whatsappEnabled ?? true,
   );
+  const [riskScoring, setRiskScoring] = useState(config.riskScoring ?? true);
   const [waAutoConfirm, setWaAutoConfirm] = useState(config.waAutoConfirm);
   const [waUpdateNotify, setWaUpdateNotify] = useState(config.waUpdateNotify);
   const [waAutoReplies, setWaAutoReplies] = useState(config.waAutoReplies);
@@ -295,6 +348,23 @@ function WhatsAppTab({ config }) {
   const [initialDelay, setInitialDelay] = useState(config.initialDelay);
   const [retryInterval, setRetryInterval] = useState(config.retryInterval);
 
+  // Retry policy (AppConfig.retryPolicy)
+  const retryPolicy = config.retryPolicy || {};
+  const [retryBackoff, setRetryBackoff] = useState(retryPolicy.backoff || "fixed");
+  const [retryJitter, setRetryJitter] = useState((retryPolicy.jitter ?? 0.1) > 0);
+  const [retryDelayBusy, setRetryDelayBusy] = useState(
+    String(retryPolicy.delays?.BUSY || ""),
+  );
+  const [retryDelayRecall, setRetryDelayRecall] = useState(
+    String(retryPolicy.delays?.RECALL_REQUEST || ""),
+  );
+  const [retryDelayNoResponse, setRetryDelayNoResponse] = useState(
+    String(retryPolicy.delays?.NO_RESPONSE || ""),
+  );
+  const [waMaxMessages, setWaMaxMessages] = useState(
+    String(retryPolicy.maxAttempts?.whatsapp || 2),
+  );
+
   // Twilio credentials
   const [twilioSid, setTwilioSid] = useState(config.twilioSid);
   const [twilioToken, setTwilioToken] = useState(config.twilioToken);
@@ -435,10 +505,17 @@ function WhatsAppTab({ config }) {
         waTimeoutMinutes: String(waTimeoutMinutes),
         initialDelay,
         retryInterval,
+        retryBackoff,
+        retryJitter: String(retryJitter),
+        retryDelayBusy,
+        retryDelayRecall,
+        retryDelayNoResponse,
+        waMaxMessages,
         twilioSid,
         twilioToken,
         twilioWaFrom,
         whatsappEnabled: String(whatsappEnabled),
+        riskScoring: String(riskScoring),
       },
       { method: "post" },
     );
@@ -621,6 +698,12 @@ function WhatsAppTab({ config }) {
             value={whatsappEnabled}
             onChange={setWhatsappEnabled}
           />
+          <Toggle
+            title="Risk-based verification"
+            subtitle="Score each COD order: auto-confirm trusted repeat customers, use WhatsApp only for low risk, call medium risk and send high risk straight to manual review."
+            value={riskScoring}
+            onChange={setRiskScoring}
+          />
           <Toggle
             title="Auto-send order confirmations (Fallback)"
             subtitle="Automatically send WhatsApp message to customers when AI calls fail after max retries"
@@ -692,6 +775,8 @@ function WhatsAppTab({ config }) {
               <option value="15min">15 minutes</option>
               <option value="30min">30 minutes</option>
               <option value="1hour">1 hour</option>
+              <option value="2hours">2 hours</option>
+              <option value="nextmorning">Next business morning (10 AM)</option>
             </Select>
             <p className="text-[11px] text-slate-400 pl-1">
               Time to wait after a new COD order is placed before the first AI
@@ -717,6 +802,60 @@ function WhatsAppTab({ config }) {
             </p>
           </div>
         </div>
+
+        <div className="pt-4 border-t border-slate-100 dark:border-slate-800 space-y-6">
+          <p className="font-bold">Retry Policy</p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+            {[
+              { title: "Customer Busy", value: retryDelayBusy, onChange: setRetryDelayBusy },
+              { title: "Asked to Call Later", value: retryDelayRecall, onChange: setRetryDelayRecall },
+              { title: "No Answer", value: retryDelayNoResponse, onChange: setRetryDelayNoResponse },
+            ].map((row) => (
+              <div key={row.title} className="space-y-3">
+                <p className="text-xs font-bold text-slate-400 uppercase tracking-widest pl-1">
+                  {row.title}
+                </p>
+                <Select value={row.value} onChange={(e) => row.onChange(e.target.value)}>
+                  <option value="">Use retry interval</option>
+                  <option value="5">5 minutes</option>
+                  <option value="15">15 minutes</option>
+                  <option value="30">30 minutes</option>
+                  <option value="60">1 hour</option>
+                  <option value="120">2 hours</option>
+                </Select>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div className="space-y-3">
+              <p className="text-xs font-bold text-slate-400 uppercase tracking-widest pl-1">
+                Backoff
+              </p>
+              <Select value={retryBackoff} onChange={(e) => setRetryBackoff(e.target.value)}>
+                <option value="fixed">Fixed (same delay every retry)</option>
+                <option value="exponential">Exponential (double each retry)</option>
+              </Select>
+            </div>
+            <div className="space-y-3">
+              <p className="text-xs font-bold text-slate-400 uppercase tracking-widest pl-1">
+                WhatsApp Messages Per Order
+              </p>
+              <Select value={waMaxMessages} onChange={(e) => setWaMaxMessages(e.target.value)}>
+                <option value="1">1 (no reminder)</option>
+                <option value="2">2 (with one reminder)</option>
+              </Select>
+            </div>
+          </div>
+          <Toggle
+            title="Randomise retry times"
+            subtitle="Spread each retry by ±10% so failed calls are not all redialled at the same moment."
+            value={retryJitter}
+            onChange={setRetryJitter}
+          />
+          <p className="text-[11px] text-slate-400 pl-1">
+            Max call attempts are set under AI Voices → Max Retries.
+          </p>
+        </div>
       </div>
 
       {/* ═══════ TWILIO CREDENTIALS ═══════ */}
@@ -902,6 +1041,10 @@ function WhatsAppTab({ config }) {
   );
 }
 
+WhatsAppTab.propTypes = {
+  config: PropTypes.object.isRequired,
+};
+
 /* ═══════════════════════════════════════════════════════════════
    VOICES TAB — Premium SaaS-Level AI Voice Selector
    ═══════════════════════════════════════════════════════════════ */
@@ -933,9 +1076,44 @@ function VoicesTab({ config }) {
   const [vapiAssistantId, setVapiAssistantId] = useState(
     config.vapiAssistantId,
   );
+  const [vapiWebhookSecret, setVapiWebhookSecret] = useState(
+    config.vapiWebhookSecret || "",
+  );
   const [callLanguage, setCallLanguage] = useState(config.callLanguage);
   const [maxRetries, setMaxRetries] = useState(config.maxRetries);
 
+  // ── Call limits (shared by every dial path) ──────────────────
+  const [maxConcurrentCalls, setMaxConcurrentCalls] = useState(
+    config.maxConcurrentCalls || 3,
+  );
+  const [maxCallsPerMinute, setMaxCallsPerMinute] = useState(
+    config.maxCallsPerMinute || 10,
+  );
+
+  // ── Calling hours (AppConfig.callingWindow) ──────────────────
+  const callingWindow = config.callingWindow || {};
+  const [cwTimezone, setCwTimezone] = useState(
+    callingWindow.timezone || "Asia/Kolkata",
+  );
+  const [cwWeekdayStart, setCwWeekdayStart] = useState(
+    callingWindow.weekday?.start || "09:00",
+  );
+  const [cwWeekdayEnd, setCwWeekdayEnd] = useState(
+    callingWindow.weekday?.end || "21:00",
+  );
+  const [cwWeekendEnabled, setCwWeekendEnabled] = useState(
+    callingWindow.weekend !== null,
+  );
+  const [cwWeekendStart, setCwWeekendStart] = useState(
+    callingWindow.weekend?.start || "10:00",
+  );
+  const [cwWeekendEnd, setCwWeekendEnd] = useState(
+    callingWindow.weekend?.end || "19:00",
+  );
+  const [cwHolidays, setCwHolidays] = useState(
+    (callingWindow.holidays || []).join(", "),
+  );
+
   // ── Fetch voices ─────────────────────────────────────────────
   useEffect(() => {
     fetch("/api/voices")
@@ -1022,8 +1200,18 @@ function VoicesTab({ config }) {
         vapiApiKey,
         vapiPhoneId,
         vapiAssistantId,
+        vapiWebhookSecret,
         callLanguage,
         maxRetries: String(maxRetries),
+        maxConcurrentCalls: String(maxConcurrentCalls),
+        maxCallsPerMinute: String(maxCallsPerMinute),
+        cwTimezone,
+        cwWeekdayStart,
+        cwWeekdayEnd,
+        cwWeekendEnabled: String(cwWeekendEnabled),
+        cwWeekendStart,
+        cwWeekendEnd,
+        cwHolidays,
       },
       { method: "post" },
     );
@@ -1421,6 +1609,18 @@ function VoicesTab({ config }) {
             placeholder="Vapi phone number ID"
           />
         </div>
+        <InputField
+          label="Webhook Secret"
+          value={vapiWebhookSecret}
+          onChange={setVapiWebhookSecret}
+          placeholder="Generated on the first call"
+          type="password"
+        />
+        <p className="text-[11px] text-slate-400 pl-1">
+          Sent with every call and checked on every Vapi webhook. Use the same
+          value as the server secret on your Vapi assistant; leave empty to
+          generate a new one.
+        </p>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <InputField
             label="Assistant ID"
@@ -1459,6 +1659,113 @@ function VoicesTab({ config }) {
         </div>
       </div>
 
+      {/* ═══════ CALL LIMITS ═══════ */}
+      <div className="space-y-6">
+        <h4 className="text-lg font-bold">Call Limits</h4>
+        <p className="text-[11px] text-slate-400 pl-1">
+          Applies to order confirmations and customer calls together. Calls
+          over the limit wait in the queue and go out as lines free up.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-widest pl-1">
+              Concurrent Calls
+            </p>
+            <Select
+              value={String(maxConcurrentCalls)}
+              onChange={(e) => setMaxConcurrentCalls(parseInt(e.target.value, 10))}
+            >
+              <option value="1">1</option>
+              <option value="2">2</option>
+              <option value="3">3 (Default)</option>
+              <option value="5">5</option>
+              <option value="10">10</option>
+            </Select>
+          </div>
+          <div className="space-y-3">
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-widest pl-1">
+              Calls Per Minute
+            </p>
+            <Select
+              value={String(maxCallsPerMinute)}
+              onChange={(e) => setMaxCallsPerMinute(parseInt(e.target.value, 10))}
+            >
+              <option value="5">5</option>
+              <option value="10">10 (Default)</option>
+              <option value="20">20</option>
+              <option value="30">30</option>
+              <option value="60">60</option>
+            </Select>
+          </div>
+        </div>
+      </div>
+
+      {/* ═══════ CALLING HOURS ═══════ */}
+      <div className="space-y-6">
+        <h4 className="text-lg font-bold">Calling Hours</h4>
+        <p className="text-[11px] text-slate-400 pl-1">
+          Calls that fall due outside these hours are held until the next
+          allowed slot.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-widest pl-1">
+              Timezone
+            </p>
+            <Select
+              value={cwTimezone}
+              onChange={(e) => setCwTimezone(e.target.value)}
+            >
+              <option value="Asia/Kolkata">India (IST)</option>
+              <option value="Asia/Dubai">UAE (GST)</option>
+              <option value="Asia/Kathmandu">Nepal (NPT)</option>
+              <option value="Asia/Dhaka">Bangladesh (BST)</option>
+              <option value="UTC">UTC</option>
+            </Select>
+          </div>
+          <InputField
+            label="Weekday Start"
+            value={cwWeekdayStart}
+            onChange={setCwWeekdayStart}
+            placeholder="09:00"
+          />
+          <InputField
+            label="Weekday End"
+            value={cwWeekdayEnd}
+            onChange={setCwWeekdayEnd}
+            placeholder="21:00"
+          />
+        </div>
+        <Toggle
+          title="Call on weekends"
+          subtitle="Saturday and Sunday calls use the weekend hours below."
+          value={cwWeekendEnabled}
+          onChange={setCwWeekendEnabled}
+        />
+        {cwWeekendEnabled && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <InputField
+              label="Weekend Start"
+              value={cwWeekendStart}
+              onChange={setCwWeekendStart}
+              placeholder="10:00"
+            />
+            <InputField
+              label="Weekend End"
+              value={cwWeekendEnd}
+              onChange={setCwWeekendEnd}
+              placeholder="19:00"
+            />
+          </div>
+        )}
+        <InputField
+          label="Holidays (no calls)"
+          value={cwHolidays}
+          onChange={setCwHolidays}
+          placeholder="2026-11-08, 2026-12-25"
+        />
+      </div>
+
       {/* Save Button */}
       <div className="flex justify-end pt-4">
         <button
@@ -1481,6 +1788,10 @@ function VoicesTab({ config }) {
   );
 }
 
+VoicesTab.propTypes = {
+  config: PropTypes.object.isRequired,
+};
+
 /** Compact filter dropdown */
 function FilterSelect({ label, value, onChange, options }) {
   const { isDark } = useTheme();
@@ -1499,6 +1810,184 @@ function FilterSelect({ label, value, onChange, options }) {
   );
 }
 
+/* ═══════════════════════════════════════════════════════════════
+   SHOPIFY TAB — write confirmation outcomes back to the order
+   ═══════════════════════════════════════════════════════════════ */
+function ShopifyTab({ config }) {
+  const { isDark } = useTheme();
+  const fetcher = useFetcher();
+  const isSaving = fetcher.state !== "idle";
+
+  const [shopifyWriteBack, setShopifyWriteBack] = useState(
+    config.shopifyWriteBack ?? true,
+  );
+  const [tagConfirmed, setTagConfirmed] = useState(config.orderTags.confirmed);
+  const [tagCancelled, setTagCancelled] = useState(config.orderTags.cancelled);
+  const [tagWrongNumber, setTagWrongNumber] = useState(
+    config.orderTags.wrongNumber,
+  );
+  const [autoCancelOrders, setAutoCancelOrders] = useState(
+    config.autoCancelOrders ?? false,
+  );
+  const [cancelRestock, setCancelRestock] = useState(config.cancelRestock ?? true);
+  const [cancelNotify, setCancelNotify] = useState(config.cancelNotify ?? false);
+  const [holdFulfillment, setHoldFulfillment] = useState(
+    config.holdFulfillment ?? true,
+  );
+  const [pushAddressToShopify, setPushAddressToShopify] = useState(
+    config.pushAddressToShopify ?? false,
+  );
+  const [showToast, setShowToast] = useState(false);
+  const [toastMsg, setToastMsg] = useState("");
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      setToastMsg(fetcher.data.message || "✓ Settings saved!");
+      setShowToast(true);
+      const t = setTimeout(() => setShowToast(false), 3000);
+      return () => clearTimeout(t);
+    }
+  }, [fetcher.data]);
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        intent: "save-shopify",
+        shopifyWriteBack: String(shopifyWriteBack),
+        tagConfirmed,
+        tagCancelled,
+        tagWrongNumber,
+        autoCancelOrders: String(autoCancelOrders),
+        cancelRestock: String(cancelRestock),
+        cancelNotify: String(cancelNotify),
+        holdFulfillment: String(holdFulfillment),
+        pushAddressToShopify: String(pushAddressToShopify),
+      },
+      { method: "post" },
+    );
+  };
+
+  return (
+    <div className="space-y-10">
+      {/* Toast */}
+      <AnimatePresence>
+        {showToast && (
+          <motion.div
+            initial={{ opacity: 0, y: -20, scale: 0.95 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: -20, scale: 0.95 }}
+            className="fixed top-6 right-6 z-50 bg-emerald-500 text-white px-6 py-3 rounded-2xl font-bold shadow-xl shadow-emerald-500/30 flex items-center gap-2"
+          >
+            <CheckIcon className="w-5 h-5" /> {toastMsg}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <div
+        className={`p-8 rounded-[2rem] border-2 space-y-8 ${isDark ? "bg-slate-900/50 border-slate-800" : "bg-white border-slate-100 shadow-sm"}`}
+      >
+        <Toggle
+          title="Write outcomes to Shopify"
+          subtitle="Tag the order, add a note and store the outcome in a metafield when a customer confirms, cancels or turns out to be a wrong number."
+          value={shopifyWriteBack}
+          onChange={setShopifyWriteBack}
+        />
+
+        {shopifyWriteBack && (
+          <div className="space-y-6">
+            <h4 className="text-lg font-bold">Order Tags</h4>
+            <p className="text-[11px] text-slate-400 pl-1">
+              Leave a tag empty to skip tagging for that outcome.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <InputField
+                label="Confirmed"
+                value={tagConfirmed}
+                onChange={setTagConfirmed}
+                placeholder="cod-confirmed"
+              />
+              <InputField
+                label="Cancelled"
+                value={tagCancelled}
+                onChange={setTagCancelled}
+                placeholder="cod-cancelled"
+              />
+              <InputField
+                label="Wrong Number"
+                value={tagWrongNumber}
+                onChange={setTagWrongNumber}
+                placeholder="cod-wrong-number"
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div
+        className={`p-8 rounded-[2rem] border-2 space-y-8 ${isDark ? "bg-slate-900/50 border-slate-800" : "bg-white border-slate-100 shadow-sm"}`}
+      >
+        <Toggle
+          title="Hold fulfillment until confirmed"
+          subtitle="New COD orders are put on hold in Shopify and released when the customer confirms. Cancelled and manual-review orders stay on hold."
+          value={holdFulfillment}
+          onChange={setHoldFulfillment}
+        />
+        <Toggle
+          title="Update the shipping address when corrected on a call"
+          subtitle="Copies the address the customer gave into the Shopify shipping address. The order stays flagged for review."
+          value={pushAddressToShopify}
+          onChange={setPushAddressToShopify}
+        />
+        <Toggle
+          title="Cancel the Shopify order when the customer cancels"
+          subtitle="A cancel on the call or a NO on WhatsApp cancels the order in Shopify. If Shopify refuses, the order goes to manual review."
+          value={autoCancelOrders}
+          onChange={setAutoCancelOrders}
+        />
+        {autoCancelOrders && (
+          <>
+            <Toggle
+              title="Restock items"
+              subtitle="Return the cancelled items to inventory."
+              value={cancelRestock}
+              onChange={setCancelRestock}
+            />
+            <Toggle
+              title="Notify customer"
+              subtitle="Send Shopify's order cancellation email to the customer."
+              value={cancelNotify}
+              onChange={setCancelNotify}
+            />
+          </>
+        )}
+      </div>
+
+      {/* Save Button */}
+      <div className="flex justify-end pt-4">
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className={`px-8 py-3.5 bg-violet-600 text-white rounded-2xl font-bold shadow-xl shadow-violet-600/20 active:scale-95 transition-all flex items-center gap-2 ${isSaving ? "opacity-60 cursor-not-allowed" : "hover:bg-violet-700"}`}
+        >
+          {isSaving ? (
+            <>
+              <SpinnerIcon className="w-5 h-5 animate-spin" /> Saving...
+            </>
+          ) : (
+            <>
+              <SaveIcon className="w-5 h-5" /> Save Settings
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+ShopifyTab.propTypes = {
+  config: PropTypes.object.isRequired,
+};
+
 /* ═══════════════════════════════════════════════════════════════
    SCRIPTS TAB
    ═══════════════════════════════════════════════════════════════ */
@@ -1958,6 +2447,21 @@ const ScriptIcon = (props) => (
     />
   </svg>
 );
+const StoreIcon = (props) => (
+  <svg
+    {...props}
+    fill="none"
+    viewBox="0 0 24 24"
+    stroke="currentColor"
+    strokeWidth={2}
+  >
+    <path
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z"
+    />
+  </svg>
+);
 const SpeakerIcon = (props) => (
   <svg
     {...props}
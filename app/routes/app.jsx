@@ -2,9 +2,11 @@ import { Outlet, useLoaderData, useRouteError } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { AppProvider } from "@shopify/shopify-app-react-router/react";
 import { authenticate } from "../shopify.server";
+import { getOrCreateShopConfig } from "../services/shopConfigService.server.js";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  await getOrCreateShopConfig(session.shop);
 
   // eslint-disable-next-line no-undef
   return { apiKey: process.env.SHOPIFY_API_KEY || "" };
@@ -19,6 +21,7 @@ export default function App() {
         <s-link href="/app">Dashboard</s-link>
         <s-link href="/app/orders">Orders</s-link>
         <s-link href="/app/subscription">Subscription</s-link>
+        <s-link href="/app/webhooks">Webhooks</s-link>
         <s-link href="/app/configuration">Configuration</s-link>
         <s-link href="/app/additional">About</s-link>
       </s-app-nav>
@@ -17,6 +17,10 @@ import {
   ORDER_CALL_STATUS,
   CALL_INTENT,
   ORDER_MAX_RETRIES,
+  ORDER_EVENT_TYPE,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+  OVER_QUOTA_ACTION,
 } from "../constants.js";
 import {
   getOrderStats,
@@ -26,7 +30,25 @@ import {
   getCallLogById,
   setCallLogInProgress,
   updateCallLogVapiId,
+  deferCallLog,
+  parkOverQuotaCallLog,
 } from "../services/orderCallService.server.js";
+import { isCallingWindowError } from "../services/callingWindow.server.js";
+import { isDialLimitError } from "../services/dialLimiterService.server.js";
+import { isQuotaExceededError } from "../services/billingService.server.js";
+import { getShopConfig } from "../services/shopConfigService.server.js";
+import {
+  recordOrderEvent,
+  buildOrderTimeline,
+} from "../services/orderEventService.server.js";
+import { markAddressReviewed } from "../services/addressConfirmationService.server.js";
+import { getOrderInsights } from "../services/orderInsightsService.server.js";
+import { normalizePhoneNumber } from "../utils/phoneNumber.server.js";
+import {
+  getCustomerProfiles,
+  summarizeCustomerProfile,
+  toProfilePhone,
+} from "../services/customerProfileService.server.js";
 
 import {
   triggerOrderConfirmationCall,
@@ -51,56 +73,80 @@ const UI_MAX_RETRIES = ORDER_MAX_RETRIES;
 const UI_ORDER_STATUS = ORDER_STATUS;
 const UI_CALL_STATUS = ORDER_CALL_STATUS;
 
+// What parkOverQuotaCallLog did with the call, for the toast.
+function quotaFallbackText(err) {
+  return err.action === OVER_QUOTA_ACTION.WHATSAPP
+    ? "confirming over WhatsApp instead"
+    : `call paused until ${err.deferUntil.toLocaleString()}`;
+}
+
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  const [stats, orders] = await Promise.all([
-    getOrderStats(),
-    getRecentOrders(50),
+  const { session } = await authenticate.admin(request);
+  const [stats, orders, insights] = await Promise.all([
+    getOrderStats(session.shop),
+    getRecentOrders(session.shop, 50),
+    getOrderInsights(session.shop),
   ]);
 
+  const profiles = await getCustomerProfiles(
+    session.shop,
+    orders.map((o) => o.phoneNumber),
+  );
+
   // Transform orders for the UI
-  const transformedOrders = orders.map((order) => ({
-    ...order,
-    createdAt: order.createdAt
-      ? new Date(order.createdAt).toLocaleString("en-IN", {
-          day: "2-digit",
-          month: "short",
-          hour: "2-digit",
-          minute: "2-digit",
-        })
-      : "—",
-  }));
-
-  return { stats, orders: transformedOrders };
+  const transformedOrders = orders.map((order) => {
+    const profile = profiles.get(toProfilePhone(order.phoneNumber)) ?? null;
+    return {
+      ...order,
+      timeline: buildOrderTimeline(order),
+      customerProfile: profile && {
+        ...profile,
+        summary: summarizeCustomerProfile(profile),
+      },
+      createdAt: order.createdAt
+        ? new Date(order.createdAt).toLocaleString("en-IN", {
+            day: "2-digit",
+            month: "short",
+            hour: "2-digit",
+            minute: "2-digit",
+          })
+        : "—",
+    };
+  });
+
+  return { stats, orders: transformedOrders, insights };
 };
 
 export const action = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
 
   const formData = await request.formData();
   const intent = String(formData.get("intent") ?? "").trim();
 
   if (intent === "create-order") {
     const customerName = String(formData.get("customerName") ?? "").trim();
-    const phoneNumber = String(formData.get("phoneNumber") ?? "").trim();
+    const phoneInput = String(formData.get("phoneNumber") ?? "").trim();
     const totalPriceInput = String(formData.get("totalPrice") ?? "").trim();
     const address = String(formData.get("address") ?? "").trim();
     const storeName =
       String(formData.get("storeName") ?? "").trim() || "Manual";
 
-    if (!customerName || !phoneNumber || !totalPriceInput) {
-      console.log("[OrdersAction] ❌ Validation failed:", { customerName, phoneNumber, totalPriceInput, address });
+    if (!customerName || !phoneInput || !totalPriceInput) {
+      console.log("[OrdersAction] ❌ Validation failed:", { customerName, phoneInput, totalPriceInput, address });
       return Response.json(
         { error: "Customer, phone, and amount are required." },
         { status: 400 },
       );
     }
-    if (!/^\+[1-9]\d{6,14}$/.test(phoneNumber)) {
+    const normalized = normalizePhoneNumber(phoneInput);
+    if (!normalized.phone) {
       return Response.json(
-        { error: "Phone must be E.164 format, e.g. +917041668245." },
+        { error: normalized.error, reason: normalized.reason },
         { status: 400 },
       );
     }
+    const phoneNumber = normalized.phone;
 
     const totalNum = Number(totalPriceInput);
     if (!Number.isFinite(totalNum) || totalNum <= 0) {
@@ -116,6 +162,7 @@ export const action = async ({ request }) => {
     console.log(`[OrdersAction] ✍️ Creating order with address="${address}"`);
     try {
       ({ order, callLog } = await createOrderWithCallLog({
+        shop,
         shopifyOrderId,
         customerName,
         phoneNumber,
@@ -123,6 +170,7 @@ export const action = async ({ request }) => {
         totalPrice: totalNum.toFixed(2),
         orderPlacedDate: new Date(),
         address,
+        actor: EVENT_ACTOR.MERCHANT,
       }));
       console.log(
         `[OrdersAction] ACTION=CREATE_ORDER orderId=${order.id} callLogId=${callLog.id} ` +
@@ -135,9 +183,7 @@ export const action = async ({ request }) => {
       );
     }
 
-    const config = await prisma.appConfig.findFirst({
-      where: { OR: [{ shop: "default" }, { id: "default" }] },
-    });
+    const config = await getShopConfig(shop);
     const whatsappEnabled = config?.whatsappEnabled ?? true;
 
     if (whatsappEnabled) {
@@ -149,6 +195,14 @@ export const action = async ({ request }) => {
 
         const { sendWhatsAppFallback } = await import("../utils/whatsappFallback.server.js");
         await sendWhatsAppFallback({ ...callLog, order });
+        await recordOrderEvent({
+          orderId: order.id,
+          callLogId: callLog.id,
+          type: ORDER_EVENT_TYPE.WHATSAPP_SENT,
+          channel: EVENT_CHANNEL.WHATSAPP,
+          actor: EVENT_ACTOR.MERCHANT,
+          message: "WhatsApp confirmation sent",
+        });
 
         return Response.json({
           success: true,
@@ -167,12 +221,14 @@ export const action = async ({ request }) => {
       await setCallLogInProgress(callLog.id);
 
       const vapiRes = await triggerOrderConfirmationCall({
+        shop,
         callLogId: callLog.id,
         customerName,
         phoneNumber,
         storeName: storeName || order.storeName,
         orderId: shopifyOrderId,
         totalPrice: totalNum.toFixed(2),
+        address,
         overrideBaseUrl: origin,
       });
 
@@ -187,6 +243,31 @@ export const action = async ({ request }) => {
         message: `Order created — calling ${customerName} now.`,
       });
     } catch (err) {
+      if (isCallingWindowError(err)) {
+        await deferCallLog(callLog.id, err.deferUntil, { actor: EVENT_ACTOR.MERCHANT });
+        return Response.json({
+          success: true,
+          message: `Order created — outside calling hours, call scheduled for ${err.deferUntil.toLocaleString()}.`,
+        });
+      }
+      if (isDialLimitError(err)) {
+        await deferCallLog(callLog.id, err.deferUntil, {
+          actor: EVENT_ACTOR.MERCHANT,
+          reason: err.reason,
+        });
+        return Response.json({
+          success: true,
+          message: "Order created — call limit reached, the call is queued and goes out as soon as a line is free.",
+        });
+      }
+      if (isQuotaExceededError(err)) {
+        await parkOverQuotaCallLog(callLog.id, err, { actor: EVENT_ACTOR.MERCHANT });
+        return Response.json({
+          warning: true,
+          message: `Order created — ${err.reason.toLowerCase()}, ${quotaFallbackText(err)}.`,
+        });
+      }
+
       const reason = String(err?.message ?? "").toLowerCase();
       const mappedIntent = isPermanentOrderVapiError(err)
         ? reason.includes("wrong number") || reason.includes("invalid")
@@ -197,6 +278,7 @@ export const action = async ({ request }) => {
       await handleCallResult(order.id, mappedIntent, {
         callLogId: callLog.id,
         failureReason: err.message,
+        actor: EVENT_ACTOR.MERCHANT,
       }).catch(() => {});
       console.log(
         `[OrdersAction] ACTION=CREATE_ORDER_CALL_FAIL orderId=${order.id} callLogId=${callLog.id} ` +
@@ -216,7 +298,7 @@ export const action = async ({ request }) => {
       return Response.json({ error: "Missing callLogId." }, { status: 400 });
 
     const callLog = await getCallLogById(callLogId);
-    if (!callLog)
+    if (!callLog || callLog.shop !== shop)
       return Response.json({ error: "Call log not found." }, { status: 404 });
 
     const order = callLog.order;
@@ -244,12 +326,15 @@ export const action = async ({ request }) => {
       await setCallLogInProgress(callLogId);
 
       const vapiRes = await triggerOrderConfirmationCall({
+        shop,
         callLogId,
         customerName: order.customerName,
         phoneNumber: order.phoneNumber,
         storeName: order.storeName,
         orderId: order.shopifyOrderId,
         totalPrice: order.totalPrice,
+        address: order.correctedAddress || order.address,
+        lineItems: order.lineItems,
         overrideBaseUrl: origin,
       });
 
@@ -265,6 +350,31 @@ export const action = async ({ request }) => {
         message: `Calling ${order.customerName} for order #${order.shopifyOrderId}`,
       });
     } catch (err) {
+      if (isCallingWindowError(err)) {
+        await deferCallLog(callLogId, err.deferUntil, { actor: EVENT_ACTOR.MERCHANT });
+        return Response.json({
+          warning: true,
+          message: `Outside calling hours — call scheduled for ${err.deferUntil.toLocaleString()}.`,
+        });
+      }
+      if (isDialLimitError(err)) {
+        await deferCallLog(callLogId, err.deferUntil, {
+          actor: EVENT_ACTOR.MERCHANT,
+          reason: err.reason,
+        });
+        return Response.json({
+          warning: true,
+          message: "Call limit reached — the call is queued and goes out as soon as a line is free.",
+        });
+      }
+      if (isQuotaExceededError(err)) {
+        await parkOverQuotaCallLog(callLogId, err, { actor: EVENT_ACTOR.MERCHANT });
+        return Response.json({
+          warning: true,
+          message: `${err.reason} — ${quotaFallbackText(err)}.`,
+        });
+      }
+
       if (isPermanentOrderVapiError(err)) {
         const reason = String(err?.message ?? "").toLowerCase();
         const mappedIntent =
@@ -275,6 +385,7 @@ export const action = async ({ request }) => {
         await handleCallResult(order.id, mappedIntent, {
           callLogId,
           failureReason: err.message,
+          actor: EVENT_ACTOR.MERCHANT,
         }).catch(() => {});
 
         return Response.json(
@@ -286,6 +397,7 @@ export const action = async ({ request }) => {
       await handleCallResult(order.id, CALL_INTENT.RECALL_REQUEST, {
         callLogId,
         failureReason: err.message,
+        actor: EVENT_ACTOR.MERCHANT,
       }).catch(() => {});
 
       return Response.json(
@@ -295,26 +407,39 @@ export const action = async ({ request }) => {
     }
   }
 
+  if (intent === "review-address") {
+    const orderId = String(formData.get("orderId") ?? "").trim();
+    if (!orderId)
+      return Response.json({ error: "Missing orderId." }, { status: 400 });
+
+    const ok = await markAddressReviewed(orderId, shop);
+    return ok
+      ? Response.json({ success: true, orderId, message: "Address marked as reviewed." })
+      : Response.json({ error: "Order not found or already reviewed." }, { status: 404 });
+  }
+
   if (intent === "test-call") {
-    const phoneNumber = String(formData.get("phoneNumber") ?? "").trim();
-    if (!phoneNumber) {
+    const phoneInput = String(formData.get("phoneNumber") ?? "").trim();
+    if (!phoneInput) {
       return Response.json(
         { error: "Phone number is required." },
         { status: 400 },
       );
     }
 
-    // Check E.164 format
-    if (!/^\+[1-9]\d{6,14}$/.test(phoneNumber)) {
+    const normalized = normalizePhoneNumber(phoneInput);
+    if (!normalized.phone) {
       return Response.json(
-        { error: "Phone must be E.164 format, e.g. +917041668245." },
+        { error: normalized.error, reason: normalized.reason },
         { status: 400 },
       );
     }
+    const phoneNumber = normalized.phone;
 
     try {
       const origin = new URL(request.url).origin;
       const vapiRes = await triggerOrderConfirmationCall({
+        shop,
         callLogId: "TEST_CALL_" + Date.now(),
         customerName: "Dharmik Guest",
         phoneNumber,
@@ -322,6 +447,8 @@ export const action = async ({ request }) => {
         orderId: "TEST-1234",
         totalPrice: "999.00",
         overrideBaseUrl: origin,
+        ignoreCallingWindow: true,
+        ignoreDialLimit: true,
       });
 
       console.log(
@@ -346,12 +473,13 @@ export const action = async ({ request }) => {
 };
 
 export default function PremiumOrdersPage() {
-  const { stats, orders } = useLoaderData();
+  const { stats, orders, insights } = useLoaderData();
   const { revalidate } = useRevalidator();
   const shopify = useAppBridge();
   const createFetcher = useFetcher();
   const recallFetcher = useFetcher();
   const testCallFetcher = useFetcher(); // Added testCallFetcher
+  const reviewFetcher = useFetcher();
   const { isDark } = useTheme();
 
   // UI State
@@ -404,6 +532,24 @@ export default function PremiumOrdersPage() {
       });
   }, [recallFetcher.data, shopify]);
 
+  // Toast: address review
+  useEffect(() => {
+    if (!reviewFetcher.data) return;
+    if (reviewFetcher.data.success) {
+      shopify.toast.show(reviewFetcher.data.message, { duration: 3000 });
+      setSelectedOrder((o) =>
+        o?.id === reviewFetcher.data.orderId ? { ...o, addressNeedsReview: false } : o,
+      );
+      revalidate();
+    }
+    if (reviewFetcher.data.error) {
+      shopify.toast.show(reviewFetcher.data.error, {
+        isError: true,
+        duration: 5000,
+      });
+    }
+  }, [reviewFetcher.data, shopify, revalidate]);
+
   // Toast: test-call
   useEffect(() => {
     if (!testCallFetcher.data) return;
@@ -455,6 +601,16 @@ export default function PremiumOrdersPage() {
     [recallFetcher],
   );
 
+  const handleAddressReviewed = useCallback(
+    (order) => {
+      reviewFetcher.submit(
+        { intent: "review-address", orderId: order.id },
+        { method: "POST" },
+      );
+    },
+    [reviewFetcher],
+  );
+
   const handleCreateOrder = useCallback(
     (formData) => {
       createFetcher.submit(
@@ -513,7 +669,7 @@ export default function PremiumOrdersPage() {
       <OrderStatsCards stats={stats} />
 
       {/* AI Insights Panel */}
-      <OrderAIInsightsPanel insights={{}} />
+      <OrderAIInsightsPanel insights={insights} />
 
       {/* Quick Actions Bar */}
       <div className="solid-card p-4 mb-8">
@@ -557,6 +713,7 @@ export default function PremiumOrdersPage() {
         isOpen={isDrawerOpen}
         onClose={() => setIsDrawerOpen(false)}
         order={selectedOrder}
+        onAddressReviewed={handleAddressReviewed}
       />
 
       {/* Create Order Modal */}
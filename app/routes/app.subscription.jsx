@@ -1,6 +1,93 @@
 import React from "react";
+import { useLoaderData } from "react-router";
+import prisma from "../db.server.js";
+import { authenticate } from "../shopify.server";
+import { getUsageSummary } from "../services/usageService.server.js";
+import { getOrCreateShopConfig } from "../services/shopConfigService.server.js";
+import {
+  createSubscription,
+  getActiveSubscription,
+  getPlan,
+  getQuotaStatus,
+  syncSubscription,
+} from "../services/billingService.server.js";
+import { BILLING_PLAN, OVER_QUOTA_ACTION } from "../constants.js";
 import SubscriptionPage from "../components/SubscriptionPage.jsx";
 
+export const loader = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  // Also where the merchant lands after approving a charge.
+  await syncSubscription(admin, shop).catch((err) =>
+    console.error(`[Billing] syncSubscription failed shop=${shop}:`, err.message),
+  );
+
+  const [usage, quota, subscription, config] = await Promise.all([
+    getUsageSummary(shop),
+    getQuotaStatus(shop),
+    getActiveSubscription(shop),
+    getOrCreateShopConfig(shop),
+  ]);
+
+  return {
+    usage,
+    quota: { ...quota, periodEnd: quota.periodEnd.toISOString() },
+    plans: Object.values(BILLING_PLAN),
+    subscription: subscription && {
+      plan: subscription.plan,
+      test: subscription.test,
+      currentPeriodEnd: subscription.currentPeriodEnd?.toISOString() ?? null,
+      cappedAmount: subscription.cappedAmount,
+      balanceUsed: subscription.balanceUsed,
+    },
+    overQuotaAction: config.overQuotaAction,
+    whatsappEnabled: config.whatsappEnabled,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, admin, redirect } = await authenticate.admin(request);
+  const shop = session.shop;
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "subscribe") {
+    const plan = getPlan(String(formData.get("plan") ?? ""));
+    if (!plan) return Response.json({ error: "Unknown plan." }, { status: 400 });
+
+    try {
+      const { confirmationUrl } = await createSubscription(admin, shop, plan.key);
+      // Shopify's approval page cannot load inside the admin iframe.
+      return redirect(confirmationUrl, { target: "_top" });
+    } catch (err) {
+      console.error(`[Billing] createSubscription failed shop=${shop}:`, err.message);
+      return Response.json({ error: `Could not start the subscription: ${err.message}` }, { status: 502 });
+    }
+  }
+
+  if (intent === "over-quota-action") {
+    const value = String(formData.get("overQuotaAction") ?? "");
+    if (!Object.values(OVER_QUOTA_ACTION).includes(value)) {
+      return Response.json({ error: "Unknown option." }, { status: 400 });
+    }
+    await prisma.appConfig.update({ where: { shop }, data: { overQuotaAction: value } });
+    return Response.json({ success: true });
+  }
+
+  return Response.json({ error: "Unknown action." }, { status: 400 });
+};
+
 export default function SubscriptionRoute() {
-  return <SubscriptionPage />;
+  const { usage, quota, plans, subscription, overQuotaAction, whatsappEnabled } = useLoaderData();
+  return (
+    <SubscriptionPage
+      usage={usage}
+      quota={quota}
+      plans={plans}
+      subscription={subscription}
+      overQuotaAction={overQuotaAction}
+      whatsappEnabled={whatsappEnabled}
+    />
+  );
 }
@@ -0,0 +1,275 @@
+/**
+ * Webhook Inspector
+ *
+ * Every Vapi / Twilio webhook received for the shop, with what processing did
+ * with it. Any event can be replayed through the same handler — e.g. after an
+ * intent mapping was fixed.
+ */
+
+// app/routes/app.webhooks.jsx
+
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Form,
+  useFetcher,
+  useLoaderData,
+  useRevalidator,
+  useSubmit,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { WEBHOOK_SOURCE, WEBHOOK_EVENT_STATUS } from "../constants.js";
+import {
+  listWebhookEvents,
+  replayWebhookEvent,
+} from "../services/webhookEventService.server.js";
+import { useTheme } from "../contexts/ThemeContext.jsx";
+
+const SOURCE_LABELS = {
+  [WEBHOOK_SOURCE.VAPI_ORDER]: "Vapi · Orders",
+  [WEBHOOK_SOURCE.VAPI_CUSTOMER]: "Vapi · Customer Calls",
+  [WEBHOOK_SOURCE.TWILIO_WHATSAPP]: "Twilio · WhatsApp",
+};
+
+const STATUS_STYLES = {
+  [WEBHOOK_EVENT_STATUS.RECEIVED]: "bg-sky-500/10 text-sky-500",
+  [WEBHOOK_EVENT_STATUS.PROCESSED]: "bg-emerald-500/10 text-emerald-500",
+  [WEBHOOK_EVENT_STATUS.IGNORED]: "bg-slate-500/10 text-slate-400",
+  [WEBHOOK_EVENT_STATUS.FAILED]: "bg-rose-500/10 text-rose-500",
+};
+
+function serializeEvent(event) {
+  return {
+    ...event,
+    receivedAt: event.receivedAt.toISOString(),
+    processedAt: event.processedAt?.toISOString() ?? null,
+  };
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const filters = {
+    source: url.searchParams.get("source") || "",
+    status: url.searchParams.get("status") || "",
+    search: url.searchParams.get("q") || "",
+  };
+
+  const events = await listWebhookEvents(session.shop, filters);
+  return { events: events.map(serializeEvent), filters };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "replay") {
+    const replayed = await replayWebhookEvent(session.shop, String(formData.get("id")));
+    if (!replayed) return { error: "Event not found." };
+
+    const { event } = replayed;
+    return {
+      success: event.status !== WEBHOOK_EVENT_STATUS.FAILED,
+      message:
+        event.status === WEBHOOK_EVENT_STATUS.FAILED
+          ? `Replay failed: ${event.error}`
+          : `Replayed — ${event.status}${event.result ? `: ${event.result}` : ""}`,
+      event: serializeEvent(event),
+    };
+  }
+
+  return { error: "Unknown action." };
+};
+
+export default function WebhookInspectorPage() {
+  const { events, filters } = useLoaderData();
+  const { revalidate } = useRevalidator();
+  const shopify = useAppBridge();
+  const replayFetcher = useFetcher();
+  const submit = useSubmit();
+  const { isDark } = useTheme();
+  const [selectedId, setSelectedId] = useState(null);
+
+  const selected = events.find((e) => e.id === selectedId) ?? null;
+
+  // Toast: replay
+  useEffect(() => {
+    if (!replayFetcher.data) return;
+    if (replayFetcher.data.message) {
+      shopify.toast.show(replayFetcher.data.message, {
+        isError: !replayFetcher.data.success,
+        duration: 4500,
+      });
+    }
+    if (replayFetcher.data.error) {
+      shopify.toast.show(replayFetcher.data.error, { isError: true, duration: 4500 });
+    }
+    revalidate();
+  }, [replayFetcher.data, shopify, revalidate]);
+
+  const card = isDark ? "bg-slate-900 border-slate-800" : "bg-white border-slate-100 shadow-sm";
+  const input = isDark
+    ? "bg-slate-950 border-slate-800 text-white"
+    : "bg-slate-50 border-slate-100 text-slate-900";
+
+  return (
+    <div className={`min-h-screen p-6 lg:p-10 ${isDark ? "bg-slate-950 text-white" : "bg-slate-50 text-slate-900"}`}>
+      <header className="mb-10">
+        <h1 className="text-3xl font-black tracking-tight mb-1">Webhook Inspector</h1>
+        <p className="text-sm font-medium text-slate-500">
+          Every Vapi and Twilio webhook, what it did, and a replay button
+        </p>
+      </header>
+
+      {/* Filters */}
+      <Form
+        method="get"
+        onChange={(e) => submit(e.currentTarget, { replace: true })}
+        className={`p-6 rounded-[2rem] border-2 mb-8 grid grid-cols-1 md:grid-cols-3 gap-4 ${card}`}
+      >
+        <select
+          name="source"
+          defaultValue={filters.source}
+          className={`px-4 py-3 rounded-xl border-2 text-sm font-semibold outline-none ${input}`}
+        >
+          <option value="">All sources</option>
+          {Object.values(WEBHOOK_SOURCE).map((s) => (
+            <option key={s} value={s}>{SOURCE_LABELS[s]}</option>
+          ))}
+        </select>
+        <select
+          name="status"
+          defaultValue={filters.status}
+          className={`px-4 py-3 rounded-xl border-2 text-sm font-semibold outline-none ${input}`}
+        >
+          <option value="">All statuses</option>
+          {Object.values(WEBHOOK_EVENT_STATUS).map((s) => (
+            <option key={s} value={s}>{s}</option>
+          ))}
+        </select>
+        <input
+          name="q"
+          defaultValue={filters.search}
+          placeholder="Call ID, MessageSid, type or result…"
+          className={`px-4 py-3 rounded-xl border-2 text-sm font-medium outline-none ${input}`}
+        />
+      </Form>
+
+      <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
+        {/* Event list */}
+        <div className={`lg:col-span-7 rounded-[2.5rem] border-2 overflow-hidden ${card}`}>
+          {events.length === 0 ? (
+            <p className="p-10 text-center text-sm text-slate-400">No webhook events match.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-[10px] font-black uppercase tracking-widest text-slate-400 text-left">
+                  <th className="px-6 py-4">Received</th>
+                  <th className="px-6 py-4">Source / Type</th>
+                  <th className="px-6 py-4">Status</th>
+                  <th className="px-6 py-4">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((e) => (
+                  <tr
+                    key={e.id}
+                    onClick={() => setSelectedId(e.id)}
+                    className={`cursor-pointer border-t ${isDark ? "border-slate-800 hover:bg-slate-800/50" : "border-slate-100 hover:bg-slate-50"} ${selectedId === e.id ? (isDark ? "bg-slate-800/70" : "bg-violet-50") : ""}`}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-slate-400">
+                      {new Date(e.receivedAt).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4">
+                      <p className="font-bold">{SOURCE_LABELS[e.source] ?? e.source}</p>
+                      <p className="text-[11px] text-slate-400">{e.eventType || "—"}</p>
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`px-3 py-1 rounded-full text-[10px] font-black uppercase tracking-widest ${STATUS_STYLES[e.status] ?? ""}`}>
+                        {e.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-xs font-mono truncate max-w-[14rem]">
+                      {e.error || e.result || "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Detail */}
+        <div className={`lg:col-span-5 p-8 rounded-[2.5rem] border-2 ${card}`}>
+          {!selected ? (
+            <p className="text-sm text-slate-400">Select an event to see its payload.</p>
+          ) : (
+            <div className="space-y-6">
+              <div className="flex justify-between items-start gap-4">
+                <div>
+                  <h3 className="text-xl font-black">{SOURCE_LABELS[selected.source] ?? selected.source}</h3>
+                  <p className="text-[11px] text-slate-400 font-mono break-all">
+                    {selected.externalId || selected.id}
+                  </p>
+                </div>
+                <replayFetcher.Form method="post">
+                  <input type="hidden" name="intent" value="replay" />
+                  <input type="hidden" name="id" value={selected.id} />
+                  <button
+                    type="submit"
+                    disabled={replayFetcher.state !== "idle"}
+                    className={`px-5 py-2.5 bg-violet-600 text-white rounded-2xl font-bold text-sm shadow-lg shadow-violet-600/20 active:scale-95 transition-all ${replayFetcher.state !== "idle" ? "opacity-60 cursor-not-allowed" : "hover:bg-violet-700"}`}
+                  >
+                    {replayFetcher.state !== "idle" ? "Replaying…" : "Replay"}
+                  </button>
+                </replayFetcher.Form>
+              </div>
+
+              <dl className="grid grid-cols-2 gap-4 text-sm">
+                <Detail label="Status" value={selected.status} />
+                <Detail label="Type" value={selected.eventType || "—"} />
+                <Detail label="Deliveries" value={selected.deliveries} />
+                <Detail label="Replays" value={selected.replays} />
+                <Detail label="Received" value={new Date(selected.receivedAt).toLocaleString()} />
+                <Detail
+                  label="Processed"
+                  value={selected.processedAt ? new Date(selected.processedAt).toLocaleString() : "—"}
+                />
+              </dl>
+
+              {selected.result && <Detail label="Result" value={selected.result} mono />}
+              {selected.error && (
+                <div className="p-4 rounded-2xl bg-rose-500/10 text-rose-500 text-xs font-mono break-all">
+                  {selected.error}
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <p className="text-[10px] font-black uppercase tracking-widest text-slate-400">Payload</p>
+                <pre className={`p-4 rounded-2xl text-[11px] overflow-auto max-h-[28rem] ${isDark ? "bg-slate-950" : "bg-slate-50"}`}>
+                  {JSON.stringify(selected.payload, null, 2)}
+                </pre>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Detail({ label, value, mono = false }) {
+  return (
+    <div>
+      <dt className="text-[10px] font-black uppercase tracking-widest text-slate-400">{label}</dt>
+      <dd className={`font-bold break-all ${mono ? "font-mono text-xs" : ""}`}>{value}</dd>
+    </div>
+  );
+}
+
+Detail.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.node,
+  mono: PropTypes.bool,
+};
@@ -0,0 +1,26 @@
+// app/routes/webhooks.app_subscriptions.update.jsx
+import { authenticate } from "../shopify.server";
+import {
+  applySubscriptionStatus,
+  syncSubscription,
+} from "../services/billingService.server.js";
+
+export const action = async ({ request }) => {
+  const { topic, shop, payload, admin } = await authenticate.webhook(request);
+
+  if (topic !== "APP_SUBSCRIPTIONS_UPDATE") return new Response(null, { status: 200 });
+
+  try {
+    // With a session, re-read the active subscription (plan, caps, period);
+    // without one only the status in the payload is known.
+    if (admin) {
+      await syncSubscription(admin, shop);
+    } else {
+      await applySubscriptionStatus(shop, payload);
+    }
+  } catch (err) {
+    console.error(`[Billing] app_subscriptions/update failed for shop=${shop}`, err);
+  }
+
+  return new Response(null, { status: 200 });
+};
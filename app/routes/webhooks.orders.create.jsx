@@ -1,91 +1,20 @@
 // app/routes/webhooks.orders.create.jsx
 import { authenticate } from "../shopify.server";
 import {
-  CALL_INTENT,
   createOrderWithCallLog,
   getOrderByShopifyId,
-  handleCallResult,
-  setCallLogInProgress,
-  updateCallLogVapiId,
 } from "../services/orderCallService.server.js";
+import { enqueueJob } from "../services/jobQueueService.server.js";
+import { getInitialContactAt } from "../utils/initialDelay.server.js";
+import { getOrCreateShopConfig } from "../services/shopConfigService.server.js";
+import { getCallingWindow } from "../services/callingWindow.server.js";
 import {
-  triggerOrderConfirmationCall,
-  isPermanentOrderVapiError,
-} from "../services/vapiOrderService.server.js";
-import { sendWhatsAppFallback } from "../utils/whatsappFallback.server.js";
-import prisma from "../db.server.js";
-
-function isCOD(payload) {
-  const gateway = String(payload?.gateway ?? "").toLowerCase();
-  const names = (payload?.payment_gateway_names ?? []).map((n) =>
-    String(n).toLowerCase(),
-  );
-  return (
-    gateway === "cash_on_delivery" ||
-    gateway === "cod" ||
-    names.includes("cash_on_delivery") ||
-    names.includes("cod")
-  );
-}
-
-function normalizePhone(raw) {
-  if (!raw) return null;
-  const phone = String(raw).replace(/[\s\-().]/g, "");
-  if (phone.startsWith("+"))
-    return /^\+[1-9]\d{6,14}$/.test(phone) ? phone : null;
-  if (/^\d{10}$/.test(phone)) return `+91${phone}`;
-  if (/^91\d{10}$/.test(phone)) return `+${phone}`;
-  return null;
-}
-
-function extractPhone(payload) {
-  const candidates = [
-    payload?.billing_address?.phone,
-    payload?.shipping_address?.phone,
-    payload?.customer?.phone,
-  ];
-  for (const raw of candidates) {
-    const phone = normalizePhone(raw);
-    if (phone) return phone;
-  }
-  return null;
-}
-
-function buildAddress(payload) {
-  const addr = payload?.shipping_address || payload?.billing_address;
-  if (!addr) return null;
-  return [addr.address1, addr.address2, addr.city, addr.province, addr.zip, addr.country]
-    .filter(Boolean)
-    .join(", ");
-}
-
-function getDefaultAgentPhone() {
-  const raw = String(process.env.DEFAULT_AGENT_PHONE ?? "").trim();
-  if (!raw) return null;
-  return /^\+[1-9]\d{6,14}$/.test(raw) ? raw : null;
-}
-
-function buildOrderInput(shop, payload) {
-  const shopifyOrderId = String(payload.id);
-  const orderId = payload.order_number ?? payload.name ?? shopifyOrderId;
-  const customerName =
-    payload?.customer?.first_name && payload?.customer?.last_name
-      ? `${payload.customer.first_name} ${payload.customer.last_name}`.trim()
-      : payload?.billing_address?.name ??
-        payload?.shipping_address?.name ??
-        "Customer";
-
-  return {
-    shopifyOrderId,
-    orderId: String(orderId),
-    customerName,
-    phoneNumber: getDefaultAgentPhone() || extractPhone(payload),
-    storeName: String(shop).replace(".myshopify.com", ""),
-    totalPrice: String(payload.total_price ?? "0"),
-    orderPlacedDate: new Date(payload.created_at ?? Date.now()),
-    address: buildAddress(payload),
-  };
-}
+  holdShopifyFulfillment,
+  pushOutcomeToShopify,
+} from "../services/shopifyOrderService.server.js";
+import { scoreOrderRisk } from "../services/riskScoringService.server.js";
+import { isCOD, buildOrderInput } from "../utils/shopifyOrderPayload.server.js";
+import { EVENT_CHANNEL, JOB_TYPE, RISK_PATH } from "../constants.js";
 
 export const action = async ({ request }) => {
   const { topic, shop, payload } = await authenticate.webhook(request);
@@ -96,7 +25,7 @@ export const action = async ({ request }) => {
   const input = buildOrderInput(shop, payload);
   if (!input.phoneNumber) {
     console.warn(
-      `[OrderCreate] Missing valid phone for shopifyOrderId=${input.shopifyOrderId}`,
+      `[OrderCreate] Missing valid phone for shopifyOrderId=${input.shopifyOrderId}: ${input.phoneError}`,
     );
     return new Response(null, { status: 200 });
   }
@@ -104,106 +33,75 @@ export const action = async ({ request }) => {
   const existing = await getOrderByShopifyId(input.shopifyOrderId);
   if (existing) return new Response(null, { status: 200 });
 
+  // A store whose first order beats its first admin visit gets its config
+  // (env defaults) here rather than dialling without one.
+  const config = await getOrCreateShopConfig(shop);
+
+  // Honour AppConfig.initialDelay — null means contact immediately.
+  const firstContactAt = getInitialContactAt(
+    config?.initialDelay,
+    new Date(),
+    getCallingWindow(config),
+  );
+
+  // Pick the verification path (auto-confirm / WhatsApp / call / manual
+  // review). Scoring failures fall back to the normal flow.
+  let risk = null;
+  if (config?.riskScoring ?? true) {
+    risk = await scoreOrderRisk({ ...input, shop }).catch((err) => {
+      console.error("[OrderCreate] scoreOrderRisk failed", err);
+      return null;
+    });
+  }
+
   let order;
   let callLog;
   try {
-    ({ order, callLog } = await createOrderWithCallLog(input));
+    ({ order, callLog } = await createOrderWithCallLog({
+      ...input,
+      shop,
+      risk,
+      firstContactAt,
+    }));
   } catch (err) {
     console.error("[OrderCreate] createOrderWithCallLog failed", err);
     return new Response(null, { status: 200 });
   }
 
-  const config = await prisma.appConfig.findFirst({
-    where: {
-      OR: [
-        { shop: shop },
-        { shop: "default" }
-      ]
-    },
-    orderBy: { id: "asc" } // "default" usually comes first if id is "default"
-  });
-  const whatsappEnabled = config?.whatsappEnabled ?? true;
-
-  if (whatsappEnabled) {
-    try {
-      // 1. Mark as WhatsApp Sent
-      await prisma.callLog.update({
-        where: { id: callLog.id },
-        data: {
-          status: "WHATSAPP_SENT",
-          whatsappSentAt: new Date(),
-        },
-      });
-
-      // 2. Send WhatsApp
-      const fullCallLog = { ...callLog, order };
-      await sendWhatsAppFallback(fullCallLog);
-
-      console.log(`[OrderCreate] WhatsApp flow initiated for orderId=${order.id}`);
-    } catch (err) {
-      console.error(`[OrderCreate] WhatsApp flow failed for orderId=${order.id}, falling back to call`, err);
-      // Fallback to call logic if WhatsApp send fails
-      await initiateCallFlow(order, callLog, input, request.url);
-    }
-  } else {
-    // Direct AI Call flow
-    await initiateCallFlow(order, callLog, input, request.url);
+  if (risk?.path === RISK_PATH.AUTO_CONFIRM) {
+    // Trusted customer — nothing to hold, just tag the Shopify order.
+    await pushOutcomeToShopify(order.id, { channel: EVENT_CHANNEL.SYSTEM }).catch((err) =>
+      console.error(`[ShopifyOrder] Write-back failed for orderId=${order.id}:`, err.message),
+    );
+    return new Response(null, { status: 200 });
   }
 
-  return new Response(null, { status: 200 });
-};
-
-async function initiateCallFlow(order, callLog, input, requestUrl) {
-  try {
-    await setCallLogInProgress(callLog.id);
+  // Nothing ships until the customer (or, for manual review, the merchant)
+  // confirms.
+  await holdShopifyFulfillment(order.id, config);
 
-    const origin = new URL(requestUrl).origin;
-    const vapiRes = await triggerOrderConfirmationCall({
-      callLogId: callLog.id,
-      customerName: input.customerName,
-      phoneNumber: input.phoneNumber,
-      storeName: input.storeName,
-      orderId: input.orderId,
-      totalPrice: input.totalPrice,
-      overrideBaseUrl: origin,
-    });
-
-    if (vapiRes?.id) {
-      await updateCallLogVapiId(callLog.id, vapiRes.id);
-    }
+  if (risk?.path === RISK_PATH.MANUAL_REVIEW) {
+    console.log(`[OrderCreate] orderId=${order.id} sent to manual review (risk ${risk.score})`);
+    return new Response(null, { status: 200 });
+  }
 
+  if (firstContactAt) {
+    // The order sweep picks the QUEUED row up once nextRetryAt is due.
     console.log(
-      `[OrderCreate] Dial started orderId=${order.id} callLogId=${
-        callLog.id
-      } vapiCallId=${vapiRes?.id ?? "n/a"}`,
+      `[OrderCreate] First contact for orderId=${order.id} scheduled at ${firstContactAt.toISOString()} (initialDelay=${config?.initialDelay})`,
     );
-  } catch (err) {
-    console.error(
-      `[OrderCreate] triggerOrderConfirmationCall failed orderId=${order.id}`,
-      err,
-    );
-
-    if (isPermanentOrderVapiError(err)) {
-      const reason = String(err?.message ?? "").toLowerCase();
-      const intent =
-        reason.includes("wrong number") || reason.includes("invalid")
-          ? "WRONG_NUMBER"
-          : "RECALL_REQUEST";
-      await handleCallResult(order.id, intent, {
-        callLogId: callLog.id,
-        failureReason: err.message,
-      }).catch((e) =>
-        console.error("[OrderCreate] handleCallResult permanent failed", e),
-      );
-    } else {
-      await handleCallResult(order.id, "RECALL_REQUEST", {
-        callLogId: callLog.id,
-        failureReason: err.message,
-      }).catch((e) =>
-        console.error("[OrderCreate] handleCallResult transient failed", e),
-      );
-    }
+    return new Response(null, { status: 200 });
   }
-}
 
+  await enqueueJob(
+    JOB_TYPE.ORDER_FIRST_CONTACT,
+    {
+      callLogId: callLog.id,
+      orderId: input.orderId,
+      overrideBaseUrl: new URL(request.url).origin,
+    },
+    { maxAttempts: 1 },
+  );
 
+  return new Response(null, { status: 200 });
+};
@@ -0,0 +1,17 @@
+// app/routes/webhooks.orders.fulfilled.jsx
+import { authenticate } from "../shopify.server";
+import { applyShopifyOrderUpdate } from "../services/shopifyOrderWebhookService.server.js";
+
+export const action = async ({ request }) => {
+  const { topic, shop, payload } = await authenticate.webhook(request);
+
+  if (topic !== "ORDERS_FULFILLED") return new Response(null, { status: 200 });
+
+  try {
+    await applyShopifyOrderUpdate(shop, payload);
+  } catch (err) {
+    console.error(`[OrderFulfilled] applyShopifyOrderUpdate failed for shopifyOrderId=${payload?.id}`, err);
+  }
+
+  return new Response(null, { status: 200 });
+};
@@ -0,0 +1,17 @@
+// app/routes/webhooks.orders.updated.jsx
+import { authenticate } from "../shopify.server";
+import { applyShopifyOrderUpdate } from "../services/shopifyOrderWebhookService.server.js";
+
+export const action = async ({ request }) => {
+  const { topic, shop, payload } = await authenticate.webhook(request);
+
+  if (topic !== "ORDERS_UPDATED") return new Response(null, { status: 200 });
+
+  try {
+    await applyShopifyOrderUpdate(shop, payload);
+  } catch (err) {
+    console.error(`[OrderUpdated] applyShopifyOrderUpdate failed for shopifyOrderId=${payload?.id}`, err);
+  }
+
+  return new Response(null, { status: 200 });
+};
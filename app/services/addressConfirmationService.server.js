@@ -0,0 +1,137 @@
+/**
+ * Address Confirmation Service
+ *
+ * Stores the result of reading the delivery address back to the customer on
+ * the confirmation call (see scanForAddress in vapiOrderService). Wrong
+ * addresses are the biggest source of RTO on COD, so anything other than a
+ * plain "yes, that's right" flags the order for review:
+ *
+ *   addressCorrect = true            → CONFIRMED  (no review)
+ *   correctedAddress given           → CORRECTED  (review; optional push to
+ *                                                  the Shopify shipping address)
+ *   addressCorrect = false, no text  → DISPUTED   (review)
+ *
+ * A landmark is stored alongside whichever outcome it came with. Vapi sends
+ * the same analysis on several webhook events — unchanged results are
+ * ignored.
+ */
+
+import prisma from "../db.server.js";
+import { recordOrderEvent } from "./orderEventService.server.js";
+import { pushShippingAddressToShopify } from "./shopifyOrderService.server.js";
+import {
+  ADDRESS_STATUS,
+  ORDER_EVENT_TYPE,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+} from "../constants.js";
+
+function toAddressStatus({ addressCorrect, correctedAddress }) {
+  if (correctedAddress) return ADDRESS_STATUS.CORRECTED;
+  if (addressCorrect === true) return ADDRESS_STATUS.CONFIRMED;
+  if (addressCorrect === false) return ADDRESS_STATUS.DISPUTED;
+  return null;
+}
+
+/**
+ * Save an address-confirmation result on the order.
+ *
+ * @param {string} orderId
+ * @param {{ addressCorrect: boolean | null, correctedAddress: string | null, landmark: string | null }} result
+ * @param {object} [opts]
+ * @param {string} [opts.callLogId]
+ * @param {string} [opts.actor]
+ */
+export async function applyAddressConfirmation(
+  orderId,
+  result,
+  { callLogId = null, actor = EVENT_ACTOR.WEBHOOK } = {},
+) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) return null;
+
+  const status = toAddressStatus(result) ?? order.addressStatus;
+  const correctedAddress = result.correctedAddress ?? order.correctedAddress;
+  const landmark = result.landmark ?? order.landmark;
+
+  if (
+    status === order.addressStatus &&
+    correctedAddress === order.correctedAddress &&
+    landmark === order.landmark
+  ) {
+    return order;
+  }
+
+  const needsReview =
+    status === ADDRESS_STATUS.CORRECTED || status === ADDRESS_STATUS.DISPUTED;
+
+  const updated = await prisma.order.update({
+    where: { id: orderId },
+    data: {
+      addressStatus: status,
+      correctedAddress,
+      landmark,
+      addressNeedsReview: needsReview,
+    },
+  });
+
+  const landmarkNote = landmark ? ` (landmark: ${landmark})` : "";
+  const event = {
+    [ADDRESS_STATUS.CONFIRMED]: {
+      type: ORDER_EVENT_TYPE.ADDRESS_CONFIRMED,
+      message: `Customer confirmed the delivery address${landmarkNote}`,
+    },
+    [ADDRESS_STATUS.CORRECTED]: {
+      type: ORDER_EVENT_TYPE.ADDRESS_CORRECTED,
+      message: `Customer corrected the address: ${correctedAddress}${landmarkNote}`,
+    },
+    [ADDRESS_STATUS.DISPUTED]: {
+      type: ORDER_EVENT_TYPE.ADDRESS_DISPUTED,
+      message: `Customer said the address is wrong but gave no new one${landmarkNote}`,
+    },
+  }[status];
+
+  if (event) {
+    await recordOrderEvent({
+      orderId,
+      callLogId,
+      type: event.type,
+      channel: EVENT_CHANNEL.CALL,
+      actor,
+      message: event.message,
+      payload: { previousAddress: order.address, correctedAddress, landmark },
+    });
+  }
+
+  console.log(
+    `[AddressConfirm] orderId=${orderId} status=${status} needsReview=${needsReview}`,
+  );
+
+  if (status === ADDRESS_STATUS.CORRECTED && correctedAddress !== order.correctedAddress) {
+    await pushShippingAddressToShopify(orderId);
+  }
+
+  return updated;
+}
+
+/**
+ * Merchant has checked the address — clear the review flag.
+ *
+ * @param {string} orderId
+ * @param {string} shop - Only orders of this shop can be reviewed
+ */
+export async function markAddressReviewed(orderId, shop) {
+  const res = await prisma.order.updateMany({
+    where: { id: orderId, shop, addressNeedsReview: true },
+    data: { addressNeedsReview: false },
+  });
+  if (res.count) {
+    await recordOrderEvent({
+      orderId,
+      type: ORDER_EVENT_TYPE.ADDRESS_REVIEWED,
+      actor: EVENT_ACTOR.MERCHANT,
+      message: "Address reviewed by merchant",
+    });
+  }
+  return res.count === 1;
+}
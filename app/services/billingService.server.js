@@ -0,0 +1,442 @@
+/**
+ * Billing Service
+ *
+ * Plans (BILLING_PLAN) are sold through Shopify billing, and every dial path
+ * checks the shop's minute quota before it calls anyone.
+ *
+ * SUBSCRIPTIONS
+ * ─────────────
+ *  createSubscription() → appSubscriptionCreate with two line items:
+ *    recurring  plan price every 30 days
+ *    usage      overage minutes, capped at the plan's overageCap
+ *  The merchant approves the charge on Shopify's confirmation page and comes
+ *  back to the Subscription page, whose loader (and the
+ *  app_subscriptions/update webhook) runs syncSubscription(). The shop's
+ *  active subscription is kept in ShopSubscription — one row per shop.
+ *
+ * QUOTA
+ * ─────
+ *  Included minutes count against the usage ledger's billing period
+ *  (usageService) — the subscription's own 30-day cycle. Past them, calls go
+ *  on as overage while the usage line item's capped amount has room;
+ *  billOverage() charges the extra minutes with appUsageRecordCreate after
+ *  each call is put on the ledger. A shop without a plan has no minutes.
+ *
+ *  assertDialQuota() runs in triggerOrderConfirmationCall and initiateVapiCall
+ *  — there is no way to skip it. Calls still in progress hold
+ *  RESERVED_MINUTES_PER_LIVE_CALL each, so a burst of dials cannot overrun
+ *  the quota before their reports arrive.
+ *
+ * OVER QUOTA
+ * ──────────
+ *  The call is not dialled: QuotaExceededError carries `deferUntil` (the end
+ *  of the billing period, or a short recheck when the shop has no plan) and
+ *  `action` from AppConfig.overQuotaAction:
+ *    whatsapp  order confirmations move to WhatsApp (parkOverQuotaCallLog)
+ *    pause     the call waits for `deferUntil`
+ *  CustomerCall campaigns have no WhatsApp channel and always pause.
+ */
+
+import prisma from "../db.server.js";
+import { unauthenticated } from "../shopify.server";
+import { adminGraphql } from "./shopifyOrderService.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import { countActiveDialSlots } from "./dialLimiterService.server.js";
+import { getBillingPeriod } from "./usageService.server.js";
+import { BILLING_PLAN, OVER_QUOTA_ACTION } from "../constants.js";
+
+export const QUOTA_REASON = "Minute quota used up";
+export const NO_PLAN_REASON = "No active plan";
+
+const CURRENCY = "USD";
+const ACTIVE_STATUS = "ACTIVE";
+const RESERVED_MINUTES_PER_LIVE_CALL = 2;
+const NO_PLAN_RECHECK_MS = 60 * 60 * 1000;
+
+/* ─────────────────────────────────────────────────────────────
+   Error
+   ───────────────────────────────────────────────────────────── */
+
+export class QuotaExceededError extends Error {
+  constructor(deferUntil, detail, { action = OVER_QUOTA_ACTION.PAUSE, hasPlan = true } = {}) {
+    const reason = hasPlan ? QUOTA_REASON : NO_PLAN_REASON;
+    super(`${reason} (${detail})`);
+    this.name = "QuotaExceededError";
+    this.deferUntil = deferUntil;
+    this.action = action;
+    this.reason = reason; // stored as failureReason while the call waits
+  }
+}
+
+export function isQuotaExceededError(err) {
+  return err instanceof QuotaExceededError;
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Plans
+   ───────────────────────────────────────────────────────────── */
+
+export function getPlan(key) {
+  return BILLING_PLAN[key] ?? null;
+}
+
+// Shopify only gives back the subscription name.
+function planByName(name) {
+  return Object.values(BILLING_PLAN).find((p) => p.name === name) ?? null;
+}
+
+function isTestBilling() {
+  return (
+    process.env.SHOPIFY_BILLING_TEST === "true" || process.env.NODE_ENV !== "production"
+  );
+}
+
+/** Where Shopify sends the merchant after approving the charge. */
+export function billingReturnUrl(shop) {
+  const handle = String(shop).replace(/\.myshopify\.com$/, "");
+  return `https://admin.shopify.com/store/${handle}/apps/${process.env.SHOPIFY_API_KEY}/app/subscription`;
+}
+
+/**
+ * The shop's plan, if its subscription is active.
+ *
+ * @param {string} shop
+ */
+export async function getActiveSubscription(shop) {
+  const subscription = await prisma.shopSubscription.findUnique({ where: { shop } });
+  if (subscription?.status !== ACTIVE_STATUS || !getPlan(subscription.plan)) return null;
+  return subscription;
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Shopify billing
+   ───────────────────────────────────────────────────────────── */
+
+const SUBSCRIPTION_CREATE = `#graphql
+  mutation AppSubscriptionCreate(
+    $name: String!
+    $returnUrl: URL!
+    $test: Boolean
+    $lineItems: [AppSubscriptionLineItemInput!]!
+  ) {
+    appSubscriptionCreate(
+      name: $name
+      returnUrl: $returnUrl
+      test: $test
+      lineItems: $lineItems
+    ) {
+      confirmationUrl
+      appSubscription { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ACTIVE_SUBSCRIPTIONS = `#graphql
+  query ActiveSubscriptions {
+    currentAppInstallation {
+      activeSubscriptions {
+        id
+        name
+        status
+        test
+        currentPeriodEnd
+        lineItems {
+          id
+          plan {
+            pricingDetails {
+              __typename
+              ... on AppUsagePricing {
+                cappedAmount { amount }
+                balanceUsed { amount }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const USAGE_RECORD_CREATE = `#graphql
+  mutation AppUsageRecordCreate(
+    $subscriptionLineItemId: ID!
+    $price: MoneyInput!
+    $description: String!
+    $idempotencyKey: String
+  ) {
+    appUsageRecordCreate(
+      subscriptionLineItemId: $subscriptionLineItemId
+      price: $price
+      description: $description
+      idempotencyKey: $idempotencyKey
+    ) {
+      appUsageRecord {
+        id
+        subscriptionLineItem {
+          plan {
+            pricingDetails {
+              ... on AppUsagePricing {
+                balanceUsed { amount }
+              }
+            }
+          }
+        }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Start a subscription to `planKey`. Nothing changes locally until the
+ * merchant approves it — the caller redirects to `confirmationUrl`.
+ *
+ * @param {object} admin - Admin API context
+ * @param {string} shop
+ * @param {string} planKey - BILLING_PLAN key
+ * @returns {Promise<{ confirmationUrl: string, subscriptionId: string }>}
+ */
+export async function createSubscription(admin, shop, planKey) {
+  const plan = getPlan(planKey);
+  if (!plan) throw new Error(`Unknown plan "${planKey}"`);
+
+  const data = await adminGraphql(admin, SUBSCRIPTION_CREATE, {
+    name: plan.name,
+    returnUrl: billingReturnUrl(shop),
+    test: isTestBilling(),
+    lineItems: [
+      {
+        plan: {
+          appRecurringPricingDetails: {
+            price: { amount: plan.price, currencyCode: CURRENCY },
+            interval: "EVERY_30_DAYS",
+          },
+        },
+      },
+      {
+        plan: {
+          appUsagePricingDetails: {
+            terms: `$${plan.overagePerMinute.toFixed(2)} per AI voice minute over ${plan.includedMinutes.toLocaleString("en-US")} minutes`,
+            cappedAmount: { amount: plan.overageCap, currencyCode: CURRENCY },
+          },
+        },
+      },
+    ],
+  });
+
+  const result = data.appSubscriptionCreate;
+  console.log(`[Billing] Subscription created shop=${shop} plan=${plan.key} id=${result.appSubscription?.id}`);
+  return {
+    confirmationUrl: result.confirmationUrl,
+    subscriptionId: result.appSubscription?.id,
+  };
+}
+
+/**
+ * Copy the shop's active Shopify subscription into ShopSubscription. A shop
+ * without one keeps its row, marked CANCELLED.
+ *
+ * @param {object} admin - Admin API context
+ * @param {string} shop
+ */
+export async function syncSubscription(admin, shop) {
+  const data = await adminGraphql(admin, ACTIVE_SUBSCRIPTIONS);
+  const subscriptions = data.currentAppInstallation?.activeSubscriptions ?? [];
+  const active = subscriptions.find((s) => planByName(s.name));
+
+  if (!active) {
+    await prisma.shopSubscription.updateMany({
+      where: { shop, status: { not: "CANCELLED" } },
+      data: { status: "CANCELLED" },
+    });
+    return null;
+  }
+
+  const usageItem = active.lineItems.find(
+    (item) => item.plan?.pricingDetails?.__typename === "AppUsagePricing",
+  );
+  const pricing = usageItem?.plan.pricingDetails;
+  const row = {
+    plan: planByName(active.name).key,
+    status: active.status,
+    subscriptionId: active.id,
+    usageLineItemId: usageItem?.id ?? null,
+    cappedAmount: Number(pricing?.cappedAmount?.amount ?? 0),
+    balanceUsed: Number(pricing?.balanceUsed?.amount ?? 0),
+    currentPeriodEnd: active.currentPeriodEnd ? new Date(active.currentPeriodEnd) : null,
+    test: Boolean(active.test),
+  };
+
+  return prisma.shopSubscription.upsert({
+    where: { shop },
+    create: { shop, ...row },
+    update: row,
+  });
+}
+
+/**
+ * app_subscriptions/update without an admin session — only the status is
+ * known.
+ *
+ * @param {string} shop
+ * @param {object} payload - webhook body ({ app_subscription: { admin_graphql_api_id, status } })
+ */
+export async function applySubscriptionStatus(shop, payload) {
+  const { admin_graphql_api_id: subscriptionId, status } = payload?.app_subscription ?? {};
+  if (!subscriptionId || !status) return;
+  await prisma.shopSubscription.updateMany({
+    where: { shop, subscriptionId },
+    data: { status: String(status).toUpperCase() },
+  });
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Quota
+   ───────────────────────────────────────────────────────────── */
+
+function overQuotaAction(config) {
+  if (config?.whatsappEnabled === false) return OVER_QUOTA_ACTION.PAUSE;
+  return config?.overQuotaAction === OVER_QUOTA_ACTION.PAUSE
+    ? OVER_QUOTA_ACTION.PAUSE
+    : OVER_QUOTA_ACTION.WHATSAPP;
+}
+
+/**
+ * Minutes the shop may still dial this billing period.
+ *
+ * @param {string} shop
+ */
+export async function getQuotaStatus(shop) {
+  const [subscription, config, liveCalls, period] = await Promise.all([
+    getActiveSubscription(shop),
+    getShopConfig(shop),
+    countActiveDialSlots(shop),
+    getBillingPeriod(shop),
+  ]);
+  const plan = subscription ? getPlan(subscription.plan) : null;
+  const usage = await prisma.usagePeriod.findUnique({
+    where: { shop_periodStart: { shop, periodStart: period.start } },
+    select: { callSeconds: true },
+  });
+
+  const usedMinutes = (usage?.callSeconds ?? 0) / 60;
+  const includedMinutes = plan?.includedMinutes ?? 0;
+  // Overage already charged is in balanceUsed — what is left under the cap.
+  const overageMinutes =
+    plan && subscription.usageLineItemId
+      ? Math.floor(Math.max(0, subscription.cappedAmount - subscription.balanceUsed) / plan.overagePerMinute)
+      : 0;
+  const remainingMinutes =
+    Math.max(0, includedMinutes - usedMinutes) +
+    overageMinutes -
+    liveCalls * RESERVED_MINUTES_PER_LIVE_CALL;
+
+  return {
+    plan: plan?.key ?? null,
+    includedMinutes,
+    usedMinutes: Math.round(usedMinutes * 10) / 10,
+    overageMinutes,
+    remainingMinutes: Math.max(0, Math.floor(remainingMinutes)),
+    overQuota: remainingMinutes <= 0,
+    periodEnd: period.end,
+    action: overQuotaAction(config),
+  };
+}
+
+/**
+ * Throw QuotaExceededError unless the shop has minutes left to dial.
+ *
+ * @param {string} shop
+ */
+export async function assertDialQuota(shop) {
+  const quota = await getQuotaStatus(shop);
+  if (!quota.plan) {
+    throw new QuotaExceededError(new Date(Date.now() + NO_PLAN_RECHECK_MS), "no subscription", {
+      action: quota.action,
+      hasPlan: false,
+    });
+  }
+  if (!quota.overQuota) return quota;
+  throw new QuotaExceededError(
+    quota.periodEnd,
+    `${quota.usedMinutes}/${quota.includedMinutes} min used on ${quota.plan}`,
+    { action: quota.action },
+  );
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Overage
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Charge the minutes past the plan's included minutes that are not billed
+ * yet. Called after a call is put on the usage ledger. Never throws — a
+ * failed charge is rolled back locally and retried after the next call.
+ *
+ * @param {string} shop
+ */
+export async function billOverage(shop) {
+  if (!shop) return null;
+
+  try {
+    const subscription = await getActiveSubscription(shop);
+    const plan = subscription && getPlan(subscription.plan);
+    if (!plan || !subscription.usageLineItemId) return null;
+
+    const period = await getBillingPeriod(shop);
+    const usage = await prisma.usagePeriod.findUnique({
+      where: { shop_periodStart: { shop, periodStart: period.start } },
+    });
+    if (!usage) return null;
+
+    const overage = Math.max(0, Math.ceil(usage.callSeconds / 60) - plan.includedMinutes);
+    const billed = usage.overageMinutesBilled;
+    const minutes = overage - billed;
+    if (minutes <= 0) return null;
+
+    const amount = Math.round(minutes * plan.overagePerMinute * 100) / 100;
+
+    // Claim the minutes first — two reports finishing together bill once.
+    const claim = await prisma.usagePeriod.updateMany({
+      where: { id: usage.id, overageMinutesBilled: billed },
+      data: { overageMinutesBilled: overage, overageCharged: { increment: amount } },
+    });
+    if (claim.count === 0) return null;
+
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      const data = await adminGraphql(admin, USAGE_RECORD_CREATE, {
+        subscriptionLineItemId: subscription.usageLineItemId,
+        price: { amount, currencyCode: CURRENCY },
+        description: `${minutes} AI voice minute(s) over the ${plan.name} plan`,
+        idempotencyKey: `${shop}:${usage.periodStart.toISOString()}:${overage}`,
+      });
+
+      const balanceUsed = Number(
+        data.appUsageRecordCreate.appUsageRecord?.subscriptionLineItem?.plan?.pricingDetails
+          ?.balanceUsed?.amount,
+      );
+      await prisma.shopSubscription.update({
+        where: { shop },
+        data: {
+          balanceUsed: Number.isFinite(balanceUsed)
+            ? balanceUsed
+            : subscription.balanceUsed + amount,
+        },
+      });
+
+      console.log(`[Billing] Overage charged shop=${shop} minutes=${minutes} amount=${amount}`);
+      return { minutes, amount };
+    } catch (err) {
+      await prisma.usagePeriod.updateMany({
+        where: { id: usage.id, overageMinutesBilled: overage },
+        data: { overageMinutesBilled: billed, overageCharged: { decrement: amount } },
+      });
+      throw err;
+    }
+  } catch (err) {
+    console.error(`[Billing] Overage charge failed shop=${shop}:`, err.message);
+    return null;
+  }
+}
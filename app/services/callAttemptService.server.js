@@ -0,0 +1,197 @@
+/**
+ * Call Attempt Service
+ *
+ * A CallLog is the whole confirmation effort for an order; every dial it
+ * makes is kept as its own CallAttempt — provider call id, number dialled,
+ * start/end, endedReason, the intent detected and how it was detected, and
+ * what the call cost.
+ *
+ * LIFECYCLE
+ * ─────────
+ *  triggerOrderConfirmationCall → startCallAttempt   (dialing, or failed when
+ *                                                     Vapi refused the call)
+ *  applyCallResult              → finishCallAttempt  (intent + intentSource)
+ *  end-of-call-report / poll    → applyVapiReport    (cost, duration, endedAt,
+ *                                                     endedReason; usage ledger,
+ *                                                     overage charge)
+ *
+ * RETRY COUNT
+ * ───────────
+ *  The retry budget is the number of unanswered attempts (busy / no answer /
+ *  call back later) on the number currently being dialled.
+ *  CallLog.retryCount is kept as a cache of that count for the cron queries.
+ */
+
+import prisma from "../db.server.js";
+import { CALL_INTENT, INTENT_SOURCE, USAGE_KIND } from "../constants.js";
+import { extractCallArtifacts } from "./callTranscriptService.server.js";
+import { recordUsage } from "./usageService.server.js";
+import { billOverage } from "./billingService.server.js";
+
+export const CALL_ATTEMPT_STATUS = {
+  DIALING: "dialing",
+  ENDED: "ended",
+  FAILED: "failed",
+};
+
+const UNANSWERED_INTENTS = [
+  CALL_INTENT.BUSY,
+  CALL_INTENT.RECALL_REQUEST,
+  CALL_INTENT.NO_RESPONSE,
+];
+
+/**
+ * Record one dial of a CallLog. Never throws — a missing attempt row must not
+ * fail a call that was already placed.
+ *
+ * @param {object} params
+ * @param {string} params.callLogId
+ * @param {string | null} [params.vapiCallId]    - null when the dial was refused
+ * @param {string} params.phoneNumber
+ * @param {string | null} [params.failureReason] - set for a refused dial
+ */
+export async function startCallAttempt({
+  callLogId,
+  vapiCallId = null,
+  phoneNumber,
+  failureReason = null,
+}) {
+  try {
+    // Test calls from the orders page carry a made-up CallLog id.
+    const callLog = await prisma.callLog.findUnique({
+      where: { id: callLogId },
+      select: { id: true, shop: true, orderId: true },
+    });
+    if (!callLog) return null;
+
+    const previous = await prisma.callAttempt.count({ where: { callLogId } });
+
+    return await prisma.callAttempt.create({
+      data: {
+        shop: callLog.shop,
+        orderId: callLog.orderId,
+        callLogId,
+        attemptNumber: previous + 1,
+        vapiCallId,
+        phoneNumber: String(phoneNumber ?? ""),
+        status: failureReason ? CALL_ATTEMPT_STATUS.FAILED : CALL_ATTEMPT_STATUS.DIALING,
+        endedAt: failureReason ? new Date() : null,
+        failureReason,
+      },
+    });
+  } catch (err) {
+    console.error(`[CallAttempt] Failed to record attempt callLogId=${callLogId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Stamp the detected intent on the attempt it came from — the one with
+ * `vapiCallId`, else the CallLog's latest attempt without an outcome (a
+ * refused dial has no vapiCallId).
+ *
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx
+ * @param {object} params
+ * @param {string} params.callLogId
+ * @param {string | null} [params.vapiCallId]
+ * @param {string} params.intent
+ * @param {string | null} [params.intentSource] - INTENT_SOURCE
+ * @param {string | null} [params.endedReason]
+ * @returns {Promise<object | null>} the attempt, or null for calls placed
+ *   before attempts were recorded
+ */
+export async function finishCallAttempt(
+  tx,
+  { callLogId, vapiCallId = null, intent, intentSource = null, endedReason = null },
+) {
+  const attempt = vapiCallId
+    ? await tx.callAttempt.findUnique({ where: { vapiCallId } })
+    : await tx.callAttempt.findFirst({
+        where: { callLogId, intent: null },
+        orderBy: { startedAt: "desc" },
+      });
+  if (!attempt) return null;
+
+  const failed = attempt.status === CALL_ATTEMPT_STATUS.FAILED;
+  const source = intentSource ?? (failed ? INTENT_SOURCE.DIAL_ERROR : null);
+
+  return tx.callAttempt.update({
+    where: { id: attempt.id },
+    data: {
+      intent,
+      // The webhook and the poll can both report the same outcome — keep
+      // whichever detected it first.
+      intentSource:
+        attempt.intent === intent
+          ? (attempt.intentSource ?? source)
+          : (source ?? attempt.intentSource),
+      status: failed ? CALL_ATTEMPT_STATUS.FAILED : CALL_ATTEMPT_STATUS.ENDED,
+      endedAt: attempt.endedAt ?? new Date(),
+      endedReason: attempt.endedReason ?? endedReason,
+    },
+  });
+}
+
+/**
+ * Unanswered attempts on `phoneNumber` — the retry count the policy is
+ * checked against.
+ *
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx
+ * @param {string} callLogId
+ * @param {string} phoneNumber
+ */
+export async function countUnansweredAttempts(tx, callLogId, phoneNumber) {
+  return tx.callAttempt.count({
+    where: { callLogId, phoneNumber, intent: { in: UNANSWERED_INTENTS } },
+  });
+}
+
+/**
+ * Copy cost, duration, end time and endedReason from an end-of-call-report
+ * message or a Vapi call object onto the attempt, and put the call on the
+ * usage ledger. Never throws.
+ *
+ * @param {string} vapiCallId
+ * @param {object} source
+ */
+export async function applyVapiReport(vapiCallId, source) {
+  if (!vapiCallId || !source) return null;
+
+  try {
+    const attempt = await prisma.callAttempt.findUnique({ where: { vapiCallId } });
+    if (!attempt) return null;
+
+    const { endedAt, endedReason, durationSeconds } = extractCallArtifacts(source);
+    const rawCost = source?.cost ?? source?.call?.cost;
+    const cost = rawCost == null ? NaN : Number(rawCost);
+    const costBreakdown = source?.costBreakdown ?? source?.call?.costBreakdown ?? null;
+
+    const data = {
+      ...(Number.isFinite(cost) ? { cost } : {}),
+      ...(costBreakdown && typeof costBreakdown === "object" ? { costBreakdown } : {}),
+      ...(durationSeconds != null ? { durationSeconds } : {}),
+      ...(endedAt ? { endedAt } : {}),
+      ...(endedReason ? { endedReason } : {}),
+    };
+    if (Object.keys(data).length === 0) return attempt;
+
+    const updated = await prisma.callAttempt.update({ where: { id: attempt.id }, data });
+
+    if (updated.cost != null || updated.durationSeconds != null) {
+      await recordUsage({
+        shop: updated.shop,
+        kind: USAGE_KIND.ORDER_CALL,
+        sourceId: updated.id,
+        orderId: updated.orderId,
+        quantity: updated.durationSeconds ?? 0,
+        cost: updated.cost ?? 0,
+        occurredAt: updated.startedAt,
+      });
+      await billOverage(updated.shop);
+    }
+    return updated;
+  } catch (err) {
+    console.error(`[CallAttempt] Failed to apply report vapiCallId=${vapiCallId}:`, err.message);
+    return null;
+  }
+}
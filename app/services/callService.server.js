@@ -33,9 +33,10 @@ export const RETRY_DELAY_MS = 5 * 60 * 1000; // 5 minutes
 /**
  * Create a single pending call record.
  */
-export async function createCall({ customerName, phone }) {
+export async function createCall({ shop, customerName, phone }) {
   return prisma.customerCall.create({
     data: {
+      shop,
       customerName,
       phone,
       status: CALL_STATUS.PENDING,
@@ -47,12 +48,14 @@ export async function createCall({ customerName, phone }) {
  * Batch-insert multiple customers as pending calls.
  * Uses createMany for a single DB round-trip.
  *
+ * @param {string} shop
  * @param {Array<{ customerName: string, phone: string }>} customers
  * @returns {{ count: number }}
  */
-export async function createCallsBatch(customers) {
+export async function createCallsBatch(shop, customers) {
   return prisma.customerCall.createMany({
     data: customers.map(({ customerName, phone }) => ({
+      shop,
       customerName,
       phone,
       status: CALL_STATUS.PENDING,
@@ -99,6 +102,63 @@ export async function setCallRetrying(id, failureReason = null) {
   });
 }
 
+/**
+ * Park a call that fell due outside the calling window (see
+ * callingWindow.server.js) or over the shop's dial limits
+ * (dialLimiterService.server.js) until the next allowed slot. The retry sweep
+ * dials it once nextRetryAt passes.
+ *
+ * @param {string} id         - Internal DB id
+ * @param {Date}   deferUntil - Start of the next allowed calling slot
+ * @param {object} [opts]
+ * @param {string} [opts.reason]     - failureReason
+ * @param {number} [opts.retryCount] - Restore the counter when the deferred
+ *                                     dial had already been counted
+ */
+export async function deferCall(
+  id,
+  deferUntil,
+  { reason = "Outside calling hours", retryCount } = {},
+) {
+  return prisma.customerCall.update({
+    where: { id },
+    data: {
+      status: CALL_STATUS.RETRYING,
+      failureReason: reason,
+      nextRetryAt: deferUntil,
+      ...(retryCount !== undefined ? { retryCount } : {}),
+    },
+  });
+}
+
+/**
+ * Put a pending call back in line after the dial limiter turned it away
+ * (CUSTOMER_CALL_START re-enqueued for later). Not an attempt.
+ *
+ * @param {string} id
+ * @param {string} reason
+ */
+export async function requeuePendingCall(id, reason) {
+  return prisma.customerCall.update({
+    where: { id },
+    data: { status: CALL_STATUS.PENDING, failureReason: reason },
+  });
+}
+
+/**
+ * Atomically move a pending call to "calling". False when another start job
+ * (or a double click on Start) already took it.
+ *
+ * @param {string} id
+ */
+export async function claimPendingCall(id) {
+  const res = await prisma.customerCall.updateMany({
+    where: { id, status: CALL_STATUS.PENDING },
+    data: { status: CALL_STATUS.CALLING, lastCallAt: new Date(), failureReason: null },
+  });
+  return res.count === 1;
+}
+
 /**
  * Permanently mark a call as failed.
  *
@@ -173,19 +233,19 @@ export async function updateCallWithVapiId(id, vapiCallId) {
 // ─── Queries ──────────────────────────────────────────────────────────────────
 
 /**
- * Returns all calls currently in "pending" status (awaiting initial dial).
- * Used by the /api/calls/start endpoint.
+ * Returns the shop's calls currently in "pending" status (awaiting initial
+ * dial). Used by the /api/calls/start endpoint.
  */
-export async function getAllPendingCalls() {
+export async function getAllPendingCalls(shop) {
   return prisma.customerCall.findMany({
-    where: { status: CALL_STATUS.PENDING },
+    where: { shop, status: CALL_STATUS.PENDING },
     orderBy: { createdAt: "asc" },
   });
 }
 
 /**
- * Returns all "retrying" calls whose nextRetryAt has passed.
- * Used by the cron job every minute.
+ * Returns all "retrying" calls whose nextRetryAt has passed, across every
+ * shop. Used by the cron job every minute.
  */
 export async function getPendingCallsForRetry() {
   return prisma.customerCall.findMany({
@@ -200,15 +260,15 @@ export async function getPendingCallsForRetry() {
 /**
  * Returns dashboard stats in a single DB round-trip.
  */
-export async function getStats() {
+export async function getStats(shop) {
   const [total, pending, calling, answered, failed, retrying] =
     await Promise.all([
-      prisma.customerCall.count(),
-      prisma.customerCall.count({ where: { status: CALL_STATUS.PENDING } }),
-      prisma.customerCall.count({ where: { status: CALL_STATUS.CALLING } }),
-      prisma.customerCall.count({ where: { status: CALL_STATUS.ANSWERED } }),
-      prisma.customerCall.count({ where: { status: CALL_STATUS.FAILED } }),
-      prisma.customerCall.count({ where: { status: CALL_STATUS.RETRYING } }),
+      prisma.customerCall.count({ where: { shop } }),
+      prisma.customerCall.count({ where: { shop, status: CALL_STATUS.PENDING } }),
+      prisma.customerCall.count({ where: { shop, status: CALL_STATUS.CALLING } }),
+      prisma.customerCall.count({ where: { shop, status: CALL_STATUS.ANSWERED } }),
+      prisma.customerCall.count({ where: { shop, status: CALL_STATUS.FAILED } }),
+      prisma.customerCall.count({ where: { shop, status: CALL_STATUS.RETRYING } }),
     ]);
 
   return { total, pending, calling, answered, failed, retrying };
@@ -217,8 +277,9 @@ export async function getStats() {
 /**
  * Returns the most recent `limit` calls for the dashboard table.
  */
-export async function getRecentCalls(limit = 50) {
+export async function getRecentCalls(shop, limit = 50) {
   return prisma.customerCall.findMany({
+    where: { shop },
     orderBy: { createdAt: "desc" },
     take: limit,
   });
@@ -0,0 +1,138 @@
+/**
+ * Call Transcript Service
+ *
+ * Keeps what Vapi reports about each order confirmation call — transcript,
+ * speaker turns, the assistant's summary, recording URL, duration and
+ * endedReason — one CallTranscript row per Vapi call, so every attempt on a
+ * CallLog can be audited after the outcome was applied.
+ *
+ * SOURCES
+ * ───────
+ *  end-of-call-report webhook  → orderVapiWebhook, before the intent is applied
+ *  GET /call/:id               → getVapiCallIntent, when polling or stale-call
+ *                                recovery finds the call ended
+ *  Both are upserted by vapiCallId; a later source only fills in fields the
+ *  earlier one did not have.
+ */
+
+import prisma from "../db.server.js";
+
+const SPEAKER = {
+  assistant: "assistant",
+  bot: "assistant",
+  user: "customer",
+  customer: "customer",
+};
+
+function toDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Speaker turns from Vapi's message list — system prompts and tool calls are
+ * left out.
+ *
+ * @returns {Array<{ role: "assistant" | "customer", text: string, secondsFromStart: number | null }>}
+ */
+function extractTurns(messages) {
+  if (!Array.isArray(messages)) return [];
+  return messages
+    .map((m) => ({
+      role: SPEAKER[m?.role],
+      text: String(m?.message ?? m?.content ?? "").trim(),
+      secondsFromStart:
+        typeof m?.secondsFromStart === "number" ? Math.round(m.secondsFromStart * 10) / 10 : null,
+    }))
+    .filter((t) => t.role && t.text);
+}
+
+/**
+ * Normalise an end-of-call-report message or a Vapi call object.
+ *
+ * @param {object} source
+ */
+export function extractCallArtifacts(source) {
+  const artifact = source?.artifact ?? {};
+  const analysis = source?.analysis ?? source?.call?.analysis ?? {};
+  const startedAt = toDate(source?.startedAt ?? source?.call?.startedAt);
+  const endedAt = toDate(source?.endedAt ?? source?.call?.endedAt);
+
+  let durationSeconds =
+    source?.durationSeconds ?? source?.duration ?? source?.call?.durationSeconds ?? null;
+  if (durationSeconds == null && startedAt && endedAt) {
+    durationSeconds = (endedAt.getTime() - startedAt.getTime()) / 1000;
+  }
+
+  return {
+    transcript: artifact.transcript ?? source?.transcript ?? null,
+    messages: extractTurns(artifact.messages ?? source?.messages),
+    summary: analysis.summary ?? source?.summary ?? null,
+    recordingUrl:
+      artifact.recordingUrl ??
+      artifact.recording?.mono?.combinedUrl ??
+      source?.recordingUrl ??
+      artifact.stereoRecordingUrl ??
+      null,
+    durationSeconds: durationSeconds == null ? null : Math.round(Number(durationSeconds)),
+    endedReason: source?.endedReason ?? source?.call?.endedReason ?? null,
+    startedAt,
+    endedAt,
+  };
+}
+
+/**
+ * Store the artifacts of one Vapi call. Never throws — losing a transcript
+ * must not block applying the call's outcome.
+ *
+ * @param {string} vapiCallId
+ * @param {object} source            - end-of-call-report message or Vapi call object
+ * @param {object} [opts]
+ * @param {string} [opts.callLogId]  - skips the lookup by vapiCallId
+ */
+export async function saveCallTranscript(vapiCallId, source, { callLogId } = {}) {
+  if (!vapiCallId || !source) return null;
+
+  try {
+    const callLog = callLogId
+      ? await prisma.callLog.findUnique({ where: { id: callLogId } })
+      : await prisma.callLog.findFirst({ where: { vapiCallId } });
+    if (!callLog) return null;
+
+    const artifacts = extractCallArtifacts(source);
+    const existing = await prisma.callTranscript.findUnique({ where: { vapiCallId } });
+
+    // Keep what an earlier source already stored; only fill the gaps.
+    const data = {};
+    for (const [key, value] of Object.entries(artifacts)) {
+      const empty = value == null || (Array.isArray(value) && value.length === 0);
+      const had = existing?.[key] != null && !(Array.isArray(existing[key]) && existing[key].length === 0);
+      if (!empty && !had) data[key] = value;
+    }
+
+    if (existing) {
+      if (Object.keys(data).length === 0) return existing;
+      return prisma.callTranscript.update({ where: { vapiCallId }, data });
+    }
+
+    const callAttempt = await prisma.callAttempt.findUnique({
+      where: { vapiCallId },
+      select: { attemptNumber: true },
+    });
+
+    return prisma.callTranscript.create({
+      data: {
+        ...data,
+        shop: callLog.shop,
+        orderId: callLog.orderId,
+        callLogId: callLog.id,
+        vapiCallId,
+        attempt: callAttempt?.attemptNumber ?? callLog.retryCount + 1,
+      },
+    });
+  } catch (err) {
+    console.error(`[CallTranscript] Failed to save vapiCallId=${vapiCallId}:`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Calling Window
+ *
+ * Per-shop calling hours ("quiet hours") for every outbound AI call —
+ * order confirmations and CustomerCall campaigns alike.
+ *
+ * Stored as AppConfig.callingWindow (JSON):
+ *   {
+ *     timezone: "Asia/Kolkata",
+ *     weekday:  { start: "09:00", end: "21:00" },   // Mon–Fri
+ *     weekend:  { start: "10:00", end: "19:00" },   // Sat–Sun, null = no calls
+ *     holidays: ["2026-11-08", ...]                 // local dates, no calls
+ *   }
+ *
+ * A call that falls due outside the window is NOT dialled — callers catch
+ * CallingWindowError and reschedule for `err.deferUntil`, the start of the
+ * next allowed slot.
+ */
+
+import { getShopConfig } from "./shopConfigService.server.js";
+
+export const DEFAULT_CALLING_WINDOW = {
+  timezone: "Asia/Kolkata",
+  weekday: { start: "09:00", end: "21:00" },
+  weekend: { start: "10:00", end: "19:00" },
+  holidays: [],
+};
+
+// How far ahead nextCallingSlot looks before giving up (e.g. every day blocked).
+const MAX_LOOKAHEAD_DAYS = 60;
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/* ─────────────────────────────────────────────────────────────
+   Error
+   ───────────────────────────────────────────────────────────── */
+
+export class CallingWindowError extends Error {
+  constructor(deferUntil) {
+    super(`Outside calling hours — deferred until ${deferUntil.toISOString()}`);
+    this.name = "CallingWindowError";
+    this.deferUntil = deferUntil;
+  }
+}
+
+export function isCallingWindowError(err) {
+  return err instanceof CallingWindowError;
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Timezone helpers (Intl only — no tz library)
+   ───────────────────────────────────────────────────────────── */
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of `date` in `timeZone`.
+ *
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    weekday: WEEKDAY_INDEX[get("weekday")],
+  };
+}
+
+/**
+ * The instant at which the wall clock in `timeZone` reads the given time.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = asUtc;
+  // Two passes settle DST transitions.
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(guess), timeZone);
+    const shown = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    guess += asUtc - shown;
+  }
+  return new Date(guess);
+}
+
+function toMinutes(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm ?? "").trim());
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return minutes >= 0 && minutes <= 24 * 60 ? minutes : null;
+}
+
+function toRange(range) {
+  if (!range) return null;
+  const start = toMinutes(range.start);
+  const end = toMinutes(range.end);
+  if (start === null || end === null || end <= start) return null;
+  return { start, end };
+}
+
+function dateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Policy
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Build the effective calling window for an AppConfig row.
+ *
+ * @param {object | null} config - AppConfig row
+ */
+export function getCallingWindow(config) {
+  const raw =
+    config?.callingWindow && typeof config.callingWindow === "object"
+      ? config.callingWindow
+      : {};
+
+  const timezone = isValidTimeZone(raw.timezone)
+    ? raw.timezone
+    : DEFAULT_CALLING_WINDOW.timezone;
+
+  return {
+    timezone,
+    weekday:
+      "weekday" in raw ? toRange(raw.weekday) : toRange(DEFAULT_CALLING_WINDOW.weekday),
+    weekend:
+      "weekend" in raw ? toRange(raw.weekend) : toRange(DEFAULT_CALLING_WINDOW.weekend),
+    holidays: new Set(
+      (Array.isArray(raw.holidays) ? raw.holidays : [])
+        .map((d) => String(d).trim())
+        .filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)),
+    ),
+  };
+}
+
+export async function loadCallingWindow(shop) {
+  const config = await getShopConfig(shop);
+  return getCallingWindow(config);
+}
+
+function rangeFor(window, parts) {
+  if (window.holidays.has(dateKey(parts))) return null;
+  const isWeekend = parts.weekday === 0 || parts.weekday === 6;
+  return isWeekend ? window.weekend : window.weekday;
+}
+
+/**
+ * Earliest instant >= `from` at which a call may be placed.
+ * Returns `from` itself when already inside the window, null when no slot
+ * exists in the next MAX_LOOKAHEAD_DAYS.
+ *
+ * @param {object} window - from getCallingWindow
+ * @param {Date} [from]
+ * @returns {Date | null}
+ */
+export function nextCallingSlot(window, from = new Date()) {
+  const now = getZonedParts(from, window.timezone);
+  const nowMinutes = now.hour * 60 + now.minute;
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    // Noon avoids DST edge cases when stepping a calendar day forward.
+    const dayAnchor = zonedTimeToUtc(
+      { year: now.year, month: now.month, day: now.day + offset, hour: 12 },
+      window.timezone,
+    );
+    const parts = getZonedParts(dayAnchor, window.timezone);
+    const range = rangeFor(window, parts);
+    if (!range) continue;
+
+    if (offset === 0) {
+      if (nowMinutes >= range.end) continue;
+      if (nowMinutes >= range.start) return from;
+    }
+
+    return zonedTimeToUtc(
+      {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: Math.floor(range.start / 60),
+        minute: range.start % 60,
+      },
+      window.timezone,
+    );
+  }
+
+  return null;
+}
+
+export function isWithinCallingWindow(window, at = new Date()) {
+  const slot = nextCallingSlot(window, at);
+  return slot !== null && slot.getTime() === at.getTime();
+}
+
+/**
+ * Throw CallingWindowError unless a call may be placed right now.
+ *
+ * @param {string} shop
+ */
+export async function assertWithinCallingWindow(shop) {
+  const window = await loadCallingWindow(shop);
+  const now = new Date();
+  const slot = nextCallingSlot(window, now);
+  if (!slot) {
+    // Every day in the lookahead is blocked — check again tomorrow.
+    throw new CallingWindowError(new Date(now.getTime() + 24 * 60 * 60 * 1000));
+  }
+  if (slot.getTime() !== now.getTime()) {
+    throw new CallingWindowError(slot);
+  }
+}
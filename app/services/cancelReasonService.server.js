@@ -0,0 +1,158 @@
+/**
+ * Cancel Reason Service
+ *
+ * Why a customer cancelled, mapped onto the fixed CANCEL_REASON taxonomy so
+ * reasons can be counted (see orderInsightsService).
+ *
+ * SOURCES
+ * ───────
+ *  Confirmation call → the assistant's `cancelReason` structured output
+ *                      (scanForCancelReason in vapiOrderService)
+ *  WhatsApp          → after a "NO" reply the customer is asked why; the next
+ *                      reply (A–E or free text) lands on that order
+ *
+ * Free text is matched on keywords (English, Hindi, Hinglish). The customer's
+ * own words are kept in cancelReasonNote either way.
+ */
+
+import prisma from "../db.server.js";
+import { recordOrderEvent } from "./orderEventService.server.js";
+import {
+  CANCEL_REASON,
+  CANCEL_REASON_LABEL,
+  ORDER_EVENT_TYPE,
+  ORDER_STATUS,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+} from "../constants.js";
+
+// How long after a cancellation a WhatsApp reply still counts as its reason.
+const REASON_REPLY_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+// WhatsApp menu — letters so they never clash with the 1/2/3 intent replies.
+const REASON_OPTIONS = [
+  ["A", CANCEL_REASON.ORDERED_BY_MISTAKE],
+  ["B", CANCEL_REASON.PRICE_TOO_HIGH],
+  ["C", CANCEL_REASON.DELIVERY_TOO_SLOW],
+  ["D", CANCEL_REASON.FOUND_CHEAPER],
+  ["E", CANCEL_REASON.DID_NOT_ORDER],
+];
+
+// First match wins — "did not order" before "ordered by mistake".
+const REASON_KEYWORDS = [
+  [CANCEL_REASON.DID_NOT_ORDER, /\b(did ?n[o']?t order|never ordered|not ordered|no order|fake order|maine order nahi|order nahi kiya)\b|ऑर्डर नहीं किया/],
+  [CANCEL_REASON.ORDERED_BY_MISTAKE, /\b(mistake|by accident|accidental(ly)?|galti|galati|wrongly ordered|ordered wrong)\b|गलती/],
+  [CANCEL_REASON.FOUND_CHEAPER, /\b(cheaper|less price|lower price|better price|sasta|saste|other (site|store|shop)|elsewhere)\b|सस्ता/],
+  [CANCEL_REASON.PRICE_TOO_HIGH, /\b(expensive|costly|price|too much|mehenga|mehnga|mahanga|budget)\b|महंगा/],
+  [CANCEL_REASON.DELIVERY_TOO_SLOW, /\b(delivery|late|slow|too long|takes? long|der|time lagega)\b|देर/],
+];
+
+function normalizeKey(value) {
+  return String(value ?? "").toLowerCase().trim().replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Map a structured-output value, WhatsApp reply or free text to a
+ * CANCEL_REASON.
+ *
+ * @param {unknown} value
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowLetter] - accept the A–E WhatsApp menu letters
+ * @returns {string | null}
+ */
+export function normalizeCancelReason(value, { allowLetter = false } = {}) {
+  if (value == null || typeof value === "object") return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const key = normalizeKey(text);
+  if (Object.values(CANCEL_REASON).includes(key)) return key;
+
+  if (allowLetter) {
+    const letter = REASON_OPTIONS.find(([l]) => l === text.toUpperCase().replace(/[).]$/, ""));
+    if (letter) return letter[1];
+  }
+
+  const lower = text.toLowerCase();
+  for (const [reason, pattern] of REASON_KEYWORDS) {
+    if (pattern.test(lower)) return reason;
+  }
+  return null;
+}
+
+/** The WhatsApp question sent after a "NO" reply. */
+export function cancelReasonPrompt() {
+  return (
+    `Could you tell us why? Reply with a letter:\n\n` +
+    REASON_OPTIONS.map(([letter, reason]) => `${letter} — ${CANCEL_REASON_LABEL[reason]}`).join("\n")
+  );
+}
+
+/**
+ * Save a cancellation reason on the order. Unchanged reasons are ignored —
+ * Vapi sends the same analysis on several webhook events.
+ *
+ * @param {string} orderId
+ * @param {{ reason: string, note?: string | null }} result
+ * @param {object} [opts]
+ * @param {string} [opts.callLogId]
+ * @param {string} [opts.channel] - EVENT_CHANNEL
+ * @param {string} [opts.actor]   - EVENT_ACTOR
+ */
+export async function applyCancelReason(
+  orderId,
+  { reason, note = null },
+  { callLogId = null, channel = EVENT_CHANNEL.CALL, actor = EVENT_ACTOR.WEBHOOK } = {},
+) {
+  if (!CANCEL_REASON_LABEL[reason]) return null;
+
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) return null;
+
+  const cleanNote = note ? String(note).trim().slice(0, 500) || null : null;
+  if (order.cancelReason === reason && (!cleanNote || cleanNote === order.cancelReasonNote)) {
+    return order;
+  }
+
+  const updated = await prisma.order.update({
+    where: { id: orderId },
+    data: {
+      cancelReason: reason,
+      cancelReasonNote: cleanNote ?? order.cancelReasonNote,
+      cancelReasonAt: new Date(),
+    },
+  });
+
+  await recordOrderEvent({
+    orderId,
+    callLogId,
+    type: ORDER_EVENT_TYPE.CANCEL_REASON_CAPTURED,
+    channel,
+    actor,
+    message: `Cancellation reason: ${CANCEL_REASON_LABEL[reason]}${cleanNote ? ` ("${cleanNote}")` : ""}`,
+    payload: { reason, note: cleanNote, previousReason: order.cancelReason },
+  });
+
+  console.log(`[CancelReason] orderId=${orderId} reason=${reason} channel=${channel}`);
+  return updated;
+}
+
+/**
+ * The customer's most recent order cancelled in the last 48h that has no
+ * reason yet — where a WhatsApp reason reply belongs.
+ *
+ * @param {string} phoneNumber - E.164
+ * @param {string | null} [shop]
+ */
+export async function getOrderAwaitingCancelReason(phoneNumber, shop = null) {
+  return prisma.order.findFirst({
+    where: {
+      phoneNumber,
+      ...(shop ? { shop } : {}),
+      orderStatus: ORDER_STATUS.CANCELLED,
+      cancelReason: null,
+      updatedAt: { gte: new Date(Date.now() - REASON_REPLY_WINDOW_MS) },
+    },
+    orderBy: { updatedAt: "desc" },
+  });
+}
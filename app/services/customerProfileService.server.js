@@ -0,0 +1,169 @@
+/**
+ * Customer Profile Service
+ *
+ * One CustomerProfile per (shop, phone) ties together everything that shares
+ * a phone number: COD orders, their CallLogs and OrderEvents, WhatsApp
+ * replies and CustomerCall campaign rows.
+ *
+ * Counters are RECOMPUTED from those tables on every refresh rather than
+ * incremented, so a late intent that flips an order from confirmed to
+ * cancelled, or a webhook delivered twice, can never skew them.
+ *
+ * REFRESHED FROM
+ * ──────────────
+ *  createOrderWithCallLog  — new COD order
+ *  handleCallResult        — call / WhatsApp outcome (lastContactAt)
+ *  WhatsApp webhook        — customer reply (lastContactAt)
+ *
+ * PREFERRED CHANNEL
+ * ─────────────────
+ *  Whichever channel the customer answered more often: definitive call
+ *  outcomes vs WhatsApp replies. A tie goes to the channel of the latest
+ *  contact.
+ */
+
+import prisma from "../db.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import { ORDER_STATUS, ORDER_EVENT_TYPE, EVENT_CHANNEL } from "../constants.js";
+
+// OrderEvent types that mean the customer answered and gave an outcome.
+const OUTCOME_EVENTS = [
+  ORDER_EVENT_TYPE.ORDER_CONFIRMED,
+  ORDER_EVENT_TYPE.ORDER_CANCELLED,
+  ORDER_EVENT_TYPE.WRONG_NUMBER,
+];
+
+/**
+ * Profile key for a phone number: E.164 with separators stripped.
+ *
+ * @param {string} raw - "+91 98765-43210", "whatsapp:+919876543210", …
+ * @returns {string | null}
+ */
+export function toProfilePhone(raw) {
+  const digits = String(raw ?? "").replace(/\D/g, "");
+  return digits ? `+${digits}` : null;
+}
+
+function choosePreferredChannel(callResponses, whatsappReplies, lastChannel) {
+  if (callResponses === 0 && whatsappReplies === 0) return null;
+  if (callResponses > whatsappReplies) return EVENT_CHANNEL.CALL;
+  if (whatsappReplies > callResponses) return EVENT_CHANNEL.WHATSAPP;
+  return lastChannel === EVENT_CHANNEL.WHATSAPP ? EVENT_CHANNEL.WHATSAPP : EVENT_CHANNEL.CALL;
+}
+
+/**
+ * Recompute and upsert the profile for a phone number. Never throws — a
+ * stale profile must not fail the outcome that triggered the refresh.
+ *
+ * @param {string} shop
+ * @param {string} phone
+ * @param {object} [opts]
+ * @param {string} [opts.customerName]
+ * @param {string} [opts.channel]   - EVENT_CHANNEL of the contact that triggered this refresh
+ * @param {string} [opts.outcome]   - ORDER_STATUS / intent reached on that contact
+ * @param {boolean} [opts.contacted] - true when the customer was just reached
+ */
+export async function refreshCustomerProfile(
+  shop,
+  phone,
+  { customerName, channel, outcome, contacted = false } = {},
+) {
+  const key = toProfilePhone(phone);
+  if (!shop || !key) return null;
+
+  try {
+    const orderWhere = { shop, phoneNumber: { in: [key, phone] } };
+
+    const [byStatus, outcomeEvents, whatsappReplies, customerCalls, latestOrder] =
+      await Promise.all([
+        prisma.order.groupBy({
+          by: ["orderStatus"],
+          where: orderWhere,
+          _count: { _all: true },
+        }),
+        prisma.orderEvent.count({
+          where: {
+            type: { in: OUTCOME_EVENTS },
+            channel: EVENT_CHANNEL.CALL,
+            order: orderWhere,
+          },
+        }),
+        prisma.orderEvent.count({
+          where: { type: ORDER_EVENT_TYPE.WHATSAPP_REPLY, order: orderWhere },
+        }),
+        prisma.customerCall.count({ where: { shop, phone: { in: [key, phone] } } }),
+        customerName
+          ? Promise.resolve(null)
+          : prisma.order.findFirst({
+              where: orderWhere,
+              orderBy: { createdAt: "desc" },
+              select: { customerName: true },
+            }),
+      ]);
+
+    const countOf = (status) =>
+      byStatus.find((r) => r.orderStatus === status)?._count._all ?? 0;
+
+    const config = channel === EVENT_CHANNEL.CALL ? await getShopConfig(shop) : null;
+
+    const data = {
+      customerName: customerName ?? latestOrder?.customerName ?? undefined,
+      codOrders: byStatus.reduce((sum, r) => sum + r._count._all, 0),
+      confirmedOrders: countOf(ORDER_STATUS.CONFIRMED),
+      cancelledOrders: countOf(ORDER_STATUS.CANCELLED),
+      wrongNumberCount: countOf(ORDER_STATUS.INVALID),
+      callResponses: outcomeEvents,
+      whatsappReplies,
+      customerCalls,
+      preferredChannel: choosePreferredChannel(outcomeEvents, whatsappReplies, channel),
+      ...(config?.callLanguage ? { language: config.callLanguage } : {}),
+      ...(contacted ? { lastContactAt: new Date() } : {}),
+      ...(outcome ? { lastOutcome: outcome } : {}),
+    };
+
+    return await prisma.customerProfile.upsert({
+      where: { shop_phone: { shop, phone: key } },
+      update: data,
+      create: { shop, phone: key, ...data },
+    });
+  } catch (err) {
+    console.error(`[CustomerProfile] Refresh failed shop=${shop} phone=${key}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Profiles for a batch of phone numbers, keyed by profile phone — used by the
+ * Orders page to show each order's customer history.
+ *
+ * @param {string} shop
+ * @param {string[]} phones
+ * @returns {Promise<Map<string, object>>}
+ */
+export async function getCustomerProfiles(shop, phones) {
+  const keys = [...new Set(phones.map(toProfilePhone).filter(Boolean))];
+  if (!keys.length) return new Map();
+
+  const profiles = await prisma.customerProfile.findMany({
+    where: { shop, phone: { in: keys } },
+  });
+  return new Map(profiles.map((p) => [p.phone, p]));
+}
+
+/**
+ * One-line history for agents, e.g. "Cancelled 4 of 5 COD orders".
+ *
+ * @param {object | null} profile
+ */
+export function summarizeCustomerProfile(profile) {
+  if (!profile || profile.codOrders <= 1) return "First COD order from this number";
+
+  const parts = [`${profile.confirmedOrders} of ${profile.codOrders} COD orders confirmed`];
+  if (profile.cancelledOrders) {
+    parts.push(`${profile.cancelledOrders} cancelled`);
+  }
+  if (profile.wrongNumberCount) {
+    parts.push(`${profile.wrongNumberCount} wrong number`);
+  }
+  return parts.join(", ");
+}
@@ -0,0 +1,218 @@
+/**
+ * Dial Limiter Service
+ *
+ * Per-shop cap on outbound AI calls, shared by every dial path — order
+ * confirmations (triggerOrderConfirmationCall) and CustomerCall campaigns
+ * (initiateVapiCall), whether dialled by the job worker or a merchant action.
+ *
+ * LIMITS (AppConfig)
+ * ──────────────────
+ *  maxConcurrentCalls — calls holding a DialSlot at the same time
+ *  maxCallsPerMinute  — DialSlots taken in any rolling 60 seconds
+ *
+ * SLOTS
+ * ─────
+ *  acquireDialSlot() takes a DialSlot right before the Vapi request, under a
+ *  per-shop advisory lock so two workers can never both take the last slot.
+ *  The slot is released when the call's outcome arrives (handleCallResult,
+ *  CustomerCall webhook) or the Vapi request fails. SLOT_TTL_MS frees slots
+ *  whose outcome never came.
+ *
+ * OVER THE LIMIT
+ * ──────────────
+ *  The call is not dialled: DialLimitError carries `deferUntil` (when a slot
+ *  should be free) and callers park the call exactly like one outside calling
+ *  hours, with failureReason DIAL_LIMIT_REASON. A Vapi 429 is mapped onto the
+ *  same error.
+ */
+
+import prisma from "../db.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+
+export const DIAL_KIND = {
+  ORDER: "order",
+  CUSTOMER: "customer",
+};
+
+export const DEFAULT_DIAL_LIMITS = {
+  maxConcurrentCalls: 3,
+  maxCallsPerMinute: 10,
+};
+
+export const DIAL_LIMIT_REASON = "Call limit reached — waiting for a free slot";
+
+export const SLOT_TTL_MS = 15 * 60 * 1000; // longest expected call
+const RATE_WINDOW_MS = 60 * 1000;
+const CONCURRENCY_WAIT_MS = 20 * 1000;   // re-check for a free slot after
+const PROVIDER_BACKOFF_MS = 30 * 1000;   // after a Vapi 429
+const SLOT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/* ─────────────────────────────────────────────────────────────
+   Error
+   ───────────────────────────────────────────────────────────── */
+
+export class DialLimitError extends Error {
+  constructor(deferUntil, detail) {
+    super(`${DIAL_LIMIT_REASON} (${detail})`);
+    this.name = "DialLimitError";
+    this.deferUntil = deferUntil;
+    this.reason = DIAL_LIMIT_REASON; // stored as failureReason while the call waits
+  }
+}
+
+export function isDialLimitError(err) {
+  return err instanceof DialLimitError;
+}
+
+/** Vapi answered 429 — wait like any other over-the-limit call. */
+export function providerRateLimitError() {
+  return new DialLimitError(new Date(Date.now() + PROVIDER_BACKOFF_MS), "Vapi rate limit");
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Limits
+   ───────────────────────────────────────────────────────────── */
+
+function positiveInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function getDialLimits(config) {
+  return {
+    maxConcurrentCalls: positiveInt(
+      config?.maxConcurrentCalls,
+      DEFAULT_DIAL_LIMITS.maxConcurrentCalls,
+    ),
+    maxCallsPerMinute: positiveInt(
+      config?.maxCallsPerMinute,
+      DEFAULT_DIAL_LIMITS.maxCallsPerMinute,
+    ),
+  };
+}
+
+function activeSlotsWhere(shop, now) {
+  return { shop, releasedAt: null, expiresAt: { gt: now } };
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Acquire / release
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Take a dial slot for the shop or throw DialLimitError.
+ *
+ * @param {string} shop
+ * @param {object} ref
+ * @param {string} ref.kind  - DIAL_KIND
+ * @param {string} ref.refId - CallLog id (orders) or CustomerCall id
+ */
+export async function acquireDialSlot(shop, { kind, refId }) {
+  const limits = getDialLimits(await getShopConfig(shop));
+
+  return prisma.$transaction(async (tx) => {
+    // Serialises acquisitions for this shop until the transaction ends.
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${shop}))`;
+
+    const now = new Date();
+    const active = await tx.dialSlot.count({ where: activeSlotsWhere(shop, now) });
+    if (active >= limits.maxConcurrentCalls) {
+      throw new DialLimitError(
+        new Date(now.getTime() + CONCURRENCY_WAIT_MS),
+        `${active}/${limits.maxConcurrentCalls} calls in progress`,
+      );
+    }
+
+    const windowStart = new Date(now.getTime() - RATE_WINDOW_MS);
+    const recent = await tx.dialSlot.count({
+      where: { shop, startedAt: { gt: windowStart } },
+    });
+    if (recent >= limits.maxCallsPerMinute) {
+      const oldest = await tx.dialSlot.findFirst({
+        where: { shop, startedAt: { gt: windowStart } },
+        orderBy: { startedAt: "asc" },
+        select: { startedAt: true },
+      });
+      throw new DialLimitError(
+        new Date((oldest?.startedAt ?? now).getTime() + RATE_WINDOW_MS),
+        `${recent}/${limits.maxCallsPerMinute} calls in the last minute`,
+      );
+    }
+
+    return tx.dialSlot.create({
+      data: {
+        shop,
+        kind,
+        refId,
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + SLOT_TTL_MS),
+      },
+    });
+  });
+}
+
+/**
+ * Free the slot held by a call. Never throws — a stuck slot expires on its
+ * own after SLOT_TTL_MS.
+ *
+ * @param {string} refId - CallLog id or CustomerCall id
+ * @param {object} [tx]  - Prisma transaction client
+ */
+export async function releaseDialSlot(refId, tx = prisma) {
+  if (!refId) return;
+  try {
+    await tx.dialSlot.updateMany({
+      where: { refId, releasedAt: null },
+      data: { releasedAt: new Date() },
+    });
+  } catch (err) {
+    console.error(`[DialLimiter] Release failed refId=${refId}:`, err.message);
+  }
+}
+
+/** Calls of the shop holding a slot right now. */
+export async function countActiveDialSlots(shop) {
+  return prisma.dialSlot.count({ where: activeSlotsWhere(shop, new Date()) });
+}
+
+/** Delete slots older than a day — called from the JOB_CLEANUP job. */
+export async function pruneDialSlots() {
+  const { count } = await prisma.dialSlot.deleteMany({
+    where: { startedAt: { lt: new Date(Date.now() - SLOT_RETENTION_MS) } },
+  });
+  return count;
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Dashboard
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Current limiter state for the dashboard.
+ *
+ * @param {string} shop
+ * @returns {Promise<{ active: number, maxConcurrentCalls: number, lastMinute: number, maxCallsPerMinute: number, waiting: number }>}
+ */
+export async function getDialLimiterState(shop) {
+  const now = new Date();
+  const [config, active, lastMinute, waitingOrders, waitingCalls] = await Promise.all([
+    getShopConfig(shop),
+    prisma.dialSlot.count({ where: activeSlotsWhere(shop, now) }),
+    prisma.dialSlot.count({
+      where: { shop, startedAt: { gt: new Date(now.getTime() - RATE_WINDOW_MS) } },
+    }),
+    prisma.callLog.count({
+      where: { shop, status: "RETRY_SCHEDULED", failureReason: DIAL_LIMIT_REASON },
+    }),
+    prisma.customerCall.count({
+      where: { shop, status: { in: ["pending", "retrying"] }, failureReason: DIAL_LIMIT_REASON },
+    }),
+  ]);
+
+  return {
+    ...getDialLimits(config),
+    active,
+    lastMinute,
+    waiting: waitingOrders + waitingCalls,
+  };
+}
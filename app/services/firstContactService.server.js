@@ -0,0 +1,172 @@
+/**
+ * First Contact Service
+ *
+ * Starts the confirmation flow for a freshly created COD order:
+ *   - WhatsApp enabled  → send the WhatsApp message, mark CallLog WHATSAPP_SENT
+ *                         (falls back to an AI call if the send fails).
+ *   - WhatsApp disabled → dial the customer straight away.
+ *   - riskPath "call"   → dial even when WhatsApp is enabled.
+ *
+ * Runs as an ORDER_FIRST_CONTACT job — enqueued by the orders/create webhook
+ * for "immediate" orders and by the order sweep once a delayed first contact
+ * (AppConfig.initialDelay) falls due.
+ */
+
+import prisma from "../db.server.js";
+import {
+  CALL_INTENT,
+  CALL_STATUS,
+  deferCallLog,
+  handleCallResult,
+  parkOverQuotaCallLog,
+  setCallLogInProgress,
+  updateCallLogVapiId,
+} from "./orderCallService.server.js";
+import {
+  triggerOrderConfirmationCall,
+  isPermanentOrderVapiError,
+} from "./vapiOrderService.server.js";
+import { isCallingWindowError } from "./callingWindow.server.js";
+import { isDialLimitError } from "./dialLimiterService.server.js";
+import { isQuotaExceededError } from "./billingService.server.js";
+import { recordOrderEvent } from "./orderEventService.server.js";
+import { sendWhatsAppFallback } from "../utils/whatsappFallback.server.js";
+import {
+  ORDER_EVENT_TYPE,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+  RISK_PATH,
+} from "../constants.js";
+
+/**
+ * Dial the customer for the given order and map trigger failures onto the
+ * usual retry / wrong-number outcomes. Outside calling hours, or over the
+ * shop's dial limits, the call is deferred to the next allowed slot instead;
+ * over the minute quota it goes to WhatsApp or waits (parkOverQuotaCallLog).
+ *
+ * @param {object} order
+ * @param {object} callLog
+ * @param {object} [opts]
+ * @param {string} [opts.orderId]         - Order number to speak (defaults to shopifyOrderId)
+ * @param {string} [opts.overrideBaseUrl] - Public origin for the Vapi webhook
+ * @param {string} [opts.actor]           - EVENT_ACTOR for the order history
+ */
+export async function initiateCallFlow(
+  order,
+  callLog,
+  { orderId, overrideBaseUrl, actor = EVENT_ACTOR.WEBHOOK } = {},
+) {
+  try {
+    await setCallLogInProgress(callLog.id);
+
+    const vapiRes = await triggerOrderConfirmationCall({
+      shop: order.shop,
+      callLogId: callLog.id,
+      customerName: order.customerName,
+      phoneNumber: order.phoneNumber,
+      storeName: order.storeName,
+      orderId: orderId ?? order.shopifyOrderId,
+      totalPrice: order.totalPrice,
+      address: order.correctedAddress || order.address,
+      lineItems: order.lineItems,
+      overrideBaseUrl,
+    });
+
+    if (vapiRes?.id) {
+      await updateCallLogVapiId(callLog.id, vapiRes.id);
+    }
+
+    console.log(
+      `[FirstContact] Dial started orderId=${order.id} callLogId=${
+        callLog.id
+      } vapiCallId=${vapiRes?.id ?? "n/a"}`,
+    );
+  } catch (err) {
+    if (isCallingWindowError(err) || isDialLimitError(err)) {
+      await deferCallLog(callLog.id, err.deferUntil, { actor, reason: err.reason });
+      return;
+    }
+
+    if (isQuotaExceededError(err)) {
+      await parkOverQuotaCallLog(callLog.id, err, { actor });
+      return;
+    }
+
+    console.error(
+      `[FirstContact] triggerOrderConfirmationCall failed orderId=${order.id}`,
+      err,
+    );
+
+    let intent = CALL_INTENT.RECALL_REQUEST;
+    if (isPermanentOrderVapiError(err)) {
+      const reason = String(err?.message ?? "").toLowerCase();
+      if (reason.includes("wrong number") || reason.includes("invalid")) {
+        intent = CALL_INTENT.WRONG_NUMBER;
+      }
+    }
+
+    await handleCallResult(order.id, intent, {
+      callLogId: callLog.id,
+      failureReason: err.message,
+      actor,
+    }).catch((e) =>
+      console.error("[FirstContact] handleCallResult failed", e),
+    );
+  }
+}
+
+/**
+ * Send the first WhatsApp message (or dial, when WhatsApp is off) for an order.
+ *
+ * @param {object} order
+ * @param {object} callLog
+ * @param {object} [opts]
+ * @param {object} [opts.config]          - The order's shop AppConfig (whatsappEnabled)
+ * @param {string} [opts.orderId]         - Order number to speak on the call
+ * @param {string} [opts.overrideBaseUrl] - Public origin for the Vapi webhook
+ * @param {string} [opts.actor]           - EVENT_ACTOR for the order history
+ */
+export async function startFirstContact(
+  order,
+  callLog,
+  { config, orderId, overrideBaseUrl, actor = EVENT_ACTOR.WEBHOOK } = {},
+) {
+  const whatsappEnabled = config?.whatsappEnabled ?? true;
+
+  // Risk path CALL dials even with WhatsApp on. WHATSAPP needs nothing here —
+  // it only stops the unanswered message from falling back to a call.
+  if (!whatsappEnabled || order.riskPath === RISK_PATH.CALL) {
+    await initiateCallFlow(order, callLog, { orderId, overrideBaseUrl, actor });
+    return;
+  }
+
+  try {
+    await prisma.callLog.update({
+      where: { id: callLog.id },
+      data: {
+        status: CALL_STATUS.WHATSAPP_SENT,
+        whatsappSentAt: new Date(),
+        nextRetryAt: null,
+        lockedAt: null,
+      },
+    });
+
+    await sendWhatsAppFallback({ ...callLog, order });
+    await recordOrderEvent({
+      orderId: order.id,
+      callLogId: callLog.id,
+      type: ORDER_EVENT_TYPE.WHATSAPP_SENT,
+      channel: EVENT_CHANNEL.WHATSAPP,
+      actor,
+      message: "WhatsApp confirmation sent",
+    });
+
+    console.log(`[FirstContact] WhatsApp flow initiated for orderId=${order.id}`);
+  } catch (err) {
+    console.error(
+      `[FirstContact] WhatsApp flow failed for orderId=${order.id}, falling back to call`,
+      err,
+    );
+    await initiateCallFlow(order, callLog, { orderId, overrideBaseUrl, actor });
+  }
+}
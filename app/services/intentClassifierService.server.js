@@ -0,0 +1,474 @@
+/**
+ * Intent Classifier Service
+ *
+ * Reads the customer's answer from an order confirmation call's transcript —
+ * the fallback when the assistant's structured output named no intent
+ * (orderVapiWebhook, getVapiCallIntent).
+ *
+ * INPUT
+ * ─────
+ *  Speaker turns ({ role, text }, as extractCallArtifacts returns them) or
+ *  Vapi's transcript text ("AI: …\nUser: …"). Only the customer's turns are
+ *  read — the assistant asking "confirm or cancel?" is not an answer. Text
+ *  without speaker labels is read as the customer's, at a lower confidence.
+ *
+ * RESULT
+ * ──────
+ *  intent       best-scoring intent (an ASSISTANT_INTENT_MAP key), or null
+ *               when nothing the customer said points anywhere
+ *  confidence   0–1: the intent's share of all evidence, scaled down when
+ *               the evidence is thin (a lone "ok")
+ *  needsReview  an answer below the confidence threshold, or only hedging
+ *               ("pata nahi") — the order goes to manual review instead of
+ *               being guessed
+ *  language     hindi | gujarati | hinglish | english
+ *  scores, evidence — what matched, for logs and the accuracy report
+ *
+ * LEXICON CLASSIFIER
+ * ──────────────────
+ *  Each customer turn is split into clauses and matched longest-phrase-first
+ *  against intentLexicons; negation swaps confirm and cancel, and a bare
+ *  yes / no is read against the assistant's preceding question. Later
+ *  clauses and turns weigh more, since customers correct themselves ("no no,
+ *  I want it, haan"). An explicit correction ("actually no, keep it", "no
+ *  wait, I want it") cuts everything said before it down further, and the
+ *  "no" that takes back a cancel is not read as another cancel.
+ *
+ * OTHER CLASSIFIERS
+ * ─────────────────
+ *  registerIntentClassifier(name, fn) adds one and INTENT_CLASSIFIER picks it
+ *  (default "lexicon"). fn(turns) returns { intent, confidence, language,
+ *  scores, evidence }, sync or async.
+ *
+ * Accuracy on the labelled transcript corpus: `npm run intent:accuracy`.
+ */
+
+import { INTENT_LEXICONS } from "./intentLexicons.server.js";
+
+export const DEFAULT_INTENT_CLASSIFIER = "lexicon";
+export const MIN_INTENT_CONFIDENCE = 0.6;
+
+const ANSWER_INTENTS = ["confirm", "cancel", "wrong_number", "recall_request"];
+const UNSURE = "unsure";
+const OPPOSITE = { confirm: "cancel", cancel: "confirm" };
+
+const MAX_PHRASE_WORDS = 5;
+const NEGATE_BEFORE_WORDS = 3;
+const NEGATE_AFTER_WORDS = 2;
+const TURN_DECAY = 0.75;           // each earlier customer turn
+const CLAUSE_DECAY = 0.85;         // each earlier clause of a turn
+const PARTICLE_WITH_CONTENT = 0.5; // "no" in a turn that also says "I want it"
+const CORRECTION_DISCOUNT = 0.3;   // everything said before "actually no, …"
+const CORRECTION_WORDS = 3;        // a correction word opens its clause
+const MARKER_WEIGHT = 0.5;         // "hai", "karo" towards Hinglish
+const FULL_EVIDENCE = 1;           // below this the confidence is scaled down
+const UNLABELLED_PENALTY = 0.9;    // transcript without speaker labels
+
+const SPEAKER = {
+  assistant: "assistant",
+  bot: "assistant",
+  ai: "assistant",
+  agent: "assistant",
+  user: "customer",
+  customer: "customer",
+  human: "customer",
+};
+const SPEAKER_LABEL = /^\s*(ai|assistant|bot|agent|user|customer|human)\s*:\s*/i;
+const CLAUSE_BREAK = /[,.;:!?।॥\n]+/u;
+const NON_WORD = /[^\p{L}\p{M}\p{N}'\s]+/gu;
+const GUJARATI_SCRIPT = /[\u0A80-\u0AFF]/;
+const DEVANAGARI_SCRIPT = /[\u0900-\u097F]/;
+
+function normalise(text) {
+  return String(text ?? "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(NON_WORD, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// ─── Input ────────────────────────────────────────────────────────────────────
+
+/**
+ * Speaker turns from turn objects or transcript text.
+ *
+ * @param {Array<{ role: string, text?: string, message?: string, content?: string }> | string} source
+ * @returns {{ turns: Array<{ role: "assistant" | "customer", text: string }>, labelled: boolean }}
+ */
+export function toTurns(source) {
+  if (Array.isArray(source)) {
+    const turns = source
+      .map((t) => ({
+        role: SPEAKER[String(t?.role ?? "").toLowerCase()],
+        text: String(t?.text ?? t?.message ?? t?.content ?? "").trim(),
+      }))
+      .filter((t) => t.role && t.text);
+    return { turns, labelled: true };
+  }
+  if (typeof source !== "string" || !source.trim()) return { turns: [], labelled: true };
+
+  const turns = [];
+  for (const line of source.split(/\n+/)) {
+    const label = line.match(SPEAKER_LABEL);
+    if (label) {
+      turns.push({ role: SPEAKER[label[1].toLowerCase()], text: line.slice(label[0].length) });
+    } else if (turns.length) {
+      turns[turns.length - 1].text += `\n${line}`;
+    }
+  }
+  if (turns.length === 0) return { turns: [{ role: "customer", text: source }], labelled: false };
+  return { turns, labelled: true };
+}
+
+// ─── Lexicon classifier ───────────────────────────────────────────────────────
+
+function buildIndex(lexicons) {
+  const index = {
+    phrases: new Map(),
+    before: new Set(),
+    after: new Set(),
+    closings: new Set(),
+    standalone: new Set(),
+    corrections: new Set(),
+    contrasts: new Set(),
+    markers: new Map(),
+  };
+  const addPhrases = (language, groups, particle) => {
+    for (const [intent, list] of Object.entries(groups ?? {})) {
+      for (const [text, weight] of Object.entries(list)) {
+        const phrase = normalise(text);
+        // First language to list a phrase owns it.
+        if (!index.phrases.has(phrase)) {
+          index.phrases.set(phrase, { phrase, intent, weight, language, particle });
+        }
+      }
+    }
+  };
+  const addWords = (set, words) => words?.forEach((w) => set.add(normalise(w)));
+
+  for (const [language, lexicon] of Object.entries(lexicons)) {
+    addPhrases(language, lexicon.phrases, false);
+    addPhrases(language, lexicon.particles, true);
+    addWords(index.before, lexicon.negators?.before);
+    addWords(index.after, lexicon.negators?.after);
+    addWords(index.closings, lexicon.closings);
+    addWords(index.standalone, lexicon.standalone);
+    addWords(index.corrections, lexicon.corrections);
+    addWords(index.contrasts, lexicon.contrasts);
+    lexicon.markers?.forEach((w) => index.markers.set(normalise(w), language));
+  }
+  return index;
+}
+
+function matchPhrases(words, index) {
+  const matches = [];
+  for (let i = 0; i < words.length; ) {
+    let found = null;
+    for (let len = Math.min(MAX_PHRASE_WORDS, words.length - i); len > 0 && !found; len--) {
+      const entry = index.phrases.get(words.slice(i, i + len).join(" "));
+      if (entry) found = { ...entry, start: i, end: i + len };
+    }
+    if (found) {
+      matches.push(found);
+      i = found.end;
+    } else {
+      i += 1;
+    }
+  }
+  return matches;
+}
+
+/**
+ * The negator acting on `match`, if any. A negator word may stand alone or be
+ * a particle ("nahi"), which it then replaces; the search stops at the next
+ * content phrase.
+ */
+function findNegator(words, matches, match, index) {
+  const at = (i) => matches.find((m) => i >= m.start && i < m.end) ?? null;
+  const check = (i, negators) => {
+    const covering = at(i);
+    if (covering && !covering.particle) return { stop: true };
+    if (!negators.has(words[i])) return null;
+    return { negator: { word: words[i], particle: covering } };
+  };
+
+  for (let i = match.start - 1; i >= Math.max(0, match.start - NEGATE_BEFORE_WORDS); i--) {
+    const hit = check(i, index.before);
+    if (hit?.stop) break;
+    if (hit) return hit.negator;
+  }
+  for (let i = match.end; i < Math.min(words.length, match.end + NEGATE_AFTER_WORDS); i++) {
+    const hit = check(i, index.after);
+    if (hit?.stop) break;
+    if (hit) return hit.negator;
+  }
+  return null;
+}
+
+// "cancel but I'll keep it" is two clauses; the "but" opens the second.
+function splitAtContrasts(words, index) {
+  const parts = [[]];
+  for (const word of words) {
+    if (index.contrasts.has(word) && parts[parts.length - 1].length > 0) parts.push([]);
+    parts[parts.length - 1].push(word);
+  }
+  return parts;
+}
+
+function clausesOf(text, index) {
+  return text
+    .split(CLAUSE_BREAK)
+    .flatMap((c) => splitAtContrasts(normalise(c).split(" ").filter(Boolean), index))
+    .filter((words) => words.length > 0)
+    .map((words) => ({ words, matches: matchPhrases(words, index) }));
+}
+
+/**
+ * "confirm" or "cancel" when the assistant's turn asks about exactly one of
+ * them — a bare "yes" to "Should I cancel?" means cancel.
+ */
+function askedIntent(turn, index) {
+  const asked = new Set();
+  for (const { matches } of clausesOf(turn.text, index)) {
+    for (const m of matches) {
+      if (!m.particle && OPPOSITE[m.intent]) asked.add(m.intent);
+    }
+  }
+  return asked.size === 1 ? [...asked][0] : null;
+}
+
+/**
+ * @param {{ words: string[], matches: object[] }} clause
+ * @param {object} ctx
+ * @param {boolean} ctx.turnHasContent - particles count half ("no no, I want it")
+ * @param {string | null} ctx.asked    - askedIntent of the assistant's last turn
+ * @param {boolean} ctx.retracting     - the clause takes back a cancel; its
+ *                                       "no" is not another cancel
+ */
+function scoreClause({ words, matches }, index, { turnHasContent, asked, retracting }) {
+  const closing = words.some((w) => index.closings.has(w));
+
+  const negatedBy = new Map();
+  const usedAsNegator = new Set();
+  for (const m of matches) {
+    if (m.particle || m.intent === UNSURE) continue;
+    const negator = findNegator(words, matches, m, index);
+    if (!negator) continue;
+    negatedBy.set(m, negator.word);
+    if (negator.particle) usedAsNegator.add(negator.particle);
+  }
+
+  const hits = new Map();
+  for (const m of matches) {
+    if (usedAsNegator.has(m)) continue;
+    if (m.particle) {
+      if (closing) continue;
+      // "awaaz nahi aa rahi" — mid-sentence, not an answer.
+      if (m.start > 0 && m.end < words.length) continue;
+      if (index.standalone.has(m.phrase) && words.some((w) => w !== m.phrase)) continue;
+      if (retracting && m.intent === "cancel") continue;
+    }
+
+    const negated = negatedBy.has(m);
+    const flipped = negated || (m.particle && asked === "cancel");
+    const intent = flipped ? OPPOSITE[m.intent] : m.intent;
+    if (!intent) continue;
+
+    // "no no" is one answer, not two.
+    const key = `${intent}:${m.phrase}`;
+    if (hits.has(key)) continue;
+    hits.set(key, {
+      intent,
+      phrase: m.phrase,
+      language: m.language,
+      negated,
+      weight: m.particle && turnHasContent ? m.weight * PARTICLE_WITH_CONTENT : m.weight,
+    });
+  }
+  return [...hits.values()];
+}
+
+/**
+ * True when the clause takes back what came before: it opens with a
+ * correction word ("actually no, keep it") or a "but", or it is a bare "no" after a
+ * cancel with the real answer still to come in the turn ("cancel. no, I want
+ * it").
+ */
+function isCorrection(clause, index, { cancelledBefore, contentAfter }) {
+  if (index.contrasts.has(clause.words[0])) return true;
+  if (clause.words.slice(0, CORRECTION_WORDS).some((w) => index.corrections.has(w))) return true;
+  const [first] = clause.matches;
+  return Boolean(
+    cancelledBefore && contentAfter && first?.particle && first.start === 0 && first.intent === "cancel",
+  );
+}
+
+function detectLanguage(turns, byLanguage, index) {
+  const text = turns.map((t) => t.text).join(" ");
+  if (GUJARATI_SCRIPT.test(text)) return "gujarati";
+  if (DEVANAGARI_SCRIPT.test(text)) return "hindi";
+  if (!text.trim()) return null;
+
+  // Romanised Hindi / Gujarati speakers still say "cancel" and "confirm", so
+  // any non-English evidence decides — intent words first, then function
+  // words ("cancel mat karo").
+  const romanised = { ...byLanguage };
+  for (const word of normalise(text).split(" ")) {
+    const language = index.markers.get(word);
+    if (language) romanised[language] = (romanised[language] ?? 0) + MARKER_WEIGHT;
+  }
+  const ranked = ["hinglish", "gujarati"]
+    .filter((l) => romanised[l] > 0)
+    .sort((a, b) => romanised[b] - romanised[a]);
+  return ranked[0] ?? "english";
+}
+
+/**
+ * Classifier over a set of lexicons (INTENT_LEXICONS by default).
+ *
+ * @param {object} [lexicons]
+ * @returns {(turns: Array<{ role: string, text: string }>) => object}
+ */
+export function createLexiconClassifier(lexicons = INTENT_LEXICONS) {
+  const index = buildIndex(lexicons);
+
+  return (turns) => {
+    const customer = turns.filter((turn) => turn.role === "customer");
+    const evidence = [];
+
+    let asked = null;
+    let t = -1;
+    for (const turn of turns) {
+      if (turn.role !== "customer") {
+        asked = askedIntent(turn, index);
+        continue;
+      }
+      t += 1;
+      const turnWeight = TURN_DECAY ** (customer.length - 1 - t);
+      const clauses = clausesOf(turn.text, index);
+      const turnHasContent = clauses.some(({ matches }) => matches.some((m) => !m.particle));
+
+      clauses.forEach((clause, c) => {
+        const weight = turnWeight * CLAUSE_DECAY ** (clauses.length - 1 - c);
+        const cancelledBefore = evidence.some((e) => e.intent === "cancel");
+        const contentAfter = clauses
+          .slice(c + 1)
+          .some(({ matches }) => matches.some((m) => !m.particle));
+        const correction = isCorrection(clause, index, { cancelledBefore, contentAfter });
+        if (correction) {
+          for (const e of evidence) e.score *= CORRECTION_DISCOUNT;
+        }
+
+        const retracting = correction && cancelledBefore;
+        for (const hit of scoreClause(clause, index, { turnHasContent, asked, retracting })) {
+          evidence.push({
+            turn: t,
+            phrase: hit.phrase,
+            intent: hit.intent,
+            language: hit.language,
+            negated: hit.negated,
+            score: hit.weight * weight,
+          });
+        }
+      });
+    }
+
+    const scores = Object.fromEntries([...ANSWER_INTENTS, UNSURE].map((i) => [i, 0]));
+    const byLanguage = {};
+    for (const e of evidence) {
+      scores[e.intent] += e.score;
+      byLanguage[e.language] = (byLanguage[e.language] ?? 0) + e.score;
+    }
+
+    const language = detectLanguage(customer, byLanguage, index);
+    const [intent, top] = ANSWER_INTENTS.map((i) => [i, scores[i]]).sort((a, b) => b[1] - a[1])[0];
+    const total = Object.values(scores).reduce((sum, s) => sum + s, 0);
+    const rounded = Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, round(v)]));
+    const reported = evidence.map(({ turn, phrase, intent, negated, score }) => ({
+      turn,
+      phrase,
+      intent,
+      negated,
+      score: round(score),
+    }));
+
+    if (top <= 0) return { intent: null, confidence: 0, language, scores: rounded, evidence: reported };
+    return {
+      intent,
+      confidence: (top / total) * Math.min(1, top / FULL_EVIDENCE),
+      language,
+      scores: rounded,
+      evidence: reported,
+    };
+  };
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+const classifiers = new Map([[DEFAULT_INTENT_CLASSIFIER, createLexiconClassifier()]]);
+
+/**
+ * Make a classifier selectable through INTENT_CLASSIFIER or `opts.classifier`.
+ *
+ * @param {string} name
+ * @param {(turns: Array<{ role: string, text: string }>) => object | Promise<object>} classify
+ */
+export function registerIntentClassifier(name, classify) {
+  if (!name || typeof classify !== "function") {
+    throw new Error("registerIntentClassifier needs a name and a function");
+  }
+  classifiers.set(name, classify);
+}
+
+function confidenceThreshold() {
+  const value = Number(process.env.INTENT_MIN_CONFIDENCE);
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : MIN_INTENT_CONFIDENCE;
+}
+
+/**
+ * Classify the customer's answer on a call.
+ *
+ * @param {Array<object> | string} source - speaker turns or transcript text
+ * @param {object} [opts]
+ * @param {string} [opts.classifier]    - registered name; INTENT_CLASSIFIER by default
+ * @param {number} [opts.minConfidence] - below it the result needs review
+ * @returns {Promise<{ intent: string | null, confidence: number, needsReview: boolean, language: string | null, scores: object, evidence: object[], speakerLabelled: boolean, classifier: string }>}
+ */
+export async function classifyCallIntent(
+  source,
+  {
+    classifier = process.env.INTENT_CLASSIFIER || DEFAULT_INTENT_CLASSIFIER,
+    minConfidence = confidenceThreshold(),
+  } = {},
+) {
+  let name = classifier;
+  if (!classifiers.has(name)) {
+    console.warn(`[IntentClassifier] Unknown classifier "${name}" — using ${DEFAULT_INTENT_CLASSIFIER}`);
+    name = DEFAULT_INTENT_CLASSIFIER;
+  }
+
+  const { turns, labelled } = toTurns(source);
+  const result = await classifiers.get(name)(turns);
+  const intent = result?.intent ?? null;
+  const raw = Number(result?.confidence) || 0;
+  const confidence = round(labelled ? raw : raw * UNLABELLED_PENALTY);
+  // "Pata nahi, shayad" — the customer answered, just not clearly.
+  const hedged = Number(result?.scores?.[UNSURE]) > 0;
+
+  return {
+    intent,
+    confidence,
+    needsReview: (intent !== null || hedged) && confidence < minConfidence,
+    language: result?.language ?? null,
+    scores: result?.scores ?? {},
+    evidence: result?.evidence ?? [],
+    speakerLabelled: labelled,
+    classifier: name,
+  };
+}
@@ -0,0 +1,410 @@
+/**
+ * Intent Lexicons
+ *
+ * What customers say on order confirmation calls, per language, for the
+ * lexicon classifier (intentClassifierService). Weights are how strongly a
+ * phrase alone points at its intent — 1 is an unambiguous answer, wrong-number
+ * phrases sit above 1 so a single mention outweighs small talk.
+ *
+ * SHAPE
+ * ─────
+ *  phrases    content phrases per intent — "i want it", "cancel kar do"
+ *  particles  short answers per intent — "yes", "haan", "theek hai", "no",
+ *             "nahi". Read against the assistant's question (a "yes" to
+ *             "Should I cancel?" is a cancel), worth half when the customer's
+ *             turn also has a content phrase ("no no, I want it"), never
+ *             negated, and ignored mid-sentence ("awaaz nahi aa rahi") or
+ *             next to a closing word ("ok thank you").
+ *  negators   before: negate a confirm / cancel phrase up to 3 words later
+ *                     ("don't cancel", "mat bhejo")
+ *             after:  negate one up to 2 words earlier ("cancel mat karo",
+ *                     "કેન્સલ ના કરો")
+ *             Negation swaps confirm and cancel; a negated wrong-number or
+ *             call-back phrase is dropped.
+ *  closings   thank-you / goodbye words
+ *  corrections words that take back what came before ("actually no, keep
+ *             it", "ruko, bhej do") — earlier evidence counts far less, and
+ *             a "no" that takes back a cancel is not itself a cancel
+ *  contrasts  "but" words — start a new clause that corrects the one before
+ *             ("I was going to cancel but I'll keep it")
+ *  markers    common romanised function words ("hai", "karo", "che") that
+ *             tell Hinglish and romanised Gujarati from English when the
+ *             intent words are English ("cancel mat karo")
+ *  standalone particles that only count as a whole clause — "na" is also
+ *             Hinglish's tag question ("theek hai na?")
+ *
+ * Intents are the lowercase names of ASSISTANT_INTENT_MAP, plus `unsure`
+ * ("pata nahi", "let me think") which never wins but lowers the confidence
+ * of whatever does.
+ *
+ * Text is matched lowercased and NFC-normalised, word by word; punctuation
+ * splits clauses.
+ */
+
+export const INTENT_LEXICONS = {
+  hindi: {
+    phrases: {
+      confirm: {
+        "बिल्कुल": 0.8,
+        "पक्का": 0.8,
+        "चाहिए": 0.8,
+        "मुझे चाहिए": 1,
+        "भेज दो": 0.9,
+        "भेज दीजिए": 0.9,
+        "भेजो": 0.8,
+        "ले लूंगा": 0.9,
+        "ले लूँगा": 0.9,
+        "ले लूंगी": 0.9,
+        "कन्फर्म": 1,
+        "कन्फर्म कर दो": 1.1,
+        "रख लो": 0.9,
+        "रख लूंगा": 1,
+        "रख लूंगी": 1,
+        "रखना है": 1,
+      },
+      cancel: {
+        "नहीं चाहिए": 1.1,
+        "नही चाहिए": 1.1,
+        "अभी नहीं चाहिए": 1.1,
+        "कैंसल": 1,
+        "कैंसिल": 1,
+        "कैंसल कर दो": 1.1,
+        "कैंसिल कर दो": 1.1,
+        "रद्द": 1,
+        "रद्द कर दो": 1.1,
+        "मत भेजो": 1.1,
+        "रहने दो": 0.9,
+        "ज़रूरत नहीं": 1,
+        "जरूरत नहीं": 1,
+        "ऑर्डर नहीं किया": 1.1,
+      },
+      wrong_number: {
+        "गलत नंबर": 1.5,
+        "ग़लत नंबर": 1.5,
+        "रॉन्ग नंबर": 1.5,
+      },
+      recall_request: {
+        "बाद में": 0.8,
+        "बाद में कॉल": 1,
+        "बाद में फोन": 1,
+        "अभी नहीं": 0.8,
+        "अभी व्यस्त": 1,
+        "अभी बिज़ी": 1,
+        "कल कॉल": 1,
+      },
+      unsure: {
+        "पता नहीं": 1,
+        "शायद": 0.6,
+        "सोच के": 0.8,
+        "सोचना पड़ेगा": 1,
+      },
+    },
+    particles: {
+      confirm: {
+        "हाँ": 0.8,
+        "हां": 0.8,
+        "हाँ जी": 0.9,
+        "हां जी": 0.9,
+        "जी हाँ": 0.9,
+        "जी हां": 0.9,
+        "जी": 0.3,
+        "ठीक है": 0.7,
+        "सही है": 0.6,
+      },
+      cancel: { "नहीं": 0.8, "नही": 0.8, "ना": 0.5 },
+    },
+    negators: { before: ["मत", "न", "ना"], after: ["नहीं", "नही", "मत"] },
+    closings: ["धन्यवाद", "शुक्रिया"],
+    corrections: ["रुको", "मतलब", "बल्कि"],
+    contrasts: ["लेकिन", "मगर"],
+    markers: [],
+    standalone: ["ना"],
+  },
+
+  gujarati: {
+    phrases: {
+      confirm: {
+        "ચોક્કસ": 0.8,
+        "જોઈએ": 0.8,
+        "જોઈએ છે": 0.9,
+        "મોકલી દો": 0.9,
+        "મોકલો": 0.8,
+        "કન્ફર્મ": 1,
+        "કન્ફર્મ કરો": 1.1,
+        chokkas: 0.8,
+        joie: 0.8,
+        joiye: 0.8,
+        "joie che": 0.9,
+        "mokli do": 0.9,
+        moklo: 0.8,
+      },
+      cancel: {
+        "નથી જોઈતું": 1.1,
+        "નથી જોઈએ": 1.1,
+        "જોઈતું નથી": 1.1,
+        "કેન્સલ": 1,
+        "કેન્સલ કરો": 1.1,
+        "કેન્સલ કરી દો": 1.1,
+        "રદ": 1,
+        "ના મોકલો": 1.1,
+        "nathi joitu": 1.1,
+        "joitu nathi": 1.1,
+        "na moklo": 1.1,
+        "cancel kari do": 1.1,
+        nako: 0.9,
+      },
+      wrong_number: {
+        "ખોટો નંબર": 1.5,
+        "khoto number": 1.5,
+      },
+      recall_request: {
+        "પછી": 0.5,
+        "પછી ફોન": 1,
+        "પછી કોલ": 1,
+        "હમણાં નહીં": 0.8,
+        "pachi call": 1,
+        "pachhi call": 1,
+        "pachi phone": 1,
+        "hamna nahi": 0.8,
+      },
+      unsure: {
+        "ખબર નથી": 1,
+        "કદાચ": 0.6,
+        "khabar nathi": 1,
+        kadach: 0.6,
+        "vichari ne": 0.8,
+      },
+    },
+    particles: {
+      confirm: {
+        "હા": 0.8,
+        "હા જી": 0.9,
+        "હાં": 0.8,
+        "બરાબર": 0.6,
+        "બરાબર છે": 0.7,
+        barabar: 0.6,
+        "barabar che": 0.7,
+      },
+      cancel: { "ના": 0.7, "નથી": 0.6, nathi: 0.6 },
+    },
+    negators: { before: ["ના"], after: ["નથી", "ના", "nathi"] },
+    closings: ["આભાર", "aabhar", "abhar"],
+    corrections: ["ઉભા", "ખરેખર", "ubha"],
+    contrasts: ["પરંતુ", "parantu"],
+    markers: ["che", "chhe", "mane", "tame", "hu", "su", "kem", "karjo", "kari", "nathi", "joitu", "joie"],
+    standalone: [],
+  },
+
+  hinglish: {
+    phrases: {
+      confirm: {
+        bilkul: 0.8,
+        pakka: 0.8,
+        chahiye: 0.8,
+        "mujhe chahiye": 1,
+        "order chahiye": 1,
+        "bhej do": 0.9,
+        "bhej dijiye": 0.9,
+        bhejo: 0.8,
+        "le lunga": 0.9,
+        "le lungi": 0.9,
+        "rakh lo": 0.7,
+        "rakh lunga": 1,
+        "rakh lungi": 1,
+        "rakhna hai": 1,
+        "confirm kar do": 1.1,
+        "confirm karo": 1.1,
+        "order kar do": 1,
+        "deliver kar do": 1,
+      },
+      cancel: {
+        "nahi chahiye": 1.1,
+        "nahin chahiye": 1.1,
+        "nai chahiye": 1.1,
+        "abhi nahi chahiye": 1.1,
+        "order nahi chahiye": 1.2,
+        "mat bhejo": 1.1,
+        "mat bhejna": 1.1,
+        "cancel kar do": 1.1,
+        "cancel kardo": 1.1,
+        "cancel karo": 1.1,
+        "cancel kar dijiye": 1.1,
+        "rehne do": 0.9,
+        "rahne do": 0.9,
+        "zarurat nahi": 1,
+        "jarurat nahi": 1,
+        "nahi lena": 1,
+        "nahi lunga": 1,
+        "nahi lungi": 1,
+        "order nahi kiya": 1.1,
+        "maine order nahi kiya": 1.2,
+      },
+      wrong_number: {
+        "galat number": 1.5,
+        "number galat": 1.3,
+      },
+      recall_request: {
+        "baad mein": 0.8,
+        "baad me": 0.8,
+        "baad mein call": 1,
+        "baad me call": 1,
+        "abhi nahi": 0.8,
+        "abhi busy": 1,
+        "busy hoon": 1,
+        "busy hu": 1,
+        "kal call": 1,
+        "thodi der baad": 1,
+        "shaam ko call": 0.9,
+      },
+      unsure: {
+        "pata nahi": 1,
+        shayad: 0.6,
+        "soch ke": 0.8,
+        "sochna padega": 1,
+        "puch ke batata": 1,
+        "puch ke bataungi": 1,
+      },
+    },
+    particles: {
+      confirm: {
+        haan: 0.8,
+        haa: 0.7,
+        han: 0.7,
+        ha: 0.55,
+        haanji: 0.9,
+        hanji: 0.9,
+        "haan ji": 0.9,
+        "ji haan": 0.9,
+        ji: 0.3,
+        "theek hai": 0.7,
+        "thik hai": 0.7,
+        "thik h": 0.6,
+        "sahi hai": 0.6,
+        accha: 0.4,
+        acha: 0.4,
+      },
+      cancel: { nahi: 0.8, nahin: 0.8, nai: 0.6, na: 0.5 },
+    },
+    negators: { before: ["mat", "na"], after: ["nahi", "nahin", "nai", "mat"] },
+    closings: ["dhanyavad", "dhanyawad", "shukriya"],
+    corrections: ["ruko", "matlab", "balki"],
+    contrasts: ["lekin", "magar"],
+    markers: [
+      "hai",
+      "hain",
+      "karo",
+      "kar",
+      "karna",
+      "mat",
+      "mujhe",
+      "main",
+      "aap",
+      "kya",
+      "bhai",
+      "dijiye",
+      "abhi",
+      "wala",
+      "gaya",
+      "raha",
+      "rahi",
+    ],
+    standalone: ["na"],
+  },
+
+  english: {
+    phrases: {
+      confirm: {
+        confirm: 1,
+        confirmed: 1,
+        "i confirm": 1,
+        "go ahead": 0.8,
+        "want it": 0.9,
+        "i want it": 1,
+        "want this": 0.9,
+        "want this order": 1,
+        "want the order": 1,
+        "keep it": 1,
+        "keep the order": 1,
+        "take it": 0.8,
+        "i'll take it": 0.9,
+        "don't want to cancel": 1.2,
+        "dont want to cancel": 1.2,
+        "do not want to cancel": 1.2,
+        "need it": 0.9,
+        "send it": 0.9,
+        "deliver it": 0.9,
+        "please deliver": 0.9,
+        "i ordered it": 0.8,
+        "i placed the order": 0.9,
+        interested: 0.6,
+        "of course": 0.7,
+        definitely: 0.7,
+      },
+      cancel: {
+        cancel: 1,
+        cancelled: 0.9,
+        "cancel it": 1,
+        "cancel the order": 1.1,
+        "changed my mind": 0.9,
+        "don't want": 1.1,
+        "dont want": 1.1,
+        "do not want": 1.1,
+        "no longer want": 1.1,
+        "don't need": 1,
+        "do not need": 1,
+        "no longer need": 1,
+        "not interested": 1,
+        "didn't order": 1.1,
+        "did not order": 1.1,
+        "never ordered": 1.1,
+      },
+      wrong_number: {
+        "wrong number": 1.5,
+        "wrong person": 1.3,
+      },
+      recall_request: {
+        busy: 0.8,
+        later: 0.5,
+        "call later": 1,
+        "call me later": 1,
+        "call back": 1,
+        "call me back": 1,
+        "not now": 0.8,
+        "in a meeting": 0.8,
+        driving: 0.6,
+      },
+      unsure: {
+        "not sure": 1,
+        "i don't know": 1,
+        maybe: 0.6,
+        "let me think": 1,
+        "let me check": 0.8,
+      },
+    },
+    particles: {
+      confirm: {
+        yes: 0.8,
+        yeah: 0.7,
+        yep: 0.7,
+        yup: 0.7,
+        sure: 0.6,
+        ok: 0.35,
+        okay: 0.35,
+        alright: 0.4,
+        fine: 0.4,
+        "that's right": 0.6,
+        correct: 0.6,
+      },
+      cancel: { no: 0.7, nope: 0.7 },
+    },
+    negators: {
+      before: ["not", "don't", "dont", "didn't", "never", "won't", "can't", "cannot"],
+      after: [],
+    },
+    closings: ["thanks", "thank", "bye", "goodbye"],
+    corrections: ["actually", "wait", "sorry", "rather", "instead"],
+    contrasts: ["but"],
+    markers: [],
+    standalone: [],
+  },
+};
@@ -0,0 +1,246 @@
+/**
+ * Job Queue Service — durable, Postgres-backed work queue.
+ *
+ * Replaces the in-process setInterval / node-cron pollers: every dial, retry,
+ * WhatsApp send, reminder and timeout is a Job row, so work survives restarts
+ * and any number of workers can share the table.
+ *
+ * STATUS LIFECYCLE
+ * ────────────────
+ *  pending → running → done
+ *                    ↘ pending (failed, runAt pushed out with backoff)
+ *                    ↘ dead    (failed maxAttempts times — kept for inspection)
+ *
+ * CLAIMING
+ * ────────
+ *  claimJobs() takes due rows with `FOR UPDATE SKIP LOCKED`, so concurrent
+ *  workers never pick the same job. A claim is a lease (lockedUntil): a
+ *  worker that dies mid-job leaves its rows `running`, and they become
+ *  claimable again once the lease expires.
+ *
+ * DEDUPLICATION
+ * ─────────────
+ *  enqueueJob() with a dedupeKey is a no-op while a job with that key exists.
+ *  Periodic sweeps use "<type>:<interval bucket>" so each interval runs once
+ *  no matter how many workers are up.
+ *
+ * WORKER
+ * ──────
+ *  runJobWorker() loops claim → run handler → complete / fail and enqueues
+ *  the periodic sweeps. It runs in the separate worker process
+ *  (app/worker.server.js, `npm run worker`) or inline in the web server
+ *  (app/entry.server.jsx) unless JOB_WORKER=external.
+ */
+
+import os from "node:os";
+import prisma from "../db.server.js";
+import { JOB_TYPE } from "../constants.js";
+
+export const JOB_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  DONE: "done",
+  DEAD: "dead",
+};
+
+const LEASE_MS = 5 * 60 * 1000;       // a job must finish within its lease
+const POLL_MS = 2_000;                // idle wait between claims
+const CLAIM_LIMIT = 10;
+const BACKOFF_BASE_MS = 30_000;       // 30s, 1m, 2m, 4m … capped
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/** Periodic sweeps and how often each runs. */
+export const JOB_SWEEPS = [
+  { type: JOB_TYPE.REMINDER_SWEEP, everyMs: 10_000 },
+  { type: JOB_TYPE.ORDER_SWEEP, everyMs: 30_000 },
+  { type: JOB_TYPE.CUSTOMER_CALL_SWEEP, everyMs: 60_000 },
+  { type: JOB_TYPE.JOB_CLEANUP, everyMs: 60 * 60 * 1000 },
+];
+
+// ─── Enqueue ──────────────────────────────────────────────────────────────────
+
+/**
+ * Add a job to the queue.
+ *
+ * @param {string} type - JOB_TYPE
+ * @param {object} [payload]
+ * @param {object} [opts]
+ * @param {Date}   [opts.runAt]       - Not before this time (default: now)
+ * @param {string} [opts.dedupeKey]   - Skip when a job with this key exists
+ * @param {number} [opts.maxAttempts] - Dead-letter after this many failures
+ * @param {object} [tx] - Prisma transaction client, to enqueue atomically
+ * @returns {Promise<object | null>} The job, or null when deduplicated
+ */
+export async function enqueueJob(
+  type,
+  payload = {},
+  { runAt, dedupeKey, maxAttempts } = {},
+  tx = prisma,
+) {
+  const data = {
+    type,
+    payload,
+    runAt: runAt ?? new Date(),
+    dedupeKey: dedupeKey ?? null,
+    ...(maxAttempts ? { maxAttempts } : {}),
+  };
+  if (!dedupeKey) return tx.job.create({ data });
+
+  // INSERT … ON CONFLICT DO NOTHING. Catching the unique violation instead
+  // would leave `tx` unusable — Postgres aborts the whole transaction.
+  const { count } = await tx.job.createMany({ data: [data], skipDuplicates: true });
+  return count === 0 ? null : tx.job.findUnique({ where: { dedupeKey } });
+}
+
+// ─── Claim / complete / fail ──────────────────────────────────────────────────
+
+/**
+ * Lease up to `limit` due jobs for this worker.
+ *
+ * @param {string} workerId
+ * @param {object} [opts]
+ * @param {number} [opts.limit]
+ * @param {number} [opts.leaseMs]
+ */
+export async function claimJobs(workerId, { limit = CLAIM_LIMIT, leaseMs = LEASE_MS } = {}) {
+  const lockedUntil = new Date(Date.now() + leaseMs);
+
+  return prisma.$queryRaw`
+    UPDATE "Job"
+       SET "status" = ${JOB_STATUS.RUNNING},
+           "attempts" = "attempts" + 1,
+           "lockedBy" = ${workerId},
+           "lockedUntil" = ${lockedUntil},
+           "updatedAt" = NOW()
+     WHERE "id" IN (
+       SELECT "id" FROM "Job"
+        WHERE ("status" = ${JOB_STATUS.PENDING} AND "runAt" <= NOW())
+           OR ("status" = ${JOB_STATUS.RUNNING} AND "lockedUntil" < NOW())
+        ORDER BY "runAt" ASC
+        LIMIT ${limit}
+        FOR UPDATE SKIP LOCKED
+     )
+    RETURNING *`;
+}
+
+export async function completeJob(job) {
+  await prisma.job.update({
+    where: { id: job.id },
+    data: { status: JOB_STATUS.DONE, lockedBy: null, lockedUntil: null, lastError: null },
+  });
+}
+
+/**
+ * Record a failed run: back off and retry, or dead-letter once the job has
+ * used all its attempts.
+ */
+export async function failJob(job, err) {
+  const lastError = String(err?.stack ?? err?.message ?? err).slice(0, 2000);
+  const dead = job.attempts >= job.maxAttempts;
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(job.attempts - 1, 0), BACKOFF_MAX_MS);
+
+  await prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: dead ? JOB_STATUS.DEAD : JOB_STATUS.PENDING,
+      runAt: dead ? job.runAt : new Date(Date.now() + delay),
+      lockedBy: null,
+      lockedUntil: null,
+      lastError,
+    },
+  });
+
+  if (dead) {
+    console.error(
+      `[JobQueue] ☠️ Job ${job.id} (${job.type}) dead after ${job.attempts} attempt(s): ${err?.message ?? err}`,
+    );
+  } else {
+    console.warn(
+      `[JobQueue] Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed — retry in ${Math.round(delay / 1000)}s: ${err?.message ?? err}`,
+    );
+  }
+}
+
+/**
+ * Delete finished jobs older than `olderThanMs`. Dead jobs are kept.
+ */
+export async function pruneFinishedJobs(olderThanMs = 7 * 24 * 60 * 60 * 1000) {
+  const { count } = await prisma.job.deleteMany({
+    where: {
+      status: JOB_STATUS.DONE,
+      updatedAt: { lt: new Date(Date.now() - olderThanMs) },
+    },
+  });
+  if (count) console.log(`[JobQueue] Pruned ${count} finished job(s)`);
+  return count;
+}
+
+// ─── Worker ───────────────────────────────────────────────────────────────────
+
+async function runJob(job, handlers) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    // Retrying cannot help — dead-letter straight away.
+    await failJob({ ...job, attempts: job.maxAttempts }, new Error(`No handler for job type "${job.type}"`));
+    return;
+  }
+  if (job.attempts > job.maxAttempts) {
+    // Re-claimed after its lease expired on the last allowed attempt.
+    await failJob(job, new Error("Lease expired on final attempt"));
+    return;
+  }
+
+  try {
+    await handler(job.payload ?? {}, job);
+    await completeJob(job);
+  } catch (err) {
+    await failJob(job, err);
+  }
+}
+
+async function enqueueDueSweeps(lastBuckets) {
+  const now = Date.now();
+  for (const { type, everyMs } of JOB_SWEEPS) {
+    const bucket = Math.floor(now / everyMs);
+    if (lastBuckets.get(type) === bucket) continue;
+
+    await enqueueJob(type, {}, { dedupeKey: `${type}:${bucket}`, maxAttempts: 1 });
+    lastBuckets.set(type, bucket);
+  }
+}
+
+/**
+ * Process jobs until `signal` is aborted.
+ *
+ * @param {Record<string, (payload: object, job: object) => Promise<void>>} handlers - by JOB_TYPE
+ * @param {object} [opts]
+ * @param {string} [opts.workerId]
+ * @param {AbortSignal} [opts.signal]
+ */
+export async function runJobWorker(
+  handlers,
+  { workerId = `${os.hostname()}:${process.pid}`, signal } = {},
+) {
+  const lastBuckets = new Map();
+  console.log(`[JobQueue] 🚀 Worker ${workerId} started (${Object.keys(handlers).length} job types)`);
+
+  while (!signal?.aborted) {
+    let jobs = [];
+    try {
+      await enqueueDueSweeps(lastBuckets);
+      jobs = await claimJobs(workerId);
+    } catch (err) {
+      console.error("[JobQueue] ❌ Claim failed:", err.message);
+    }
+
+    for (const job of jobs) {
+      await runJob(job, handlers);
+    }
+
+    if (jobs.length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+    }
+  }
+
+  console.log(`[JobQueue] Worker ${workerId} stopped`);
+}
@@ -1,10 +1,36 @@
 import prisma from "../db.server.js";
-import { sendWhatsAppFallback } from "../utils/whatsappFallback.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import { recordOrderEvent } from "./orderEventService.server.js";
+import { refreshCustomerProfile } from "./customerProfileService.server.js";
+import { enqueueJob } from "./jobQueueService.server.js";
+import { releaseDialSlot } from "./dialLimiterService.server.js";
+import {
+  countUnansweredAttempts,
+  finishCallAttempt,
+} from "./callAttemptService.server.js";
+import {
+  isShopifyOutcomeStatus,
+  pushOutcomeToShopify,
+} from "./shopifyOrderService.server.js";
+import {
+  RETRY_CHANNEL,
+  computeRetryDelayMs,
+  getRetryPolicy,
+  isRetryLimitReached,
+  loadRetryPolicy,
+} from "./retryPolicy.server.js";
 import {
   ORDER_STATUS,
   ORDER_CALL_STATUS,
   CALL_INTENT,
   ORDER_MAX_RETRIES,
+  ORDER_EVENT_TYPE,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+  SHOPIFY_CLOSED_STATUS,
+  RISK_PATH,
+  JOB_TYPE,
+  OVER_QUOTA_ACTION,
 } from "../constants.js";
 
 const CALL_STATUS = ORDER_CALL_STATUS;
@@ -12,12 +38,12 @@ const MAX_RETRIES = ORDER_MAX_RETRIES;
 
 export { ORDER_STATUS, CALL_INTENT, CALL_STATUS, MAX_RETRIES };
 
-// Retry delay settings (can also be moved to DB in future)
-export const RETRY_DELAY_BUSY_MS = 5 * 60 * 1000;
-export const RETRY_DELAY_RECALL_MS = 5 * 60 * 1000;
-export const RETRY_DELAY_NO_RESPONSE_MS = 5 * 60 * 1000;
+// Retry delays and per-channel attempt limits live in retryPolicy.server.js.
 export const IN_PROGRESS_STALE_MS = 40 * 1000; // 40 seconds — fast fallback when webhook doesn't fire
 
+// failureReason of a call whose transcript could not be read with confidence.
+export const UNCLEAR_REASON = "Unclear answer — needs manual review";
+
 function nowPlus(ms) {
   return new Date(Date.now() + ms);
 }
@@ -30,25 +56,19 @@ function logStatus(event, payload) {
   console.log(`[OrderStatus] ${event} ${JSON.stringify(payload)}`);
 }
 
-export async function logCommunicationEvent(orderId, event, tx = prisma) {
-  try {
-    const order = await tx.order.findUnique({ where: { id: orderId } });
-    if (!order) return;
-    const logs = Array.isArray(order.communicationLog) ? [...order.communicationLog] : [];
-    logs.push({
-      timestamp: new Date().toISOString(),
-      event,
-    });
-    await tx.order.update({
-      where: { id: orderId },
-      data: { communicationLog: logs },
-    });
-  } catch (err) {
-    console.error(`[logCommunicationEvent] Failed for orderId=${orderId}:`, err.message);
-  }
+/**
+ * The number to try after the order's current one, or null when every
+ * candidate has been used (or the current number isn't one of them — e.g.
+ * the merchant edited it in Shopify).
+ */
+export function nextPhoneCandidate(order) {
+  const candidates = Array.isArray(order?.phoneCandidates) ? order.phoneCandidates : [];
+  const idx = candidates.indexOf(order?.phoneNumber);
+  return idx === -1 ? null : candidates[idx + 1] ?? null;
 }
 
 export async function createOrderWithCallLog({
+  shop,
   shopifyOrderId,
   customerName,
   phoneNumber,
@@ -56,10 +76,23 @@ export async function createOrderWithCallLog({
   totalPrice,
   orderPlacedDate,
   address,
+  lineItems = null,
+  phoneCandidates = null,
+  pincode = null,
+  risk = null,
+  firstContactAt = null,
+  actor = EVENT_ACTOR.WEBHOOK,
 }) {
-  return prisma.$transaction(async (tx) => {
+  // Trusted customers are confirmed and risky orders escalated up front —
+  // neither gets a first contact.
+  const autoConfirm = risk?.path === RISK_PATH.AUTO_CONFIRM;
+  const manualReview = risk?.path === RISK_PATH.MANUAL_REVIEW;
+  const contact = !autoConfirm && !manualReview;
+
+  const created = await prisma.$transaction(async (tx) => {
     const order = await tx.order.create({
       data: {
+        shop,
         shopifyOrderId,
         customerName,
         phoneNumber,
@@ -67,36 +100,111 @@ export async function createOrderWithCallLog({
         totalPrice,
         orderPlacedDate,
         address,
-        orderStatus: ORDER_STATUS.PENDING,
-        confirmationStatus: "pending",
-        communicationLog: [
-          {
-            timestamp: new Date().toISOString(),
-            event: "Order created",
-          },
-        ],
+        lineItems: lineItems ?? undefined,
+        phoneCandidates: phoneCandidates ?? [phoneNumber],
+        pincode,
+        riskScore: risk?.score ?? null,
+        riskPath: risk?.path ?? null,
+        riskReasons: risk?.reasons ?? undefined,
+        orderStatus: autoConfirm
+          ? ORDER_STATUS.CONFIRMED
+          : manualReview
+            ? ORDER_STATUS.PENDING_MANUAL_REVIEW
+            : ORDER_STATUS.PENDING,
+        confirmationStatus: autoConfirm ? "auto_confirmed" : "pending",
       },
     });
 
     const callLog = await tx.callLog.create({
       data: {
+        shop,
         orderId: order.id,
-        status: CALL_STATUS.QUEUED,
+        status: autoConfirm
+          ? CALL_STATUS.COMPLETED
+          : manualReview
+            ? CALL_STATUS.FAILED
+            : CALL_STATUS.QUEUED,
         retryCount: 0,
-        nextRetryAt: null,
+        // A QUEUED row with nextRetryAt is a delayed first contact (initialDelay).
+        nextRetryAt: contact ? firstContactAt : null,
+        failureReason: manualReview ? "High risk — manual review" : null,
         lockedAt: null,
       },
     });
 
+    await recordOrderEvent(
+      {
+        orderId: order.id,
+        callLogId: callLog.id,
+        type: ORDER_EVENT_TYPE.ORDER_CREATED,
+        actor,
+        message: "Order created",
+      },
+      tx,
+    );
+    if (risk) {
+      await recordOrderEvent(
+        {
+          orderId: order.id,
+          callLogId: callLog.id,
+          type: ORDER_EVENT_TYPE.RISK_SCORED,
+          actor,
+          message: `Risk score ${risk.score} — ${risk.path.replace("_", " ")}`,
+          payload: risk,
+        },
+        tx,
+      );
+    }
+    if (autoConfirm) {
+      await recordOrderEvent(
+        {
+          orderId: order.id,
+          callLogId: callLog.id,
+          type: ORDER_EVENT_TYPE.ORDER_CONFIRMED,
+          actor,
+          message: "Order auto-confirmed — trusted repeat customer",
+        },
+        tx,
+      );
+    } else if (manualReview) {
+      await recordOrderEvent(
+        {
+          orderId: order.id,
+          callLogId: callLog.id,
+          type: ORDER_EVENT_TYPE.ESCALATED,
+          actor,
+          message: `Escalated to manual review — risk score ${risk.score}`,
+        },
+        tx,
+      );
+    } else if (firstContactAt) {
+      await recordOrderEvent(
+        {
+          orderId: order.id,
+          callLogId: callLog.id,
+          type: ORDER_EVENT_TYPE.FIRST_CONTACT_SCHEDULED,
+          actor,
+          message: `First contact scheduled for ${firstContactAt.toISOString()}`,
+          payload: { firstContactAt },
+        },
+        tx,
+      );
+    }
+
     logStatus("ORDER_CREATED", {
       orderId: order.id,
       callLogId: callLog.id,
       orderStatus: order.orderStatus,
       callStatus: callLog.status,
+      firstContactAt,
+      riskPath: risk?.path ?? null,
     });
 
     return { order, callLog };
   });
+
+  await refreshCustomerProfile(shop, phoneNumber, { customerName });
+  return created;
 }
 
 export async function setCallLogInProgress(id, vapiCallId = null) {
@@ -109,12 +217,120 @@ export async function setCallLogInProgress(id, vapiCallId = null) {
       status: CALL_STATUS.IN_PROGRESS,
       lockedAt: null,
       failureReason: null,
+      deferredUntil: null,
       ...(vapiCallId ? { vapiCallId } : {}),
     },
   });
   return res.count === 1;
 }
 
+/**
+ * Park a call that fell due outside the shop's calling hours — or over its
+ * dial limits — until the next allowed slot. Does NOT count as an attempt —
+ * retryCount is untouched. The due-retry sweep dials it once nextRetryAt
+ * passes.
+ *
+ * @param {string} id
+ * @param {Date}   deferUntil
+ * @param {object} [opts]
+ * @param {string} [opts.actor]  - EVENT_ACTOR recorded on the OrderEvent
+ * @param {string} [opts.reason] - failureReason (DIAL_LIMIT_REASON for the dial limiter)
+ */
+export async function deferCallLog(
+  id,
+  deferUntil,
+  { actor = EVENT_ACTOR.CRON, reason = "Outside calling hours" } = {},
+) {
+  const before = await prisma.callLog.findUnique({
+    where: { id },
+    select: { failureReason: true },
+  });
+  const call = await prisma.callLog.update({
+    where: { id },
+    data: {
+      status: CALL_STATUS.RETRY_SCHEDULED,
+      nextRetryAt: deferUntil,
+      deferredUntil: deferUntil,
+      lockedAt: null,
+      failureReason: reason,
+    },
+  });
+
+  // A call waiting on the dial limiter is deferred again every few seconds —
+  // one history entry per wait is enough.
+  if (before?.failureReason === reason) return call;
+
+  await recordOrderEvent({
+    orderId: call.orderId,
+    callLogId: id,
+    type: ORDER_EVENT_TYPE.CALL_DEFERRED,
+    channel: EVENT_CHANNEL.CALL,
+    actor,
+    message: `Call deferred to ${deferUntil.toISOString()} (${reason.toLowerCase()})`,
+    payload: { deferUntil, reason },
+  });
+  logStatus("CALL_DEFERRED", { callLogId: id, orderId: call.orderId, deferUntil });
+  return call;
+}
+
+/**
+ * A call the shop's minute quota turned away (QuotaExceededError). With the
+ * WhatsApp action the order is confirmed over WhatsApp instead — the message
+ * goes out through the WHATSAPP_SEND job, or, when one was already sent, the
+ * row goes back to waiting for its reply. Otherwise the call waits for
+ * `err.deferUntil` like any deferred call.
+ *
+ * @param {string} id
+ * @param {import("./billingService.server.js").QuotaExceededError} err
+ * @param {object} [opts]
+ * @param {string} [opts.actor] - EVENT_ACTOR recorded on the OrderEvent
+ */
+export async function parkOverQuotaCallLog(id, err, { actor = EVENT_ACTOR.CRON } = {}) {
+  if (err.action !== OVER_QUOTA_ACTION.WHATSAPP) {
+    return deferCallLog(id, err.deferUntil, { actor, reason: err.reason });
+  }
+
+  const before = await prisma.callLog.findUnique({
+    where: { id },
+    select: { whatsappSentAt: true },
+  });
+  if (!before) return null;
+  const alreadySent = before.whatsappSentAt != null;
+
+  const call = await prisma.$transaction(async (tx) => {
+    const updated = await tx.callLog.update({
+      where: { id },
+      data: {
+        status: CALL_STATUS.WHATSAPP_SENT,
+        nextRetryAt: null,
+        lockedAt: null,
+        failureReason: err.reason,
+        ...(alreadySent
+          ? {}
+          : { whatsappSentAt: new Date(), whatsappReplied: false, secondReminderSent: false }),
+      },
+    });
+    if (!alreadySent) {
+      await enqueueJob(JOB_TYPE.WHATSAPP_SEND, { callLogId: id }, { maxAttempts: 3 }, tx);
+    }
+    return updated;
+  });
+
+  await recordOrderEvent({
+    orderId: call.orderId,
+    callLogId: id,
+    type: ORDER_EVENT_TYPE.QUOTA_EXCEEDED,
+    channel: EVENT_CHANNEL.WHATSAPP,
+    actor,
+    message: alreadySent
+      ? `${err.reason} — waiting for the WhatsApp reply instead of calling`
+      : `${err.reason} — confirming over WhatsApp instead`,
+    payload: { reason: err.reason, deferUntil: err.deferUntil },
+  });
+  logStatus("QUOTA_SWITCH_TO_WHATSAPP", { callLogId: id, orderId: call.orderId, alreadySent });
+  return call;
+}
+
 // Backward-compatible alias used by existing routes.
 export const setCallLogCalling = setCallLogInProgress;
 
@@ -137,6 +353,35 @@ export async function markCallLogFailed(id, failureReason = null) {
   });
 }
 
+/**
+ * Stop every call / WhatsApp attempt still waiting to go out for an order
+ * (QUEUED, RETRY_SCHEDULED, WHATSAPP_SENT). Calls already IN_PROGRESS finish
+ * normally; their result is ignored once the order is closed in Shopify.
+ *
+ * @param {string} orderId
+ * @param {string} reason - Stored as failureReason
+ * @param {object} [tx]   - Prisma client or transaction
+ * @returns {Promise<number>} Rows stopped
+ */
+export async function stopOpenCallLogs(orderId, reason, tx = prisma) {
+  const res = await tx.callLog.updateMany({
+    where: {
+      orderId,
+      status: {
+        in: [CALL_STATUS.QUEUED, CALL_STATUS.RETRY_SCHEDULED, CALL_STATUS.WHATSAPP_SENT],
+      },
+    },
+    data: {
+      status: CALL_STATUS.COMPLETED,
+      nextRetryAt: null,
+      lockedAt: null,
+      failureReason: reason,
+    },
+  });
+  if (res.count) logStatus("CALLS_STOPPED", { orderId, count: res.count, reason });
+  return res.count;
+}
+
 export async function getCallLogByVapiId(vapiCallId) {
   return prisma.callLog.findFirst({ where: { vapiCallId }, include: { order: true } });
 }
@@ -157,9 +402,10 @@ export async function getLatestCallLogByOrderId(orderId) {
   });
 }
 
-export async function getLatestOpenCallLogByPhone(phoneNumber) {
+export async function getLatestOpenCallLogByPhone(phoneNumber, shop = null) {
   return prisma.callLog.findFirst({
     where: {
+      ...(shop ? { shop } : {}),
       status: { in: [CALL_STATUS.QUEUED, CALL_STATUS.IN_PROGRESS, CALL_STATUS.RETRY_SCHEDULED, CALL_STATUS.FAILED, CALL_STATUS.WHATSAPP_SENT] },
       order: {
         phoneNumber,
@@ -171,31 +417,129 @@ export async function getLatestOpenCallLogByPhone(phoneNumber) {
   });
 }
 
+// Intents that mean the customer was actually reached.
+const CONTACT_INTENTS = [
+  CALL_INTENT.CONFIRM,
+  CALL_INTENT.CANCEL,
+  CALL_INTENT.WRONG_NUMBER,
+  CALL_INTENT.RECALL_REQUEST,
+  CALL_INTENT.UNCLEAR,
+];
+
 export async function handleCallResult(orderId, intent, opts = {}) {
+  const result = await applyCallResult(orderId, intent, opts);
+  const channel = opts.fromWhatsApp ? EVENT_CHANNEL.WHATSAPP : EVENT_CHANNEL.CALL;
+
+  // Recount the customer's history now that this order has moved.
+  if (!result?.ignored) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { shop: true, phoneNumber: true },
+    });
+    if (order) {
+      await refreshCustomerProfile(order.shop, order.phoneNumber, {
+        channel,
+        outcome: result.orderStatus,
+        contacted: CONTACT_INTENTS.includes(toIntent(intent)),
+      });
+    }
+  }
+
+  // Confirm / cancel / wrong number → tag (and optionally cancel) the Shopify
+  // order. Outside the transaction so a slow or failing Admin API never rolls
+  // back the outcome.
+  if (!result?.ignored && isShopifyOutcomeStatus(result?.orderStatus)) {
+    pushOutcomeToShopify(orderId, { channel }).catch((err) => {
+      console.error(`[ShopifyOrder] Write-back failed for orderId=${orderId}:`, err.message);
+    });
+  }
+
+  return result;
+}
+
+async function applyCallResult(orderId, intent, opts) {
   const normalizedIntent = toIntent(intent);
 
   return prisma.$transaction(async (tx) => {
-    const [callLog, config] = await Promise.all([
+    const callLog =
       (opts.callLogId
-        ? tx.callLog.findUnique({ where: { id: opts.callLogId }, include: { order: true } })
+        ? await tx.callLog.findUnique({ where: { id: opts.callLogId }, include: { order: true } })
         : null) ||
       (opts.vapiCallId
-        ? tx.callLog.findFirst({ where: { vapiCallId: opts.vapiCallId }, include: { order: true } })
+        ? await tx.callLog.findFirst({ where: { vapiCallId: opts.vapiCallId }, include: { order: true } })
         : null) ||
-      tx.callLog.findFirst({
+      (await tx.callLog.findFirst({
         where: { orderId },
         orderBy: { createdAt: "desc" },
         include: { order: true },
-      }),
-      tx.appConfig.findFirst({ where: { shop: "default" } }),
-    ]);
-
-    const waAutoConfirm = config?.waAutoConfirm ?? true; // Default to true if not set
+      }));
 
     if (!callLog) {
       throw new Error(`CallLog not found for orderId=${orderId}`);
     }
 
+    // The call is over (or never connected) — give its dial slot back.
+    await releaseDialSlot(callLog.id, tx);
+
+    // WhatsApp replies are not a dial — only call outcomes land on an attempt.
+    const attempt = opts.fromWhatsApp
+      ? null
+      : await finishCallAttempt(tx, {
+          callLogId: callLog.id,
+          vapiCallId: opts.vapiCallId ?? null,
+          intent: normalizedIntent,
+          intentSource: opts.intentSource ?? null,
+          endedReason: opts.endedReason ?? null,
+        });
+
+    // The merchant already cancelled / settled the order in Shopify — keep
+    // the intent for the record but don't touch the order.
+    if (Object.values(SHOPIFY_CLOSED_STATUS).includes(callLog.order?.confirmationStatus)) {
+      const call = await tx.callLog.update({
+        where: { id: callLog.id },
+        data: {
+          lastIntent: normalizedIntent,
+          status: CALL_STATUS.COMPLETED,
+          nextRetryAt: null,
+          lockedAt: null,
+        },
+      });
+      logStatus("IGNORED_CLOSED_IN_SHOPIFY", {
+        orderId,
+        callLogId: call.id,
+        intent: normalizedIntent,
+        confirmationStatus: callLog.order.confirmationStatus,
+      });
+      return {
+        ignored: true,
+        orderStatus: callLog.order.orderStatus,
+        callStatus: call.status,
+        retryCount: call.retryCount,
+      };
+    }
+
+    const config = await getShopConfig(callLog.shop, tx);
+    const waAutoConfirm = config?.waAutoConfirm ?? true; // Default to true if not set
+
+    const channel = opts.fromWhatsApp ? EVENT_CHANNEL.WHATSAPP : EVENT_CHANNEL.CALL;
+    const event = (type, message, payload = null) =>
+      recordOrderEvent(
+        {
+          orderId,
+          callLogId: callLog.id,
+          type,
+          channel,
+          actor: opts.actor ?? EVENT_ACTOR.WEBHOOK,
+          message,
+          payload: {
+            intent: normalizedIntent,
+            phoneNumber: callLog.order?.phoneNumber ?? null,
+            ...payload,
+          },
+        },
+        tx,
+      );
+
     const vId = opts.vapiCallId || callLog.vapiCallId;
 
     // Skip processing if WhatsApp was already sent and this is not a WhatsApp reply
@@ -242,12 +586,14 @@ export async function handleCallResult(orderId, intent, opts = {}) {
           }),
         ]);
 
-        await logCommunicationEvent(
-          orderId,
+        await event(
+          normalizedIntent === CALL_INTENT.CONFIRM
+            ? ORDER_EVENT_TYPE.ORDER_CONFIRMED
+            : ORDER_EVENT_TYPE.ORDER_CANCELLED,
           `Order ${normalizedIntent.toLowerCase()} via late intent (${
             opts.fromWhatsApp ? "WhatsApp" : "Call"
           })`,
-          tx,
+          { lateIntent: true, previousCallStatus: callLog.status },
         );
 
         logStatus("TERMINAL_CORRECTED_FROM_LATE_INTENT", {
@@ -288,6 +634,47 @@ export async function handleCallResult(orderId, intent, opts = {}) {
       failureReason: opts.failureReason ?? null,
     };
 
+    // Wrong number, or every attempt went unanswered — move on to the next
+    // distinct phone on the order (billing / shipping / customer) and dial it
+    // on the next cron tick, with a fresh attempt budget.
+    const alternatePhone = nextPhoneCandidate(callLog.order);
+    const switchToAlternatePhone = async (reason) => {
+      const [order, call] = await Promise.all([
+        tx.order.update({
+          where: { id: orderId },
+          data: { phoneNumber: alternatePhone, orderStatus: ORDER_STATUS.PENDING },
+        }),
+        tx.callLog.update({
+          where: { id: callLog.id },
+          data: {
+            ...baseCallUpdate,
+            status: CALL_STATUS.RETRY_SCHEDULED,
+            retryCount: 0,
+            nextRetryAt: new Date(),
+          },
+        }),
+      ]);
+      await event(
+        ORDER_EVENT_TYPE.PHONE_SWITCHED,
+        `${reason} on ${callLog.order.phoneNumber} — trying alternate number ${alternatePhone}`,
+        { previousPhone: callLog.order.phoneNumber, nextPhone: alternatePhone },
+      );
+      logStatus("PHONE_SWITCHED", {
+        orderId,
+        callLogId: call.id,
+        intent: normalizedIntent,
+        from: callLog.order.phoneNumber,
+        to: alternatePhone,
+      });
+      return {
+        orderStatus: order.orderStatus,
+        callStatus: call.status,
+        retryCount: call.retryCount,
+        nextRetryAt: call.nextRetryAt,
+        phoneSwitched: true,
+      };
+    };
+
     if (normalizedIntent === CALL_INTENT.CONFIRM) {
       const [order, call] = await Promise.all([
         tx.order.update({
@@ -299,10 +686,9 @@ export async function handleCallResult(orderId, intent, opts = {}) {
           data: { ...baseCallUpdate, status: CALL_STATUS.COMPLETED, nextRetryAt: null },
         }),
       ]);
-      await logCommunicationEvent(
-        orderId,
+      await event(
+        ORDER_EVENT_TYPE.ORDER_CONFIRMED,
         `Order confirmed via ${opts.fromWhatsApp ? "WhatsApp" : "Call"}`,
-        tx,
       );
       logStatus("RESULT_APPLIED", {
         orderId,
@@ -330,10 +716,9 @@ export async function handleCallResult(orderId, intent, opts = {}) {
           data: { ...baseCallUpdate, status: CALL_STATUS.COMPLETED, nextRetryAt: null },
         }),
       ]);
-      await logCommunicationEvent(
-        orderId,
+      await event(
+        ORDER_EVENT_TYPE.ORDER_CANCELLED,
         `Order cancelled via ${opts.fromWhatsApp ? "WhatsApp" : "Call"}`,
-        tx,
       );
       logStatus("RESULT_APPLIED", {
         orderId,
@@ -351,6 +736,8 @@ export async function handleCallResult(orderId, intent, opts = {}) {
     }
 
     if (normalizedIntent === CALL_INTENT.WRONG_NUMBER) {
+      if (alternatePhone) return switchToAlternatePhone("Wrong number");
+
       const [order, call] = await Promise.all([
         tx.order.update({ where: { id: orderId }, data: { orderStatus: ORDER_STATUS.INVALID } }),
         tx.callLog.update({
@@ -358,6 +745,10 @@ export async function handleCallResult(orderId, intent, opts = {}) {
           data: { ...baseCallUpdate, status: CALL_STATUS.FAILED, nextRetryAt: null },
         }),
       ]);
+      await event(
+        ORDER_EVENT_TYPE.WRONG_NUMBER,
+        `Marked wrong number via ${opts.fromWhatsApp ? "WhatsApp" : "Call"}`,
+      );
       logStatus("RESULT_APPLIED", {
         orderId,
         callLogId: call.id,
@@ -373,6 +764,43 @@ export async function handleCallResult(orderId, intent, opts = {}) {
       };
     }
 
+    // The customer answered but the transcript is ambiguous — a person
+    // decides rather than a guess. A later structured-output confirm /
+    // cancel still corrects it (late intent, above).
+    if (normalizedIntent === CALL_INTENT.UNCLEAR) {
+      const [order, call] = await Promise.all([
+        tx.order.update({
+          where: { id: orderId },
+          data: { orderStatus: ORDER_STATUS.PENDING_MANUAL_REVIEW },
+        }),
+        tx.callLog.update({
+          where: { id: callLog.id },
+          data: {
+            ...baseCallUpdate,
+            failureReason: opts.failureReason ?? UNCLEAR_REASON,
+            status: CALL_STATUS.FAILED,
+            nextRetryAt: null,
+          },
+        }),
+      ]);
+      await event(
+        ORDER_EVENT_TYPE.ESCALATED,
+        "Escalated to manual review — the customer's answer was unclear",
+        opts.classification ? { classification: opts.classification } : null,
+      );
+      logStatus("UNCLEAR_ESCALATED", {
+        orderId,
+        callLogId: call.id,
+        orderStatus: order.orderStatus,
+        callStatus: call.status,
+      });
+      return {
+        orderStatus: order.orderStatus,
+        callStatus: call.status,
+        retryCount: call.retryCount,
+      };
+    }
+
     const isRetryIntent = [
       CALL_INTENT.BUSY,
       CALL_INTENT.RECALL_REQUEST,
@@ -382,12 +810,21 @@ export async function handleCallResult(orderId, intent, opts = {}) {
     if (!isRetryIntent) {
       throw new Error(`Unsupported intent=${normalizedIntent}`);
     }
-    const userMaxRetries = config?.maxRetries ?? 3;
-    const nextRetryCount = callLog.retryCount + 1;
+    const policy = getRetryPolicy(config);
+    const userMaxRetries = policy.maxAttempts[RETRY_CHANNEL.CALL];
+    // Unanswered attempts on this number, this one included. Calls placed
+    // before attempts were recorded fall back to the cached counter.
+    const nextRetryCount = attempt
+      ? await countUnansweredAttempts(tx, callLog.id, callLog.order.phoneNumber)
+      : callLog.retryCount + 1;
 
     // ── WhatsApp fallback or Escalation ──
-    // This block triggers when we reach the user-defined max retries.
-    if (nextRetryCount >= userMaxRetries) {
+    // This block triggers when we reach the policy's max call attempts.
+    if (isRetryLimitReached(policy, RETRY_CHANNEL.CALL, nextRetryCount)) {
+      if (alternatePhone && !opts.fromWhatsApp) {
+        return switchToAlternatePhone(`No answer after ${userMaxRetries} call attempt(s)`);
+      }
+
       const now = new Date();
 
       if (waAutoConfirm) {
@@ -411,6 +848,12 @@ export async function handleCallResult(orderId, intent, opts = {}) {
           }),
         ]);
 
+        await event(
+          ORDER_EVENT_TYPE.RETRY_LIMIT_REACHED,
+          `Call attempts exhausted (${userMaxRetries}) — switching to WhatsApp`,
+          { retryCount: nextRetryCount, maxRetries: userMaxRetries },
+        );
+
         logStatus("MAX_RETRIES_SWITCH_TO_WHATSAPP", {
           orderId,
           callLogId: call.id,
@@ -418,11 +861,13 @@ export async function handleCallResult(orderId, intent, opts = {}) {
           maxRetries: userMaxRetries,
         });
 
-        // Send WhatsApp message outside the transaction
-        const fullCallLog = { ...call, order };
-        sendWhatsAppFallback(fullCallLog).catch((err) => {
-          console.error(`[WhatsApp] Failed to send fallback for callLogId=${call.id}:`, err.message);
-        });
+        // Sent by the job worker — committed together with WHATSAPP_SENT.
+        await enqueueJob(
+          JOB_TYPE.WHATSAPP_SEND,
+          { callLogId: call.id },
+          { maxAttempts: 3 },
+          tx,
+        );
 
         return {
           orderStatus: order.orderStatus,
@@ -448,6 +893,12 @@ export async function handleCallResult(orderId, intent, opts = {}) {
           }),
         ]);
 
+        await event(
+          ORDER_EVENT_TYPE.ESCALATED,
+          `Escalated to manual review — ${userMaxRetries} call attempt(s) without an answer`,
+          { retryCount: nextRetryCount, maxRetries: userMaxRetries },
+        );
+
         logStatus("MAX_RETRIES_ESCALATED", {
           orderId,
           callLogId: call.id,
@@ -464,12 +915,11 @@ export async function handleCallResult(orderId, intent, opts = {}) {
     }
 
     // ── If not at max retries yet, schedule next call ──
-    const delayMs =
-      normalizedIntent === CALL_INTENT.NO_RESPONSE
-        ? RETRY_DELAY_NO_RESPONSE_MS
-        : normalizedIntent === CALL_INTENT.BUSY
-          ? RETRY_DELAY_BUSY_MS
-          : RETRY_DELAY_RECALL_MS;
+    const delayMs = computeRetryDelayMs(policy, {
+      intent: normalizedIntent,
+      endedReason: opts.endedReason,
+      retryCount: callLog.retryCount,
+    });
 
     const [order, call] = await Promise.all([
       tx.order.update({ where: { id: orderId }, data: { orderStatus: ORDER_STATUS.PENDING } }),
@@ -484,6 +934,16 @@ export async function handleCallResult(orderId, intent, opts = {}) {
       }),
     ]);
 
+    await event(
+      ORDER_EVENT_TYPE.RETRY_SCHEDULED,
+      `Retry ${nextRetryCount}/${userMaxRetries} scheduled for ${call.nextRetryAt.toISOString()} (${normalizedIntent.toLowerCase()})`,
+      {
+        retryCount: nextRetryCount,
+        nextRetryAt: call.nextRetryAt,
+        endedReason: opts.endedReason ?? null,
+      },
+    );
+
     logStatus("RESULT_APPLIED", {
       orderId,
       callLogId: call.id,
@@ -504,6 +964,12 @@ export async function handleCallResult(orderId, intent, opts = {}) {
 }
 
 export async function claimDueRetryCallLogs(limit = 25) {
+  const policies = new Map();
+  const policyFor = async (shop) => {
+    if (!policies.has(shop)) policies.set(shop, await loadRetryPolicy(shop));
+    return policies.get(shop);
+  };
+
   const dueRows = await prisma.callLog.findMany({
     where: {
       status: CALL_STATUS.RETRY_SCHEDULED,
@@ -518,6 +984,18 @@ export async function claimDueRetryCallLogs(limit = 25) {
 
   const claimed = [];
   for (const row of dueRows) {
+    const policy = await policyFor(row.shop);
+
+    // The merchant may have lowered maxRetries after this retry was scheduled.
+    // Calls parked by the calling window are not retries — they always dial.
+    if (
+      !row.deferredUntil &&
+      isRetryLimitReached(policy, RETRY_CHANNEL.CALL, row.retryCount)
+    ) {
+      await escalateExhaustedRetry(row, policy);
+      continue;
+    }
+
     const lock = await prisma.callLog.updateMany({
       where: {
         id: row.id,
@@ -540,6 +1018,38 @@ export async function claimDueRetryCallLogs(limit = 25) {
   return claimed;
 }
 
+async function escalateExhaustedRetry(row, policy) {
+  const res = await prisma.callLog.updateMany({
+    where: { id: row.id, status: CALL_STATUS.RETRY_SCHEDULED, lockedAt: null },
+    data: {
+      status: CALL_STATUS.FAILED,
+      nextRetryAt: null,
+      failureReason: "Retry limit reached",
+    },
+  });
+  if (res.count !== 1) return;
+
+  await prisma.order.update({
+    where: { id: row.orderId },
+    data: { orderStatus: ORDER_STATUS.PENDING_MANUAL_REVIEW },
+  });
+  await recordOrderEvent({
+    orderId: row.orderId,
+    callLogId: row.id,
+    type: ORDER_EVENT_TYPE.ESCALATED,
+    channel: EVENT_CHANNEL.CALL,
+    actor: EVENT_ACTOR.CRON,
+    message: `Escalated to manual review — retry limit (${policy.maxAttempts[RETRY_CHANNEL.CALL]}) reached`,
+    payload: { retryCount: row.retryCount, maxRetries: policy.maxAttempts[RETRY_CHANNEL.CALL] },
+  });
+  logStatus("RETRY_LIMIT_ESCALATED", {
+    callLogId: row.id,
+    orderId: row.orderId,
+    retryCount: row.retryCount,
+    maxRetries: policy.maxAttempts[RETRY_CHANNEL.CALL],
+  });
+}
+
 export async function claimStaleInProgressCallLogs(limit = 25) {
   const cutoff = new Date(Date.now() - IN_PROGRESS_STALE_MS);
 
@@ -576,15 +1086,18 @@ export async function claimStaleInProgressCallLogs(limit = 25) {
   return claimed;
 }
 
-export async function claimTimedOutWhatsAppLogs(timeoutSeconds = 300, limit = 25) {
+export async function claimTimedOutWhatsAppLogs(timeoutSeconds = 300, limit = 25, shop = null) {
   const cutoff = new Date(Date.now() - timeoutSeconds * 1000);
 
   const rows = await prisma.callLog.findMany({
     where: {
+      ...(shop ? { shop } : {}),
       status: CALL_STATUS.WHATSAPP_SENT,
       whatsappSentAt: { lte: cutoff },
       whatsappReplied: false,
       lockedAt: null,
+      // WhatsApp-only orders wait for the reminder / escalation instead.
+      order: { OR: [{ riskPath: null }, { riskPath: { not: RISK_PATH.WHATSAPP } }] },
     },
     orderBy: { whatsappSentAt: "asc" },
     take: limit,
@@ -607,14 +1120,6 @@ export async function claimTimedOutWhatsAppLogs(timeoutSeconds = 300, limit = 25
 
     if (lock.count === 1) {
       claimed.push(row);
-      await logCommunicationEvent(row.orderId, "Fallback to AI Call due to WhatsApp timeout");
-      
-      // Update order status to indicate fallback
-      await prisma.order.update({
-        where: { id: row.orderId },
-        data: { confirmationStatus: "no_response" }
-      });
-
       logStatus("WHATSAPP_TIMEOUT_CLAIMED", { callLogId: row.id, orderId: row.orderId });
     }
   }
@@ -622,9 +1127,88 @@ export async function claimTimedOutWhatsAppLogs(timeoutSeconds = 300, limit = 25
   return claimed;
 }
 
+// Record that a claimed WhatsApp timeout is falling back to an AI call. Kept
+// apart from the claim so rows released unused (shop over quota) leave no trace.
+export async function markWhatsAppTimeoutFallback(callLog, timeoutSeconds) {
+  await recordOrderEvent({
+    orderId: callLog.orderId,
+    callLogId: callLog.id,
+    type: ORDER_EVENT_TYPE.WHATSAPP_TIMEOUT,
+    channel: EVENT_CHANNEL.WHATSAPP,
+    actor: EVENT_ACTOR.CRON,
+    message: "Fallback to AI Call due to WhatsApp timeout",
+    payload: { timeoutSeconds },
+  });
+
+  // Update order status to indicate fallback
+  await prisma.order.update({
+    where: { id: callLog.orderId },
+    data: { confirmationStatus: "no_response" },
+  });
+}
+
+// Hand claimed rows back to the sweep untouched.
+export async function releaseCallLogClaims(callLogIds) {
+  if (callLogIds.length === 0) return 0;
+  const { count } = await prisma.callLog.updateMany({
+    where: { id: { in: callLogIds } },
+    data: { lockedAt: null },
+  });
+  return count;
+}
+
+// Claim QUEUED rows whose delayed first contact (AppConfig.initialDelay) is due.
+// Status stays QUEUED — startFirstContact moves it to WHATSAPP_SENT or IN_PROGRESS.
+export async function claimDueFirstContactCallLogs(limit = 25) {
+  const rows = await prisma.callLog.findMany({
+    where: {
+      status: CALL_STATUS.QUEUED,
+      nextRetryAt: { lte: new Date() },
+      lockedAt: null,
+    },
+    orderBy: { nextRetryAt: "asc" },
+    take: limit,
+    include: { order: true },
+  });
+
+  const claimed = [];
+  for (const row of rows) {
+    const lock = await prisma.callLog.updateMany({
+      where: {
+        id: row.id,
+        status: CALL_STATUS.QUEUED,
+        nextRetryAt: { lte: new Date() },
+        lockedAt: null,
+      },
+      data: { lockedAt: new Date() },
+    });
+
+    if (lock.count === 1) {
+      claimed.push(row);
+      logStatus("FIRST_CONTACT_CLAIMED", { callLogId: row.id, orderId: row.orderId });
+    }
+  }
+
+  return claimed;
+}
+
+// Claim one QUEUED row for an immediate first contact (enqueued by the
+// orders/create webhook). Null when the stale-queued sweep got there first.
+export async function claimQueuedCallLog(id) {
+  const lock = await prisma.callLog.updateMany({
+    where: { id, status: CALL_STATUS.QUEUED, lockedAt: null },
+    data: { lockedAt: new Date() },
+  });
+  if (lock.count !== 1) return null;
+
+  logStatus("FIRST_CONTACT_CLAIMED", { callLogId: id });
+  return getCallLogById(id);
+}
+
 // Safety-net: claim QUEUED rows that were never dialled (e.g. server crashed
 // between createOrderWithCallLog and triggerOrderConfirmationCall, or a manual
-// order was created without an immediate call attempt).
+// order was created without an immediate call attempt). Delayed first contacts
+// (nextRetryAt set) are left to claimDueFirstContactCallLogs.
 const QUEUED_STALE_MS = 5 * 60 * 1000; // 5 minutes
 
 export async function claimStaleQueuedCallLogs(limit = 25) {
@@ -634,6 +1218,7 @@ export async function claimStaleQueuedCallLogs(limit = 25) {
     where: {
       status: CALL_STATUS.QUEUED,
       createdAt: { lte: cutoff },
+      nextRetryAt: null,
       retryCount: { lt: MAX_RETRIES },
       lockedAt: null,
     },
@@ -649,6 +1234,7 @@ export async function claimStaleQueuedCallLogs(limit = 25) {
         id: row.id,
         status: CALL_STATUS.QUEUED,
         createdAt: { lte: cutoff },
+        nextRetryAt: null,
         lockedAt: null,
       },
       data: {
@@ -669,16 +1255,16 @@ export async function claimStaleQueuedCallLogs(limit = 25) {
 // Backward-compatible alias expected by existing cron imports.
 export const getOrderCallsForRetry = claimDueRetryCallLogs;
 
-export async function getOrderStats() {
+export async function getOrderStats(shop) {
   const [total, pending, confirmed, cancelled, manualReview, invalid, retryScheduled] =
     await Promise.all([
-      prisma.order.count(),
-      prisma.order.count({ where: { orderStatus: ORDER_STATUS.PENDING } }),
-      prisma.order.count({ where: { orderStatus: ORDER_STATUS.CONFIRMED } }),
-      prisma.order.count({ where: { orderStatus: ORDER_STATUS.CANCELLED } }),
-      prisma.order.count({ where: { orderStatus: ORDER_STATUS.PENDING_MANUAL_REVIEW } }),
-      prisma.order.count({ where: { orderStatus: ORDER_STATUS.INVALID } }),
-      prisma.callLog.count({ where: { status: CALL_STATUS.RETRY_SCHEDULED } }),
+      prisma.order.count({ where: { shop } }),
+      prisma.order.count({ where: { shop, orderStatus: ORDER_STATUS.PENDING } }),
+      prisma.order.count({ where: { shop, orderStatus: ORDER_STATUS.CONFIRMED } }),
+      prisma.order.count({ where: { shop, orderStatus: ORDER_STATUS.CANCELLED } }),
+      prisma.order.count({ where: { shop, orderStatus: ORDER_STATUS.PENDING_MANUAL_REVIEW } }),
+      prisma.order.count({ where: { shop, orderStatus: ORDER_STATUS.INVALID } }),
+      prisma.callLog.count({ where: { shop, status: CALL_STATUS.RETRY_SCHEDULED } }),
     ]);
 
   return {
@@ -692,8 +1278,9 @@ export async function getOrderStats() {
   };
 }
 
-export async function getRecentOrders(limit = 50) {
+export async function getRecentOrders(shop, limit = 50) {
   return prisma.order.findMany({
+    where: { shop },
     orderBy: { createdAt: "desc" },
     take: limit,
     include: {
@@ -701,6 +1288,9 @@ export async function getRecentOrders(limit = 50) {
         orderBy: { createdAt: "desc" },
         take: 1,
       },
+      events: { orderBy: { createdAt: "asc" } },
+      transcripts: { orderBy: { createdAt: "desc" } },
+      attempts: { orderBy: { startedAt: "desc" } },
     },
   });
 }
@@ -0,0 +1,104 @@
+/**
+ * Order Event Service
+ *
+ * Append-only order history (OrderEvent). Every state change — call result,
+ * retry, WhatsApp message or reply, deferral, escalation — inserts one row.
+ * Rows are never updated, so concurrent webhook and cron writers cannot lose
+ * each other's events the way the old read-modify-write of
+ * Order.communicationLog could.
+ *
+ * EVENT SHAPE
+ * ───────────
+ *  type     — ORDER_EVENT_TYPE (constants.js)
+ *  channel  — EVENT_CHANNEL: call | whatsapp | system
+ *  actor    — EVENT_ACTOR: cron | webhook | merchant | system
+ *  message  — human-readable line shown in the Orders drawer timeline
+ *  payload  — optional JSON detail (intent, phoneNumber, retryCount, …)
+ */
+
+import prisma from "../db.server.js";
+import { EVENT_ACTOR, EVENT_CHANNEL } from "../constants.js";
+
+/**
+ * Append one event to an order's history. Never throws — a failed history
+ * write must not undo the state change it describes.
+ *
+ * @param {object} event
+ * @param {string} event.orderId
+ * @param {string} [event.callLogId]
+ * @param {string} event.type
+ * @param {string} [event.channel]
+ * @param {string} [event.actor]
+ * @param {string} event.message
+ * @param {object} [event.payload]
+ * @param {object} [tx] - Prisma client or transaction
+ */
+export async function recordOrderEvent(
+  {
+    orderId,
+    callLogId = null,
+    type,
+    channel = EVENT_CHANNEL.SYSTEM,
+    actor = EVENT_ACTOR.SYSTEM,
+    message,
+    payload = null,
+  },
+  tx = prisma,
+) {
+  try {
+    return await tx.orderEvent.create({
+      data: { orderId, callLogId, type, channel, actor, message, payload },
+    });
+  } catch (err) {
+    console.error(
+      `[OrderEvent] Failed to record ${type} for orderId=${orderId}:`,
+      err.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * An order's history, oldest first.
+ *
+ * @param {string} orderId
+ */
+export async function getOrderEvents(orderId) {
+  return prisma.orderEvent.findMany({
+    where: { orderId },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Timeline entries for the Orders drawer. Orders created before OrderEvent
+ * existed only have the legacy communicationLog JSON — fall back to it.
+ *
+ * @param {object} order - Order row, optionally with `events` included
+ * @returns {Array<{ id: string, type: string | null, channel: string | null, actor: string | null, phoneNumber: string | null, message: string, createdAt: string }>}
+ */
+export function buildOrderTimeline(order) {
+  if (Array.isArray(order?.events) && order.events.length > 0) {
+    return order.events.map((e) => ({
+      id: e.id,
+      type: e.type,
+      channel: e.channel,
+      actor: e.actor,
+      // Number the attempt used — orders can move to an alternate phone.
+      phoneNumber: e.payload?.phoneNumber ?? null,
+      message: e.message,
+      createdAt: new Date(e.createdAt).toISOString(),
+    }));
+  }
+
+  const legacy = Array.isArray(order?.communicationLog) ? order.communicationLog : [];
+  return legacy.map((log, idx) => ({
+    id: `legacy-${idx}`,
+    type: null,
+    channel: null,
+    actor: null,
+    phoneNumber: null,
+    message: String(log?.event ?? ""),
+    createdAt: log?.timestamp ?? null,
+  }));
+}
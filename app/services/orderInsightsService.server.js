@@ -0,0 +1,224 @@
+/**
+ * Order Insights Service
+ *
+ * Numbers behind the AI Insights panel on the orders page, computed from the
+ * shop's own calls and orders over the last 30 days:
+ *
+ *   Top cancellation reasons — Order.cancelReason of cancelled orders
+ *   Best answer hours        — share of CallAttempts the customer picked up,
+ *                              per hour of the shop's calling-window timezone
+ *   Language mix             — script of what the customer said on each
+ *                              CallTranscript (Devanagari → Hindi, Gujarati →
+ *                              Gujarati, Latin → English, or Hindi when it is
+ *                              romanised Hindi)
+ *
+ * An insight without enough data behind it comes back empty (no reasons, no
+ * best window, no languages) and the panel says so.
+ */
+
+import prisma from "../db.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import { getCallingWindow, getZonedParts } from "./callingWindow.server.js";
+import {
+  CALL_INTENT,
+  CANCEL_REASON,
+  CANCEL_REASON_LABEL,
+  ORDER_STATUS,
+} from "../constants.js";
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+// An hour needs this many attempts before its answer rate is trusted.
+const MIN_ATTEMPTS_PER_WINDOW = 5;
+
+// The customer picked up — anything but busy / no answer.
+const ANSWERED_INTENTS = [
+  CALL_INTENT.CONFIRM,
+  CALL_INTENT.CANCEL,
+  CALL_INTENT.WRONG_NUMBER,
+  CALL_INTENT.UNCLEAR,
+];
+
+const LANGUAGE_LABEL = { hindi: "Hindi", gujarati: "Gujarati", english: "English" };
+
+const ROMANISED_HINDI = /\b(haan|nahi|nahin|ji|kya|hai|theek|thik|accha|acha|bhai|kar do|mat karo|chahiye)\b/;
+
+// ─── Cancellation reasons ─────────────────────────────────────────────────────
+
+async function cancellationReasons(shop, since) {
+  const [grouped, total] = await Promise.all([
+    prisma.order.groupBy({
+      by: ["cancelReason"],
+      where: {
+        shop,
+        orderStatus: ORDER_STATUS.CANCELLED,
+        cancelReason: { in: Object.values(CANCEL_REASON) },
+        updatedAt: { gte: since },
+      },
+      _count: { _all: true },
+    }),
+    prisma.order.count({
+      where: { shop, orderStatus: ORDER_STATUS.CANCELLED, updatedAt: { gte: since } },
+    }),
+  ]);
+
+  const withReason = grouped.reduce((sum, g) => sum + g._count._all, 0);
+  const reasons = grouped
+    .map((g) => ({
+      reason: g.cancelReason,
+      label: CANCEL_REASON_LABEL[g.cancelReason],
+      count: g._count._all,
+      share: withReason ? g._count._all / withReason : 0,
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return { reasons, cancelled: total, withReason };
+}
+
+// ─── Answer hours ─────────────────────────────────────────────────────────────
+
+function formatHour(hour) {
+  const h = hour % 24;
+  const suffix = h < 12 ? "AM" : "PM";
+  return `${h % 12 === 0 ? 12 : h % 12}:00 ${suffix}`;
+}
+
+async function answerHours(shop, since) {
+  const [attempts, config] = await Promise.all([
+    prisma.callAttempt.findMany({
+      where: { shop, startedAt: { gte: since }, intent: { not: null } },
+      select: { startedAt: true, intent: true },
+    }),
+    getShopConfig(shop),
+  ]);
+  const { timezone } = getCallingWindow(config);
+
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, attempts: 0, answered: 0 }));
+  for (const a of attempts) {
+    const bucket = byHour[getZonedParts(a.startedAt, timezone).hour];
+    bucket.attempts += 1;
+    if (ANSWERED_INTENTS.includes(a.intent)) bucket.answered += 1;
+  }
+
+  // Best two-hour window, so one lucky call doesn't decide it.
+  let best = null;
+  for (let hour = 0; hour < 24; hour++) {
+    const next = byHour[(hour + 1) % 24];
+    const total = byHour[hour].attempts + next.attempts;
+    if (total < MIN_ATTEMPTS_PER_WINDOW) continue;
+    const rate = (byHour[hour].answered + next.answered) / total;
+    if (!best || rate > best.answerRate || (rate === best.answerRate && total > best.attempts)) {
+      best = { startHour: hour, endHour: (hour + 2) % 24, answerRate: rate, attempts: total };
+    }
+  }
+
+  const answered = byHour.reduce((sum, h) => sum + h.answered, 0);
+  return {
+    timezone,
+    byHour,
+    overallAnswerRate: attempts.length ? answered / attempts.length : null,
+    best: best && {
+      ...best,
+      label: `${formatHour(best.startHour)} – ${formatHour(best.endHour)}`,
+    },
+  };
+}
+
+// ─── Language mix ─────────────────────────────────────────────────────────────
+
+/**
+ * Language the customer spoke on one call, from their turns (or the whole
+ * transcript when turns were not recorded).
+ */
+function detectCallLanguage(transcript) {
+  const turns = Array.isArray(transcript?.messages) ? transcript.messages : [];
+  const customerText = turns
+    .filter((t) => t?.role === "customer")
+    .map((t) => t.text)
+    .join(" ");
+  const text = (customerText || transcript?.transcript || "").trim();
+  if (!text) return null;
+
+  if (/[\u0A80-\u0AFF]/.test(text)) return "gujarati";
+  if (/[\u0900-\u097F]/.test(text)) return "hindi";
+  if (ROMANISED_HINDI.test(text.toLowerCase())) return "hindi";
+  return /[a-z]/i.test(text) ? "english" : null;
+}
+
+async function languageMix(shop, since) {
+  const transcripts = await prisma.callTranscript.findMany({
+    where: { shop, createdAt: { gte: since } },
+    select: { messages: true, transcript: true },
+  });
+
+  const counts = {};
+  for (const t of transcripts) {
+    const language = detectCallLanguage(t);
+    if (language) counts[language] = (counts[language] ?? 0) + 1;
+  }
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  return Object.entries(counts)
+    .map(([language, count]) => ({
+      language,
+      label: LANGUAGE_LABEL[language],
+      count,
+      share: count / total,
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// ─── Recommendation ───────────────────────────────────────────────────────────
+
+const REASON_ADVICE = {
+  [CANCEL_REASON.ORDERED_BY_MISTAKE]:
+    "Add an order summary step before checkout — mistaken orders are the top cancellation reason",
+  [CANCEL_REASON.PRICE_TOO_HIGH]:
+    "Offer a small COD discount or prepaid incentive on the call — price is the top cancellation reason",
+  [CANCEL_REASON.DELIVERY_TOO_SLOW]:
+    "Mention the expected delivery date on the call — slow delivery is the top cancellation reason",
+  [CANCEL_REASON.FOUND_CHEAPER]:
+    "Review pricing against competitors — customers are finding the product cheaper elsewhere",
+  [CANCEL_REASON.DID_NOT_ORDER]:
+    "Tighten fake-order checks at checkout — customers often say they never placed the order",
+};
+
+function recommend({ reasons, hours }) {
+  const top = reasons.reasons[0];
+  if (top && reasons.withReason >= 3) return REASON_ADVICE[top.reason];
+
+  if (hours.best && hours.overallAnswerRate != null && hours.best.answerRate - hours.overallAnswerRate >= 0.15) {
+    return `Customers pick up ${Math.round(hours.best.answerRate * 100)}% of calls between ${hours.best.label} — schedule more calls in that window`;
+  }
+
+  if (hours.overallAnswerRate != null && hours.overallAnswerRate < 0.5) {
+    return "Fewer than half of calls are answered — enable WhatsApp follow-up for unanswered calls";
+  }
+
+  return null;
+}
+
+/**
+ * All insights for the orders page.
+ *
+ * @param {string} shop
+ * @param {object} [opts]
+ * @param {number} [opts.days] - look-back period
+ */
+export async function getOrderInsights(shop, { days = DEFAULT_PERIOD_DAYS } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [reasons, hours, languages] = await Promise.all([
+    cancellationReasons(shop, since),
+    answerHours(shop, since),
+    languageMix(shop, since),
+  ]);
+
+  return {
+    periodDays: days,
+    cancellationReasons: reasons,
+    answerHours: hours,
+    languageMix: languages,
+    recommendation: recommend({ reasons, hours }),
+  };
+}
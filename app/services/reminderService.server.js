@@ -8,36 +8,54 @@
  * FINAL_TIMEOUT_MS, the order is escalated to PENDING_MANUAL_REVIEW
  * and the callLog status changes to FAILED.
  *
- * Uses setInterval (10s) — NOT cron.
- * Uses a global singleton guard to prevent duplicate intervals under Vite HMR.
+ * Runs on the job queue: REMINDER_SWEEP (every 10s) enqueues one
+ * WHATSAPP_REMINDER / WHATSAPP_ESCALATE job per message.
  */
 
 import prisma from "../db.server.js";
 import twilio from "twilio";
+import {
+  RETRY_CHANNEL,
+  getRetryPolicy,
+  isRetryLimitReached,
+} from "./retryPolicy.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import { recordOrderEvent } from "./orderEventService.server.js";
+import { enqueueJob } from "./jobQueueService.server.js";
+import { formatProductListForWhatsApp } from "../utils/productList.server.js";
+import { recordUsage, whatsappMessageCost } from "./usageService.server.js";
+import {
+  ORDER_EVENT_TYPE,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+  RISK_PATH,
+  JOB_TYPE,
+  USAGE_KIND,
+} from "../constants.js";
 
 // ── Configuration ─────────────────────────────────────────────────────────────
-const REMINDER_CHECK_INTERVAL_MS = 10_000; // Check every 10 seconds
 const REMINDER_DELAY_MS = 60_000;          // Send reminder after 1 minute
 const FINAL_TIMEOUT_MS = 5 * 60_000;       // Escalate 5 mins after second reminder
 const REMINDER_MESSAGE = "Reminder: Please confirm your order by replying YES or NO.";
 
 // ── Twilio Helpers ────────────────────────────────────────────────────────────
 
-function getTwilioClient() {
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
+// Shop AppConfig credentials first, env vars as fallback.
+function getTwilioClient(config) {
+  const accountSid = config?.twilioSid || process.env.TWILIO_ACCOUNT_SID;
+  const authToken = config?.twilioToken || process.env.TWILIO_AUTH_TOKEN;
 
   if (!accountSid || !authToken) {
-    throw new Error("[Reminder] Missing TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN in env");
+    throw new Error("[Reminder] Missing TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN in env or DB config");
   }
 
   return twilio(accountSid, authToken);
 }
 
-function getWhatsAppFrom() {
-  const from = process.env.TWILIO_WHATSAPP_FROM;
+function getWhatsAppFrom(config) {
+  const from = config?.twilioWaFrom || process.env.TWILIO_WHATSAPP_FROM;
   if (!from) {
-    throw new Error("[Reminder] Missing TWILIO_WHATSAPP_FROM in env");
+    throw new Error("[Reminder] Missing TWILIO_WHATSAPP_FROM in env or DB config");
   }
   return from.startsWith("whatsapp:") ? from : `whatsapp:${from}`;
 }
@@ -53,16 +71,19 @@ function formatWhatsAppNumber(phoneNumber) {
  * Send a second WhatsApp reminder message for a given callLog.
  *
  * @param {object} callLog - Must include the `order` relation
+ * @param {object} config  - The callLog's shop AppConfig
  */
-async function sendReminder(callLog) {
-  const client = getTwilioClient();
-  const from = getWhatsAppFrom();
+async function sendReminder(callLog, config) {
+  const client = getTwilioClient(config);
+  const from = getWhatsAppFrom(config);
   const to = formatWhatsAppNumber(callLog.order.phoneNumber);
 
   const { order } = callLog;
+  const products = formatProductListForWhatsApp(order.lineItems);
   const body = 
     `Reminder for ${order.customerName}:\n` +
     `Order ID: ${order.shopifyOrderId}\n` +
+    (products ? `Items:\n${products}\n` : "") +
     `Total: ₹${order.totalPrice}\n` +
     (order.address ? `Address: ${order.address}\n\n` : "\n") +
     `Please confirm your order by replying YES or NO.`;
@@ -79,6 +100,15 @@ async function sendReminder(callLog) {
     });
 
     console.log(`[Reminder] ✅ Reminder sent SID=${message.sid} to=${to}`);
+
+    await recordUsage({
+      shop: callLog.shop,
+      kind: USAGE_KIND.WHATSAPP_MESSAGE,
+      sourceId: message.sid,
+      orderId: order.id,
+      quantity: 1,
+      cost: whatsappMessageCost(message.price),
+    });
     return message;
   } catch (err) {
     console.error(`[Reminder] ❌ Failed to send reminder to ${to}:`, err.message);
@@ -86,200 +116,217 @@ async function sendReminder(callLog) {
   }
 }
 
-// ── Core: Check & Send Reminders ──────────────────────────────────────────────
+// ── Sweep ─────────────────────────────────────────────────────────────────────
 
 /**
- * Query the database for unreplied WhatsApp messages older than 1 minute
- * and send a second reminder for each.
+ * REMINDER_SWEEP: enqueue a WHATSAPP_REMINDER for every WhatsApp message
+ * unanswered for REMINDER_DELAY_MS, and a WHATSAPP_ESCALATE for every one
+ * still unanswered FINAL_TIMEOUT_MS after the reminder. Jobs are
+ * deduplicated per message (callLog + whatsappSentAt), so a row is handled
+ * once however many sweeps see it.
  */
-async function checkAndSendReminders() {
-  try {
-    const cutoff = new Date(Date.now() - REMINDER_DELAY_MS);
-
-    // Find all callLogs where:
-    //   - WhatsApp was sent (whatsappSentAt is set)
-    //   - Customer has NOT replied (whatsappReplied = false)
-    //   - Second reminder has NOT been sent yet (secondReminderSent = false)
-    //   - At least 1 minute has passed since the first WhatsApp (whatsappSentAt <= cutoff)
-    //   - Status is WHATSAPP_SENT (still waiting for reply)
-    const pendingReminders = await prisma.callLog.findMany({
-      where: {
-        status: "WHATSAPP_SENT",
-        whatsappSentAt: { lte: cutoff },
-        whatsappReplied: false,
-        secondReminderSent: false,
-      },
-      include: { order: true },
-    });
+export async function sweepWhatsAppReminders() {
+  const now = Date.now();
+
+  // Find all callLogs where:
+  //   - Status is WHATSAPP_SENT (still waiting for reply)
+  //   - Customer has NOT replied (whatsappReplied = false)
+  //   - Second reminder has NOT been sent yet (secondReminderSent = false)
+  //   - At least 1 minute has passed since the first WhatsApp
+  const pendingReminders = await prisma.callLog.findMany({
+    where: {
+      status: "WHATSAPP_SENT",
+      whatsappSentAt: { lte: new Date(now - REMINDER_DELAY_MS) },
+      whatsappReplied: false,
+      secondReminderSent: false,
+    },
+    include: { order: { select: { riskPath: true } } },
+  });
+
+  const configs = new Map();
+  const configFor = async (shop) => {
+    if (!configs.has(shop)) configs.set(shop, await getShopConfig(shop));
+    return configs.get(shop);
+  };
+
+  for (const callLog of pendingReminders) {
+    const config = await configFor(callLog.shop);
+    // WhatsApp-only orders (risk path) never fall back to a call, so they
+    // always go through the reminder → escalation timer.
+    const whatsappOnly = callLog.order?.riskPath === RISK_PATH.WHATSAPP;
+    if (config && config.waAutoConfirm === false && !whatsappOnly) continue;
+
+    await enqueueJob(
+      JOB_TYPE.WHATSAPP_REMINDER,
+      { callLogId: callLog.id },
+      { dedupeKey: messageKey(JOB_TYPE.WHATSAPP_REMINDER, callLog), maxAttempts: 3 },
+    );
+  }
+
+  // Second reminder sent, still no reply, final timeout passed
+  const timedOut = await prisma.callLog.findMany({
+    where: {
+      status: "WHATSAPP_SENT",
+      secondReminderSent: true,
+      whatsappReplied: false,
+      whatsappSentAt: { lte: new Date(now - FINAL_TIMEOUT_MS) },
+    },
+    select: { id: true, whatsappSentAt: true },
+  });
+
+  for (const callLog of timedOut) {
+    await enqueueJob(
+      JOB_TYPE.WHATSAPP_ESCALATE,
+      { callLogId: callLog.id },
+      { dedupeKey: messageKey(JOB_TYPE.WHATSAPP_ESCALATE, callLog) },
+    );
+  }
+}
 
-    const config = await prisma.appConfig.findFirst({ where: { shop: "default" } });
-    if (config && config.waAutoConfirm === false) return;
+function messageKey(type, callLog) {
+  return `${type}:${callLog.id}:${new Date(callLog.whatsappSentAt).getTime()}`;
+}
+
+function isTerminal(order) {
+  return (
+    order.orderStatus === "CONFIRMED" ||
+    order.orderStatus === "CANCELLED" ||
+    order.orderStatus === "INVALID"
+  );
+}
 
-    if (pendingReminders.length === 0) return;
+// ── Job: Send Reminder ────────────────────────────────────────────────────────
 
+/**
+ * WHATSAPP_REMINDER: send the second WhatsApp message for a callLog. Throws
+ * on a failed send so the queue retries it.
+ */
+export async function sendWhatsAppReminder({ callLogId }) {
+  const callLog = await prisma.callLog.findUnique({
+    where: { id: callLogId },
+    include: { order: true },
+  });
+
+  if (!callLog?.order) {
+    console.warn(`[Reminder] callLog ${callLogId} has no order relation — skipping`);
+    return;
+  }
+  // Replied or moved on since the sweep
+  if (
+    callLog.status !== "WHATSAPP_SENT" ||
+    callLog.whatsappReplied ||
+    callLog.secondReminderSent
+  ) {
+    return;
+  }
+
+  // Double-check: skip if order is already in a terminal state
+  if (isTerminal(callLog.order)) {
     console.log(
-      `[Reminder] Found ${pendingReminders.length} unreplied WhatsApp message(s) — sending reminders...`
+      `[Reminder] Order ${callLog.order.id} already in terminal state (${callLog.order.orderStatus}) — marking secondReminderSent to avoid future checks`
     );
+    await prisma.callLog.update({
+      where: { id: callLog.id },
+      data: { secondReminderSent: true },
+    });
+    return;
+  }
 
-    for (const callLog of pendingReminders) {
-      if (!callLog.order) {
-        console.warn(`[Reminder] callLog ${callLog.id} has no order relation — skipping`);
-        continue;
-      }
-
-      // Double-check: skip if order is already in a terminal state
-      if (
-        callLog.order.orderStatus === "CONFIRMED" ||
-        callLog.order.orderStatus === "CANCELLED" ||
-        callLog.order.orderStatus === "INVALID"
-      ) {
-        console.log(
-          `[Reminder] Order ${callLog.order.id} already in terminal state (${callLog.order.orderStatus}) — marking secondReminderSent to avoid future checks`
-        );
-        await prisma.callLog.update({
-          where: { id: callLog.id },
-          data: { secondReminderSent: true },
-        });
-        continue;
-      }
-
-      try {
-        // Send the reminder
-        await sendReminder(callLog);
-
-        // Mark as sent so we don't send it again
-        await prisma.callLog.update({
-          where: { id: callLog.id },
-          data: { secondReminderSent: true },
-        });
-
-        console.log(`[Reminder] ✅ Marked secondReminderSent=true for callLogId=${callLog.id}`);
-      } catch (err) {
-        // Log but don't crash — the next cycle will retry
-        console.error(
-          `[Reminder] ❌ Error processing reminder for callLogId=${callLog.id}:`,
-          err.message
-        );
-      }
-    }
-  } catch (err) {
-    console.error("[Reminder] ❌ Global reminder check failed:", err.message);
+  const config = await getShopConfig(callLog.shop);
+
+  // Retry policy allows only the first WhatsApp message — skip straight to
+  // the escalation timer instead of sending a reminder.
+  const skipReminder = isRetryLimitReached(
+    getRetryPolicy(config),
+    RETRY_CHANNEL.WHATSAPP,
+    1,
+  );
+
+  if (skipReminder) {
+    await prisma.callLog.update({
+      where: { id: callLog.id },
+      data: { secondReminderSent: true },
+    });
+    console.log(`[Reminder] WhatsApp limit reached — no reminder for callLogId=${callLog.id}`);
+    return;
   }
+
+  const message = await sendReminder(callLog, config);
+
+  // Mark as sent so we don't send it again
+  await prisma.callLog.update({
+    where: { id: callLog.id },
+    data: { secondReminderSent: true },
+  });
+
+  await recordOrderEvent({
+    orderId: callLog.orderId,
+    callLogId: callLog.id,
+    type: ORDER_EVENT_TYPE.WHATSAPP_REMINDER_SENT,
+    channel: EVENT_CHANNEL.WHATSAPP,
+    actor: EVENT_ACTOR.CRON,
+    message: "WhatsApp reminder sent",
+    payload: { messageSid: message?.sid ?? null },
+  });
+
+  console.log(`[Reminder] ✅ Marked secondReminderSent=true for callLogId=${callLog.id}`);
 }
 
-// ── Core: Escalate timed-out WhatsApp orders ──────────────────────────────────
+// ── Job: Escalate timed-out WhatsApp order ────────────────────────────────────
 
 /**
- * After the second reminder has been sent and FINAL_TIMEOUT_MS has passed
- * with no customer reply, escalate:
+ * WHATSAPP_ESCALATE: the second reminder went out FINAL_TIMEOUT_MS ago with
+ * no customer reply, so escalate:
  *   - callLog.status  →  FAILED
  *   - order.orderStatus  →  PENDING_MANUAL_REVIEW
  *
  * This prevents orders from being stuck forever in WHATSAPP_SENT status.
  */
-async function escalateTimedOutWhatsApp() {
-  try {
-    const cutoff = new Date(Date.now() - FINAL_TIMEOUT_MS);
-
-    // Call logs where:
-    //   - Status is still WHATSAPP_SENT
-    //   - Second reminder WAS already sent
-    //   - Customer still hasn't replied
-    //   - Enough time has passed since the WhatsApp was first sent
-    const timedOut = await prisma.callLog.findMany({
-      where: {
-        status: "WHATSAPP_SENT",
-        secondReminderSent: true,
-        whatsappReplied: false,
-        whatsappSentAt: { lte: cutoff },
-      },
-      include: { order: true },
+export async function escalateTimedOutWhatsApp({ callLogId }) {
+  const callLog = await prisma.callLog.findUnique({
+    where: { id: callLogId },
+    include: { order: true },
+  });
+  if (!callLog || callLog.status !== "WHATSAPP_SENT" || callLog.whatsappReplied) return;
+
+  // Skip if order is already in a terminal state
+  if (callLog.order && isTerminal(callLog.order)) {
+    // Just fix the callLog status to FAILED so it's not stuck
+    await prisma.callLog.update({
+      where: { id: callLog.id },
+      data: { status: "FAILED" },
     });
-
-    if (timedOut.length === 0) return;
-
     console.log(
-      `[Reminder] ⏰ Found ${timedOut.length} timed-out WhatsApp order(s) — escalating to PENDING_MANUAL_REVIEW...`
+      `[Reminder] Order ${callLog.order?.id} already terminal (${callLog.order?.orderStatus}) — marked callLog ${callLog.id} as FAILED`
     );
-
-    for (const callLog of timedOut) {
-      try {
-        // Skip if order is already in a terminal state
-        if (
-          callLog.order &&
-          (callLog.order.orderStatus === "CONFIRMED" ||
-           callLog.order.orderStatus === "CANCELLED" ||
-           callLog.order.orderStatus === "INVALID")
-        ) {
-          // Just fix the callLog status to FAILED so it's not stuck
-          await prisma.callLog.update({
-            where: { id: callLog.id },
-            data: { status: "FAILED" },
-          });
-          console.log(
-            `[Reminder] Order ${callLog.order?.id} already terminal (${callLog.order?.orderStatus}) — marked callLog ${callLog.id} as FAILED`
-          );
-          continue;
-        }
-
-        // Escalate: update both callLog and order
-        await prisma.$transaction([
-          prisma.callLog.update({
-            where: { id: callLog.id },
-            data: {
-              status: "FAILED",
-              failureReason: "No WhatsApp reply after second reminder",
-            },
-          }),
-          prisma.order.update({
-            where: { id: callLog.orderId },
-            data: { orderStatus: "PENDING_MANUAL_REVIEW" },
-          }),
-        ]);
-
-        console.log(
-          `[Reminder] ⏰ Escalated callLogId=${callLog.id} orderId=${callLog.orderId} → status=FAILED, orderStatus=PENDING_MANUAL_REVIEW`
-        );
-      } catch (err) {
-        console.error(
-          `[Reminder] ❌ Error escalating callLogId=${callLog.id}:`,
-          err.message
-        );
-      }
-    }
-  } catch (err) {
-    console.error("[Reminder] ❌ Global escalation check failed:", err.message);
+    return;
   }
-}
-
-// ── Boot: Start Reminder Interval ─────────────────────────────────────────────
 
-// eslint-disable-next-line no-undef
-const g = global;
-
-/**
- * Start the reminder polling interval.
- * Uses a global singleton guard to prevent duplicate intervals under Vite HMR.
- */
-export function startReminderService() {
-  // Clear any existing interval (hot reload safe)
-  if (g.__aiAgentReminderIntervalId) {
-    clearInterval(g.__aiAgentReminderIntervalId);
-  }
+  // Escalate: update both callLog and order
+  await prisma.$transaction([
+    prisma.callLog.update({
+      where: { id: callLog.id },
+      data: {
+        status: "FAILED",
+        failureReason: "No WhatsApp reply after second reminder",
+      },
+    }),
+    prisma.order.update({
+      where: { id: callLog.orderId },
+      data: { orderStatus: "PENDING_MANUAL_REVIEW" },
+    }),
+  ]);
+
+  await recordOrderEvent({
+    orderId: callLog.orderId,
+    callLogId: callLog.id,
+    type: ORDER_EVENT_TYPE.ESCALATED,
+    channel: EVENT_CHANNEL.WHATSAPP,
+    actor: EVENT_ACTOR.CRON,
+    message: "Escalated to manual review — no WhatsApp reply after reminder",
+  });
 
   console.log(
-    `[Reminder] 🚀 Reminder service started (checking every ${REMINDER_CHECK_INTERVAL_MS / 1000}s, ` +
-    `reminder delay: ${REMINDER_DELAY_MS / 1000}s, ` +
-    `final timeout: ${FINAL_TIMEOUT_MS / 1000}s)`
+    `[Reminder] ⏰ Escalated callLogId=${callLog.id} orderId=${callLog.orderId} → status=FAILED, orderStatus=PENDING_MANUAL_REVIEW`
   );
-
-  // Combined check: send reminders + escalate timed-out orders
-  async function runChecks() {
-    await checkAndSendReminders();
-    await escalateTimedOutWhatsApp();
-  }
-
-  // Run once immediately, then on interval
-  runChecks();
-  g.__aiAgentReminderIntervalId = setInterval(runChecks, REMINDER_CHECK_INTERVAL_MS);
 }
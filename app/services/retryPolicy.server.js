@@ -0,0 +1,200 @@
+/**
+ * Retry Policy
+ *
+ * Decides WHEN an order confirmation call is retried and HOW MANY attempts
+ * each channel gets. Replaces the old hard-coded RETRY_DELAY_* constants.
+ *
+ * The effective policy for a shop is built from, in order of precedence:
+ *   1. AppConfig.retryPolicy    — JSON overrides saved from Configuration
+ *   2. AppConfig.retryInterval  — base delay between retries
+ *   3. AppConfig.maxRetries     — max failed call attempts before fallback
+ *   4. DEFAULT_RETRY_POLICY     — below
+ *
+ * MAX ATTEMPTS
+ * ────────────
+ *  maxAttempts.call     — once a CallLog's retryCount reaches this, the order
+ *                         moves to WhatsApp (waAutoConfirm) or manual review.
+ *                         Always clamped to ORDER_MAX_RETRIES, which is only a
+ *                         hard safety ceiling — AppConfig.maxRetries wins.
+ *  maxAttempts.whatsapp — WhatsApp messages per order: 1 = first message
+ *                         only, 2 = first message plus one reminder.
+ *
+ * DELAYS
+ * ──────
+ *  delays[key] (minutes) overrides the base delay for a specific intent
+ *  (BUSY, RECALL_REQUEST, NO_RESPONSE) or Vapi endedReason
+ *  (e.g. "customer-busy", "voicemail"). endedReason wins over intent.
+ *  backoff "exponential" multiplies the delay by `multiplier` per retry
+ *  already made, capped at maxDelayMinutes. jitter spreads each delay by
+ *  ±jitter (fraction) so a batch of failures doesn't redial in lock-step.
+ */
+
+import { CALL_INTENT, ORDER_MAX_RETRIES } from "../constants.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+
+const MINUTE_MS = 60 * 1000;
+
+export const RETRY_CHANNEL = {
+  CALL: "call",
+  WHATSAPP: "whatsapp",
+};
+
+export const BACKOFF = {
+  FIXED: "fixed",
+  EXPONENTIAL: "exponential",
+};
+
+/** AppConfig.retryInterval presets → minutes. */
+export const RETRY_INTERVAL_MINUTES = {
+  "5min": 5,
+  "15min": 15,
+  "30min": 30,
+  "1hour": 60,
+  "2hours": 120,
+  "4hours": 240,
+  nextday: 24 * 60,
+};
+
+export const DEFAULT_RETRY_POLICY = {
+  backoff: BACKOFF.FIXED,
+  baseDelayMinutes: 120,
+  multiplier: 2,
+  maxDelayMinutes: 24 * 60,
+  jitter: 0.1,
+  delays: {
+    [CALL_INTENT.BUSY]: null,
+    [CALL_INTENT.RECALL_REQUEST]: null,
+    [CALL_INTENT.NO_RESPONSE]: null,
+  },
+  maxAttempts: {
+    [RETRY_CHANNEL.CALL]: 3,
+    [RETRY_CHANNEL.WHATSAPP]: 2,
+  },
+};
+
+function toPositiveNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Build the effective retry policy for an AppConfig row.
+ *
+ * @param {object | null} config - AppConfig row
+ * @returns {typeof DEFAULT_RETRY_POLICY}
+ */
+export function getRetryPolicy(config) {
+  const overrides =
+    config?.retryPolicy && typeof config.retryPolicy === "object"
+      ? config.retryPolicy
+      : {};
+
+  const baseDelayMinutes = toPositiveNumber(
+    overrides.baseDelayMinutes,
+    RETRY_INTERVAL_MINUTES[config?.retryInterval] ??
+      DEFAULT_RETRY_POLICY.baseDelayMinutes,
+  );
+
+  const delays = { ...DEFAULT_RETRY_POLICY.delays };
+  for (const [key, minutes] of Object.entries(overrides.delays ?? {})) {
+    const n = Number(minutes);
+    delays[key] = Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  const maxCall = clampInt(
+    overrides.maxAttempts?.[RETRY_CHANNEL.CALL] ?? config?.maxRetries,
+    1,
+    ORDER_MAX_RETRIES,
+    DEFAULT_RETRY_POLICY.maxAttempts[RETRY_CHANNEL.CALL],
+  );
+  const maxWhatsApp = clampInt(
+    overrides.maxAttempts?.[RETRY_CHANNEL.WHATSAPP],
+    1,
+    2,
+    DEFAULT_RETRY_POLICY.maxAttempts[RETRY_CHANNEL.WHATSAPP],
+  );
+
+  const jitter = Number(overrides.jitter);
+
+  return {
+    backoff:
+      overrides.backoff === BACKOFF.EXPONENTIAL ? BACKOFF.EXPONENTIAL : BACKOFF.FIXED,
+    baseDelayMinutes,
+    multiplier: toPositiveNumber(overrides.multiplier, DEFAULT_RETRY_POLICY.multiplier),
+    maxDelayMinutes: toPositiveNumber(
+      overrides.maxDelayMinutes,
+      DEFAULT_RETRY_POLICY.maxDelayMinutes,
+    ),
+    jitter:
+      Number.isFinite(jitter) && jitter >= 0 && jitter < 1
+        ? jitter
+        : DEFAULT_RETRY_POLICY.jitter,
+    delays,
+    maxAttempts: {
+      [RETRY_CHANNEL.CALL]: maxCall,
+      [RETRY_CHANNEL.WHATSAPP]: maxWhatsApp,
+    },
+  };
+}
+
+/**
+ * Read the shop's AppConfig and return the effective policy.
+ *
+ * @param {string} shop
+ * @param {object} [tx] - Prisma client or transaction
+ */
+export async function loadRetryPolicy(shop, tx) {
+  const config = await getShopConfig(shop, tx);
+  return getRetryPolicy(config);
+}
+
+/**
+ * Delay before the next call attempt.
+ *
+ * @param {object} policy
+ * @param {object} params
+ * @param {string} params.intent        - BUSY | RECALL_REQUEST | NO_RESPONSE
+ * @param {string} [params.endedReason] - Raw Vapi endedReason, if known
+ * @param {number} [params.retryCount]  - Retries already made (before this one)
+ * @param {() => number} [params.random] - Injectable RNG for jitter
+ * @returns {number} milliseconds
+ */
+export function computeRetryDelayMs(
+  policy,
+  { intent, endedReason, retryCount = 0, random = Math.random },
+) {
+  const reasonKey = String(endedReason ?? "").trim().toLowerCase();
+  const minutes =
+    (reasonKey && policy.delays[reasonKey]) ||
+    policy.delays[intent] ||
+    policy.baseDelayMinutes;
+
+  let delayMs = minutes * MINUTE_MS;
+  if (policy.backoff === BACKOFF.EXPONENTIAL) {
+    delayMs *= Math.pow(policy.multiplier, Math.max(0, retryCount));
+  }
+  delayMs = Math.min(delayMs, policy.maxDelayMinutes * MINUTE_MS);
+
+  if (policy.jitter > 0) {
+    delayMs += delayMs * policy.jitter * (random() * 2 - 1);
+  }
+
+  return Math.round(delayMs);
+}
+
+/**
+ * True when `attempts` has used up the channel's allowance.
+ *
+ * @param {object} policy
+ * @param {"call" | "whatsapp"} channel
+ * @param {number} attempts
+ */
+export function isRetryLimitReached(policy, channel, attempts) {
+  return attempts >= policy.maxAttempts[channel];
+}
@@ -0,0 +1,179 @@
+/**
+ * Risk Scoring Service
+ *
+ * Scores a new COD order before it is created and picks how it is verified.
+ * Each signal adds (or removes) points; the total is clamped to 0–100 and
+ * mapped to a RISK_PATH:
+ *
+ *   AUTO_CONFIRM  — score <= 0, at least MIN_CONFIRMED_FOR_AUTO confirmed past
+ *                   orders and no cancelled / wrong-number ones
+ *   WHATSAPP      — score < WHATSAPP_BELOW
+ *   CALL          — score < CALL_BELOW
+ *   MANUAL_REVIEW — everything above
+ *
+ * SIGNALS
+ * ───────
+ *  Order value      — above HIGH_VALUE / VERY_HIGH_VALUE
+ *  Phone history    — past cancellations and wrong-number (INVALID) outcomes
+ *                     for the same phone in this shop; confirmed orders lower
+ *                     the score
+ *  New customer     — no earlier order from this phone
+ *  Pincode history  — share of cancelled / invalid orders for the delivery
+ *                     pincode, once it has MIN_PINCODE_ORDERS
+ *  Order velocity   — other orders from the same phone in the last 24h
+ *
+ * Every signal that fired is returned as a reason ({ code, points, detail })
+ * and stored on Order.riskReasons for the Orders drawer.
+ */
+
+import prisma from "../db.server.js";
+import { ORDER_STATUS, RISK_PATH } from "../constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HIGH_VALUE = 2000;
+const VERY_HIGH_VALUE = 5000;
+const MIN_PINCODE_ORDERS = 5;
+const MIN_CONFIRMED_FOR_AUTO = 2;
+const WHATSAPP_BELOW = 25;
+const CALL_BELOW = 60;
+
+export const RISK_REASON = {
+  HIGH_VALUE: "HIGH_VALUE",
+  PAST_CANCELLATIONS: "PAST_CANCELLATIONS",
+  PAST_WRONG_NUMBER: "PAST_WRONG_NUMBER",
+  NEW_CUSTOMER: "NEW_CUSTOMER",
+  REPEAT_CUSTOMER: "REPEAT_CUSTOMER",
+  RISKY_PINCODE: "RISKY_PINCODE",
+  ORDER_VELOCITY: "ORDER_VELOCITY",
+};
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Map a score (and the phone's history) onto a verification path.
+ *
+ * @param {number} score
+ * @param {{ confirmed: number, cancelled: number, invalid: number }} history
+ */
+export function chooseRiskPath(score, history) {
+  if (
+    score <= 0 &&
+    history.confirmed >= MIN_CONFIRMED_FOR_AUTO &&
+    history.cancelled === 0 &&
+    history.invalid === 0
+  ) {
+    return RISK_PATH.AUTO_CONFIRM;
+  }
+  if (score < WHATSAPP_BELOW) return RISK_PATH.WHATSAPP;
+  if (score < CALL_BELOW) return RISK_PATH.CALL;
+  return RISK_PATH.MANUAL_REVIEW;
+}
+
+/**
+ * Score a COD order that is about to be created.
+ *
+ * @param {object} input
+ * @param {string} input.shop
+ * @param {string} input.phoneNumber - E.164
+ * @param {string | number} input.totalPrice
+ * @param {string | null} [input.pincode]
+ * @returns {Promise<{ score: number, path: string, reasons: Array<{ code: string, points: number, detail: string }> }>}
+ */
+export async function scoreOrderRisk({ shop, phoneNumber, totalPrice, pincode = null }) {
+  const reasons = [];
+  const add = (code, points, detail) => {
+    if (points !== 0) reasons.push({ code, points, detail });
+  };
+
+  const value = Number(totalPrice) || 0;
+  if (value > VERY_HIGH_VALUE) {
+    add(RISK_REASON.HIGH_VALUE, 20, `Order value ${value} above ${VERY_HIGH_VALUE}`);
+  } else if (value > HIGH_VALUE) {
+    add(RISK_REASON.HIGH_VALUE, 10, `Order value ${value} above ${HIGH_VALUE}`);
+  }
+
+  const [byStatus, recent, pincodeStats] = await Promise.all([
+    prisma.order.groupBy({
+      by: ["orderStatus"],
+      where: { shop, phoneNumber },
+      _count: { _all: true },
+    }),
+    prisma.order.count({
+      where: { shop, phoneNumber, createdAt: { gte: new Date(Date.now() - DAY_MS) } },
+    }),
+    pincode
+      ? prisma.order.groupBy({
+          by: ["orderStatus"],
+          where: { shop, pincode },
+          _count: { _all: true },
+        })
+      : Promise.resolve([]),
+  ]);
+
+  const countOf = (rows, status) =>
+    rows.find((r) => r.orderStatus === status)?._count._all ?? 0;
+  const history = {
+    total: byStatus.reduce((sum, r) => sum + r._count._all, 0),
+    confirmed: countOf(byStatus, ORDER_STATUS.CONFIRMED),
+    cancelled: countOf(byStatus, ORDER_STATUS.CANCELLED),
+    invalid: countOf(byStatus, ORDER_STATUS.INVALID),
+  };
+
+  if (history.cancelled > 0) {
+    add(
+      RISK_REASON.PAST_CANCELLATIONS,
+      Math.min(history.cancelled * 25, 50),
+      `${history.cancelled} cancelled order(s) from this phone`,
+    );
+  }
+  if (history.invalid > 0) {
+    add(
+      RISK_REASON.PAST_WRONG_NUMBER,
+      Math.min(history.invalid * 30, 60),
+      `${history.invalid} wrong-number outcome(s) for this phone`,
+    );
+  }
+  if (history.total === 0) {
+    add(RISK_REASON.NEW_CUSTOMER, 10, "First order from this phone");
+  } else if (history.confirmed > 0) {
+    add(
+      RISK_REASON.REPEAT_CUSTOMER,
+      -Math.min(history.confirmed * 10, 30),
+      `${history.confirmed} confirmed order(s) from this phone`,
+    );
+  }
+
+  const pincodeTotal = pincodeStats.reduce((sum, r) => sum + r._count._all, 0);
+  if (pincodeTotal >= MIN_PINCODE_ORDERS) {
+    const bad =
+      countOf(pincodeStats, ORDER_STATUS.CANCELLED) + countOf(pincodeStats, ORDER_STATUS.INVALID);
+    const rate = bad / pincodeTotal;
+    const pct = Math.round(rate * 100);
+    if (rate >= 0.4) {
+      add(RISK_REASON.RISKY_PINCODE, 20, `${pct}% of ${pincodeTotal} orders to ${pincode} failed`);
+    } else if (rate >= 0.25) {
+      add(RISK_REASON.RISKY_PINCODE, 10, `${pct}% of ${pincodeTotal} orders to ${pincode} failed`);
+    }
+  }
+
+  if (recent >= 2) {
+    add(RISK_REASON.ORDER_VELOCITY, 25, `${recent} other orders from this phone in the last 24h`);
+  } else if (recent === 1) {
+    add(RISK_REASON.ORDER_VELOCITY, 10, "Another order from this phone in the last 24h");
+  }
+
+  const raw = reasons.reduce((sum, r) => sum + r.points, 0);
+  const score = clamp(raw, 0, 100);
+  const path = chooseRiskPath(raw, history);
+
+  console.log(
+    `[RiskScore] shop=${shop} phone=${phoneNumber} score=${score} path=${path} reasons=${reasons
+      .map((r) => r.code)
+      .join(",") || "none"}`,
+  );
+
+  return { score, path, reasons };
+}
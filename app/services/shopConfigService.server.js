@@ -0,0 +1,160 @@
+/**
+ * Shop Config Service
+ *
+ * Per-shop tenancy. AppConfig, Script, Order, CallLog, CustomerCall and
+ * CustomerProfile rows all carry `shop` — the myshopify domain of the store
+ * they belong to — so every store installed on a deployment has its own
+ * Vapi/Twilio credentials, scripts and orders.
+ *
+ * RESOLVING THE SHOP
+ * ──────────────────
+ *  Admin routes      → session.shop from authenticate.admin()
+ *  Shopify webhooks  → shop from authenticate.webhook()
+ *  Vapi webhooks     → metadata.shop on the call, else the CallLog /
+ *                      CustomerCall row the call belongs to
+ *  Twilio WhatsApp   → the number the customer wrote TO, matched against
+ *                      AppConfig.twilioWaFrom; unclaimed or shared numbers
+ *                      fall back to the customer's order in any shop
+ *  Crons             → row.shop on whatever they claimed
+ *
+ * LEGACY "default" DATA
+ * ─────────────────────
+ * Before tenancy everything was stored under shop "default". When a store
+ * gets its AppConfig on an upgraded deployment it adopts only what is
+ * provably its own:
+ *   Order / CallLog           storeName equals the shop's handle
+ *                             ("acme" for acme.myshopify.com)
+ *   CustomerProfile /
+ *   CustomerCall              phone on one of those orders
+ *   AppConfig / Script        the store owns legacy orders, or there are
+ *                             no legacy orders at all
+ * Everything else stays under "default" — another store's customers are
+ * never handed to whichever store happens to open the admin first.
+ */
+
+import prisma from "../db.server.js";
+
+export const DEFAULT_SHOP = "default";
+
+/**
+ * AppConfig row for a shop, or null if the shop has never been set up.
+ *
+ * @param {string} shop
+ * @param {object} [tx] - Prisma client or transaction
+ */
+export async function getShopConfig(shop, tx = prisma) {
+  if (!shop) return null;
+  return tx.appConfig.findUnique({ where: { shop } });
+}
+
+/**
+ * "acme" for "acme.myshopify.com" — what Order.storeName holds for orders
+ * that came in through the Shopify webhook.
+ */
+export function shopHandle(shop) {
+  return String(shop ?? "").replace(/\.myshopify\.com$/i, "");
+}
+
+/**
+ * Move the "default" rows that belong to `shop` over to it (see LEGACY
+ * "default" DATA). No-op if `shop` already has its own config.
+ */
+async function adoptLegacyData(shop) {
+  return prisma.$transaction(async (tx) => {
+    const [legacy, own] = await Promise.all([
+      tx.appConfig.findUnique({ where: { shop: DEFAULT_SHOP } }),
+      tx.appConfig.findUnique({ where: { shop } }),
+    ]);
+    if (own) return false;
+
+    const legacyOrders = { shop: DEFAULT_SHOP };
+    const ownOrders = { shop: DEFAULT_SHOP, storeName: shopHandle(shop) };
+    const [totalOrders, orders] = await Promise.all([
+      tx.order.count({ where: legacyOrders }),
+      tx.order.findMany({ where: ownOrders, select: { phoneNumber: true } }),
+    ]);
+    const phones = [...new Set(orders.map((o) => o.phoneNumber).filter(Boolean))];
+    const data = { shop };
+
+    await tx.callLog.updateMany({ where: { shop: DEFAULT_SHOP, order: ownOrders }, data });
+    await tx.order.updateMany({ where: ownOrders, data });
+    if (phones.length > 0) {
+      const byPhone = { shop: DEFAULT_SHOP, phone: { in: phones } };
+      await tx.customerCall.updateMany({ where: byPhone, data });
+      await tx.customerProfile.updateMany({ where: byPhone, data });
+    }
+
+    const adoptSettings = legacy && (orders.length > 0 || totalOrders === 0);
+    if (adoptSettings) {
+      await tx.appConfig.update({ where: { id: legacy.id }, data });
+      await tx.script.updateMany({ where: { shop: DEFAULT_SHOP }, data });
+    }
+
+    if (orders.length > 0 || adoptSettings) {
+      console.log(
+        `[ShopConfig] shop=${shop} adopted ${orders.length} legacy order(s)` +
+          (adoptSettings ? " and the legacy settings" : ""),
+      );
+    }
+    return orders.length > 0 || adoptSettings;
+  });
+}
+
+/**
+ * AppConfig for a shop, creating it on first use. Called with an
+ * authenticated shop only — admin routes, and orders/create, since a store's
+ * first order can arrive before anyone opens the admin.
+ *
+ * Vapi/Twilio credentials start empty: every reader falls back to the env
+ * vars for a blank field, so a deployment's own keys are never copied into
+ * (and frozen in) a store's config.
+ *
+ * @param {string} shop
+ */
+export async function getOrCreateShopConfig(shop) {
+  const existing = await getShopConfig(shop);
+  if (existing) return existing;
+
+  await adoptLegacyData(shop);
+
+  return prisma.appConfig.upsert({
+    where: { shop },
+    update: {},
+    create: {
+      shop,
+      callLanguage: process.env.CALL_LANGUAGE || "hindi",
+      whatsappEnabled: true,
+    },
+  });
+}
+
+/**
+ * All shops with an AppConfig — used by crons that apply per-shop settings.
+ */
+export async function listShopConfigs() {
+  return prisma.appConfig.findMany();
+}
+
+function digitsOnly(value) {
+  return String(value ?? "").replace(/\D/g, "");
+}
+
+/**
+ * Find the shop whose WhatsApp sender number a customer wrote to. Null when
+ * no shop claims the number, or when several do (a shared sender) — the
+ * caller then looks the customer's order up across every shop by phone.
+ *
+ * @param {string} number - Twilio "To", e.g. "whatsapp:+14155238886"
+ * @returns {Promise<string | null>}
+ */
+export async function resolveShopByWhatsAppNumber(number) {
+  const wanted = digitsOnly(number);
+  if (!wanted) return null;
+
+  const configs = await prisma.appConfig.findMany({
+    where: { twilioWaFrom: { not: "" } },
+    select: { shop: true, twilioWaFrom: true },
+  });
+  const matches = configs.filter((c) => digitsOnly(c.twilioWaFrom) === wanted);
+  return matches.length === 1 ? matches[0].shop : null;
+}
@@ -0,0 +1,600 @@
+/**
+ * Shopify Order Service
+ *
+ * Writes confirmation outcomes back to the Shopify order, so the warehouse
+ * team can act on them from Shopify admin without opening the app:
+ *
+ *   tags       — AppConfig.orderTags, e.g. cod-confirmed / cod-cancelled /
+ *                cod-wrong-number. Tags of the other outcomes are removed, so
+ *                a late correction (cancel after confirm) leaves one tag.
+ *   note       — "[COD] Order confirmed via WhatsApp at …" appended to the
+ *                order note.
+ *   metafield  — $app:cod_confirmation.outcome (json):
+ *                { outcome, channel, at }
+ *
+ * AUTO-CANCEL (opt-in, AppConfig.autoCancelOrders)
+ * ────────────────────────────────────────────────
+ * A customer cancel also cancels the Shopify order via orderCancel, with the
+ * shop's restock / notify-customer options. COD orders are unpaid, so no
+ * refund is issued. If Shopify rejects the cancel, the failure is recorded
+ * and the order moves to PENDING_MANUAL_REVIEW so the merchant cancels it by
+ * hand.
+ *
+ * FULFILLMENT HOLD (AppConfig.holdFulfillment, on by default)
+ * ─────────────────────────────────────────────────────────
+ * orders/create puts a hold (handle "cod-confirmation") on every fulfillment
+ * order of a new COD order, so warehouse tools cannot ship it before the
+ * customer confirms. CONFIRM releases that hold; CANCEL and manual review
+ * leave it in place. Needs the *_fulfillment_orders write scopes.
+ *
+ * Runs AFTER handleCallResult has committed, using the shop's offline
+ * session. A failed write-back is logged and recorded on the order history —
+ * it never changes the local outcome. Requires the write_orders scope.
+ */
+
+import prisma from "../db.server.js";
+import { unauthenticated } from "../shopify.server";
+import { DEFAULT_SHOP, getShopConfig } from "./shopConfigService.server.js";
+import { recordOrderEvent } from "./orderEventService.server.js";
+import {
+  ORDER_STATUS,
+  ORDER_EVENT_TYPE,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+} from "../constants.js";
+
+export const DEFAULT_ORDER_TAGS = {
+  confirmed: "cod-confirmed",
+  cancelled: "cod-cancelled",
+  wrongNumber: "cod-wrong-number",
+};
+
+const METAFIELD_NAMESPACE = "$app:cod_confirmation";
+const METAFIELD_KEY = "outcome";
+
+// Identifies our hold among any others on a fulfillment order.
+const FULFILLMENT_HOLD_HANDLE = "cod-confirmation";
+
+// Local order status → outcome key (AppConfig.orderTags / metafield value).
+const OUTCOME_BY_STATUS = {
+  [ORDER_STATUS.CONFIRMED]: "confirmed",
+  [ORDER_STATUS.CANCELLED]: "cancelled",
+  [ORDER_STATUS.INVALID]: "wrongNumber",
+};
+
+const OUTCOME_LABEL = {
+  confirmed: "Order confirmed",
+  cancelled: "Order cancelled",
+  wrongNumber: "Wrong number",
+};
+
+/* ─────────────────────────────────────────────────────────────
+   Helpers
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Effective outcome → tag map for a shop. A blank tag disables tagging for
+ * that outcome.
+ *
+ * @param {object | null} config - AppConfig row
+ */
+export function getOrderTags(config) {
+  const raw =
+    config?.orderTags && typeof config.orderTags === "object" ? config.orderTags : {};
+  const tags = {};
+  for (const [outcome, fallback] of Object.entries(DEFAULT_ORDER_TAGS)) {
+    tags[outcome] =
+      typeof raw[outcome] === "string" ? raw[outcome].trim() : fallback;
+  }
+  return tags;
+}
+
+/**
+ * Admin GID for a Shopify order, or null for orders that did not come from
+ * Shopify (manual orders created in the app).
+ */
+export function toOrderGid(shopifyOrderId) {
+  const id = String(shopifyOrderId ?? "").trim();
+  return /^\d+$/.test(id) ? `gid://shopify/Order/${id}` : null;
+}
+
+export function isShopifyOutcomeStatus(orderStatus) {
+  return orderStatus in OUTCOME_BY_STATUS;
+}
+
+/**
+ * Run an Admin GraphQL operation and fail loudly on top-level errors or
+ * userErrors from any mutation field.
+ */
+export async function adminGraphql(admin, query, variables) {
+  const response = await admin.graphql(query, { variables });
+  const json = await response.json();
+
+  if (json.errors?.length) {
+    throw new Error(json.errors.map((e) => e.message).join("; "));
+  }
+
+  // userErrors, or a typed variant such as orderCancelUserErrors.
+  const userErrors = Object.values(json.data ?? {}).flatMap((field) =>
+    Object.entries(field ?? {})
+      .filter(([key]) => /userErrors$/i.test(key))
+      .flatMap(([, errors]) => errors ?? []),
+  );
+  if (userErrors.length) {
+    throw new Error(userErrors.map((e) => e.message).join("; "));
+  }
+
+  return json.data;
+}
+
+function buildOutcomeMutation({ addTags, removeTags }) {
+  const vars = ["$id: ID!", "$note: String", "$metafields: [MetafieldsSetInput!]!"];
+  const fields = [];
+
+  if (addTags) {
+    vars.push("$addTags: [String!]!");
+    fields.push(`tagsAdd(id: $id, tags: $addTags) { userErrors { field message } }`);
+  }
+  if (removeTags) {
+    vars.push("$removeTags: [String!]!");
+    fields.push(`tagsRemove(id: $id, tags: $removeTags) { userErrors { field message } }`);
+  }
+  fields.push(
+    `orderUpdate(input: { id: $id, note: $note }) { userErrors { field message } }`,
+    `metafieldsSet(metafields: $metafields) { userErrors { field message } }`,
+  );
+
+  return `#graphql
+    mutation CodOutcomeWriteBack(${vars.join(", ")}) {
+      ${fields.join("\n      ")}
+    }`;
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Write-back
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Push an order's current outcome to Shopify. Never throws.
+ *
+ * @param {string} orderId - Local Order id
+ * @param {object} [opts]
+ * @param {string} [opts.channel] - EVENT_CHANNEL the outcome arrived on
+ * @param {Date}   [opts.at]      - When the outcome was recorded
+ */
+export async function syncOrderOutcomeToShopify(
+  orderId,
+  { channel = EVENT_CHANNEL.CALL, at = new Date() } = {},
+) {
+  let order;
+  try {
+    order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order || order.shop === DEFAULT_SHOP) return { skipped: true };
+
+    const outcome = OUTCOME_BY_STATUS[order.orderStatus];
+    if (!outcome) return { skipped: true };
+
+    const orderGid = toOrderGid(order.shopifyOrderId);
+    if (!orderGid) return { skipped: true };
+
+    const config = await getShopConfig(order.shop);
+    if (config && config.shopifyWriteBack === false) return { skipped: true };
+
+    const tags = getOrderTags(config);
+    const addTag = tags[outcome];
+    const removeTags = Object.entries(tags)
+      .filter(([key, tag]) => key !== outcome && tag && tag !== addTag)
+      .map(([, tag]) => tag);
+
+    const { admin } = await unauthenticated.admin(order.shop);
+
+    const current = await adminGraphql(
+      admin,
+      `#graphql
+        query CodOrderNote($id: ID!) {
+          order(id: $id) { note }
+        }`,
+      { id: orderGid },
+    );
+
+    const channelLabel =
+      channel === EVENT_CHANNEL.WHATSAPP
+        ? "WhatsApp"
+        : channel === EVENT_CHANNEL.SYSTEM
+          ? "risk auto-confirm"
+          : "AI call";
+    const noteLine = `[COD] ${OUTCOME_LABEL[outcome]} via ${channelLabel} at ${at.toISOString()}`;
+    const note = [current?.order?.note, noteLine].filter(Boolean).join("\n");
+
+    await adminGraphql(
+      admin,
+      buildOutcomeMutation({
+        addTags: Boolean(addTag),
+        removeTags: removeTags.length > 0,
+      }),
+      {
+        id: orderGid,
+        note,
+        ...(addTag ? { addTags: [addTag] } : {}),
+        ...(removeTags.length ? { removeTags } : {}),
+        metafields: [
+          {
+            ownerId: orderGid,
+            namespace: METAFIELD_NAMESPACE,
+            key: METAFIELD_KEY,
+            type: "json",
+            value: JSON.stringify({ outcome, channel, at: at.toISOString() }),
+          },
+        ],
+      },
+    );
+
+    await recordOrderEvent({
+      orderId,
+      type: ORDER_EVENT_TYPE.SHOPIFY_SYNCED,
+      actor: EVENT_ACTOR.SYSTEM,
+      message: addTag
+        ? `Outcome written to Shopify (tag "${addTag}")`
+        : "Outcome written to Shopify",
+      payload: { outcome, tag: addTag || null, removedTags: removeTags },
+    });
+
+    console.log(
+      `[ShopifyOrder] Outcome synced orderId=${orderId} shop=${order.shop} outcome=${outcome}`,
+    );
+    return { synced: true, outcome };
+  } catch (err) {
+    console.error(`[ShopifyOrder] Write-back failed orderId=${orderId}:`, err.message);
+    if (order) {
+      await recordOrderEvent({
+        orderId,
+        type: ORDER_EVENT_TYPE.SHOPIFY_SYNC_FAILED,
+        actor: EVENT_ACTOR.SYSTEM,
+        message: `Shopify write-back failed: ${err.message}`,
+      });
+    }
+    return { error: err.message };
+  }
+}
+
+/**
+ * Cancel the Shopify order for a locally cancelled order, when the shop has
+ * opted in. Never throws — on failure the order goes to manual review.
+ *
+ * @param {string} orderId - Local Order id
+ */
+export async function cancelShopifyOrder(orderId) {
+  let order;
+  try {
+    order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order || order.shop === DEFAULT_SHOP) return { skipped: true };
+    if (order.orderStatus !== ORDER_STATUS.CANCELLED) return { skipped: true };
+
+    const config = await getShopConfig(order.shop);
+    if (!config?.autoCancelOrders) return { skipped: true };
+
+    const orderGid = toOrderGid(order.shopifyOrderId);
+    if (!orderGid) return { skipped: true };
+
+    const { admin } = await unauthenticated.admin(order.shop);
+    const data = await adminGraphql(
+      admin,
+      `#graphql
+        mutation CodOrderCancel($orderId: ID!, $restock: Boolean!, $notifyCustomer: Boolean, $staffNote: String) {
+          orderCancel(
+            orderId: $orderId
+            reason: CUSTOMER
+            refund: false
+            restock: $restock
+            notifyCustomer: $notifyCustomer
+            staffNote: $staffNote
+          ) {
+            job { id }
+            orderCancelUserErrors { field message code }
+          }
+        }`,
+      {
+        orderId: orderGid,
+        restock: config.cancelRestock,
+        notifyCustomer: config.cancelNotify,
+        staffNote: "Cancelled by the customer during COD confirmation",
+      },
+    );
+
+    await recordOrderEvent({
+      orderId,
+      type: ORDER_EVENT_TYPE.SHOPIFY_CANCELLED,
+      actor: EVENT_ACTOR.SYSTEM,
+      message: `Shopify order cancelled${config.cancelRestock ? " and restocked" : ""}`,
+      payload: {
+        jobId: data?.orderCancel?.job?.id ?? null,
+        restock: config.cancelRestock,
+        notifyCustomer: config.cancelNotify,
+      },
+    });
+
+    console.log(`[ShopifyOrder] Order cancelled in Shopify orderId=${orderId} shop=${order.shop}`);
+    return { cancelled: true };
+  } catch (err) {
+    console.error(`[ShopifyOrder] orderCancel failed orderId=${orderId}:`, err.message);
+    if (order) {
+      await prisma.order
+        .update({
+          where: { id: orderId },
+          data: { orderStatus: ORDER_STATUS.PENDING_MANUAL_REVIEW },
+        })
+        .catch(() => {});
+      await recordOrderEvent({
+        orderId,
+        type: ORDER_EVENT_TYPE.SHOPIFY_CANCEL_FAILED,
+        actor: EVENT_ACTOR.SYSTEM,
+        message: `Shopify cancel failed — moved to manual review: ${err.message}`,
+      });
+    }
+    return { error: err.message };
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Fulfillment hold
+   ───────────────────────────────────────────────────────────── */
+
+async function loadFulfillmentOrders(admin, orderGid) {
+  const data = await adminGraphql(
+    admin,
+    `#graphql
+      query CodFulfillmentOrders($id: ID!) {
+        order(id: $id) {
+          fulfillmentOrders(first: 20) {
+            nodes {
+              id
+              status
+              supportedActions { action }
+              fulfillmentHolds { id handle }
+            }
+          }
+        }
+      }`,
+    { id: orderGid },
+  );
+  return data?.order?.fulfillmentOrders?.nodes ?? [];
+}
+
+function supports(fulfillmentOrder, action) {
+  return (fulfillmentOrder.supportedActions ?? []).some((a) => a.action === action);
+}
+
+/**
+ * Put a hold on every fulfillment order of a new COD order. Never throws.
+ *
+ * @param {string} orderId - Local Order id
+ * @param {object} [config] - The order's shop AppConfig, when already loaded
+ */
+export async function holdShopifyFulfillment(orderId, config) {
+  let order;
+  try {
+    order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order || order.shop === DEFAULT_SHOP) return { skipped: true };
+
+    const orderGid = toOrderGid(order.shopifyOrderId);
+    if (!orderGid) return { skipped: true };
+
+    const shopConfig = config ?? (await getShopConfig(order.shop));
+    if (shopConfig && shopConfig.holdFulfillment === false) return { skipped: true };
+
+    const { admin } = await unauthenticated.admin(order.shop);
+    const held = [];
+    for (const fo of await loadFulfillmentOrders(admin, orderGid)) {
+      if (!supports(fo, "HOLD")) continue;
+      await adminGraphql(
+        admin,
+        `#graphql
+          mutation CodFulfillmentHold($id: ID!, $hold: FulfillmentOrderHoldInput!) {
+            fulfillmentOrderHold(id: $id, fulfillmentHold: $hold) {
+              fulfillmentHold { id }
+              userErrors { field message }
+            }
+          }`,
+        {
+          id: fo.id,
+          hold: {
+            reason: "OTHER",
+            reasonNotes: "Awaiting COD confirmation",
+            handle: FULFILLMENT_HOLD_HANDLE,
+            notifyMerchant: false,
+          },
+        },
+      );
+      held.push(fo.id);
+    }
+
+    if (held.length) {
+      await recordOrderEvent({
+        orderId,
+        type: ORDER_EVENT_TYPE.FULFILLMENT_HELD,
+        actor: EVENT_ACTOR.SYSTEM,
+        message: "Fulfillment on hold until the order is confirmed",
+        payload: { fulfillmentOrderIds: held },
+      });
+    }
+
+    console.log(`[ShopifyOrder] Fulfillment hold placed orderId=${orderId} count=${held.length}`);
+    return { held: held.length };
+  } catch (err) {
+    console.error(`[ShopifyOrder] Fulfillment hold failed orderId=${orderId}:`, err.message);
+    if (order) {
+      await recordOrderEvent({
+        orderId,
+        type: ORDER_EVENT_TYPE.FULFILLMENT_HOLD_FAILED,
+        actor: EVENT_ACTOR.SYSTEM,
+        message: `Fulfillment hold failed: ${err.message}`,
+      });
+    }
+    return { error: err.message };
+  }
+}
+
+/**
+ * Release our hold once an order is confirmed. Holds placed by anyone else
+ * stay in place. Never throws.
+ *
+ * @param {string} orderId - Local Order id
+ */
+export async function releaseShopifyFulfillmentHold(orderId) {
+  let order;
+  try {
+    order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order || order.shop === DEFAULT_SHOP) return { skipped: true };
+    if (order.orderStatus !== ORDER_STATUS.CONFIRMED) return { skipped: true };
+
+    const orderGid = toOrderGid(order.shopifyOrderId);
+    if (!orderGid) return { skipped: true };
+
+    const { admin } = await unauthenticated.admin(order.shop);
+    const released = [];
+    for (const fo of await loadFulfillmentOrders(admin, orderGid)) {
+      const holdIds = (fo.fulfillmentHolds ?? [])
+        .filter((h) => h.handle === FULFILLMENT_HOLD_HANDLE)
+        .map((h) => h.id);
+      if (!holdIds.length || !supports(fo, "RELEASE_HOLD")) continue;
+
+      await adminGraphql(
+        admin,
+        `#graphql
+          mutation CodFulfillmentRelease($id: ID!, $holdIds: [ID!]) {
+            fulfillmentOrderReleaseHold(id: $id, holdIds: $holdIds) {
+              fulfillmentOrder { id status }
+              userErrors { field message }
+            }
+          }`,
+        { id: fo.id, holdIds },
+      );
+      released.push(fo.id);
+    }
+
+    if (released.length) {
+      await recordOrderEvent({
+        orderId,
+        type: ORDER_EVENT_TYPE.FULFILLMENT_RELEASED,
+        actor: EVENT_ACTOR.SYSTEM,
+        message: "Fulfillment hold released — order confirmed",
+        payload: { fulfillmentOrderIds: released },
+      });
+    }
+    return { released: released.length };
+  } catch (err) {
+    console.error(`[ShopifyOrder] Fulfillment release failed orderId=${orderId}:`, err.message);
+    if (order) {
+      await recordOrderEvent({
+        orderId,
+        type: ORDER_EVENT_TYPE.FULFILLMENT_HOLD_FAILED,
+        actor: EVENT_ACTOR.SYSTEM,
+        message: `Fulfillment hold release failed: ${err.message}`,
+      });
+    }
+    return { error: err.message };
+  }
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Shipping address
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Copy an address corrected on the call into the Shopify shipping address,
+ * when the shop has opted in (AppConfig.pushAddressToShopify). The corrected
+ * text replaces address1 and the landmark goes to address2; city, zip and
+ * country are kept, so the order stays flagged for review. Never throws.
+ *
+ * @param {string} orderId - Local Order id
+ */
+export async function pushShippingAddressToShopify(orderId) {
+  let order;
+  try {
+    order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order?.correctedAddress || order.shop === DEFAULT_SHOP) return { skipped: true };
+
+    const orderGid = toOrderGid(order.shopifyOrderId);
+    if (!orderGid) return { skipped: true };
+
+    const config = await getShopConfig(order.shop);
+    if (!config?.pushAddressToShopify) return { skipped: true };
+
+    const { admin } = await unauthenticated.admin(order.shop);
+    const current = await adminGraphql(
+      admin,
+      `#graphql
+        query CodShippingAddress($id: ID!) {
+          order(id: $id) {
+            shippingAddress {
+              firstName lastName company phone
+              address1 address2 city provinceCode zip countryCodeV2
+            }
+          }
+        }`,
+      { id: orderGid },
+    );
+
+    const existing = current?.order?.shippingAddress;
+    if (!existing) throw new Error("Order has no shipping address");
+
+    await adminGraphql(
+      admin,
+      `#graphql
+        mutation CodShippingAddressUpdate($input: OrderInput!) {
+          orderUpdate(input: $input) { userErrors { field message } }
+        }`,
+      {
+        input: {
+          id: orderGid,
+          shippingAddress: {
+            firstName: existing.firstName,
+            lastName: existing.lastName,
+            company: existing.company,
+            phone: existing.phone,
+            address1: order.correctedAddress,
+            address2: order.landmark ? `Landmark: ${order.landmark}` : existing.address2,
+            city: existing.city,
+            provinceCode: existing.provinceCode,
+            zip: existing.zip,
+            countryCode: existing.countryCodeV2,
+          },
+        },
+      },
+    );
+
+    await recordOrderEvent({
+      orderId,
+      type: ORDER_EVENT_TYPE.SHOPIFY_ADDRESS_UPDATED,
+      actor: EVENT_ACTOR.SYSTEM,
+      message: "Corrected address copied to the Shopify shipping address",
+      payload: { previous: { address1: existing.address1, address2: existing.address2 } },
+    });
+    return { updated: true };
+  } catch (err) {
+    console.error(`[ShopifyOrder] Shipping address update failed orderId=${orderId}:`, err.message);
+    if (order) {
+      await recordOrderEvent({
+        orderId,
+        type: ORDER_EVENT_TYPE.SHOPIFY_ADDRESS_FAILED,
+        actor: EVENT_ACTOR.SYSTEM,
+        message: `Shopify shipping address update failed: ${err.message}`,
+      });
+    }
+    return { error: err.message };
+  }
+}
+
+/**
+ * Everything that follows a final outcome in Shopify: the tag / note /
+ * metafield write-back, then the opt-in auto-cancel or the fulfillment
+ * release.
+ *
+ * @param {string} orderId
+ * @param {object} [opts] - see syncOrderOutcomeToShopify
+ */
+export async function pushOutcomeToShopify(orderId, opts = {}) {
+  await syncOrderOutcomeToShopify(orderId, opts);
+  await cancelShopifyOrder(orderId);
+  await releaseShopifyFulfillmentHold(orderId);
+}
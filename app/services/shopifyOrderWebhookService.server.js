@@ -0,0 +1,148 @@
+/**
+ * Shopify Order Webhook Service
+ *
+ * Keeps the local Order in step with changes the merchant makes in Shopify
+ * (orders/updated, orders/cancelled, orders/fulfilled).
+ *
+ * EDITED   → refresh phone, address, pincode, total and customer name, so
+ *            later calls and WhatsApp messages use the new details.
+ * CLOSED   → cancelled, paid or fulfilled in Shopify: stop every QUEUED,
+ *            RETRY_SCHEDULED and WHATSAPP_SENT CallLog and mark the order
+ *            with a SHOPIFY_CLOSED_STATUS so late call results are ignored.
+ *              cancelled         → orderStatus CANCELLED
+ *              paid / fulfilled  → orderStatus CONFIRMED (if still open)
+ *
+ * orders/updated also fires for our own tag / note / metafield writes — only
+ * real changes are written and recorded on the order history.
+ */
+
+import prisma from "../db.server.js";
+import {
+  getOrderByShopifyId,
+  stopOpenCallLogs,
+} from "./orderCallService.server.js";
+import { recordOrderEvent } from "./orderEventService.server.js";
+import { buildOrderInput } from "../utils/shopifyOrderPayload.server.js";
+import {
+  ORDER_STATUS,
+  ORDER_EVENT_TYPE,
+  EVENT_ACTOR,
+  SHOPIFY_CLOSED_STATUS,
+} from "../constants.js";
+
+const EDITABLE_FIELDS = ["phoneNumber", "address", "totalPrice", "customerName", "pincode"];
+
+const CLOSED_LABEL = {
+  [SHOPIFY_CLOSED_STATUS.CANCELLED]: "cancelled",
+  [SHOPIFY_CLOSED_STATUS.PAID]: "paid",
+  [SHOPIFY_CLOSED_STATUS.FULFILLED]: "fulfilled",
+};
+
+/**
+ * Which SHOPIFY_CLOSED_STATUS the payload puts the order in, if any.
+ */
+export function getShopifyClosedStatus(payload) {
+  if (payload?.cancelled_at) return SHOPIFY_CLOSED_STATUS.CANCELLED;
+  if (payload?.fulfillment_status === "fulfilled") return SHOPIFY_CLOSED_STATUS.FULFILLED;
+  if (payload?.financial_status === "paid") return SHOPIFY_CLOSED_STATUS.PAID;
+  return null;
+}
+
+function diffEditableFields(order, input) {
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    const next = input[field];
+    // A payload without a usable phone / address must not wipe ours.
+    if (next === null || next === undefined || next === "") continue;
+    if (next !== order[field]) changes[field] = { from: order[field], to: next };
+  }
+
+  // The order may be on an alternate number after a wrong number / no answer.
+  // Only a changed set of phones on the Shopify order counts as a phone edit.
+  if (changes.phoneNumber && Array.isArray(order.phoneCandidates)) {
+    const sameCandidates =
+      JSON.stringify(order.phoneCandidates) === JSON.stringify(input.phoneCandidates);
+    if (sameCandidates) delete changes.phoneNumber;
+  }
+  return changes;
+}
+
+/**
+ * Apply a Shopify orders/* webhook payload to the matching local order.
+ *
+ * @param {string} shop    - Shop the webhook came from
+ * @param {object} payload - REST order payload
+ * @returns {Promise<{ skipped?: boolean, edited?: string[], closedAs?: string | null, stopped?: number }>}
+ */
+export async function applyShopifyOrderUpdate(shop, payload) {
+  const order = await getOrderByShopifyId(String(payload?.id ?? ""));
+  if (!order || order.shop !== shop) return { skipped: true };
+
+  const input = buildOrderInput(shop, payload);
+  const changes = diffEditableFields(order, input);
+  const closedAs = getShopifyClosedStatus(payload);
+  const alreadyClosed = order.confirmationStatus === closedAs;
+  const isOpen =
+    order.orderStatus === ORDER_STATUS.PENDING ||
+    order.orderStatus === ORDER_STATUS.PENDING_MANUAL_REVIEW;
+
+  // Paid / fulfilled only settle an order still waiting on the customer;
+  // a cancel always wins.
+  const close =
+    closedAs &&
+    !alreadyClosed &&
+    (closedAs === SHOPIFY_CLOSED_STATUS.CANCELLED || isOpen);
+
+  if (!Object.keys(changes).length && !close) return { skipped: true };
+
+  return prisma.$transaction(async (tx) => {
+    const data = Object.fromEntries(
+      Object.entries(changes).map(([field, { to }]) => [field, to]),
+    );
+    if (changes.phoneNumber) data.phoneCandidates = input.phoneCandidates;
+
+    if (close) {
+      data.confirmationStatus = closedAs;
+      data.orderStatus =
+        closedAs === SHOPIFY_CLOSED_STATUS.CANCELLED
+          ? ORDER_STATUS.CANCELLED
+          : ORDER_STATUS.CONFIRMED;
+    }
+
+    await tx.order.update({ where: { id: order.id }, data });
+
+    if (Object.keys(changes).length) {
+      await recordOrderEvent(
+        {
+          orderId: order.id,
+          type: ORDER_EVENT_TYPE.SHOPIFY_ORDER_EDITED,
+          actor: EVENT_ACTOR.WEBHOOK,
+          message: `Order edited in Shopify (${Object.keys(changes).join(", ")})`,
+          payload: changes,
+        },
+        tx,
+      );
+    }
+
+    let stopped = 0;
+    if (close) {
+      const label = CLOSED_LABEL[closedAs];
+      stopped = await stopOpenCallLogs(order.id, `Order ${label} in Shopify`, tx);
+      await recordOrderEvent(
+        {
+          orderId: order.id,
+          type: ORDER_EVENT_TYPE.SHOPIFY_ORDER_CLOSED,
+          actor: EVENT_ACTOR.WEBHOOK,
+          message: `Order ${label} in Shopify — ${stopped} pending attempt(s) stopped`,
+          payload: { closedAs, stopped, previousStatus: order.orderStatus },
+        },
+        tx,
+      );
+    }
+
+    console.log(
+      `[ShopifyWebhook] orderId=${order.id} shop=${shop} edited=${Object.keys(changes).join(",") || "-"} closedAs=${close ? closedAs : "-"} stopped=${stopped}`,
+    );
+    return { edited: Object.keys(changes), closedAs: close ? closedAs : null, stopped };
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * Usage Service
+ *
+ * Ledger of what each shop consumes — call seconds and Vapi cost per dial,
+ * and outbound WhatsApp messages — rolled up per billing period for the
+ * Subscription page.
+ *
+ * LEDGER
+ * ──────
+ *  recordUsage writes one UsageEvent per billable unit, keyed by
+ *  (kind, sourceId). The end-of-call report and the GET /call fallback both
+ *  report the same call, so a second write only updates the row. After each
+ *  write the shop's UsagePeriod totals are recomputed from its events, which
+ *  keeps them exact however often a source repeats itself.
+ *
+ *  Sources:
+ *    ORDER_CALL       applyVapiReport (callAttemptService)
+ *    CUSTOMER_CALL    customer-call end-of-call-report (customerVapiWebhook)
+ *    WHATSAPP_MESSAGE sendWhatsAppFallback / WhatsApp reminder
+ *
+ * BILLING PERIOD
+ * ──────────────
+ *  With an active subscription, its 30-day billing cycle — the one ending at
+ *  ShopSubscription.currentPeriodEnd, stepped forward or back in 30-day
+ *  cycles when the stored end is out of date. Without one, the calendar
+ *  month in the shop's calling-window timezone. The plan's minute quota and
+ *  overage charges are counted against the same period (billingService).
+ *
+ * WhatsApp cost is Twilio's price when the API returns one, else the
+ * WHATSAPP_MESSAGE_COST estimate (USD, default 0).
+ */
+
+import prisma from "../db.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import {
+  getCallingWindow,
+  getZonedParts,
+  zonedTimeToUtc,
+} from "./callingWindow.server.js";
+import { ORDER_EVENT_TYPE, USAGE_KIND } from "../constants.js";
+
+const CALL_KINDS = [USAGE_KIND.ORDER_CALL, USAGE_KIND.CUSTOMER_CALL];
+const SUBSCRIPTION_PERIOD_MS = 30 * 24 * 60 * 60 * 1000; // EVERY_30_DAYS
+
+async function shopTimezone(shop) {
+  const config = await getShopConfig(shop).catch(() => null);
+  return getCallingWindow(config).timezone;
+}
+
+/**
+ * The billing period containing `at`.
+ *
+ * @param {Date} at
+ * @param {string} timezone
+ * @param {{ currentPeriodEnd?: Date | null } | null} [subscription] - active ShopSubscription
+ * @returns {{ start: Date, end: Date }}
+ */
+export function billingPeriodFor(at, timezone, subscription = null) {
+  const anchor = subscription?.currentPeriodEnd ? new Date(subscription.currentPeriodEnd).getTime() : NaN;
+  if (Number.isFinite(anchor)) {
+    const cycles = Math.floor((at.getTime() - anchor) / SUBSCRIPTION_PERIOD_MS) + 1;
+    const end = anchor + cycles * SUBSCRIPTION_PERIOD_MS;
+    return { start: new Date(end - SUBSCRIPTION_PERIOD_MS), end: new Date(end) };
+  }
+
+  const { year, month } = getZonedParts(at, timezone);
+  const next = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+  return {
+    start: zonedTimeToUtc({ year, month, day: 1 }, timezone),
+    end: zonedTimeToUtc({ ...next, day: 1 }, timezone),
+  };
+}
+
+/**
+ * The shop's billing period containing `at`, and its timezone.
+ *
+ * @param {string} shop
+ * @param {Date} [at]
+ * @returns {Promise<{ start: Date, end: Date, timezone: string }>}
+ */
+export async function getBillingPeriod(shop, at = new Date()) {
+  const [timezone, subscription] = await Promise.all([
+    shopTimezone(shop),
+    prisma.shopSubscription.findUnique({ where: { shop } }),
+  ]);
+  const active = subscription?.status === "ACTIVE" ? subscription : null;
+  return { ...billingPeriodFor(at, timezone, active), timezone };
+}
+
+/** Estimated cost of one outbound WhatsApp message when Twilio has no price yet. */
+export function whatsappMessageCost(twilioPrice) {
+  const price = twilioPrice == null ? NaN : Math.abs(Number(twilioPrice));
+  if (Number.isFinite(price) && price > 0) return price;
+  const estimate = Number(process.env.WHATSAPP_MESSAGE_COST);
+  return Number.isFinite(estimate) && estimate > 0 ? estimate : 0;
+}
+
+// ─── Ledger ───────────────────────────────────────────────────────────────────
+
+async function refreshUsagePeriod(shop, period) {
+  const where = { shop, periodStart: period.start };
+  const [calls, messages] = await Promise.all([
+    prisma.usageEvent.aggregate({
+      where: { ...where, kind: { in: CALL_KINDS } },
+      _count: { _all: true },
+      _sum: { quantity: true, cost: true },
+    }),
+    prisma.usageEvent.aggregate({
+      where: { ...where, kind: USAGE_KIND.WHATSAPP_MESSAGE },
+      _count: { _all: true },
+      _sum: { cost: true },
+    }),
+  ]);
+
+  const totals = {
+    periodEnd: period.end,
+    calls: calls._count._all,
+    callSeconds: Math.round(calls._sum.quantity ?? 0),
+    callCost: calls._sum.cost ?? 0,
+    whatsappMessages: messages._count._all,
+    whatsappCost: messages._sum.cost ?? 0,
+  };
+
+  return prisma.usagePeriod.upsert({
+    where: { shop_periodStart: { shop, periodStart: period.start } },
+    create: { shop, periodStart: period.start, ...totals },
+    update: totals,
+  });
+}
+
+/**
+ * Add (or correct) one ledger row. Never throws — a usage write must not
+ * fail the call or message it describes.
+ *
+ * @param {object} params
+ * @param {string} params.shop
+ * @param {string} params.kind         - USAGE_KIND
+ * @param {string} params.sourceId     - unique per kind
+ * @param {number} params.quantity     - seconds for calls, 1 per message
+ * @param {number} [params.cost]       - USD
+ * @param {Date}   [params.occurredAt]
+ * @param {string | null} [params.orderId]
+ */
+export async function recordUsage({
+  shop,
+  kind,
+  sourceId,
+  quantity,
+  cost = 0,
+  occurredAt = new Date(),
+  orderId = null,
+}) {
+  if (!shop || !sourceId) return null;
+
+  try {
+    const period = await getBillingPeriod(shop, occurredAt);
+    const data = {
+      shop,
+      orderId,
+      quantity: Number(quantity) || 0,
+      cost: Number(cost) || 0,
+      occurredAt,
+      periodStart: period.start,
+    };
+
+    await prisma.usageEvent.upsert({
+      where: { kind_sourceId: { kind, sourceId } },
+      create: { kind, sourceId, ...data },
+      update: data,
+    });
+    return await refreshUsagePeriod(shop, period);
+  } catch (err) {
+    console.error(`[Usage] Failed to record ${kind} sourceId=${sourceId}:`, err.message);
+    return null;
+  }
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+function dayKey(date, timezone) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Usage for the Subscription page: period totals, spend, cost per confirmed
+ * order and one entry per day of the period.
+ *
+ * @param {string} shop
+ * @param {object} [opts]
+ * @param {Date} [opts.at] - any instant inside the wanted period
+ */
+export async function getUsageSummary(shop, { at = new Date() } = {}) {
+  const period = await getBillingPeriod(shop, at);
+  const { timezone } = period;
+
+  const [totals, events, confirmedOrders, conversations] = await Promise.all([
+    prisma.usagePeriod.findUnique({
+      where: { shop_periodStart: { shop, periodStart: period.start } },
+    }),
+    prisma.usageEvent.findMany({
+      where: { shop, periodStart: period.start },
+      select: { kind: true, quantity: true, cost: true, occurredAt: true },
+    }),
+    prisma.orderEvent.count({
+      where: {
+        type: ORDER_EVENT_TYPE.ORDER_CONFIRMED,
+        createdAt: { gte: period.start, lt: period.end },
+        order: { shop },
+      },
+    }),
+    prisma.usageEvent.findMany({
+      where: {
+        shop,
+        periodStart: period.start,
+        kind: USAGE_KIND.WHATSAPP_MESSAGE,
+        orderId: { not: null },
+      },
+      distinct: ["orderId"],
+      select: { orderId: true },
+    }),
+  ]);
+
+  // One bucket per day of the period, empty days included. Stepping from
+  // midday keeps DST changes from skipping a date.
+  const daily = new Map();
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  for (let t = period.start.getTime() + DAY_MS / 2; t < period.end.getTime(); t += DAY_MS) {
+    const date = dayKey(new Date(t), timezone);
+    daily.set(date, { date, minutes: 0, calls: 0, messages: 0, cost: 0 });
+  }
+  for (const e of events) {
+    const bucket = daily.get(dayKey(e.occurredAt, timezone));
+    if (!bucket) continue;
+    if (CALL_KINDS.includes(e.kind)) {
+      bucket.calls += 1;
+      bucket.minutes += e.quantity / 60;
+    } else {
+      bucket.messages += 1;
+    }
+    bucket.cost += e.cost;
+  }
+
+  const callSeconds = totals?.callSeconds ?? 0;
+  const callCost = totals?.callCost ?? 0;
+  const whatsappCost = totals?.whatsappCost ?? 0;
+  const spend = callCost + whatsappCost;
+
+  return {
+    timezone,
+    period: { start: period.start.toISOString(), end: period.end.toISOString() },
+    calls: totals?.calls ?? 0,
+    minutes: Math.round((callSeconds / 60) * 10) / 10,
+    callCost,
+    whatsappMessages: totals?.whatsappMessages ?? 0,
+    whatsappConversations: conversations.length,
+    whatsappCost,
+    spend,
+    confirmedOrders,
+    costPerConfirmedOrder: confirmedOrders > 0 ? spend / confirmedOrders : null,
+    daily: [...daily.values()].map((d) => ({
+      ...d,
+      minutes: Math.round(d.minutes * 10) / 10,
+      cost: Math.round(d.cost * 1000) / 1000,
+    })),
+  };
+}
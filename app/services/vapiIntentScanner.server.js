@@ -0,0 +1,157 @@
+/**
+ * Vapi Intent Scanner
+ *
+ * Finds the intent the assistant reported for an order confirmation call in
+ * a Vapi payload (webhook body or GET /call).
+ *
+ * WHERE IT LOOKS
+ * ──────────────
+ *  Only fields named for the intent, wherever they sit in analysis,
+ *  structuredData, structuredOutputs or tool-call arguments:
+ *    { intent: "confirm" }                               structured data
+ *    { "<uuid>": { name: "intent", result: "cancel" } }  structured outputs
+ *    { function: { arguments: "{\"intent\":\"busy\"}" } } tool call
+ *    { confirmed: true }                                 boolean flag
+ *  Other fields are never read as an intent — the same structured output
+ *  carries addressCorrect: "no" and cancelReason values, and the transcript
+ *  in the artifact has every "yes" and "no" the customer said.
+ *
+ * Key matching ignores case, "_" and "-".
+ */
+
+export const ASSISTANT_INTENT_MAP = {
+  confirm: 'confirm',
+  confirmed: 'confirm',
+  accepted: 'confirm',
+  yes: 'confirm',
+  confirming: 'confirm',
+  cancel: 'cancel',
+  cancelled: 'cancel',
+  no: 'cancel',
+  busy: 'busy',
+  recall: 'recall_request',
+  call_later: 'recall_request',
+  pending: 'recall_request',
+  wrong_number: 'wrong_number',
+};
+
+const INTENT_FIELD_KEYS = new Set([
+  "intent",
+  "orderintent",
+  "customerintent",
+  "callintent",
+  "calloutcome",
+]);
+
+// Too generic to be a flag — { yes: true } says nothing about the order.
+const NOT_A_FLAG = new Set(["yes", "no"]);
+
+/**
+ * Every location in a Vapi payload (webhook body or GET /call) that can hold
+ * AI-generated results.
+ */
+export function resultPaths(obj) {
+  return [
+    { name: "analysis", data: obj?.analysis || obj?.message?.analysis },
+    { name: "artifact", data: obj?.artifact || obj?.message?.artifact || obj?.call?.artifact },
+    { name: "structuredData", data: obj?.structuredData || obj?.message?.structuredData || obj?.analysis?.structuredData },
+    { name: "structuredOutputs", data: obj?.structuredOutputs || obj?.message?.structuredOutputs || obj?.analysis?.structuredOutputs },
+    { name: "toolCalls", data: obj?.toolCalls || obj?.message?.toolCalls },
+    { name: "successEvaluation", data: obj?.analysis?.successEvaluation || obj?.message?.analysis?.successEvaluation }
+  ];
+}
+
+function _isIntentField(key) {
+  return INTENT_FIELD_KEYS.has(String(key).toLowerCase().replace(/[\s_-]/g, ""));
+}
+
+function _intentValue(value) {
+  if (typeof value !== "string") return null;
+  const lower = value.trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return ASSISTANT_INTENT_MAP[lower] ? lower : null;
+}
+
+// successEvaluation is a single value — an intent name if the rubric asks
+// for one, never a bare yes / no.
+function _evaluationIntent(value) {
+  const found = _intentValue(value);
+  return found && !NOT_A_FLAG.has(found) ? found : null;
+}
+
+/**
+ * Find the intent in a Vapi payload.
+ *
+ * @returns {string | null} an ASSISTANT_INTENT_MAP key
+ */
+export function scanForIntent(obj) {
+  if (!obj || typeof obj !== "object") return null;
+
+  for (const { name, data } of resultPaths(obj)) {
+    if (!data) continue;
+    const found =
+      name === "successEvaluation" ? _evaluationIntent(data) : _deepScanIntentData(data, 0);
+    if (found) {
+      console.log(`[VapiScanner] ✅ Match in ${name}: "${found}"`);
+      return found;
+    }
+  }
+  return null;
+}
+
+function _deepScanIntentData(obj, depth) {
+  if (!obj || depth > 6) return null;
+
+  // Stringified JSON — tool-call arguments arrive this way.
+  if (typeof obj === 'string') {
+    const trimmed = obj.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return _deepScanIntentData(JSON.parse(trimmed), depth + 1);
+      } catch (e) { /* ignore */ }
+    }
+    return null;
+  }
+
+  if (Array.isArray(obj)) {
+    for (const item of obj) {
+      const found = _deepScanIntentData(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (typeof obj === 'object') {
+    // structuredOutputs: { "<uuid>": { name: "intent", result: "confirm" } }
+    if (typeof obj.name === "string" && _isIntentField(obj.name)) {
+      const found = _intentValue(obj.result);
+      if (found) return found;
+    }
+
+    for (const [key, value] of Object.entries(obj)) {
+      if (_isIntentField(key)) {
+        const found = _intentValue(value);
+        if (found) return found;
+      }
+    }
+
+    for (const [key, value] of Object.entries(obj)) {
+      const k = String(key).toLowerCase().trim();
+      if (
+        ASSISTANT_INTENT_MAP[k] &&
+        !NOT_A_FLAG.has(k) &&
+        (value === true || ['true', 'yes'].includes(String(value).toLowerCase().trim()))
+      ) {
+        return k;
+      }
+    }
+
+    for (const value of Object.values(obj)) {
+      if (value && (typeof value === 'object' || typeof value === 'string')) {
+        const found = _deepScanIntentData(value, depth + 1);
+        if (found) return found;
+      }
+    }
+  }
+
+  return null;
+}
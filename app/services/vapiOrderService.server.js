@@ -7,10 +7,31 @@
  * - systemPrompt and structured output MUST be configured
  *   in the Vapi Dashboard Assistant (NOT per call).
  * - assistantOverrides only supports runtime values like
- *   firstMessage, variableValues, serverUrl.
+ *   firstMessage, variableValues, serverUrl, serverUrlSecret.
  */
 
 import prisma from "../db.server.js";
+import { assertWithinCallingWindow } from "./callingWindow.server.js";
+import {
+  DIAL_KIND,
+  acquireDialSlot,
+  releaseDialSlot,
+  providerRateLimitError,
+} from "./dialLimiterService.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import { assertDialQuota } from "./billingService.server.js";
+import { ensureVapiWebhookSecret } from "./webhookAuthService.server.js";
+import { extractCallArtifacts, saveCallTranscript } from "./callTranscriptService.server.js";
+import { classifyCallIntent } from "./intentClassifierService.server.js";
+import { applyVapiReport, startCallAttempt } from "./callAttemptService.server.js";
+import { normalizeCancelReason } from "./cancelReasonService.server.js";
+import {
+  ASSISTANT_INTENT_MAP,
+  resultPaths,
+  scanForIntent,
+} from "./vapiIntentScanner.server.js";
+import { formatProductListForVoice } from "../utils/productList.server.js";
+import { CANCEL_REASON } from "../constants.js";
 
 const VAPI_BASE_URL = "https://api.vapi.ai";
 
@@ -32,70 +53,143 @@ export function isPermanentOrderVapiError(err) {
 }
 
 /* ─────────────────────────────────────────────────────────────
-   Intent Mapping & Scanners
+   Intent Mapping & Scanners — see vapiIntentScanner.server.js
    ───────────────────────────────────────────────────────────── */
 
-export const ASSISTANT_INTENT_MAP = {
-  confirm: 'confirm',
-  confirmed: 'confirm',
-  accepted: 'confirm',
-  yes: 'confirm',
-  confirming: 'confirm',
-  cancel: 'cancel',
-  cancelled: 'cancel',
-  no: 'cancel',
-  busy: 'busy',
-  recall: 'recall_request',
-  call_later: 'recall_request',
-  pending: 'recall_request',
-  wrong_number: 'wrong_number',
-};
+export { ASSISTANT_INTENT_MAP, scanForIntent };
+
+/* ─────────────────────────────────────────────────────────────
+   Address confirmation
+   ───────────────────────────────────────────────────────────── */
 
 /**
- * Robust scanner to find intent in Vapi payloads.
- * Searches multiple paths and handles nested objects/UUID keys.
+ * Structured-output fields the assistant fills while reading {{ADDRESS}} back
+ * to the customer (configure them on the Vapi assistant):
+ *   addressCorrect   — boolean, the customer agreed the address is right
+ *   correctedAddress — string, the address the customer gave instead
+ *   landmark         — string, optional landmark for the courier
+ * Key matching ignores case, "_" and "-"; structuredOutputs entries of the
+ * form { name, result } are read by name.
  */
-export function scanForIntent(obj, depth = 0) {
-  if (!obj || typeof obj !== "object" || depth > 8) return null;
-
-  // At top level, check every possible location for AI-generated results
-  if (depth === 0) {
-    const paths = [
-      { name: "analysis", data: obj?.analysis || obj?.message?.analysis },
-      { name: "artifact", data: obj?.artifact || obj?.message?.artifact || obj?.call?.artifact },
-      { name: "structuredData", data: obj?.structuredData || obj?.message?.structuredData || obj?.analysis?.structuredData },
-      { name: "structuredOutputs", data: obj?.structuredOutputs || obj?.message?.structuredOutputs || obj?.analysis?.structuredOutputs },
-      { name: "toolCalls", data: obj?.toolCalls || obj?.message?.toolCalls },
-      { name: "successEvaluation", data: obj?.analysis?.successEvaluation || obj?.message?.analysis?.successEvaluation }
-    ];
-
-    for (const { name, data } of paths) {
-      if (!data) continue;
-      const found = _deepScanIntentData(data, 0);
-      if (found) {
-        console.log(`[VapiScanner] ✅ Match in ${name}: "${found}"`);
-        return found;
+const ADDRESS_FIELD_KEYS = {
+  addresscorrect: "addressCorrect",
+  addressconfirmed: "addressCorrect",
+  isaddresscorrect: "addressCorrect",
+  correctedaddress: "correctedAddress",
+  newaddress: "correctedAddress",
+  updatedaddress: "correctedAddress",
+  landmark: "landmark",
+};
+
+function _addressFieldFor(key) {
+  return ADDRESS_FIELD_KEYS[String(key).toLowerCase().replace(/[\s_-]/g, "")] ?? null;
+}
+
+function _collectAddressFields(obj, depth, out) {
+  if (!obj || depth > 6) return;
+
+  if (typeof obj === "string") {
+    const trimmed = obj.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      try {
+        _collectAddressFields(JSON.parse(trimmed), depth + 1, out);
+      } catch (e) { /* ignore */ }
+    }
+    return;
+  }
+
+  if (Array.isArray(obj)) {
+    for (const item of obj) _collectAddressFields(item, depth + 1, out);
+    return;
+  }
+
+  if (typeof obj === "object") {
+    // structuredOutputs: { "<uuid>": { name: "correctedAddress", result: "..." } }
+    const named = typeof obj.name === "string" ? _addressFieldFor(obj.name) : null;
+    if (named && "result" in obj && !(named in out)) out[named] = obj.result;
+
+    for (const [key, value] of Object.entries(obj)) {
+      const field = _addressFieldFor(key);
+      if (field && !(field in out) && (value === null || typeof value !== "object")) {
+        out[field] = value;
+      } else if (value && typeof value === "object") {
+        _collectAddressFields(value, depth + 1, out);
+      } else if (typeof value === "string") {
+        _collectAddressFields(value, depth + 1, out);
       }
     }
-    return null;
+  }
+}
+
+function _asBoolean(value) {
+  if (typeof value === "boolean") return value;
+  const v = String(value ?? "").toLowerCase().trim();
+  if (["true", "yes", "correct", "haan"].includes(v)) return true;
+  if (["false", "no", "incorrect", "wrong", "nahi"].includes(v)) return false;
+  return null;
+}
+
+function _asText(value) {
+  const v = String(value ?? "").trim();
+  return v && !["null", "none", "n/a", "na", "-"].includes(v.toLowerCase()) ? v : null;
+}
+
+/**
+ * Find the address-confirmation result in a Vapi payload.
+ *
+ * @returns {{ addressCorrect: boolean | null, correctedAddress: string | null, landmark: string | null } | null}
+ */
+export function scanForAddress(obj) {
+  if (!obj || typeof obj !== "object") return null;
+
+  for (const { name, data } of resultPaths(obj)) {
+    if (!data) continue;
+    const raw = {};
+    _collectAddressFields(data, 0, raw);
+
+    const result = {
+      addressCorrect: _asBoolean(raw.addressCorrect),
+      correctedAddress: _asText(raw.correctedAddress),
+      landmark: _asText(raw.landmark),
+    };
+    if (result.addressCorrect !== null || result.correctedAddress || result.landmark) {
+      console.log(`[VapiScanner] ✅ Address result in ${name}: ${JSON.stringify(result)}`);
+      return result;
+    }
   }
   return null;
 }
 
-function _deepScanIntentData(obj, depth) {
+/* ─────────────────────────────────────────────────────────────
+   Cancellation reason
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * Structured-output field the assistant fills when the customer cancels
+ * (configure it on the Vapi assistant; {{cancelReasons}} lists the allowed
+ * values for the prompt):
+ *   cancelReason — one of CANCEL_REASON, or the customer's words
+ * Key matching ignores case, "_" and "-", like the address fields.
+ */
+const CANCEL_REASON_KEYS = new Set([
+  "cancelreason",
+  "cancellationreason",
+  "reasonforcancellation",
+  "cancelledreason",
+]);
+
+function _isCancelReasonKey(key) {
+  return CANCEL_REASON_KEYS.has(String(key).toLowerCase().replace(/[\s_-]/g, ""));
+}
+
+function _findCancelReasonValue(obj, depth) {
   if (!obj || depth > 6) return null;
 
-  // Handle Stringified JSON
-  if (typeof obj === 'string') {
+  if (typeof obj === "string") {
     const trimmed = obj.trim();
-    const lower = trimmed.toLowerCase();
-    
-    if (ASSISTANT_INTENT_MAP[lower]) return lower;
-
-    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
       try {
-        const parsed = JSON.parse(trimmed);
-        return _deepScanIntentData(parsed, depth + 1);
+        return _findCancelReasonValue(JSON.parse(trimmed), depth + 1);
       } catch (e) { /* ignore */ }
     }
     return null;
@@ -103,73 +197,96 @@ function _deepScanIntentData(obj, depth) {
 
   if (Array.isArray(obj)) {
     for (const item of obj) {
-      const found = _deepScanIntentData(item, depth + 1);
+      const found = _findCancelReasonValue(item, depth + 1);
       if (found) return found;
     }
     return null;
   }
 
-  if (typeof obj === 'object') {
-    // 1. Check values first
-    for (const value of Object.values(obj)) {
-      if (typeof value === 'string' || (value && typeof value === 'object')) {
-        const found = _deepScanIntentData(value, depth + 1);
-        if (found) return found;
-      }
+  if (typeof obj === "object") {
+    // structuredOutputs: { "<uuid>": { name: "cancelReason", result: "..." } }
+    if (typeof obj.name === "string" && _isCancelReasonKey(obj.name) && _asText(obj.result)) {
+      return _asText(obj.result);
     }
 
-    // 2. Check keys
     for (const [key, value] of Object.entries(obj)) {
-      const k = String(key).toLowerCase().trim();
-      const valStr = String(value).toLowerCase().trim();
-      if (ASSISTANT_INTENT_MAP[k] && (value === true || valStr === 'true' || valStr === 'yes')) {
-        return k;
+      if (_isCancelReasonKey(key) && (value === null || typeof value !== "object")) {
+        if (_asText(value)) return _asText(value);
+      } else if (value && (typeof value === "object" || typeof value === "string")) {
+        const found = _findCancelReasonValue(value, depth + 1);
+        if (found) return found;
       }
     }
   }
-
   return null;
 }
 
 /**
- * Scans a raw transcript string for confirmation keywords.
+ * Find the cancellation reason in a Vapi payload.
+ *
+ * @returns {{ reason: string, note: string | null } | null} reason is a
+ *   CANCEL_REASON; note is the raw value when it was free text
  */
-export function scanTranscript(transcript) {
-  if (!transcript || typeof transcript !== "string") return null;
-  const text = transcript.toLowerCase();
-
-  const confirmPatterns = [
-    /\b(haan|ha|yes|confirm|confirmed|ok|okay|theek hai|thik hai|acha thik hai|order kar do|pakka)\b/,
-  ];
-  const cancelPatterns = [
-    /\b(cancel|nahi|nahi chahiye|cancelled|mat karo|nako|no)\b/,
-  ];
-  const wrongNumberPatterns = [
-    /\bwrong number\b/,
-  ];
-
-  for (const pat of wrongNumberPatterns) {
-    if (pat.test(text)) return "wrong_number";
+export function scanForCancelReason(obj) {
+  if (!obj || typeof obj !== "object") return null;
+
+  for (const { name, data } of resultPaths(obj)) {
+    if (!data) continue;
+    const raw = _findCancelReasonValue(data, 0);
+    const reason = normalizeCancelReason(raw);
+    if (reason) {
+      const note = raw.toLowerCase().replace(/[\s-]+/g, "_") === reason ? null : raw;
+      console.log(`[VapiScanner] ✅ Cancel reason in ${name}: ${reason}`);
+      return { reason, note };
+    }
   }
+  return null;
+}
 
-  const parts = text.split(/[.!?\n]/).filter(p => p.trim().length > 0);
-  const lastFewParts = parts.slice(-3).join(' ');
+/**
+ * Classify the customer's answer from an end-of-call-report message or a
+ * Vapi call object (intentClassifierService). Speaker turns are used when
+ * Vapi sent them, else the transcript text.
+ */
+export async function classifyTranscript(source) {
+  const { messages, transcript } = extractCallArtifacts(source);
+  return classifyCallIntent(messages.length > 0 ? messages : transcript);
+}
 
-  for (const pat of cancelPatterns) {
-    if (pat.test(lastFewParts)) return "cancel";
-  }
-  for (const pat of confirmPatterns) {
-    if (pat.test(lastFewParts)) return "confirm";
-  }
+/** One-line summary of a classification for the logs. */
+export function describeClassification(c) {
+  return `${c.intent ?? "none"} confidence=${c.confidence} language=${c.language ?? "-"}`;
+}
 
-  return null;
+/**
+ * Vapi's status for a call ("queued", "ringing", "in-progress", "forwarding",
+ * "ended"), or null when Vapi cannot be asked.
+ */
+export async function getVapiCallStatus(vapiCallId, shop) {
+  const config = await getShopConfig(shop).catch(() => null);
+  const apiKey = config?.vapiApiKey || process.env.VAPI_API_KEY;
+  if (!apiKey || !vapiCallId) return null;
+
+  try {
+    const res = await fetch(`${VAPI_BASE_URL}/call/${vapiCallId}`, {
+      headers: { "Authorization": `Bearer ${apiKey}` }
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data?.status ?? null;
+  } catch (e) {
+    console.error(`[VapiService] Error fetching status of call ${vapiCallId}:`, e.message);
+    return null;
+  }
 }
 
 /**
  * Fetches the call details from Vapi API and searches for an intent.
+ * Uses the shop's Vapi key when one is configured.
  */
-export async function getVapiCallIntent(vapiCallId) {
-  const apiKey = process.env.VAPI_API_KEY;
+export async function getVapiCallIntent(vapiCallId, shop) {
+  const config = await getShopConfig(shop).catch(() => null);
+  const apiKey = config?.vapiApiKey || process.env.VAPI_API_KEY;
   if (!apiKey || !vapiCallId) return null;
 
   try {
@@ -199,6 +316,12 @@ export async function getVapiCallIntent(vapiCallId) {
     if (callStatus === 'queued' || callStatus === 'ringing' || callStatus === 'in-progress') {
       return null;
     }
+
+    // The end-of-call-report may never have arrived — keep what Vapi has.
+    if (callStatus === 'ended') {
+      await saveCallTranscript(vapiCallId, data);
+      await applyVapiReport(vapiCallId, data);
+    }
     
     const foundRaw = scanForIntent(data);
     if (foundRaw) {
@@ -206,12 +329,15 @@ export async function getVapiCallIntent(vapiCallId) {
       return ASSISTANT_INTENT_MAP[foundRaw];
     }
 
-    const transcript = data?.artifact?.transcript || data?.transcript;
-    if (transcript && typeof transcript === 'string' && transcript.trim().length > 20) {
-      const transRaw = scanTranscript(transcript);
-      if (transRaw) {
-        console.log(`[VapiService] Found intent from transcript: ${transRaw}`);
-        return ASSISTANT_INTENT_MAP[transRaw];
+    if (callStatus === 'ended') {
+      const classification = await classifyTranscript(data);
+      if (classification.needsReview) {
+        console.log(`[VapiService] Unclear transcript: ${describeClassification(classification)}`);
+        return 'unclear';
+      }
+      if (classification.intent) {
+        console.log(`[VapiService] Found intent from transcript: ${describeClassification(classification)}`);
+        return ASSISTANT_INTENT_MAP[classification.intent];
       }
     }
 
@@ -275,11 +401,11 @@ function scriptMatchesLanguage(scriptBody, lang) {
  * 2. If there's an ACTIVE script that MATCHES the selected language → use it
  * 3. If no matching script → use the language-specific default message
  */
-async function buildFirstMessageFromScript(customerName, storeName, orderId, totalPrice) {
+async function buildFirstMessageFromScript(shop, customerName, storeName, orderId, totalPrice, address, productList) {
   // Step 1: Determine the configured call language
   let lang = "hindi";
   try {
-    const appConfig = await prisma.appConfig.findFirst({ where: { shop: "default" } });
+    const appConfig = await getShopConfig(shop);
     if (appConfig?.callLanguage) {
       lang = appConfig.callLanguage.toLowerCase().trim();
     }
@@ -292,7 +418,7 @@ async function buildFirstMessageFromScript(customerName, storeName, orderId, tot
   // Step 2: Try to use the active script, but ONLY if it matches the language
   try {
     const activeScript = await prisma.script.findFirst({
-      where: { shop: "default", isActive: true },
+      where: { shop, isActive: true },
     });
 
     if (activeScript && activeScript.body) {
@@ -303,6 +429,8 @@ async function buildFirstMessageFromScript(customerName, storeName, orderId, tot
           storeName,
           orderId,
           totalPrice,
+          address,
+          productList,
         });
       } else {
         console.log(`[Vapi] ⚠️ Active script "${activeScript.name}" is NOT in ${lang}, skipping → using ${lang} default`);
@@ -318,6 +446,7 @@ async function buildFirstMessageFromScript(customerName, storeName, orderId, tot
       `નમસ્તે ${customerName}, ` +
       `હું ${storeName} તરફથી બોલી રહ્યો છું. ` +
       `તમે ₹${totalPrice} નો ઓર્ડર #${orderId} કર્યો છે. ` +
+      (productList ? `તેમાં ${productList} છે. ` : "") +
       `શું તમે આ ઓર્ડર કન્ફર્મ કરો છો?`
     );
   }
@@ -327,6 +456,7 @@ async function buildFirstMessageFromScript(customerName, storeName, orderId, tot
       `Hello ${customerName}, ` +
       `I am calling from ${storeName}. ` +
       `You placed Order #${orderId} worth ₹${totalPrice}. ` +
+      (productList ? `It contains ${productList}. ` : "") +
       `Can you please confirm this order?`
     );
   }
@@ -336,6 +466,7 @@ async function buildFirstMessageFromScript(customerName, storeName, orderId, tot
     `नमस्ते ${customerName}, ` +
     `मैं ${storeName} की तरफ से बोल रहा हूं। ` +
     `आपने ₹${totalPrice} का Order #${orderId} place किया है। ` +
+    (productList ? `इसमें ${productList} है। ` : "") +
     `क्या आप इस ऑर्डर की पुष्टि करते हैं?`
   );
 }
@@ -345,13 +476,18 @@ async function buildFirstMessageFromScript(customerName, storeName, orderId, tot
    ───────────────────────────────────────────────────────────── */
 
 export async function triggerOrderConfirmationCall({
+  shop,
   callLogId,
   customerName,
   phoneNumber,
   storeName,
   orderId,
   totalPrice,
+  address,
+  lineItems = null,
   overrideBaseUrl,
+  ignoreCallingWindow = false,
+  ignoreDialLimit = false,
 }) {
   // Try reading config from DB first, fallback to env vars
   let apiKey = process.env.VAPI_API_KEY;
@@ -359,7 +495,7 @@ export async function triggerOrderConfirmationCall({
   let assistantId = process.env.VAPI_ORDER_ASSISTANT_ID ?? process.env.VAPI_ASSISTANT_ID;
 
   try {
-    const dbConfig = await prisma.appConfig.findFirst({ where: { shop: "default" } });
+    const dbConfig = await getShopConfig(shop);
     if (dbConfig) {
       if (dbConfig.vapiApiKey) apiKey = dbConfig.vapiApiKey;
       if (dbConfig.vapiPhoneId) phoneNumberId = dbConfig.vapiPhoneId;
@@ -392,45 +528,92 @@ export async function triggerOrderConfirmationCall({
     throw new VapiOrderError("Missing public webhook URL.", { retryable: false });
   }
 
-  // Build first message from the active script in DB
-  const firstMessage = await buildFirstMessageFromScript(customerName, storeName, orderId, totalPrice);
+  // Quiet hours — throws CallingWindowError with the next allowed slot.
+  if (!ignoreCallingWindow) {
+    await assertWithinCallingWindow(shop);
+  }
+
+  // Minute quota — throws QuotaExceededError. Never skipped, test calls
+  // included: every dial is billed.
+  await assertDialQuota(shop);
+
+  // Build first message from the shop's active script
+  const productList = formatProductListForVoice(lineItems);
+  const firstMessage = await buildFirstMessageFromScript(
+    shop,
+    customerName,
+    storeName,
+    orderId,
+    totalPrice,
+    address,
+    productList,
+  );
+
+  const webhookSecret = await ensureVapiWebhookSecret(shop);
 
   const payload = {
     phoneNumberId,
     assistantId,
     customer: { name: customerName, number: phoneNumber },
     name: `COD-${String(orderId).slice(-10)}`,
-    metadata: { callLogId, orderId, type: "order_confirmation" },
+    metadata: { shop, callLogId, orderId, type: "order_confirmation" },
     assistantOverrides: {
       serverUrl: orderWebhookUrl,
+      // Echoed back as x-vapi-secret — see webhookAuthService.
+      ...(webhookSecret ? { serverUrlSecret: webhookSecret } : {}),
       firstMessage,
       variableValues: {
         customerName,
         storeName,
         orderId: String(orderId),
         totalPrice: String(totalPrice),
+        // Read back for address confirmation — see scanForAddress.
+        address: address || "",
+        productList,
+        // Allowed values of the cancelReason structured output.
+        cancelReasons: Object.values(CANCEL_REASON).join(", "),
       },
     },
   };
 
+  // Shop dial limits — throws DialLimitError when no slot is free.
+  if (!ignoreDialLimit) {
+    await acquireDialSlot(shop, { kind: DIAL_KIND.ORDER, refId: callLogId });
+  }
+
   console.log(`[Vapi] Triggering call with firstMessage: "${firstMessage.substring(0, 100)}..."`);
 
-  const response = await fetch(`${VAPI_BASE_URL}/call/phone`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
+  let response;
+  let data;
+  try {
+    response = await fetch(`${VAPI_BASE_URL}/call/phone`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+    data = await response.json();
+  } catch (err) {
+    await releaseDialSlot(callLogId);
+    await startCallAttempt({ callLogId, phoneNumber, failureReason: err.message });
+    throw err;
+  }
 
-  const data = await response.json();
   if (!response.ok) {
-    throw new VapiOrderError(`Vapi ${response.status}: ${data?.message || "Error"}`, {
+    await releaseDialSlot(callLogId);
+    // A 429 never dialled — it is requeued, not counted as an attempt.
+    if (response.status === 429) throw providerRateLimitError();
+    const message = `Vapi ${response.status}: ${data?.message || "Error"}`;
+    await startCallAttempt({ callLogId, phoneNumber, failureReason: message });
+    throw new VapiOrderError(message, {
       status: response.status,
-      retryable: response.status === 429 || response.status >= 500
+      retryable: response.status >= 500
     });
   }
 
+  await startCallAttempt({ callLogId, vapiCallId: data?.id ?? null, phoneNumber });
+
   return data;
 }
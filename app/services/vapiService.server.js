@@ -6,6 +6,16 @@
  */
 
 import prisma from "../db.server.js";
+import { assertWithinCallingWindow } from "./callingWindow.server.js";
+import {
+  DIAL_KIND,
+  acquireDialSlot,
+  releaseDialSlot,
+  providerRateLimitError,
+} from "./dialLimiterService.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+import { assertDialQuota } from "./billingService.server.js";
+import { ensureVapiWebhookSecret } from "./webhookAuthService.server.js";
 
 const VAPI_BASE_URL = "https://api.vapi.ai";
 
@@ -22,13 +32,13 @@ export function isPermanentVapiError(err) {
   return err instanceof VapiRequestError && err.retryable === false;
 }
 
-async function buildFirstMessage(customerName) {
+async function buildFirstMessage(shop, customerName) {
   const safeName = String(customerName ?? "").trim();
 
-  // Try reading the active script from DB
+  // Try reading the shop's active script from DB
   try {
     const activeScript = await prisma.script.findFirst({
-      where: { shop: "default", isActive: true },
+      where: { shop, isActive: true },
     });
     if (activeScript && activeScript.body) {
       return activeScript.body
@@ -51,19 +61,23 @@ async function buildFirstMessage(customerName) {
 /**
  * Initiates an outbound AI phone call via Vapi.
  * @param {object} params
+ * @param {string} params.shop         - Shop the call belongs to (config + script)
  * @param {string} params.customerName - Display name of the customer
  * @param {string} params.phone        - E.164 phone number e.g. +12125551234
  * @param {string} params.callId       - Internal DB call ID (used for naming)
  * @returns {Promise<object>} Vapi call object containing at least { id, status }
+ * @throws {CallingWindowError} when outside the shop's calling hours
+ * @throws {DialLimitError} when the shop's dial limits are reached
+ * @throws {QuotaExceededError} when the shop's minute quota is used up
  */
-export async function initiateVapiCall({ customerName, phone, callId }) {
+export async function initiateVapiCall({ shop, customerName, phone, callId }) {
   // Try reading config from DB first
   let apiKey = process.env.VAPI_API_KEY;
   let phoneNumberId = process.env.VAPI_PHONE_NUMBER_ID;
   let assistantId = process.env.VAPI_ASSISTANT_ID;
 
   try {
-    const dbConfig = await prisma.appConfig.findFirst({ where: { shop: "default" } });
+    const dbConfig = await getShopConfig(shop);
     if (dbConfig) {
       if (dbConfig.vapiApiKey) apiKey = dbConfig.vapiApiKey;
       if (dbConfig.vapiPhoneId) phoneNumberId = dbConfig.vapiPhoneId;
@@ -79,10 +93,17 @@ export async function initiateVapiCall({ customerName, phone, callId }) {
     );
   }
 
+  // Quiet hours — throws CallingWindowError with the next allowed slot.
+  await assertWithinCallingWindow(shop);
+
+  // Minute quota — throws QuotaExceededError when the plan is used up.
+  await assertDialQuota(shop);
+
   // Vapi name field max 40 chars.
   const callName = `AI-${customerName.slice(0, 20)}-${callId.slice(-8)}`;
 
-  const firstMessage = await buildFirstMessage(customerName);
+  const firstMessage = await buildFirstMessage(shop, customerName);
+  const webhookSecret = await ensureVapiWebhookSecret(shop);
 
   const payload = {
     phoneNumberId,
@@ -92,31 +113,47 @@ export async function initiateVapiCall({ customerName, phone, callId }) {
       number: phone,
     },
     name: callName,
+    metadata: { shop, callId, type: "customer_call" },
     assistantOverrides: {
       firstMessage,
+      // Echoed back as x-vapi-secret — see webhookAuthService.
+      ...(webhookSecret ? { serverUrlSecret: webhookSecret } : {}),
     },
   };
 
-  console.log("[Vapi] initiateVapiCall payload:", JSON.stringify(payload));
+  console.log(
+    "[Vapi] initiateVapiCall payload:",
+    JSON.stringify({ ...payload, assistantOverrides: { firstMessage } }),
+  );
 
-  const response = await fetch(`${VAPI_BASE_URL}/call/phone`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
+  // Shop dial limits — throws DialLimitError when no slot is free.
+  await acquireDialSlot(shop, { kind: DIAL_KIND.CUSTOMER, refId: callId });
 
-  const data = await response.json();
+  let response;
+  let data;
+  try {
+    response = await fetch(`${VAPI_BASE_URL}/call/phone`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+    data = await response.json();
+  } catch (err) {
+    await releaseDialSlot(callId);
+    throw err;
+  }
 
   if (!response.ok) {
+    await releaseDialSlot(callId);
+    if (response.status === 429) throw providerRateLimitError();
     console.error("[Vapi] API error response:", JSON.stringify(data));
     const errorText =
       data?.message || data?.error || JSON.stringify(data) || "Unknown Vapi error";
     const is4xx = response.status >= 400 && response.status < 500;
-    const isRateLimit = response.status === 429;
-    const retryable = !is4xx || isRateLimit;
+    const retryable = !is4xx;
     throw new VapiRequestError(`Vapi ${response.status}: ${errorText}`, {
       status: response.status,
       retryable,
@@ -0,0 +1,224 @@
+/**
+ * Webhook Auth Service
+ *
+ * Checks that a request to one of the public webhook routes really came from
+ * Vapi or Twilio. Without it anyone who knows the URL could confirm or cancel
+ * orders.
+ *
+ * VAPI (api.order-vapi-webhook, api.vapi-webhook)
+ * ────
+ *  Each shop has a secret (AppConfig.vapiWebhookSecret, generated on first
+ *  dial and sent with every call as serverUrlSecret; VAPI_WEBHOOK_SECRET is
+ *  the fallback). Accepted when either header matches:
+ *    x-vapi-secret    — the secret itself
+ *    x-vapi-signature — hex HMAC-SHA256 of the raw body keyed with the secret
+ *  The shop is metadata.shop on the call, else the CallLog named by
+ *  metadata.callLogId, else the row with the call's Vapi id. Only that shop's
+ *  secret (or the global one) verifies the delivery, and the order webhook
+ *  acts only on that shop's CallLogs.
+ *
+ * TWILIO (api.whatsapp-webhook)
+ * ──────
+ *  X-Twilio-Signature validated with the auth token of the shop that owns the
+ *  number the customer wrote to (TWILIO_AUTH_TOKEN as fallback). Twilio signs
+ *  the public URL, so the tunnel/app URL is tried as well as request.url.
+ *
+ * DEV BYPASS
+ * ──────────
+ *  WEBHOOK_SIGNATURE_BYPASS=true skips both checks for local tunnels. It is
+ *  ignored when NODE_ENV=production.
+ *
+ * Rejections are logged with the reason and the caller's address; routes
+ * answer them with 401.
+ */
+
+import crypto from "node:crypto";
+import twilio from "twilio";
+import prisma from "../db.server.js";
+import { getShopConfig } from "./shopConfigService.server.js";
+
+/* ─────────────────────────────────────────────────────────────
+   Helpers
+   ───────────────────────────────────────────────────────────── */
+
+function bypassEnabled() {
+  return (
+    process.env.WEBHOOK_SIGNATURE_BYPASS === "true" &&
+    process.env.NODE_ENV !== "production"
+  );
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a ?? ""));
+  const right = Buffer.from(String(b ?? ""));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function callerAddress(request) {
+  return (
+    request.headers.get("x-forwarded-for")?.split(",")[0].trim() ||
+    request.headers.get("x-real-ip") ||
+    "unknown"
+  );
+}
+
+function reject(source, request, reason, extra = {}) {
+  console.warn(
+    `[WebhookAuth] ✗ Rejected ${source} webhook ${new URL(request.url).pathname}: ${reason} ${JSON.stringify({ ip: callerAddress(request), ...extra })}`,
+  );
+  return { ok: false, reason };
+}
+
+function accept(source, request, shop) {
+  if (bypassEnabled()) {
+    console.warn(
+      `[WebhookAuth] ⚠️ ${source} signature check bypassed (WEBHOOK_SIGNATURE_BYPASS) for ${new URL(request.url).pathname}`,
+    );
+  }
+  return { ok: true, shop };
+}
+
+/** 401 response for a rejected webhook. */
+export function unauthorizedWebhookResponse() {
+  return Response.json({ error: "Invalid webhook signature" }, { status: 401 });
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Vapi
+   ───────────────────────────────────────────────────────────── */
+
+/**
+ * The shop's Vapi webhook secret, generating one the first time it is needed.
+ *
+ * @param {string} shop
+ * @returns {Promise<string | null>}
+ */
+export async function ensureVapiWebhookSecret(shop) {
+  const config = await getShopConfig(shop);
+  if (!config) return process.env.VAPI_WEBHOOK_SECRET || null;
+  if (config.vapiWebhookSecret) return config.vapiWebhookSecret;
+
+  // Only fills an empty secret, so two concurrent dials agree on one value.
+  await prisma.appConfig.updateMany({
+    where: { shop, vapiWebhookSecret: "" },
+    data: { vapiWebhookSecret: crypto.randomBytes(24).toString("hex") },
+  });
+  return (await getShopConfig(shop))?.vapiWebhookSecret || null;
+}
+
+async function resolveVapiShop(body) {
+  const call = body?.message?.call ?? body?.call ?? body?.message?.artifact;
+  const metadata = call?.metadata ?? body?.message?.metadata ?? body?.metadata;
+  if (metadata?.shop) return metadata.shop;
+
+  if (metadata?.callLogId) {
+    const named = await prisma.callLog.findUnique({
+      where: { id: String(metadata.callLogId) },
+      select: { shop: true },
+    });
+    if (named) return named.shop;
+  }
+  if (!call?.id) return null;
+
+  const log = await prisma.callLog.findFirst({
+    where: { vapiCallId: call.id },
+    select: { shop: true },
+  });
+  if (log) return log.shop;
+
+  const customerCall = await prisma.customerCall.findFirst({
+    where: { vapiCallId: call.id },
+    select: { shop: true },
+  });
+  return customerCall?.shop ?? null;
+}
+
+/**
+ * Verify a Vapi webhook.
+ *
+ * @param {Request} request
+ * @param {string}  rawBody - body exactly as received
+ * @param {object}  body    - parsed JSON
+ * @returns {Promise<{ ok: boolean, shop?: string | null, reason?: string }>}
+ */
+export async function verifyVapiWebhook(request, rawBody, body) {
+  const shop = await resolveVapiShop(body);
+  if (bypassEnabled()) return accept("Vapi", request, shop);
+
+  const config = shop ? await getShopConfig(shop) : null;
+  const secrets = [config?.vapiWebhookSecret, process.env.VAPI_WEBHOOK_SECRET].filter(Boolean);
+  if (secrets.length === 0) {
+    return reject("Vapi", request, "no webhook secret configured", { shop });
+  }
+
+  const headerSecret = request.headers.get("x-vapi-secret");
+  const signature = String(request.headers.get("x-vapi-signature") ?? "").replace(/^sha256=/, "");
+  if (!headerSecret && !signature) {
+    return reject("Vapi", request, "missing x-vapi-secret / x-vapi-signature", { shop });
+  }
+
+  const valid = secrets.some(
+    (secret) =>
+      (headerSecret && safeEqual(headerSecret, secret)) ||
+      (signature &&
+        safeEqual(signature, crypto.createHmac("sha256", secret).update(rawBody).digest("hex"))),
+  );
+  if (!valid) return reject("Vapi", request, "signature mismatch", { shop });
+
+  return accept("Vapi", request, shop);
+}
+
+/* ─────────────────────────────────────────────────────────────
+   Twilio
+   ───────────────────────────────────────────────────────────── */
+
+/** URLs Twilio may have signed — request.url behind a tunnel is often http://localhost. */
+function candidateUrls(request) {
+  const url = new URL(request.url);
+  const path = `${url.pathname}${url.search}`;
+  const urls = [request.url];
+
+  const host = request.headers.get("x-forwarded-host") || request.headers.get("host");
+  if (host) {
+    const proto = request.headers.get("x-forwarded-proto")?.split(",")[0].trim() || "https";
+    urls.push(`${proto}://${host}${path}`);
+  }
+
+  for (const base of [process.env.SHOPIFY_APP_URL, process.env.APP_URL]) {
+    const trimmed = String(base ?? "").trim().replace(/\/$/, "");
+    if (trimmed) urls.push(`${trimmed}${path}`);
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Verify a Twilio webhook.
+ *
+ * @param {Request} request
+ * @param {string}  rawBody - body exactly as received
+ * @param {object}  params  - parsed form fields (or JSON body)
+ * @param {string | null} shop - shop that owns the "To" number, if known
+ * @returns {Promise<{ ok: boolean, shop?: string | null, reason?: string }>}
+ */
+export async function verifyTwilioWebhook(request, rawBody, params, shop) {
+  if (bypassEnabled()) return accept("Twilio", request, shop);
+
+  const config = shop ? await getShopConfig(shop) : null;
+  const authToken = config?.twilioToken || process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return reject("Twilio", request, "no auth token configured", { shop });
+  }
+
+  const signature = request.headers.get("x-twilio-signature");
+  if (!signature) return reject("Twilio", request, "missing X-Twilio-Signature", { shop });
+
+  const isJson = (request.headers.get("content-type") || "").includes("application/json");
+  const valid = candidateUrls(request).some((url) =>
+    isJson
+      ? twilio.validateRequestWithBody(authToken, signature, url, rawBody)
+      : twilio.validateRequest(authToken, signature, url, params),
+  );
+  if (!valid) return reject("Twilio", request, "signature mismatch", { shop });
+
+  return accept("Twilio", request, shop);
+}
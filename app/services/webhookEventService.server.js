@@ -0,0 +1,244 @@
+/**
+ * Webhook Event Service
+ *
+ * Every verified Vapi / Twilio webhook is stored as a WebhookEvent before it
+ * is processed, with the handler's result or error, so an outcome can be
+ * debugged after the fact and replayed once a mapping is fixed.
+ *
+ * IDEMPOTENCY
+ * ───────────
+ *  dedupeKey is "<source>:<Twilio MessageSid>" for WhatsApp and
+ *  "<source>:<sha256 of the raw body>" for Vapi. A redelivery of an event
+ *  that was already handled only bumps `deliveries`; one whose earlier
+ *  delivery failed — or is still "received" after RECEIVED_LEASE_MS, i.e.
+ *  the process handling it died — is processed again.
+ *
+ * HANDLERS
+ * ────────
+ *  WEBHOOK_HANDLERS maps each source to the same function the live route
+ *  uses, so a replay from the inspector (app.webhooks) runs exactly what a
+ *  delivery would. Handlers return { status, result } with status
+ *  processed | ignored; a throw is stored as failed.
+ */
+
+import crypto from "node:crypto";
+import prisma from "../db.server.js";
+import { WEBHOOK_EVENT_STATUS, WEBHOOK_SOURCE } from "../constants.js";
+import { processOrderVapiWebhook } from "../utils/orderVapiWebhook.server.js";
+import { processCustomerVapiWebhook } from "../utils/customerVapiWebhook.server.js";
+import { processWhatsAppReply } from "../utils/whatsappReplyWebhook.server.js";
+
+const WEBHOOK_HANDLERS = {
+  [WEBHOOK_SOURCE.VAPI_ORDER]: (payload, ctx) => processOrderVapiWebhook(payload, ctx),
+  [WEBHOOK_SOURCE.VAPI_CUSTOMER]: (payload) => processCustomerVapiWebhook(payload),
+  [WEBHOOK_SOURCE.TWILIO_WHATSAPP]: (payload, ctx) => processWhatsAppReply(payload, ctx),
+};
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// A "received" row older than this was never finished — its handler crashed
+// with the process. Must outlast the slowest handler run.
+const RECEIVED_LEASE_MS = 2 * 60 * 1000;
+
+function bodyHash(rawBody) {
+  return crypto.createHash("sha256").update(rawBody ?? "").digest("hex");
+}
+
+async function runHandler(event, ctx) {
+  const handler = WEBHOOK_HANDLERS[event.source];
+  if (!handler) throw new Error(`No handler for webhook source "${event.source}"`);
+  return handler(event.payload, { ...ctx, shop: event.shop });
+}
+
+function finishedData(outcome) {
+  return {
+    status: outcome?.status ?? WEBHOOK_EVENT_STATUS.PROCESSED,
+    result: outcome?.result ?? null,
+    error: null,
+    processedAt: new Date(),
+  };
+}
+
+function failedData(err) {
+  return {
+    status: WEBHOOK_EVENT_STATUS.FAILED,
+    error: String(err?.message ?? err).slice(0, 2000),
+    processedAt: new Date(),
+  };
+}
+
+// ─── Receive ──────────────────────────────────────────────────────────────────
+
+/**
+ * Store the event, or find the earlier delivery of it. Returns the row to
+ * process, or `duplicate: true` when it was already handled.
+ */
+async function storeEvent(data) {
+  try {
+    return { event: await prisma.webhookEvent.create({ data }), duplicate: false };
+  } catch (err) {
+    if (err?.code !== "P2002") throw err;
+  }
+
+  // Take the row over when the earlier delivery failed or its lease ran out.
+  // receivedAt restarts the lease for this delivery.
+  const { dedupeKey } = data;
+  const leaseExpired = new Date(Date.now() - RECEIVED_LEASE_MS);
+  const retried = await prisma.webhookEvent.updateMany({
+    where: {
+      dedupeKey,
+      OR: [
+        { status: WEBHOOK_EVENT_STATUS.FAILED },
+        { status: WEBHOOK_EVENT_STATUS.RECEIVED, receivedAt: { lt: leaseExpired } },
+      ],
+    },
+    data: {
+      status: WEBHOOK_EVENT_STATUS.RECEIVED,
+      deliveries: { increment: 1 },
+      receivedAt: new Date(),
+      error: null,
+    },
+  });
+  if (retried.count === 1) {
+    return {
+      event: await prisma.webhookEvent.findUnique({ where: { dedupeKey } }),
+      duplicate: false,
+    };
+  }
+
+  const event = await prisma.webhookEvent.update({
+    where: { dedupeKey },
+    data: { deliveries: { increment: 1 } },
+  });
+  return { event, duplicate: true };
+}
+
+/**
+ * Persist an inbound webhook and run its handler once.
+ *
+ * @param {object} params
+ * @param {string} params.source     - WEBHOOK_SOURCE
+ * @param {string | null} params.shop
+ * @param {string} params.rawBody    - body exactly as received
+ * @param {object} params.payload    - parsed body, passed to the handler
+ * @param {string} [params.eventType]
+ * @param {string} [params.externalId] - Vapi call id / Twilio MessageSid
+ * @param {string} [params.logId]
+ * @returns {Promise<{ duplicate: boolean, event: object, outcome?: object }>}
+ *   Rethrows the handler's error after storing it.
+ */
+export async function receiveWebhookEvent({
+  source,
+  shop,
+  rawBody,
+  payload,
+  eventType = null,
+  externalId = null,
+  logId,
+}) {
+  const dedupeKey =
+    source === WEBHOOK_SOURCE.TWILIO_WHATSAPP && externalId
+      ? `${source}:${externalId}`
+      : `${source}:${bodyHash(rawBody)}`;
+
+  const { event, duplicate } = await storeEvent({
+    shop: shop ?? null,
+    source,
+    eventType,
+    externalId,
+    dedupeKey,
+    payload,
+  });
+
+  if (duplicate) {
+    console.log(
+      `[WebhookEvents] Duplicate ${source} delivery ignored id=${event.id} deliveries=${event.deliveries}`,
+    );
+    return { duplicate: true, event };
+  }
+
+  try {
+    const outcome = await runHandler(event, { logId });
+    const saved = await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: finishedData(outcome),
+    });
+    return { duplicate: false, event: saved, outcome };
+  } catch (err) {
+    await prisma.webhookEvent
+      .update({ where: { id: event.id }, data: failedData(err) })
+      .catch((e) => console.error(`[WebhookEvents] Could not store failure id=${event.id}:`, e.message));
+    throw err;
+  }
+}
+
+// ─── Inspector ────────────────────────────────────────────────────────────────
+
+/**
+ * Run a stored event through its handler again. Never throws — the outcome
+ * (or error) is saved on the event and returned.
+ *
+ * @param {string} shop
+ * @param {string} id
+ */
+export async function replayWebhookEvent(shop, id) {
+  const event = await prisma.webhookEvent.findFirst({ where: { id, shop } });
+  if (!event) return null;
+
+  console.log(`[WebhookEvents] Replaying ${event.source} event id=${event.id}`);
+
+  let data;
+  let outcome = null;
+  try {
+    outcome = await runHandler(event, { logId: `replay-${event.id.slice(-6)}` });
+    data = finishedData(outcome);
+  } catch (err) {
+    console.error(`[WebhookEvents] Replay failed id=${event.id}:`, err.message);
+    data = failedData(err);
+  }
+
+  const saved = await prisma.webhookEvent.update({
+    where: { id: event.id },
+    data: { ...data, replays: { increment: 1 } },
+  });
+  return { event: saved, outcome };
+}
+
+/**
+ * Events for the inspector, newest first.
+ *
+ * @param {string} shop
+ * @param {object} [filters]
+ * @param {string} [filters.source] - WEBHOOK_SOURCE
+ * @param {string} [filters.status] - WEBHOOK_EVENT_STATUS
+ * @param {string} [filters.search] - matches call id / MessageSid, type or result
+ * @param {number} [filters.limit]
+ */
+export async function listWebhookEvents(shop, { source, status, search, limit = 100 } = {}) {
+  const q = String(search ?? "").trim();
+  return prisma.webhookEvent.findMany({
+    where: {
+      shop,
+      ...(source ? { source } : {}),
+      ...(status ? { status } : {}),
+      ...(q
+        ? {
+            OR: [
+              { externalId: { contains: q, mode: "insensitive" } },
+              { eventType: { contains: q, mode: "insensitive" } },
+              { result: { contains: q, mode: "insensitive" } },
+            ],
+          }
+        : {}),
+    },
+    orderBy: { receivedAt: "desc" },
+    take: limit,
+  });
+}
+
+/** Delete events older than 30 days — called from the JOB_CLEANUP job. */
+export async function pruneWebhookEvents(olderThanMs = RETENTION_MS) {
+  const { count } = await prisma.webhookEvent.deleteMany({
+    where: { receivedAt: { lt: new Date(Date.now() - olderThanMs) } },
+  });
+  return count;
+}
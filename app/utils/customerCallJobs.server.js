@@ -0,0 +1,212 @@
+/**
+ * Customer Call Jobs — dials and retries for CustomerCall campaign rows.
+ *
+ * START FLOW
+ * ──────────
+ *  "Start calls" (api.calls.start) enqueues one CUSTOMER_CALL_START job per
+ *  pending call instead of dialling inside the request. Over the shop's dial
+ *  limits the call goes back to "pending" and the job is re-enqueued for
+ *  when a slot should be free.
+ *  Over the shop's minute quota (billingService) the call is deferred to
+ *  the next billing period — campaigns have no WhatsApp fallback.
+ *
+ * RETRY FLOW
+ * ──────────
+ * 1.  Webhook marks a failed call as "retrying" + sets nextRetryAt = now+5min.
+ * 2.  CUSTOMER_CALL_SWEEP (every minute) finds retrying calls past their
+ *     nextRetryAt:
+ *       a) Outside the shop's calling window → pushed to the next allowed
+ *          slot (no attempt is consumed; same for the dial limiter).
+ *       b) retryCount >= MAX_RETRIES (safety guard) → failed.
+ *       c) Otherwise → one CUSTOMER_CALL_RETRY job, deduplicated per
+ *          (call, retryCount) so later sweeps don't enqueue it again.
+ * 3.  CUSTOMER_CALL_RETRY:
+ *       a) startRetryAttempt() → increments retryCount + sets "calling".
+ *       b) Fire initiateVapiCall().
+ *       c) On success: updateCallWithVapiId() (webhook will set final status).
+ *       d) On transient error: setCallRetrying() to reschedule.
+ *       e) On permanent error: markCallFailed().
+ */
+
+import {
+  claimPendingCall,
+  requeuePendingCall,
+  getCallById,
+  getPendingCallsForRetry,
+  startRetryAttempt,
+  setCallRetrying,
+  markCallFailed,
+  updateCallWithVapiId,
+  deferCall,
+  CALL_STATUS,
+  MAX_RETRIES,
+} from "../services/callService.server.js";
+import {
+  initiateVapiCall,
+  isPermanentVapiError,
+} from "../services/vapiService.server.js";
+import {
+  loadCallingWindow,
+  nextCallingSlot,
+  isCallingWindowError,
+} from "../services/callingWindow.server.js";
+import { isDialLimitError } from "../services/dialLimiterService.server.js";
+import { isQuotaExceededError } from "../services/billingService.server.js";
+import { enqueueJob } from "../services/jobQueueService.server.js";
+import { JOB_TYPE } from "../constants.js";
+
+export async function sweepCustomerCallRetries() {
+  // ── Fetch retrying calls whose nextRetryAt has passed ─────────────────
+  const calls = await getPendingCallsForRetry();
+  if (calls.length === 0) return;
+
+  console.log(`[CallJobs] ${calls.length} call(s) eligible for retry.`);
+
+  // ── Quiet hours: push each shop's calls to its next allowed slot ──────
+  const deferUntilByShop = new Map();
+  const now = new Date();
+  for (const shop of new Set(calls.map((c) => c.shop))) {
+    const slot = nextCallingSlot(await loadCallingWindow(shop), now);
+    if (!slot || slot.getTime() !== now.getTime()) {
+      deferUntilByShop.set(
+        shop,
+        slot ?? new Date(now.getTime() + 24 * 60 * 60 * 1000),
+      );
+    }
+  }
+
+  for (const call of calls) {
+    const deferUntil = deferUntilByShop.get(call.shop);
+    if (deferUntil) {
+      await deferCall(call.id, deferUntil).catch((e) =>
+        console.error(`[CallJobs] deferCall(${call.id}) err:`, e.message),
+      );
+      console.log(
+        `[CallJobs] Outside calling hours for ${call.shop} — call ${call.id} deferred to ${deferUntil.toISOString()}`,
+      );
+      continue;
+    }
+
+    // ── Safety guard: never exceed MAX_RETRIES ──────────────────────────
+    if (call.retryCount >= MAX_RETRIES) {
+      // This call was scheduled for a retry but somehow wasn't permanently
+      // failed by the webhook.  Clean it up now.
+      await markCallFailed(call.id, "Max retries exceeded").catch((e) =>
+        console.error(`[CallJobs] markCallFailed(${call.id}) err:`, e.message),
+      );
+      console.log(`[CallJobs] Call ${call.id} hit max retries → failed`);
+      continue;
+    }
+
+    await enqueueJob(
+      JOB_TYPE.CUSTOMER_CALL_RETRY,
+      { callId: call.id },
+      { dedupeKey: `${JOB_TYPE.CUSTOMER_CALL_RETRY}:${call.id}:${call.retryCount}`, maxAttempts: 1 },
+    );
+  }
+}
+
+export async function retryCustomerCall({ callId }) {
+  const call = await getCallById(callId);
+  if (!call || call.status !== CALL_STATUS.RETRYING) return;
+
+  try {
+    // ── a) Increment retryCount + set status="calling" ──────────────
+    await startRetryAttempt(call.id);
+
+    // ── b) Fire the Vapi call ───────────────────────────────────────
+    const vapiRes = await initiateVapiCall({
+      shop: call.shop,
+      customerName: call.customerName,
+      phone: call.phone,
+      callId: call.id,
+    });
+
+    // ── c) Persist the new Vapi call ID for webhook correlation ─────
+    if (vapiRes?.id) {
+      await updateCallWithVapiId(call.id, vapiRes.id);
+    }
+
+    // Webhook will update status to answered/retrying/failed.
+    console.log(
+      `[CallJobs] ✓ Retry ${call.retryCount + 1}/${MAX_RETRIES} for ` +
+        `"${call.customerName}" (${call.phone}) → vapiId=${vapiRes?.id}`,
+    );
+  } catch (err) {
+    console.error(
+      `[CallJobs] ✗ Retry failed for "${call.customerName}" (${call.id}):`,
+      err.message,
+    );
+
+    if (isCallingWindowError(err) || isDialLimitError(err) || isQuotaExceededError(err)) {
+      // Window closed, no free dial slot or no minutes left — wait without
+      // using up a retry.
+      await deferCall(call.id, err.deferUntil, {
+        reason: err.reason,
+        retryCount: call.retryCount,
+      }).catch(() => {});
+    } else if (isPermanentVapiError(err)) {
+      // Unrecoverable (e.g. 400 invalid number) — no further retries
+      await markCallFailed(call.id, err.message).catch(() => {});
+    } else {
+      // Transient error — reschedule if still under limit
+      const nextRetryCount = call.retryCount + 1; // startRetryAttempt already incremented
+      if (nextRetryCount < MAX_RETRIES) {
+        await setCallRetrying(call.id, err.message).catch(() => {});
+      } else {
+        await markCallFailed(call.id, err.message).catch(() => {});
+      }
+    }
+  }
+}
+
+export async function startCustomerCall({ callId }) {
+  const call = await getCallById(callId);
+  if (!call || !(await claimPendingCall(call.id))) return;
+
+  try {
+    const vapiRes = await initiateVapiCall({
+      shop: call.shop,
+      customerName: call.customerName,
+      phone: call.phone,
+      callId: call.id,
+    });
+
+    if (!vapiRes?.id) {
+      throw new Error("Vapi returned no call ID.");
+    }
+
+    await updateCallWithVapiId(call.id, vapiRes.id);
+    console.log(
+      `[CallJobs] ✓ "${call.customerName}" (${call.phone}) → vapiId=${vapiRes.id}`,
+    );
+  } catch (err) {
+    if (isDialLimitError(err)) {
+      // Back in line — try again once a slot should be free.
+      await requeuePendingCall(call.id, err.reason);
+      await enqueueJob(JOB_TYPE.CUSTOMER_CALL_START, { callId: call.id }, {
+        runAt: err.deferUntil,
+        maxAttempts: 1,
+      });
+      return;
+    }
+
+    console.error(
+      `[CallJobs] ✗ "${call.customerName}" (${call.phone}):`,
+      err.message,
+    );
+
+    if (isCallingWindowError(err)) {
+      await deferCall(call.id, err.deferUntil).catch(() => {});
+    } else if (isQuotaExceededError(err)) {
+      // No WhatsApp channel for campaigns — wait for the quota to reset.
+      await deferCall(call.id, err.deferUntil, { reason: err.reason }).catch(() => {});
+    } else if (isPermanentVapiError(err)) {
+      await markCallFailed(call.id, err.message).catch(() => {});
+    } else if (call.retryCount < MAX_RETRIES) {
+      await setCallRetrying(call.id, err.message).catch(() => {});
+    } else {
+      await markCallFailed(call.id, err.message).catch(() => {});
+    }
+  }
+}
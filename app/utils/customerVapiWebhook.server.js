@@ -0,0 +1,207 @@
+/**
+ * Customer Vapi Webhook — applies one Vapi event to the CustomerCall it
+ * belongs to (answered / retrying / failed).
+ *
+ * Called by api.vapi-webhook for live deliveries and by the webhook inspector
+ * for replays (webhookEventService). End-of-call reports also put the call's
+ * minutes and cost on the usage ledger.
+ */
+
+import prisma from "../db.server.js";
+import {
+  setCallRetrying,
+  markCallFailed,
+  markCallAnswered,
+  MAX_RETRIES,
+} from "../services/callService.server.js";
+import { releaseDialSlot } from "../services/dialLimiterService.server.js";
+import { extractCallArtifacts } from "../services/callTranscriptService.server.js";
+import { recordUsage } from "../services/usageService.server.js";
+import { billOverage } from "../services/billingService.server.js";
+import { USAGE_KIND, WEBHOOK_EVENT_STATUS } from "../constants.js";
+
+const ignored = (result) => ({ status: WEBHOOK_EVENT_STATUS.IGNORED, result });
+const processed = (result) => ({ status: WEBHOOK_EVENT_STATUS.PROCESSED, result });
+
+// ─── Status resolution ────────────────────────────────────────────────────────
+
+const ANSWERED_REASONS = new Set([
+  "customer-ended-call",
+  "assistant-ended-call",
+  "assistant-ended-call-with-hangup",
+  "answered",
+  "completed",
+  "call-ended",
+  "hangup",
+]);
+
+const FAILED_REASONS = new Set([
+  "assistant-error",
+  "pipeline-error",
+  "server-error",
+  "error",
+  "failed",
+  "cancelled",
+]);
+
+const PENDING_REASONS = new Set([
+  "no-answer",
+  "voicemail",
+  "busy",
+  "pending",
+  "queued",
+  "ringing",
+  "in-progress",
+  "in_progress",
+]);
+
+function resolveStatus(endedReason, callStatus, eventType) {
+  const reason = String(endedReason ?? "").toLowerCase();
+  const status = String(callStatus ?? "").toLowerCase();
+  const type = String(eventType ?? "").toLowerCase();
+
+  if (ANSWERED_REASONS.has(reason) || ANSWERED_REASONS.has(status))
+    return "answered";
+  if (FAILED_REASONS.has(reason) || FAILED_REASONS.has(status)) return "failed";
+  if (PENDING_REASONS.has(reason) || PENDING_REASONS.has(status)) return null;
+
+  if (type === "end-of-call-report" || type === "call.completed")
+    return "answered";
+
+  return null;
+}
+
+// ─── Core update logic ────────────────────────────────────────────────────────
+
+async function handleCallEnd(vapiCallId, finalStatus, failureReason = null, shop = null) {
+  if (!vapiCallId) return ignored("NO_CALL_ID");
+
+  // metadata.shop (set by initiateVapiCall) keeps shops from matching each
+  // other's records.
+  const record = await prisma.customerCall.findFirst({
+    where: { vapiCallId, ...(shop ? { shop } : {}) },
+    select: { id: true, status: true, retryCount: true },
+  });
+
+  if (!record) {
+    console.warn(`[Webhook] No DB record for vapiCallId="${vapiCallId}"`);
+    return ignored("NO_RECORD");
+  }
+
+  if (record.status === "answered") return ignored("ALREADY_ANSWERED");
+
+  await releaseDialSlot(record.id);
+
+  if (finalStatus === "answered") {
+    await markCallAnswered(record.id);
+    console.log(
+      `[Webhook] ✓ Call ${record.id} (vapiId=${vapiCallId}) → answered`,
+    );
+    return processed("ANSWERED");
+  }
+
+  const reason = failureReason ?? "unknown";
+
+  if (record.retryCount < MAX_RETRIES) {
+    await setCallRetrying(record.id, reason);
+    console.log(
+      `[Webhook] ↩ Call ${record.id} → retrying ` +
+        `(attempt ${record.retryCount + 1}/${MAX_RETRIES}). Reason: ${reason}`,
+    );
+    return processed(`RETRYING:${reason}`);
+  } else {
+    await markCallFailed(record.id, reason);
+    console.log(
+      `[Webhook] ✗ Call ${record.id} → failed permanently after ` +
+        `${record.retryCount} retries. Reason: ${reason}`,
+    );
+    return processed(`FAILED:${reason}`);
+  }
+}
+
+async function handleEvent(type, call) {
+  const vapiCallId = call?.id;
+  const endedReason =
+    call?.endedReason ??
+    call?.ended_reason ??
+    call?.analysis?.endedReason ??
+    call?.analysis?.ended_reason;
+  const callStatus = call?.status ?? call?.callStatus ?? call?.call_status;
+  const shop = call?.metadata?.shop ?? null;
+
+  console.log(
+    `[Webhook] type="${type}" vapiCallId="${vapiCallId}" ` +
+      `reason="${endedReason}" status="${callStatus}"`,
+  );
+
+  switch (type) {
+    case "end-of-call-report":
+    case "call.completed": {
+      const finalStatus = resolveStatus(endedReason, callStatus, type);
+      if (finalStatus) {
+        return handleCallEnd(vapiCallId, finalStatus, endedReason, shop);
+      }
+      console.log(
+        `[Webhook] Call ${vapiCallId} ended with ambiguous reason ` +
+          `"${endedReason}" → no DB change`,
+      );
+      return ignored(`AMBIGUOUS:${endedReason}`);
+    }
+
+    case "call.failed":
+    case "call-failed":
+      return handleCallEnd(vapiCallId, "failed", endedReason ?? "call-failed", shop);
+
+    case "call.no-answer":
+    case "no-answer":
+      return handleCallEnd(vapiCallId, "failed", "no-answer", shop);
+
+    case "status-update":
+    case "transcript":
+    case "hang":
+    case "speech-update":
+    case "function-call":
+      return ignored(`NO_OP:${type}`);
+
+    default:
+      console.log(`[Webhook] Unhandled event type: "${type}"`);
+      return ignored(`UNHANDLED:${type}`);
+  }
+}
+
+/**
+ * Put a finished customer call's minutes and cost on the usage ledger, and
+ * charge any minutes past the plan.
+ */
+async function recordCallUsage(report, call) {
+  const vapiCallId = call?.id;
+  if (!vapiCallId) return;
+
+  const shop =
+    call?.metadata?.shop ??
+    (await prisma.customerCall.findFirst({ where: { vapiCallId }, select: { shop: true } }))?.shop;
+  const { durationSeconds, startedAt } = extractCallArtifacts(report);
+
+  await recordUsage({
+    shop,
+    kind: USAGE_KIND.CUSTOMER_CALL,
+    sourceId: vapiCallId,
+    quantity: durationSeconds ?? 0,
+    cost: report?.cost ?? call?.cost ?? 0,
+    occurredAt: startedAt ?? new Date(),
+  });
+  await billOverage(shop);
+}
+
+/**
+ * @param {object} body - parsed Vapi webhook payload
+ * @returns {Promise<{ status: string, result: string }>}
+ */
+export async function processCustomerVapiWebhook(body) {
+  const type = body.message?.type ?? body.type;
+  const call = body.message?.call ?? body.call;
+  if (type === "end-of-call-report") {
+    await recordCallUsage(body.message ?? body, call);
+  }
+  return handleEvent(type, call);
+}
@@ -0,0 +1,91 @@
+/**
+ * Initial Delay
+ *
+ * Turns the merchant's saved AppConfig.initialDelay preset into the moment the
+ * first WhatsApp message / AI call for a new COD order should go out.
+ *
+ * PRESETS
+ * ───────
+ *  immediate    → contact right away (returns null — nothing to schedule).
+ *  5min … 2hours → fixed offset from the time the order arrived.
+ *  nextmorning  → next business morning: 10:00 in the shop's calling-window
+ *                 timezone, skipping Sundays, the window's holidays and any
+ *                 day the window is closed. If the window opens later than
+ *                 10:00 that day, its opening time.
+ *
+ * Unknown presets are treated as "immediate" so a bad value never silently
+ * parks an order forever.
+ */
+
+import {
+  getCallingWindow,
+  getZonedParts,
+  nextCallingSlot,
+  zonedTimeToUtc,
+} from "../services/callingWindow.server.js";
+
+const MINUTE_MS = 60 * 1000;
+const SUNDAY = 0;
+const MAX_LOOKAHEAD_DAYS = 14;
+
+export const NEXT_BUSINESS_MORNING = "nextmorning";
+export const BUSINESS_MORNING_HOUR = 10;
+
+/** Fixed-offset presets, in milliseconds. */
+export const INITIAL_DELAY_MS = {
+  immediate: 0,
+  "5min": 5 * MINUTE_MS,
+  "15min": 15 * MINUTE_MS,
+  "30min": 30 * MINUTE_MS,
+  "1hour": 60 * MINUTE_MS,
+  "2hours": 120 * MINUTE_MS,
+};
+
+/**
+ * Next business morning strictly after `from`, in the calling window's
+ * timezone — the same clock the call itself is checked against, so the
+ * scheduled contact is never deferred again on arrival.
+ *
+ * @param {Date} [from]
+ * @param {object} [window] - from getCallingWindow
+ * @returns {Date}
+ */
+export function nextBusinessMorning(from = new Date(), window = getCallingWindow(null)) {
+  const today = getZonedParts(from, window.timezone);
+  let fallback = null;
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const morning = zonedTimeToUtc(
+      { year: today.year, month: today.month, day: today.day + offset, hour: BUSINESS_MORNING_HOUR },
+      window.timezone,
+    );
+    const parts = getZonedParts(morning, window.timezone);
+    if (morning <= from || parts.weekday === SUNDAY) continue;
+    fallback ??= morning;
+
+    // Holiday, closed day or hours that end before 10:00 → the slot lands on
+    // another day; try the next one.
+    const slot = nextCallingSlot(window, morning);
+    if (slot && getZonedParts(slot, window.timezone).day === parts.day) return slot;
+  }
+
+  return fallback ?? new Date(from.getTime() + 24 * 60 * MINUTE_MS);
+}
+
+/**
+ * Resolve when the first contact for a new order is due.
+ *
+ * @param {string} initialDelay - AppConfig.initialDelay preset
+ * @param {Date}   [from]       - When the order arrived (defaults to now)
+ * @param {object} [window]     - the shop's calling window (getCallingWindow)
+ * @returns {Date | null} null = contact immediately
+ */
+export function getInitialContactAt(initialDelay, from = new Date(), window = getCallingWindow(null)) {
+  const preset = String(initialDelay ?? "immediate").trim().toLowerCase();
+
+  if (preset === NEXT_BUSINESS_MORNING) return nextBusinessMorning(from, window);
+
+  const delayMs = INITIAL_DELAY_MS[preset];
+  if (!delayMs) return null;
+  return new Date(from.getTime() + delayMs);
+}
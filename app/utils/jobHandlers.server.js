@@ -0,0 +1,86 @@
+/**
+ * Job Handlers — JOB_TYPE → handler map for the job worker, and the two ways
+ * to run it:
+ *
+ *  startJobWorker()        — app/worker.server.js, the standalone worker
+ *                            process (`npm run worker`) that runs next to
+ *                            react-router-serve.
+ *  startInlineJobWorker()  — inside the web server (app/entry.server.jsx),
+ *                            unless JOB_WORKER=external. Safe with several
+ *                            instances: jobs are claimed with SKIP LOCKED.
+ */
+
+import { JOB_TYPE } from "../constants.js";
+import {
+  pruneFinishedJobs,
+  runJobWorker,
+} from "../services/jobQueueService.server.js";
+import { pruneDialSlots } from "../services/dialLimiterService.server.js";
+import { pruneWebhookEvents } from "../services/webhookEventService.server.js";
+import {
+  sweepWhatsAppReminders,
+  sendWhatsAppReminder,
+  escalateTimedOutWhatsApp,
+} from "../services/reminderService.server.js";
+import {
+  sweepOrderCalls,
+  recoverStaleOrderCall,
+  dialOrderCall,
+  runFirstContact,
+  sendWhatsAppFallbackJob,
+} from "./orderJobs.server.js";
+import {
+  sweepCustomerCallRetries,
+  startCustomerCall,
+  retryCustomerCall,
+} from "./customerCallJobs.server.js";
+
+export const JOB_HANDLERS = {
+  [JOB_TYPE.ORDER_SWEEP]: sweepOrderCalls,
+  [JOB_TYPE.REMINDER_SWEEP]: sweepWhatsAppReminders,
+  [JOB_TYPE.CUSTOMER_CALL_SWEEP]: sweepCustomerCallRetries,
+  [JOB_TYPE.JOB_CLEANUP]: async () => {
+    await pruneFinishedJobs();
+    await pruneDialSlots();
+    await pruneWebhookEvents();
+  },
+
+  [JOB_TYPE.ORDER_FIRST_CONTACT]: runFirstContact,
+  [JOB_TYPE.ORDER_DIAL]: dialOrderCall,
+  [JOB_TYPE.ORDER_RECOVER_STALE]: recoverStaleOrderCall,
+  [JOB_TYPE.WHATSAPP_SEND]: sendWhatsAppFallbackJob,
+  [JOB_TYPE.WHATSAPP_REMINDER]: sendWhatsAppReminder,
+  [JOB_TYPE.WHATSAPP_ESCALATE]: escalateTimedOutWhatsApp,
+  [JOB_TYPE.CUSTOMER_CALL_START]: startCustomerCall,
+  [JOB_TYPE.CUSTOMER_CALL_RETRY]: retryCustomerCall,
+};
+
+/**
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] - Stops the loop after the current batch
+ */
+export function startJobWorker({ signal } = {}) {
+  return runJobWorker(JOB_HANDLERS, { signal });
+}
+
+// eslint-disable-next-line no-undef
+const g = global;
+
+/**
+ * Run the worker inside the web server process. Re-evaluating this module
+ * (Vite HMR) stops the previous loop first.
+ */
+export function startInlineJobWorker() {
+  if (process.env.JOB_WORKER === "external") {
+    console.log("[JobQueue] JOB_WORKER=external — jobs run in the worker process");
+    return;
+  }
+
+  g.__aiAgentJobWorker?.abort();
+  const controller = new AbortController();
+  g.__aiAgentJobWorker = controller;
+
+  startJobWorker({ signal: controller.signal }).catch((err) =>
+    console.error("[JobQueue] ❌ Inline worker crashed:", err),
+  );
+}
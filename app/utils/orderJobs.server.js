@@ -0,0 +1,304 @@
+/**
+ * Order Jobs — job handlers for COD order confirmation.
+ *
+ * ORDER_SWEEP (every 30s) claims due CallLog rows with the claim* helpers in
+ * orderCallService and enqueues one job per row:
+ *
+ *   stale IN_PROGRESS (webhook never came)  → ORDER_RECOVER_STALE
+ *   stale QUEUED (never dialled)            → ORDER_DIAL  source "queued"
+ *   delayed first contact due               → ORDER_FIRST_CONTACT
+ *   RETRY_SCHEDULED due                     → ORDER_DIAL  source "retry"
+ *   WhatsApp unanswered past waTimeout      → ORDER_DIAL  source "whatsapp_timeout"
+ *                                             (skipped while the shop is over quota)
+ *
+ * Dial jobs run once (maxAttempts 1): a retried job could dial the customer
+ * twice. A dial that dies half-way leaves the row IN_PROGRESS, where the
+ * stale-call recovery picks it up.
+ */
+
+import {
+  CALL_INTENT,
+  CALL_STATUS,
+  claimDueRetryCallLogs,
+  claimStaleInProgressCallLogs,
+  claimStaleQueuedCallLogs,
+  claimDueFirstContactCallLogs,
+  claimQueuedCallLog,
+  claimTimedOutWhatsAppLogs,
+  deferCallLog,
+  getCallLogById,
+  handleCallResult,
+  markWhatsAppTimeoutFallback,
+  parkOverQuotaCallLog,
+  releaseCallLogClaims,
+  setCallLogInProgress,
+} from "../services/orderCallService.server.js";
+import {
+  triggerOrderConfirmationCall,
+  getVapiCallIntent,
+  getVapiCallStatus,
+} from "../services/vapiOrderService.server.js";
+import { startFirstContact } from "../services/firstContactService.server.js";
+import { isCallingWindowError } from "../services/callingWindow.server.js";
+import { SLOT_TTL_MS, isDialLimitError } from "../services/dialLimiterService.server.js";
+import {
+  getQuotaStatus,
+  isQuotaExceededError,
+} from "../services/billingService.server.js";
+import {
+  getShopConfig,
+  listShopConfigs,
+} from "../services/shopConfigService.server.js";
+import { enqueueJob } from "../services/jobQueueService.server.js";
+import { recordOrderEvent } from "../services/orderEventService.server.js";
+import { sendWhatsAppFallback } from "./whatsappFallback.server.js";
+import {
+  EVENT_ACTOR,
+  EVENT_CHANNEL,
+  INTENT_SOURCE,
+  JOB_TYPE,
+  ORDER_EVENT_TYPE,
+} from "../constants.js";
+import prisma from "../db.server.js";
+
+export const DIAL_SOURCE = {
+  QUEUED: "queued",
+  RETRY: "retry",
+  WHATSAPP_TIMEOUT: "whatsapp_timeout",
+};
+
+const ONCE = { maxAttempts: 1 };
+
+// A dial that never got a Vapi call id died before the call was placed.
+const UNDIALLED_STALE_MS = 90_000;
+const ENDED_CALL_STATUS = "ended";
+
+// ─── Sweep ────────────────────────────────────────────────────────────────────
+
+export async function sweepOrderCalls() {
+  const stale = await claimStaleInProgressCallLogs(25);
+  for (const callLog of stale) {
+    await enqueueJob(JOB_TYPE.ORDER_RECOVER_STALE, { callLogId: callLog.id }, ONCE);
+  }
+
+  const staleQueued = await claimStaleQueuedCallLogs(25);
+  for (const callLog of staleQueued) {
+    await enqueueJob(
+      JOB_TYPE.ORDER_DIAL,
+      { callLogId: callLog.id, source: DIAL_SOURCE.QUEUED },
+      ONCE,
+    );
+  }
+
+  const dueFirst = await claimDueFirstContactCallLogs(25);
+  for (const callLog of dueFirst) {
+    await enqueueJob(
+      JOB_TYPE.ORDER_FIRST_CONTACT,
+      { callLogId: callLog.id, claimed: true, actor: EVENT_ACTOR.CRON },
+      ONCE,
+    );
+  }
+
+  const due = await claimDueRetryCallLogs(25);
+  for (const callLog of due) {
+    await enqueueJob(
+      JOB_TYPE.ORDER_DIAL,
+      { callLogId: callLog.id, source: DIAL_SOURCE.RETRY },
+      ONCE,
+    );
+  }
+
+  // WhatsApp timeouts fall back to an AI call — per-shop timeout. A shop out
+  // of minutes keeps waiting for the reply (reminder → escalation) instead:
+  // its claims are released, and quota is only looked up for shops that
+  // actually have a timeout due.
+  for (const config of await listShopConfigs()) {
+    const timeoutSeconds = (config.waTimeoutMinutes ?? 5) * 60;
+    const timedOut = await claimTimedOutWhatsAppLogs(timeoutSeconds, 25, config.shop);
+    if (timedOut.length === 0) continue;
+    if ((await getQuotaStatus(config.shop)).overQuota) {
+      await releaseCallLogClaims(timedOut.map((callLog) => callLog.id));
+      continue;
+    }
+    for (const callLog of timedOut) {
+      await markWhatsAppTimeoutFallback(callLog, timeoutSeconds);
+      await enqueueJob(
+        JOB_TYPE.ORDER_DIAL,
+        { callLogId: callLog.id, source: DIAL_SOURCE.WHATSAPP_TIMEOUT },
+        ONCE,
+      );
+    }
+  }
+
+  const total = stale.length + staleQueued.length + dueFirst.length + due.length;
+  if (total > 0) {
+    console.log(
+      `[OrderJobs] Sweep queued stale=${stale.length} queued=${staleQueued.length} firstContact=${dueFirst.length} retries=${due.length}`,
+    );
+  }
+}
+
+// ─── Per-row handlers ─────────────────────────────────────────────────────────
+
+/**
+ * IN_PROGRESS call whose webhook never arrived. A call Vapi still reports as
+ * live (or cannot report on) keeps its row and its DialSlot until it ends or
+ * SLOT_TTL_MS passes; an ended call gets Vapi's outcome, or a retry when
+ * there is none. A row without a Vapi call id is retried after 90s.
+ */
+export async function recoverStaleOrderCall({ callLogId }) {
+  const callLog = await getCallLogById(callLogId);
+  if (!callLog?.order) return;
+
+  console.log(`[OrderJobs] 🛰️ Checking stale call ${callLog.vapiCallId}...`);
+
+  const staleSince = callLog.updatedAt ? new Date(callLog.updatedAt).getTime() : 0;
+  const staleAge = Date.now() - staleSince;
+  const status = callLog.vapiCallId
+    ? await getVapiCallStatus(callLog.vapiCallId, callLog.shop)
+    : null;
+  const ended = status === ENDED_CALL_STATUS;
+  const waitMs = callLog.vapiCallId ? SLOT_TTL_MS : UNDIALLED_STALE_MS;
+
+  // Still ringing / talking, or Vapi unreachable — check again next sweep.
+  // The DialSlot stays taken; handleCallResult gives it back.
+  if (!ended && staleAge < waitMs) {
+    console.log(
+      `[OrderJobs] Call ${callLog.vapiCallId} status=${status ?? "unknown"} stale for ${Math.round(staleAge / 1000)}s, waiting...`,
+    );
+    await prisma.callLog.update({
+      where: { id: callLog.id },
+      data: { lockedAt: null },
+    });
+    return;
+  }
+
+  // getVapiCallIntent checks endedReason (no-answer, busy) AND scans
+  // structuredData/Outputs for confirm/cancel
+  const intent = ended ? await getVapiCallIntent(callLog.vapiCallId, callLog.shop) : null;
+  if (!intent) {
+    console.log(
+      `[OrderJobs] Call ${callLog.vapiCallId} status=${status ?? "unknown"} stale for ${Math.round(staleAge / 1000)}s — forcing retry`,
+    );
+  }
+
+  const finalIntent = intent || CALL_INTENT.RECALL_REQUEST;
+  const reason = intent ? `Cron recovered: ${intent}` : "No intent after timeout — retry";
+
+  console.log(`[OrderJobs] ➡️ Applying intent=${finalIntent} to order=${callLog.order.id}`);
+  await handleCallResult(callLog.order.id, finalIntent, {
+    callLogId: callLog.id,
+    vapiCallId: callLog.vapiCallId,
+    failureReason: reason,
+    actor: EVENT_ACTOR.CRON,
+    intentSource: INTENT_SOURCE.CRON,
+  });
+}
+
+/**
+ * Dial a claimed CallLog — a never-dialled QUEUED row, a due retry or a
+ * WhatsApp message that timed out.
+ */
+export async function dialOrderCall({ callLogId, source }) {
+  const callLog = await getCallLogById(callLogId);
+  const order = callLog?.order;
+  if (!order) return;
+
+  if (source === DIAL_SOURCE.WHATSAPP_TIMEOUT) {
+    console.log(`[OrderJobs] 📞 WhatsApp timed out for order=${order.id}, triggering fallback call...`);
+  }
+
+  try {
+    const vapiRes = await triggerOrderConfirmationCall({
+      shop: callLog.shop,
+      callLogId: callLog.id,
+      customerName: order.customerName,
+      phoneNumber: order.phoneNumber,
+      storeName: order.storeName,
+      orderId: order.shopifyOrderId,
+      totalPrice: order.totalPrice,
+      address: order.correctedAddress || order.address,
+      lineItems: order.lineItems,
+    });
+    if (vapiRes?.id) await setCallLogInProgress(callLog.id, vapiRes.id);
+  } catch (err) {
+    if (isCallingWindowError(err) || isDialLimitError(err)) {
+      // Goes out at the next allowed slot via the retry path.
+      await deferCallLog(callLog.id, err.deferUntil, { reason: err.reason });
+      return;
+    }
+
+    if (isQuotaExceededError(err)) {
+      await parkOverQuotaCallLog(callLog.id, err);
+      return;
+    }
+
+    if (source === DIAL_SOURCE.RETRY) {
+      await handleCallResult(order.id, CALL_INTENT.RECALL_REQUEST, {
+        callLogId: callLog.id,
+        failureReason: `Retry trigger failed: ${err.message}`,
+        actor: EVENT_ACTOR.CRON,
+      });
+      return;
+    }
+
+    if (source === DIAL_SOURCE.WHATSAPP_TIMEOUT) {
+      console.error(`[OrderJobs] Failed to trigger fallback call for order=${order.id}`, err.message);
+      // Release lock so it can be retried or handled later
+      await prisma.callLog.update({
+        where: { id: callLog.id },
+        data: { lockedAt: null },
+      });
+      return;
+    }
+
+    console.error("[OrderJobs] Error triggering queued call", err.message);
+  }
+}
+
+/**
+ * First WhatsApp message or dial for an order. Rows from the sweep are
+ * already claimed; rows enqueued by the orders/create webhook are claimed
+ * here so the stale-queued safety net cannot contact the customer as well.
+ */
+export async function runFirstContact({
+  callLogId,
+  claimed = false,
+  orderId,
+  overrideBaseUrl,
+  actor = EVENT_ACTOR.WEBHOOK,
+}) {
+  const callLog = claimed
+    ? await getCallLogById(callLogId)
+    : await claimQueuedCallLog(callLogId);
+  if (!callLog?.order) return;
+
+  console.log(`[OrderJobs] ⏰ First contact for order=${callLog.order.id}`);
+  const config = await getShopConfig(callLog.shop);
+  await startFirstContact(callLog.order, callLog, {
+    config,
+    orderId,
+    overrideBaseUrl,
+    actor,
+  });
+}
+
+/**
+ * WhatsApp fallback once call retries ran out (enqueued by handleCallResult).
+ * Throws on a failed send so the queue retries it with backoff.
+ */
+export async function sendWhatsAppFallbackJob({ callLogId }) {
+  const callLog = await getCallLogById(callLogId);
+  if (!callLog?.order) return;
+  if (callLog.status !== CALL_STATUS.WHATSAPP_SENT || callLog.whatsappReplied) return;
+
+  await sendWhatsAppFallback(callLog);
+  await recordOrderEvent({
+    orderId: callLog.orderId,
+    callLogId: callLog.id,
+    type: ORDER_EVENT_TYPE.WHATSAPP_SENT,
+    channel: EVENT_CHANNEL.WHATSAPP,
+    actor: EVENT_ACTOR.SYSTEM,
+    message: "WhatsApp confirmation sent",
+  });
+}
@@ -0,0 +1,249 @@
+/**
+ * Order Vapi Webhook — turns one Vapi event for an order confirmation call
+ * into an order outcome.
+ *
+ * Called by api.order-vapi-webhook for live deliveries and by the webhook
+ * inspector for replays (webhookEventService). The returned `result` is what
+ * the inspector shows for the event:
+ *
+ *   IMMEDIATE:<intent>         structured output / tool call named an intent
+ *   ENDED_NO_CONNECT:<intent>  no-answer, busy or voicemail
+ *   TRANSCRIPT:<intent>        intent classifier on the customer's turns
+ *   QUICK_API:<intent>         Vapi API already had the analysis
+ *   UNCLEAR:<best guess>       classifier not confident — manual review
+ *   POLLING                    nothing yet — polled in the background
+ *   IN_PROGRESS                call.started / status-update
+ */
+
+import {
+  CALL_INTENT,
+  getCallLogById,
+  getCallLogByVapiId,
+  handleCallResult,
+  setCallLogInProgress,
+} from "../services/orderCallService.server.js";
+import {
+  ASSISTANT_INTENT_MAP,
+  scanForIntent,
+  scanForAddress,
+  scanForCancelReason,
+  classifyTranscript,
+  describeClassification,
+  getVapiCallIntent,
+} from "../services/vapiOrderService.server.js";
+import { applyAddressConfirmation } from "../services/addressConfirmationService.server.js";
+import { applyCancelReason } from "../services/cancelReasonService.server.js";
+import { saveCallTranscript } from "../services/callTranscriptService.server.js";
+import { applyVapiReport } from "../services/callAttemptService.server.js";
+import { INTENT_SOURCE, WEBHOOK_EVENT_STATUS } from "../constants.js";
+
+const TERMINAL_EVENTS = new Set([
+  "end-of-call-report",
+  "call.completed",
+  "assistant.completed",
+]);
+
+function rawEndedReason(body) {
+  return (
+    body?.message?.endedReason ??
+    body?.endedReason ??
+    body?.message?.call?.endedReason ??
+    null
+  );
+}
+
+function extractEndedReason(body) {
+  const reason = rawEndedReason(body);
+  if (!reason) return null;
+
+  const r = String(reason).toLowerCase();
+  if (r.includes("customer-did-not-answer") || r.includes("no-answer"))
+    return "recall_request";
+  if (r.includes("customer-busy") || r.includes("busy")) return "busy";
+  if (r.includes("machine-detected")) return "recall_request";
+  return null;
+}
+
+const pollVapi = async (shop, orderId, callLogId, vapiId) => {
+  console.log(`[VapiPoll] 🛰️ Monitoring Call ${vapiId}...`);
+
+  for (let i = 1; i <= 6; i++) {
+    await new Promise((r) => setTimeout(r, 5000));
+    console.log(`[VapiPoll] Attempt ${i}/6 checking Vapi API for ${vapiId}...`);
+
+    const intent = await getVapiCallIntent(vapiId, shop);
+    if (intent) {
+      console.log(`[VapiPoll] ✅ Found intent: ${intent}`);
+      await handleCallResult(orderId, intent, {
+        callLogId,
+        vapiCallId: vapiId,
+        intentSource: INTENT_SOURCE.POLL,
+      });
+      return;
+    }
+  }
+
+  console.log(
+    `[VapiPoll] 🛑 No intent found for ${vapiId}. Scheduling retry...`,
+  );
+  await handleCallResult(orderId, CALL_INTENT.RECALL_REQUEST, {
+    callLogId,
+    vapiCallId: vapiId,
+    intentSource: INTENT_SOURCE.POLL,
+    failureReason: "No answer or no clear intent detected after polling",
+  });
+};
+
+const ignored = (result) => ({ status: WEBHOOK_EVENT_STATUS.IGNORED, result });
+const processed = (result) => ({ status: WEBHOOK_EVENT_STATUS.PROCESSED, result });
+
+/**
+ * @param {object} body - parsed Vapi webhook payload
+ * @param {object} [opts]
+ * @param {string} [opts.logId] - correlates log lines for one delivery
+ * @param {string | null} [opts.shop] - shop whose webhook secret verified the
+ *                                      delivery (verifyVapiWebhook)
+ * @returns {Promise<{ status: string, result: string }>}
+ */
+export async function processOrderVapiWebhook(body, { logId = "-", shop = null } = {}) {
+  const type = body?.message?.type ?? body?.type;
+  const call = body?.message?.call ?? body?.call ?? body?.message?.artifact;
+  const vapiId = call?.id;
+
+  if (!vapiId) return ignored("NO_CALL_ID");
+  if (!shop) {
+    console.warn(`[VapiWebhook][${logId}] No authenticated shop for ${vapiId}`);
+    return ignored("NO_SHOP");
+  }
+
+  console.log(`[VapiWebhook][${logId}] type=${type} vapiId=${vapiId}`);
+
+  let ctx = null;
+  const metadata = call?.metadata ?? body?.message?.metadata ?? body?.metadata;
+
+  // Metadata is whatever the sender put there — only a CallLog of the shop
+  // whose secret verified the delivery is a match.
+  const belongsToCaller = (log) => Boolean(log) && log.shop === shop;
+
+  if (metadata?.callLogId) {
+    const log = await getCallLogById(metadata.callLogId);
+    if (belongsToCaller(log)) ctx = { shop: log.shop, orderId: log.orderId, callLogId: log.id };
+  }
+
+  if (!ctx) {
+    const log = await getCallLogByVapiId(vapiId);
+    if (belongsToCaller(log)) ctx = { shop: log.shop, orderId: log.orderId, callLogId: log.id };
+  }
+
+  if (!ctx) {
+    console.warn(`[VapiWebhook][${logId}] 🔍 Context not found for ${vapiId}`);
+    return ignored("CONTEXT_NOT_FOUND");
+  }
+
+  // Keep the transcript, summary, recording and cost before the outcome is
+  // applied.
+  if (TERMINAL_EVENTS.has(type)) {
+    await saveCallTranscript(vapiId, body?.message ?? body, { callLogId: ctx.callLogId });
+    await applyVapiReport(vapiId, body?.message ?? body);
+  }
+
+  const addressResult = scanForAddress(body);
+  if (addressResult) {
+    await applyAddressConfirmation(ctx.orderId, addressResult, {
+      callLogId: ctx.callLogId,
+    }).catch((e) =>
+      console.error(`[VapiWebhook][${logId}] applyAddressConfirmation failed`, e),
+    );
+  }
+
+  const cancelReason = scanForCancelReason(body);
+  if (cancelReason) {
+    await applyCancelReason(ctx.orderId, cancelReason, {
+      callLogId: ctx.callLogId,
+    }).catch((e) =>
+      console.error(`[VapiWebhook][${logId}] applyCancelReason failed`, e),
+    );
+  }
+
+  const immediate = scanForIntent(body);
+  if (immediate && ASSISTANT_INTENT_MAP[immediate]) {
+    const intent = ASSISTANT_INTENT_MAP[immediate];
+    console.log(`[VapiWebhook][${logId}] ⚡ Immediate match: ${intent}`);
+    await handleCallResult(ctx.orderId, intent, {
+      callLogId: ctx.callLogId,
+      vapiCallId: vapiId,
+      intentSource: INTENT_SOURCE.STRUCTURED_OUTPUT,
+    });
+    return processed(`IMMEDIATE:${intent}`);
+  }
+
+  if (TERMINAL_EVENTS.has(type)) {
+    console.log(`[VapiWebhook][${logId}] 🏁 Terminal event: ${type}`);
+
+    const endedIntent = extractEndedReason(body);
+    if (endedIntent) {
+      console.log(
+        `[VapiWebhook][${logId}] 📵 Ended without connection: ${endedIntent}`,
+      );
+      await handleCallResult(ctx.orderId, endedIntent, {
+        callLogId: ctx.callLogId,
+        vapiCallId: vapiId,
+        intentSource: INTENT_SOURCE.ENDED_REASON,
+        endedReason: rawEndedReason(body),
+      });
+      return processed(`ENDED_NO_CONNECT:${endedIntent}`);
+    }
+
+    const classification = await classifyTranscript(body?.message ?? body);
+    if (classification.intent && !classification.needsReview) {
+      const intent = ASSISTANT_INTENT_MAP[classification.intent];
+      console.log(
+        `[VapiWebhook][${logId}] 📝 Transcript match: ${describeClassification(classification)}`,
+      );
+      await handleCallResult(ctx.orderId, intent, {
+        callLogId: ctx.callLogId,
+        vapiCallId: vapiId,
+        intentSource: INTENT_SOURCE.TRANSCRIPT,
+      });
+      return processed(`TRANSCRIPT:${intent}`);
+    }
+
+    const quickIntent = await getVapiCallIntent(vapiId, ctx.shop);
+    if (quickIntent) {
+      console.log(`[VapiWebhook][${logId}] 🎯 Quick API check: ${quickIntent}`);
+      await handleCallResult(ctx.orderId, quickIntent, {
+        callLogId: ctx.callLogId,
+        vapiCallId: vapiId,
+        intentSource: INTENT_SOURCE.POLL,
+      });
+      return processed(`QUICK_API:${quickIntent}`);
+    }
+
+    if (classification.needsReview) {
+      console.log(
+        `[VapiWebhook][${logId}] ❓ Unclear answer: ${describeClassification(classification)}`,
+      );
+      await handleCallResult(ctx.orderId, CALL_INTENT.UNCLEAR, {
+        callLogId: ctx.callLogId,
+        vapiCallId: vapiId,
+        intentSource: INTENT_SOURCE.TRANSCRIPT,
+        classification: {
+          guess: classification.intent,
+          confidence: classification.confidence,
+          language: classification.language,
+        },
+      });
+      return processed(`UNCLEAR:${classification.intent ?? "none"}`);
+    }
+
+    pollVapi(ctx.shop, ctx.orderId, ctx.callLogId, vapiId).catch(console.error);
+    return processed("POLLING");
+  }
+
+  if (type === "call.started" || type === "status-update") {
+    await setCallLogInProgress(ctx.callLogId, vapiId);
+    return processed("IN_PROGRESS");
+  }
+
+  return ignored(`UNHANDLED:${type}`);
+}
@@ -0,0 +1,153 @@
+/**
+ * Phone Number Normalization
+ *
+ * One normalizer for every phone number the app stores or dials — Shopify
+ * order payloads, manual orders, CSV uploads and WhatsApp senders. Output is
+ * always E.164 ("+971501234567").
+ *
+ * PARSING
+ * ───────
+ *  "+971 50 123 4567", "00971501234567" → international, kept as-is
+ *  "050 123 4567" + country "AE"        → trunk "0" dropped, +971 prepended
+ *  "971501234567" + country "AE"        → country code without "+"
+ *  "+91 98765 43210 ext. 12"            → extension split off (returned
+ *                                         separately, never dialled)
+ *
+ * The country is the order's shipping / billing country_code when known,
+ * else DEFAULT_PHONE_COUNTRY (env, default "IN").
+ *
+ * REJECTIONS
+ * ──────────
+ * A number that cannot be normalized returns { error, reason } — `reason` is
+ * a PHONE_REJECTION code, `error` a sentence fit for logs and API responses.
+ */
+
+const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * National dialling rules per ISO country.
+ *   code    — country calling code
+ *   trunk   — national trunk prefix dropped when dialling internationally
+ *   lengths — valid national significant number lengths (without trunk)
+ */
+export const PHONE_COUNTRIES = {
+  IN: { code: "91", trunk: "0", lengths: [10] },
+  AE: { code: "971", trunk: "0", lengths: [8, 9] },
+  NP: { code: "977", trunk: "0", lengths: [8, 10] },
+  BD: { code: "880", trunk: "0", lengths: [8, 9, 10] },
+  PK: { code: "92", trunk: "0", lengths: [9, 10] },
+  LK: { code: "94", trunk: "0", lengths: [9] },
+  SA: { code: "966", trunk: "0", lengths: [8, 9] },
+  QA: { code: "974", trunk: null, lengths: [8] },
+  KW: { code: "965", trunk: null, lengths: [8] },
+  OM: { code: "968", trunk: null, lengths: [8] },
+  BH: { code: "973", trunk: null, lengths: [8] },
+  SG: { code: "65", trunk: null, lengths: [8] },
+  MY: { code: "60", trunk: "0", lengths: [9, 10] },
+  GB: { code: "44", trunk: "0", lengths: [10] },
+  US: { code: "1", trunk: "1", lengths: [10] },
+  CA: { code: "1", trunk: "1", lengths: [10] },
+  AU: { code: "61", trunk: "0", lengths: [9] },
+};
+
+export const PHONE_REJECTION = {
+  EMPTY: "EMPTY",
+  INVALID_CHARACTERS: "INVALID_CHARACTERS",
+  UNSUPPORTED_COUNTRY: "UNSUPPORTED_COUNTRY",
+  INVALID_LENGTH: "INVALID_LENGTH",
+  INVALID_FORMAT: "INVALID_FORMAT",
+};
+
+const EXTENSION_REGEX = /\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i;
+
+export function getDefaultPhoneCountry() {
+  const raw = String(process.env.DEFAULT_PHONE_COUNTRY ?? "").trim().toUpperCase();
+  return PHONE_COUNTRIES[raw] ? raw : "IN";
+}
+
+function reject(reason, error) {
+  return { error, reason };
+}
+
+/**
+ * Normalize a raw phone number to E.164.
+ *
+ * @param {string} raw
+ * @param {object} [opts]
+ * @param {string | null} [opts.country] - ISO 3166-1 alpha-2 (order country_code)
+ * @returns {{ phone: string, country: string | null, extension: string | null } | { error: string, reason: string }}
+ */
+export function normalizePhoneNumber(raw, { country = null } = {}) {
+  let text = String(raw ?? "")
+    .replace(/^(?:whatsapp|tel):/i, "")
+    .trim();
+  if (!text) return reject(PHONE_REJECTION.EMPTY, "Phone number is empty.");
+
+  let extension = null;
+  const ext = EXTENSION_REGEX.exec(text);
+  if (ext) {
+    extension = ext[1];
+    text = text.slice(0, ext.index);
+  }
+
+  text = text.replace(/[\s\-()./]/g, "");
+  if (text.startsWith("00")) text = `+${text.slice(2)}`;
+
+  if (!/^\+?\d+$/.test(text)) {
+    return reject(
+      PHONE_REJECTION.INVALID_CHARACTERS,
+      `Phone number "${raw}" contains characters other than digits.`,
+    );
+  }
+
+  // Already international.
+  if (text.startsWith("+")) {
+    if (!E164_REGEX.test(text)) {
+      return reject(
+        PHONE_REJECTION.INVALID_FORMAT,
+        `Phone number "${raw}" is not a valid international number (+ country code, 7–15 digits).`,
+      );
+    }
+    // Longest calling code first so +971 is never read as +97…
+    const match = Object.entries(PHONE_COUNTRIES)
+      .sort(([, a], [, b]) => b.code.length - a.code.length)
+      .find(([, c]) => text.startsWith(`+${c.code}`));
+    return { phone: text, country: match?.[0] ?? null, extension };
+  }
+
+  const iso = String(country ?? "").trim().toUpperCase() || getDefaultPhoneCountry();
+  const rules = PHONE_COUNTRIES[iso];
+  if (!rules) {
+    return reject(
+      PHONE_REJECTION.UNSUPPORTED_COUNTRY,
+      `Phone number "${raw}" has no country code and ${iso} local numbers are not supported — use +<country code>.`,
+    );
+  }
+
+  let national = text;
+  if (
+    national.startsWith(rules.code) &&
+    rules.lengths.includes(national.length - rules.code.length)
+  ) {
+    national = national.slice(rules.code.length);
+  } else if (
+    rules.trunk &&
+    national.startsWith(rules.trunk) &&
+    rules.lengths.includes(national.length - rules.trunk.length)
+  ) {
+    national = national.slice(rules.trunk.length);
+  }
+
+  if (!rules.lengths.includes(national.length)) {
+    return reject(
+      PHONE_REJECTION.INVALID_LENGTH,
+      `Phone number "${raw}" has ${national.length} digits — ${iso} numbers have ${rules.lengths.join(" or ")}.`,
+    );
+  }
+
+  const phone = `+${rules.code}${national}`;
+  if (!E164_REGEX.test(phone)) {
+    return reject(PHONE_REJECTION.INVALID_FORMAT, `Phone number "${raw}" is not valid.`);
+  }
+  return { phone, country: iso, extension };
+}
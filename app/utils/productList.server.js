@@ -0,0 +1,79 @@
+/**
+ * Product List
+ *
+ * Renders Order.lineItems ({ title, variant, quantity, price } — stored from
+ * the orders/create payload) for the places a customer hears or reads what
+ * they ordered:
+ *
+ *  Voice    — {{PRODUCT_LIST}} in call scripts and the default first
+ *             message. Short: at most VOICE_MAX_ITEMS items, long titles cut,
+ *             the rest summed up as "and N more items".
+ *  WhatsApp — one line per item with quantity and price, at most
+ *             WHATSAPP_MAX_ITEMS lines.
+ */
+
+const VOICE_MAX_ITEMS = 3;
+const VOICE_MAX_TITLE = 40;
+const WHATSAPP_MAX_ITEMS = 10;
+
+function toLineItems(lineItems) {
+  return (Array.isArray(lineItems) ? lineItems : []).filter(
+    (item) => item && String(item.title ?? "").trim(),
+  );
+}
+
+// Cut at a word boundary — an ellipsis means nothing to text-to-speech.
+function truncate(text, max) {
+  const value = String(text ?? "").trim();
+  if (value.length <= max) return value;
+  const cut = value.slice(0, max);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:-]+$/, "");
+}
+
+function itemLabel(item, maxTitle = Infinity) {
+  const title = truncate(item.title, maxTitle);
+  return item.variant ? `${title} (${item.variant})` : title;
+}
+
+/**
+ * Spoken product list, e.g. "2 Blue T-Shirt (Large), 1 Cap and 3 more items".
+ * Empty string when the order has no line items.
+ *
+ * @param {Array<object> | null} lineItems
+ */
+export function formatProductListForVoice(lineItems) {
+  const items = toLineItems(lineItems);
+  if (!items.length) return "";
+
+  const spoken = items
+    .slice(0, VOICE_MAX_ITEMS)
+    .map((item) => `${item.quantity ?? 1} ${itemLabel(item, VOICE_MAX_TITLE)}`);
+  const rest = items.length - spoken.length;
+  if (rest > 0) {
+    return `${spoken.join(", ")} and ${rest} more item${rest === 1 ? "" : "s"}`;
+  }
+  if (spoken.length === 1) return spoken[0];
+  return `${spoken.slice(0, -1).join(", ")} and ${spoken[spoken.length - 1]}`;
+}
+
+/**
+ * WhatsApp product lines, e.g. "• 2 × Blue T-Shirt (Large) — ₹998.00".
+ * Empty string when the order has no line items.
+ *
+ * @param {Array<object> | null} lineItems
+ */
+export function formatProductListForWhatsApp(lineItems) {
+  const items = toLineItems(lineItems);
+  if (!items.length) return "";
+
+  const lines = items.slice(0, WHATSAPP_MAX_ITEMS).map((item) => {
+    const quantity = Number(item.quantity) || 1;
+    const price = Number(item.price);
+    const total = Number.isFinite(price) ? ` — ₹${(price * quantity).toFixed(2)}` : "";
+    return `• ${quantity} × ${itemLabel(item)}${total}`;
+  });
+  const rest = items.length - lines.length;
+  if (rest > 0) lines.push(`…and ${rest} more item${rest === 1 ? "" : "s"}`);
+  return lines.join("\n");
+}
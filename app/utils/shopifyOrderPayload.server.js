@@ -0,0 +1,133 @@
+/**
+ * Shopify Order Payload
+ *
+ * Reads the fields the app cares about out of an orders/* webhook payload
+ * (REST order shape). Shared by orders/create and the orders/updated,
+ * orders/cancelled and orders/fulfilled handlers, so an edited order is read
+ * exactly the way a new one was.
+ */
+
+import { normalizePhoneNumber } from "./phoneNumber.server.js";
+
+export function isCOD(payload) {
+  const gateway = String(payload?.gateway ?? "").toLowerCase();
+  const names = (payload?.payment_gateway_names ?? []).map((n) =>
+    String(n).toLowerCase(),
+  );
+  return (
+    gateway === "cash_on_delivery" ||
+    gateway === "cod" ||
+    names.includes("cash_on_delivery") ||
+    names.includes("cod")
+  );
+}
+
+export function extractCountryCode(payload) {
+  const code =
+    payload?.shipping_address?.country_code ??
+    payload?.billing_address?.country_code ??
+    null;
+  return code ? String(code).toUpperCase() : null;
+}
+
+/**
+ * Every distinct usable phone on the order (billing, shipping, customer — in
+ * that order), normalized with the order's country. The first is dialled;
+ * the rest are alternates tried after a wrong number or no answer. `error`
+ * explains why nothing was usable.
+ *
+ * @returns {{ phone: string | null, candidates: string[], error: string | null }}
+ */
+export function extractPhone(payload) {
+  const country = extractCountryCode(payload);
+  const raws = [
+    payload?.billing_address?.phone,
+    payload?.shipping_address?.phone,
+    payload?.customer?.phone,
+  ].filter(Boolean);
+
+  const candidates = [];
+  const errors = [];
+  for (const raw of raws) {
+    const result = normalizePhoneNumber(raw, { country });
+    if (!result.phone) errors.push(result.error);
+    else if (!candidates.includes(result.phone)) candidates.push(result.phone);
+  }
+
+  if (candidates.length) return { phone: candidates[0], candidates, error: null };
+  return {
+    phone: null,
+    candidates,
+    error: errors.length ? errors.join(" ") : "No phone number on the order.",
+  };
+}
+
+export function buildAddress(payload) {
+  const addr = payload?.shipping_address || payload?.billing_address;
+  if (!addr) return null;
+  return [addr.address1, addr.address2, addr.city, addr.province, addr.zip, addr.country]
+    .filter(Boolean)
+    .join(", ");
+}
+
+export function extractPincode(payload) {
+  const addr = payload?.shipping_address || payload?.billing_address;
+  const zip = String(addr?.zip ?? "").replace(/\s+/g, "").toUpperCase();
+  return zip || null;
+}
+
+/**
+ * Line items as stored on Order.lineItems — what the customer hears in
+ * {{PRODUCT_LIST}} and reads in the WhatsApp message.
+ *
+ * @returns {Array<{ title: string, variant: string | null, quantity: number, price: string }>}
+ */
+export function extractLineItems(payload) {
+  return (Array.isArray(payload?.line_items) ? payload.line_items : [])
+    .map((item) => ({
+      title: String(item?.title ?? item?.name ?? "").trim(),
+      variant:
+        item?.variant_title && item.variant_title !== "Default Title"
+          ? String(item.variant_title)
+          : null,
+      quantity: Number(item?.quantity) || 1,
+      price: String(item?.price ?? "0"),
+    }))
+    .filter((item) => item.title);
+}
+
+function getDefaultAgentPhone() {
+  const raw = String(process.env.DEFAULT_AGENT_PHONE ?? "").trim();
+  if (!raw) return null;
+  return /^\+[1-9]\d{6,14}$/.test(raw) ? raw : null;
+}
+
+export function buildOrderInput(shop, payload) {
+  const shopifyOrderId = String(payload.id);
+  const orderId = payload.order_number ?? payload.name ?? shopifyOrderId;
+  const customerName =
+    payload?.customer?.first_name && payload?.customer?.last_name
+      ? `${payload.customer.first_name} ${payload.customer.last_name}`.trim()
+      : payload?.billing_address?.name ??
+        payload?.shipping_address?.name ??
+        "Customer";
+
+  const extracted = extractPhone(payload);
+  // DEFAULT_AGENT_PHONE (testing) replaces the customer's numbers entirely.
+  const agentPhone = getDefaultAgentPhone();
+
+  return {
+    shopifyOrderId,
+    orderId: String(orderId),
+    customerName,
+    phoneNumber: agentPhone || extracted.phone,
+    phoneCandidates: agentPhone ? [agentPhone] : extracted.candidates,
+    phoneError: extracted.error,
+    storeName: String(shop).replace(".myshopify.com", ""),
+    totalPrice: String(payload.total_price ?? "0"),
+    orderPlacedDate: new Date(payload.created_at ?? Date.now()),
+    address: buildAddress(payload),
+    pincode: extractPincode(payload),
+    lineItems: extractLineItems(payload),
+  };
+}
@@ -3,35 +3,40 @@
  *
  * E.164 format: + followed by country code + number, 8–15 digits total.
  * Examples: +917041668245  +12125551234  +447911123456
+ *
+ * Parsing lives in phoneNumber.server.js — shared with the orders webhook,
+ * manual orders and WhatsApp replies.
  */
 
-const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+import { normalizePhoneNumber, PHONE_REJECTION } from "./phoneNumber.server.js";
 
 /**
  * Normalise a raw phone string and validate it as E.164.
  *
- * - Strips spaces, dashes, dots, brackets
- * - Prepends "+" if missing
- * - Validates the resulting string against E.164 regex
+ * - Strips spaces, dashes, dots, brackets and any extension
+ * - Reads local numbers (trunk prefix, no "+") for `country`, default
+ *   DEFAULT_PHONE_COUNTRY
+ * - Without a country, a digits-only number that is not a valid local number
+ *   is retried as "+<digits>" (CSV rows that omit the "+")
  *
  * @param {string} raw - Raw phone input from user / CSV
- * @returns {{ phone: string } | { error: string }}
+ * @param {object} [opts]
+ * @param {string} [opts.country] - ISO country code for local numbers
+ * @returns {{ phone: string } | { error: string, reason: string }}
  */
-export function validatePhone(raw) {
-  // Strip common separators
-  let phone = String(raw ?? "").replace(/[\s\-().]/g, "");
-
-  // Prepend + if the user omitted it
-  if (!phone.startsWith("+")) phone = "+" + phone;
+export function validatePhone(raw, { country } = {}) {
+  const result = normalizePhoneNumber(raw, { country });
+  if (result.phone) return { phone: result.phone };
 
-  if (!E164_REGEX.test(phone)) {
-    return {
-      error:
-        'Invalid phone number. Must be E.164 format, e.g. +917041668245 or +12125551234 (country code required).',
-    };
+  if (!country && result.reason === PHONE_REJECTION.INVALID_LENGTH) {
+    const international = normalizePhoneNumber(`+${String(raw).replace(/^\s*\+?/, "")}`);
+    if (international.phone) return { phone: international.phone };
   }
 
-  return { phone };
+  return {
+    error: `${result.error} Use E.164 format, e.g. +917041668245 or +12125551234.`,
+    reason: result.reason,
+  };
 }
 
 /**
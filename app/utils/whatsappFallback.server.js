@@ -4,22 +4,26 @@
  * Sends a WhatsApp message via Twilio after 3 failed call attempts.
  * The customer can reply with 1/2/3 to confirm, cancel, or report wrong number.
  *
- * Reads Twilio credentials from AppConfig DB first, falls back to env vars.
+ * Reads Twilio credentials from the order's shop AppConfig first, falls back
+ * to env vars.
  */
 
 import twilio from "twilio";
-import prisma from "../db.server.js";
+import { getShopConfig } from "../services/shopConfigService.server.js";
+import { formatProductListForWhatsApp } from "./productList.server.js";
+import { recordUsage, whatsappMessageCost } from "../services/usageService.server.js";
+import { USAGE_KIND } from "../constants.js";
 
-async function getDbConfig() {
+async function getDbConfig(shop) {
   try {
-    return await prisma.appConfig.findFirst({ where: { shop: "default" } });
+    return await getShopConfig(shop);
   } catch (_) {
     return null;
   }
 }
 
-async function getTwilioClient() {
-  const dbConfig = await getDbConfig();
+async function getTwilioClient(shop) {
+  const dbConfig = await getDbConfig(shop);
   const accountSid = dbConfig?.twilioSid || process.env.TWILIO_ACCOUNT_SID;
   const authToken = dbConfig?.twilioToken || process.env.TWILIO_AUTH_TOKEN;
 
@@ -30,8 +34,8 @@ async function getTwilioClient() {
   return twilio(accountSid, authToken);
 }
 
-async function getWhatsAppFrom() {
-  const dbConfig = await getDbConfig();
+async function getWhatsAppFrom(shop) {
+  const dbConfig = await getDbConfig(shop);
   const from = dbConfig?.twilioWaFrom || process.env.TWILIO_WHATSAPP_FROM;
   if (!from) {
     throw new Error("[WhatsApp] Missing TWILIO_WHATSAPP_FROM in env or DB config");
@@ -49,10 +53,12 @@ function formatWhatsAppNumber(phoneNumber) {
 /**
  * Build the WhatsApp fallback message body.
  */
-function buildMessageBody(customerName, orderId, totalPrice, address) {
+function buildMessageBody(customerName, orderId, totalPrice, address, lineItems) {
+  const products = formatProductListForWhatsApp(lineItems);
   return (
     `Hello ${customerName}, thank you for your order!\n\n` +
     `Order ID: ${orderId}\n` +
+    (products ? `Items:\n${products}\n` : "") +
     `Total: ₹${totalPrice}\n` +
     (address ? `Address: ${address}\n\n` : "\n") +
     `Please confirm your order by replying:\n` +
@@ -73,8 +79,8 @@ export async function sendWhatsAppFallback(callLog) {
   }
 
   const { order } = callLog;
-  const client = await getTwilioClient();
-  const from = await getWhatsAppFrom();
+  const client = await getTwilioClient(order.shop);
+  const from = await getWhatsAppFrom(order.shop);
   const to = formatWhatsAppNumber(order.phoneNumber);
 
   const body = buildMessageBody(
@@ -82,6 +88,7 @@ export async function sendWhatsAppFallback(callLog) {
     order.shopifyOrderId,
     order.totalPrice,
     order.address,
+    order.lineItems,
   );
 
   console.log(`[WhatsApp] Body for to=${to}: ${body}`);
@@ -97,6 +104,15 @@ export async function sendWhatsAppFallback(callLog) {
 
     console.log(`[WhatsApp] ✅ Message sent SID=${message.sid} to=${to}`);
 
+    await recordUsage({
+      shop: order.shop,
+      kind: USAGE_KIND.WHATSAPP_MESSAGE,
+      sourceId: message.sid,
+      orderId: order.id,
+      quantity: 1,
+      cost: whatsappMessageCost(message.price),
+    });
+
     return {
       sid: message.sid,
       to,
@@ -0,0 +1,251 @@
+/**
+ * WhatsApp Reply Webhook — applies a customer's WhatsApp reply (1/2/3,
+ * yes/no…) to their latest open order. A "NO" is answered with the
+ * cancellation-reason menu; the reply to that (A–E or free text) is stored on
+ * the cancelled order.
+ *
+ * Called by api.whatsapp-webhook for live deliveries and by the webhook
+ * inspector for replays (webhookEventService). `reply` is the text sent back
+ * to the customer in the TwiML response, or null for none.
+ */
+
+import prisma from "../db.server.js";
+import {
+  CALL_INTENT,
+  ORDER_STATUS,
+  handleCallResult,
+  getLatestOpenCallLogByPhone,
+} from "../services/orderCallService.server.js";
+import { recordOrderEvent } from "../services/orderEventService.server.js";
+import { refreshCustomerProfile } from "../services/customerProfileService.server.js";
+import {
+  applyCancelReason,
+  cancelReasonPrompt,
+  getOrderAwaitingCancelReason,
+  normalizeCancelReason,
+} from "../services/cancelReasonService.server.js";
+import { normalizePhoneNumber } from "./phoneNumber.server.js";
+import {
+  CANCEL_REASON_LABEL,
+  ORDER_EVENT_TYPE,
+  EVENT_CHANNEL,
+  EVENT_ACTOR,
+  WEBHOOK_EVENT_STATUS,
+} from "../constants.js";
+
+/**
+ * Normalize the incoming phone number from Twilio's "whatsapp:+91XXXXXXXXXX" format
+ * to a plain E.164 number "+91XXXXXXXXXX".
+ */
+function normalizeWhatsAppPhone(from) {
+  const result = normalizePhoneNumber(from);
+  if (!result.phone) {
+    logWA("INVALID_PHONE", { from, reason: result.reason, error: result.error });
+    return null;
+  }
+  return result.phone;
+}
+
+/**
+ * Map the customer's WhatsApp reply to a CALL_INTENT.
+ */
+function mapReplyToIntent(body) {
+  if (!body || typeof body !== "string") return null;
+  const text = body.trim().toLowerCase();
+
+  if (text === "1") return CALL_INTENT.CONFIRM;
+  if (text === "2") return CALL_INTENT.CANCEL;
+  if (text === "3") return CALL_INTENT.WRONG_NUMBER;
+
+  if (text === "yes" || text === "confirm" || text === "haan" || text === "ha") {
+    return CALL_INTENT.CONFIRM;
+  }
+  if (text === "no" || text === "cancel" || text === "nahi" || text === "nako") {
+    return CALL_INTENT.CANCEL;
+  }
+  return null;
+}
+
+function logWA(event, payload) {
+  console.log(`[WhatsAppWebhook] ${event} ${JSON.stringify(payload)}`);
+}
+
+/**
+ * @param {object} body - Twilio webhook fields (From, To, Body, MessageSid)
+ * @param {object} opts
+ * @param {string | null} opts.shop - shop that owns the "To" number, if known
+ * @param {string} [opts.logId]     - correlates log lines for one delivery
+ * @returns {Promise<{ status: string, result: string, reply: string | null }>}
+ */
+export async function processWhatsAppReply(body, { shop, logId = "-" }) {
+  const messageBody = body?.Body || body?.body || "";
+  const fromRaw = body?.From || body?.from || "";
+  const messageSid = body?.MessageSid || body?.messageSid || "";
+
+  const phoneNumber = normalizeWhatsAppPhone(fromRaw);
+
+  logWA("RECEIVED", {
+    logId,
+    messageSid,
+    from: fromRaw,
+    phoneNumber,
+    body: messageBody,
+  });
+
+  if (!phoneNumber) {
+    logWA("IGNORED_NO_PHONE", { logId });
+    return { status: WEBHOOK_EVENT_STATUS.IGNORED, result: "NO_PHONE", reply: null };
+  }
+
+  const intent = mapReplyToIntent(messageBody);
+
+  // Not a 1/2/3 answer — maybe the reason for an order they just cancelled.
+  const cancelReason = intent ? null : normalizeCancelReason(messageBody, { allowLetter: true });
+  if (cancelReason) {
+    const cancelled = await getOrderAwaitingCancelReason(phoneNumber, shop);
+    if (cancelled) {
+      const isMenuLetter = /^[a-e][).]?$/i.test(messageBody.trim());
+      await applyCancelReason(
+        cancelled.id,
+        { reason: cancelReason, note: isMenuLetter ? null : messageBody },
+        { channel: EVENT_CHANNEL.WHATSAPP },
+      );
+      logWA("CANCEL_REASON", { logId, orderId: cancelled.id, cancelReason });
+      return {
+        status: WEBHOOK_EVENT_STATUS.PROCESSED,
+        result: `CANCEL_REASON:${cancelReason}`,
+        reply: `Thank you for telling us (${CANCEL_REASON_LABEL[cancelReason]}). We'll use it to do better.`,
+      };
+    }
+  }
+
+  if (!intent) {
+    logWA("IGNORED_UNKNOWN_REPLY", { logId, messageBody });
+    const helpMessage =
+      `Sorry, we didn't understand your reply. Please reply:\n\n` +
+      `YES to confirm ✅\n` +
+      `NO to cancel ❌`;
+    return { status: WEBHOOK_EVENT_STATUS.IGNORED, result: "UNKNOWN_REPLY", reply: helpMessage };
+  }
+
+  const callLog = await getLatestOpenCallLogByPhone(phoneNumber, shop);
+
+  if (!callLog) {
+    logWA("NO_OPEN_CALLLOG", { logId, phoneNumber, shop });
+    return {
+      status: WEBHOOK_EVENT_STATUS.IGNORED,
+      result: "NO_OPEN_CALLLOG",
+      reply: "No pending order found for your number.",
+    };
+  }
+
+  if (
+    callLog.order &&
+    (callLog.order.orderStatus === ORDER_STATUS.CONFIRMED ||
+      callLog.order.orderStatus === ORDER_STATUS.CANCELLED ||
+      callLog.order.orderStatus === ORDER_STATUS.INVALID)
+  ) {
+    logWA("IGNORED_ALREADY_TERMINAL", {
+      logId,
+      orderId: callLog.orderId,
+      callLogId: callLog.id,
+      orderStatus: callLog.order.orderStatus,
+    });
+    return {
+      status: WEBHOOK_EVENT_STATUS.IGNORED,
+      result: "ALREADY_TERMINAL",
+      reply: "This order has already been processed. No further action needed.",
+    };
+  }
+
+  if (callLog.whatsappRepliedAt) {
+    logWA("IGNORED_DUPLICATE", {
+      logId,
+      callLogId: callLog.id,
+      whatsappRepliedAt: callLog.whatsappRepliedAt,
+    });
+    return {
+      status: WEBHOOK_EVENT_STATUS.IGNORED,
+      result: "ALREADY_REPLIED",
+      reply: "Your response has already been recorded. Thank you!",
+    };
+  }
+
+  const intentLabel =
+    intent === CALL_INTENT.CONFIRM ? "Confirmed" :
+    intent === CALL_INTENT.CANCEL ? "Cancelled" :
+    intent === CALL_INTENT.WRONG_NUMBER ? "Wrong Number" : "Responded";
+
+  logWA("PROCESSING", {
+    logId,
+    callLogId: callLog.id,
+    orderId: callLog.orderId,
+    intent,
+    callLogStatus: callLog.status,
+    orderStatus: callLog.order?.orderStatus,
+  });
+
+  await recordOrderEvent({
+    orderId: callLog.orderId,
+    callLogId: callLog.id,
+    type: ORDER_EVENT_TYPE.WHATSAPP_REPLY,
+    channel: EVENT_CHANNEL.WHATSAPP,
+    actor: EVENT_ACTOR.WEBHOOK,
+    message: `Customer replied "${messageBody.trim()}" on WhatsApp`,
+    payload: { body: messageBody, intent, messageSid },
+  });
+
+  const result = await handleCallResult(callLog.orderId, intent, {
+    callLogId: callLog.id,
+    failureReason: `${intentLabel} via WhatsApp`,
+    fromWhatsApp: true,
+  });
+
+  await prisma.callLog.update({
+    where: { id: callLog.id },
+    data: {
+      whatsappRepliedAt: new Date(),
+      whatsappReplied: true,
+    },
+  });
+
+  // handleCallResult refreshes the profile for outcomes it applied; a reply
+  // it ignored still counts as contact with the customer.
+  if (result?.ignored) {
+    await refreshCustomerProfile(callLog.shop, phoneNumber, {
+      channel: EVENT_CHANNEL.WHATSAPP,
+      contacted: true,
+    });
+  }
+
+  logWA("PROCESSED", {
+    logId,
+    orderId: callLog.orderId,
+    callLogId: callLog.id,
+    intent,
+    result,
+  });
+
+  let replyMessage;
+  if (intent === CALL_INTENT.CONFIRM) {
+    replyMessage = `✅ Your Order #${
+      callLog.order?.shopifyOrderId || ""
+    } has been CONFIRMED. Thank you!`;
+  } else if (intent === CALL_INTENT.CANCEL) {
+    replyMessage =
+      `❌ Your Order #${callLog.order?.shopifyOrderId || ""} has been CANCELLED.` +
+      (result?.ignored ? "" : `\n\n${cancelReasonPrompt()}`);
+  } else if (intent === CALL_INTENT.WRONG_NUMBER) {
+    replyMessage = `⚠️ We've noted this was not your order. Sorry for the inconvenience.`;
+  } else {
+    replyMessage = `Your response has been recorded. Thank you!`;
+  }
+
+  return {
+    status: result?.ignored
+      ? WEBHOOK_EVENT_STATUS.IGNORED
+      : WEBHOOK_EVENT_STATUS.PROCESSED,
+    result: `${intent}${result?.ignored ? " (already applied)" : ""}`,
+    reply: replyMessage,
+  };
+}
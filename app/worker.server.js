@@ -0,0 +1,27 @@
+/**
+ * Standalone job worker — `npm run worker`.
+ *
+ * Processes the Job queue outside the web server so dials, retries and
+ * WhatsApp sends keep running on serverless / multi-instance deployments.
+ * Run it next to `npm run start` with JOB_WORKER=external set on the web
+ * server. Built by `npm run build` (vite.worker.config.js).
+ */
+
+import prisma from "./db.server.js";
+import { startJobWorker } from "./utils/jobHandlers.server.js";
+
+const controller = new AbortController();
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    console.log(`[JobQueue] ${signal} received — finishing current jobs`);
+    controller.abort();
+  });
+}
+
+startJobWorker({ signal: controller.signal })
+  .catch((err) => {
+    console.error("[JobQueue] ❌ Worker crashed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
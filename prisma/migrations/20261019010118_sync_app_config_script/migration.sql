@@ -0,0 +1,72 @@
+-- Brings the migration history up to the schema the app ran on before
+-- per-shop tenancy: AppConfig, Script and the Order / CallLog columns were
+-- only ever applied with `prisma db push`. A database created that way
+-- already has all of this — mark it applied instead of running it:
+--   npx prisma migrate resolve --applied 20261019010118_sync_app_config_script
+
+-- CreateEnum
+CREATE TYPE "OrderStatus" AS ENUM ('PENDING', 'CONFIRMED', 'CANCELLED', 'PENDING_MANUAL_REVIEW', 'INVALID');
+
+-- CreateEnum
+CREATE TYPE "CallStatus" AS ENUM ('QUEUED', 'IN_PROGRESS', 'COMPLETED', 'RETRY_SCHEDULED', 'FAILED', 'WHATSAPP_SENT');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "address" TEXT,
+ADD COLUMN     "communicationLog" JSONB,
+ADD COLUMN     "confirmationStatus" TEXT NOT NULL DEFAULT 'pending',
+ALTER COLUMN "orderStatus" SET DEFAULT 'PENDING';
+
+-- AlterTable
+ALTER TABLE "CallLog" ADD COLUMN     "lastIntent" TEXT,
+ADD COLUMN     "lockedAt" TIMESTAMP(3),
+ADD COLUMN     "whatsappRepliedAt" TIMESTAMP(3),
+ADD COLUMN     "whatsappSentAt" TIMESTAMP(3),
+ADD COLUMN     "secondReminderSent" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "whatsappReplied" BOOLEAN NOT NULL DEFAULT false,
+ALTER COLUMN "status" SET DEFAULT 'QUEUED';
+
+-- CreateTable
+CREATE TABLE "AppConfig" (
+    "id" TEXT NOT NULL DEFAULT 'default',
+    "shop" TEXT NOT NULL DEFAULT 'default',
+    "waAutoConfirm" BOOLEAN NOT NULL DEFAULT true,
+    "waUpdateNotify" BOOLEAN NOT NULL DEFAULT true,
+    "waAutoReplies" BOOLEAN NOT NULL DEFAULT true,
+    "initialDelay" TEXT NOT NULL DEFAULT 'immediate',
+    "retryInterval" TEXT NOT NULL DEFAULT '2hours',
+    "selectedVoice" TEXT NOT NULL DEFAULT 'Sarah',
+    "activeScriptId" TEXT,
+    "vapiApiKey" TEXT NOT NULL DEFAULT '',
+    "vapiPhoneId" TEXT NOT NULL DEFAULT '',
+    "vapiAssistantId" TEXT NOT NULL DEFAULT '',
+    "callLanguage" TEXT NOT NULL DEFAULT 'hindi',
+    "twilioSid" TEXT NOT NULL DEFAULT '',
+    "twilioToken" TEXT NOT NULL DEFAULT '',
+    "twilioWaFrom" TEXT NOT NULL DEFAULT '',
+    "maxRetries" INTEGER NOT NULL DEFAULT 3,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "whatsappEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "waTimeoutMinutes" INTEGER NOT NULL DEFAULT 5,
+
+    CONSTRAINT "AppConfig_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Script" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL DEFAULT 'default',
+    "name" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Script_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AppConfig_shop_key" ON "AppConfig"("shop");
+
+-- CreateIndex
+CREATE INDEX "Script_shop_idx" ON "Script"("shop");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "retryPolicy" JSONB;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "CallLog" ADD COLUMN     "deferredUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "callingWindow" JSONB;
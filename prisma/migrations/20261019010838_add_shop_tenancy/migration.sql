@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "CustomerCall" ADD COLUMN     "shop" TEXT NOT NULL DEFAULT 'default';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "shop" TEXT NOT NULL DEFAULT 'default';
+
+-- AlterTable
+ALTER TABLE "CallLog" ADD COLUMN     "shop" TEXT NOT NULL DEFAULT 'default';
+
+-- AlterTable
+ALTER TABLE "AppConfig" ALTER COLUMN "id" DROP DEFAULT;
+
+-- CreateIndex
+CREATE INDEX "CustomerCall_shop_status_idx" ON "CustomerCall"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "Order_shop_createdAt_idx" ON "Order"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CallLog_shop_status_idx" ON "CallLog"("shop", "status");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "shopifyWriteBack" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "orderTags" JSONB;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "autoCancelOrders" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "cancelRestock" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "cancelNotify" BOOLEAN NOT NULL DEFAULT false;
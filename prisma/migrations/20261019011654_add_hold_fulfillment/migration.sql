@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "holdFulfillment" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "addressStatus" TEXT,
+ADD COLUMN     "correctedAddress" TEXT,
+ADD COLUMN     "landmark" TEXT,
+ADD COLUMN     "addressNeedsReview" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "pushAddressToShopify" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "pincode" TEXT,
+ADD COLUMN     "riskScore" INTEGER,
+ADD COLUMN     "riskPath" TEXT,
+ADD COLUMN     "riskReasons" JSONB;
+
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "riskScoring" BOOLEAN NOT NULL DEFAULT true;
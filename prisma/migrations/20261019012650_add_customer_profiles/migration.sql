@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "CustomerProfile" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL DEFAULT 'default',
+    "phone" TEXT NOT NULL,
+    "customerName" TEXT,
+    "codOrders" INTEGER NOT NULL DEFAULT 0,
+    "confirmedOrders" INTEGER NOT NULL DEFAULT 0,
+    "cancelledOrders" INTEGER NOT NULL DEFAULT 0,
+    "wrongNumberCount" INTEGER NOT NULL DEFAULT 0,
+    "callResponses" INTEGER NOT NULL DEFAULT 0,
+    "whatsappReplies" INTEGER NOT NULL DEFAULT 0,
+    "customerCalls" INTEGER NOT NULL DEFAULT 0,
+    "preferredChannel" TEXT,
+    "language" TEXT,
+    "lastContactAt" TIMESTAMP(3),
+    "lastOutcome" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CustomerProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerProfile_shop_phone_key" ON "CustomerProfile"("shop", "phone");
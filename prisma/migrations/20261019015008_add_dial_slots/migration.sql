@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "maxConcurrentCalls" INTEGER NOT NULL DEFAULT 3,
+ADD COLUMN     "maxCallsPerMinute" INTEGER NOT NULL DEFAULT 10;
+
+-- CreateTable
+CREATE TABLE "DialSlot" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "refId" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DialSlot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DialSlot_shop_releasedAt_idx" ON "DialSlot"("shop", "releasedAt");
+
+-- CreateIndex
+CREATE INDEX "DialSlot_shop_startedAt_idx" ON "DialSlot"("shop", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "DialSlot_refId_idx" ON "DialSlot"("refId");
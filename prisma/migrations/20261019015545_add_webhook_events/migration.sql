@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "WebhookEvent" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT,
+    "source" TEXT NOT NULL,
+    "eventType" TEXT,
+    "externalId" TEXT,
+    "dedupeKey" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'received',
+    "result" TEXT,
+    "error" TEXT,
+    "deliveries" INTEGER NOT NULL DEFAULT 1,
+    "replays" INTEGER NOT NULL DEFAULT 0,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "WebhookEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WebhookEvent_dedupeKey_key" ON "WebhookEvent"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_shop_receivedAt_idx" ON "WebhookEvent"("shop", "receivedAt");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_externalId_idx" ON "WebhookEvent"("externalId");
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "CallTranscript" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "callLogId" TEXT NOT NULL,
+    "vapiCallId" TEXT NOT NULL,
+    "attempt" INTEGER NOT NULL DEFAULT 1,
+    "transcript" TEXT,
+    "messages" JSONB,
+    "summary" TEXT,
+    "recordingUrl" TEXT,
+    "durationSeconds" INTEGER,
+    "endedReason" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CallTranscript_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CallTranscript_vapiCallId_key" ON "CallTranscript"("vapiCallId");
+
+-- CreateIndex
+CREATE INDEX "CallTranscript_orderId_idx" ON "CallTranscript"("orderId");
+
+-- CreateIndex
+CREATE INDEX "CallTranscript_callLogId_idx" ON "CallTranscript"("callLogId");
+
+-- AddForeignKey
+ALTER TABLE "CallTranscript" ADD CONSTRAINT "CallTranscript_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CallTranscript" ADD CONSTRAINT "CallTranscript_callLogId_fkey" FOREIGN KEY ("callLogId") REFERENCES "CallLog"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
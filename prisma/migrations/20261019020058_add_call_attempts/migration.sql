@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "CallAttempt" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "callLogId" TEXT NOT NULL,
+    "attemptNumber" INTEGER NOT NULL,
+    "vapiCallId" TEXT,
+    "phoneNumber" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'dialing',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+    "endedReason" TEXT,
+    "intent" TEXT,
+    "intentSource" TEXT,
+    "cost" DOUBLE PRECISION,
+    "failureReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CallAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CallAttempt_vapiCallId_key" ON "CallAttempt"("vapiCallId");
+
+-- CreateIndex
+CREATE INDEX "CallAttempt_callLogId_startedAt_idx" ON "CallAttempt"("callLogId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "CallAttempt_orderId_idx" ON "CallAttempt"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "CallAttempt" ADD CONSTRAINT "CallAttempt_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CallAttempt" ADD CONSTRAINT "CallAttempt_callLogId_fkey" FOREIGN KEY ("callLogId") REFERENCES "CallLog"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "cancelReason" TEXT,
+ADD COLUMN     "cancelReasonNote" TEXT,
+ADD COLUMN     "cancelReasonAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Order_shop_cancelReason_idx" ON "Order"("shop", "cancelReason");
@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE "CallAttempt" ADD COLUMN     "costBreakdown" JSONB,
+ADD COLUMN     "durationSeconds" INTEGER;
+
+-- CreateTable
+CREATE TABLE "UsageEvent" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "sourceId" TEXT NOT NULL,
+    "orderId" TEXT,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "cost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "occurredAt" TIMESTAMP(3) NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UsageEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "UsagePeriod" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "calls" INTEGER NOT NULL DEFAULT 0,
+    "callSeconds" INTEGER NOT NULL DEFAULT 0,
+    "callCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "whatsappMessages" INTEGER NOT NULL DEFAULT 0,
+    "whatsappCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UsagePeriod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsageEvent_kind_sourceId_key" ON "UsageEvent"("kind", "sourceId");
+
+-- CreateIndex
+CREATE INDEX "UsageEvent_shop_periodStart_idx" ON "UsageEvent"("shop", "periodStart");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsagePeriod_shop_periodStart_key" ON "UsagePeriod"("shop", "periodStart");
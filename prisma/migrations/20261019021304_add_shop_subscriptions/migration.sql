@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "UsagePeriod" ADD COLUMN     "overageMinutesBilled" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "overageCharged" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "AppConfig" ADD COLUMN     "overQuotaAction" TEXT NOT NULL DEFAULT 'whatsapp';
+
+-- CreateTable
+CREATE TABLE "ShopSubscription" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "plan" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "subscriptionId" TEXT,
+    "usageLineItemId" TEXT,
+    "cappedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "balanceUsed" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "currentPeriodEnd" TIMESTAMP(3),
+    "test" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopSubscription_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSubscription_shop_key" ON "ShopSubscription"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSubscription_subscriptionId_key" ON "ShopSubscription"("subscriptionId");
@@ -0,0 +1,141 @@
+/* eslint-env node */
+/**
+ * Intent Accuracy Report
+ *
+ * Runs the intent classifier (app/services/intentClassifierService.server.js)
+ * over the labelled transcripts in scripts/fixtures/intent-transcripts.json
+ * and prints accuracy per language and per expected intent, the manual-review
+ * rate and every transcript it got wrong.
+ *
+ *   npm run intent:accuracy
+ *   npm run intent:accuracy -- --verbose            every transcript
+ *   npm run intent:accuracy -- --min-accuracy=0.9   exit 1 below 90%
+ *
+ * CORPUS
+ * ──────
+ *  { id, language, expected, turns | transcript }
+ *  expected is an intent ("confirm", "cancel", "wrong_number",
+ *  "recall_request"), "review" when the answer is genuinely ambiguous and
+ *  should go to manual review, or null when the customer never answered.
+ *
+ * OUTCOMES
+ * ────────
+ *  correct  classifier result equals `expected`
+ *  review   sent to manual review although an answer was expected — safe
+ *  wrong    acted on an intent other than the expected one — the costly miss
+ *
+ * INTENT_CLASSIFIER and INTENT_MIN_CONFIDENCE apply as in the app.
+ */
+
+import { readFile } from "node:fs/promises";
+import {
+  DEFAULT_INTENT_CLASSIFIER,
+  MIN_INTENT_CONFIDENCE,
+  classifyCallIntent,
+} from "../app/services/intentClassifierService.server.js";
+
+const CORPUS = new URL("./fixtures/intent-transcripts.json", import.meta.url);
+const REVIEW = "review";
+
+const args = process.argv.slice(2);
+const verbose = args.includes("--verbose");
+const minAccuracyArg = args.find((a) => a.startsWith("--min-accuracy="));
+const minAccuracy = minAccuracyArg ? Number(minAccuracyArg.split("=")[1]) : null;
+
+function pct(n, d) {
+  return d ? `${((n / d) * 100).toFixed(1)}%` : "-";
+}
+
+function outcomeOf(expected, got) {
+  if (got === expected) return "correct";
+  if (got === REVIEW && expected !== null) return "review";
+  return "wrong";
+}
+
+function tally(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const name = String(row[key] ?? "none");
+    const g = groups.get(name) ?? { name, cases: 0, correct: 0, review: 0, wrong: 0 };
+    g.cases += 1;
+    g[row.outcome] += 1;
+    groups.set(name, g);
+  }
+  return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function printTable(title, groups) {
+  console.log(`\n${title}`);
+  console.log(
+    `  ${"".padEnd(16)}${"cases".padStart(7)}${"correct".padStart(9)}${"review".padStart(8)}${"wrong".padStart(7)}${"accuracy".padStart(10)}`,
+  );
+  for (const g of groups) {
+    console.log(
+      `  ${g.name.padEnd(16)}${String(g.cases).padStart(7)}${String(g.correct).padStart(9)}${String(g.review).padStart(8)}${String(g.wrong).padStart(7)}${pct(g.correct, g.cases).padStart(10)}`,
+    );
+  }
+}
+
+async function main() {
+  const corpus = JSON.parse(await readFile(CORPUS, "utf8"));
+  const rows = [];
+
+  for (const item of corpus) {
+    const result = await classifyCallIntent(item.turns ?? item.transcript);
+    const got = result.needsReview ? REVIEW : result.intent;
+    const expected = item.expected ?? null;
+    rows.push({
+      id: item.id,
+      language: item.language,
+      expected,
+      got,
+      outcome: outcomeOf(expected, got),
+      result,
+    });
+  }
+
+  const total = rows.length;
+  const correct = rows.filter((r) => r.outcome === "correct").length;
+  const reviewed = rows.filter((r) => r.got === REVIEW).length;
+  const wrong = rows.filter((r) => r.outcome === "wrong").length;
+  const accuracy = total ? correct / total : 0;
+
+  console.log(
+    `Intent classifier: ${process.env.INTENT_CLASSIFIER || DEFAULT_INTENT_CLASSIFIER}, ` +
+      `min confidence ${process.env.INTENT_MIN_CONFIDENCE || MIN_INTENT_CONFIDENCE}`,
+  );
+  console.log(`Corpus: ${total} labelled transcripts`);
+
+  printTable("By language", tally(rows, "language"));
+  printTable("By expected intent", tally(rows, "expected"));
+
+  console.log("\nSummary");
+  console.log(`  accuracy            ${pct(correct, total)} (${correct}/${total})`);
+  console.log(`  sent to review      ${pct(reviewed, total)} (${reviewed}/${total})`);
+  console.log(`  acted on wrong      ${pct(wrong, total)} (${wrong}/${total})`);
+
+  const shown = verbose ? rows : rows.filter((r) => r.outcome !== "correct");
+  if (shown.length > 0) {
+    console.log(verbose ? "\nTranscripts" : "\nMisclassified");
+    for (const r of shown) {
+      const evidence = r.result.evidence
+        .map((e) => `${e.negated ? "¬" : ""}${e.phrase}→${e.intent}(${e.score})`)
+        .join(" ");
+      console.log(
+        `  [${r.outcome}] ${r.id}: expected ${r.expected ?? "none"}, got ${r.got ?? "none"} ` +
+          `(${r.result.intent ?? "none"} ${r.result.confidence}, ${r.result.language ?? "-"})`,
+      );
+      if (evidence) console.log(`      ${evidence}`);
+    }
+  }
+
+  if (minAccuracy != null && accuracy < minAccuracy) {
+    console.error(`\nAccuracy ${pct(correct, total)} is below --min-accuracy=${minAccuracy}`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error("[IntentAccuracy] Failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+/* eslint-env node */
+/**
+ * Intent Scan Check
+ *
+ * Runs scanForIntent (app/services/vapiIntentScanner.server.js) over the Vapi
+ * payloads in scripts/fixtures/structured-intent-payloads.json and exits 1
+ * when any of them reads a different intent than `expected` (an
+ * ASSISTANT_INTENT_MAP key, or null for "no intent in this payload").
+ *
+ *   npm run intent:scan-check
+ */
+
+import { readFile } from "node:fs/promises";
+import { scanForIntent } from "../app/services/vapiIntentScanner.server.js";
+
+const FIXTURES = new URL("./fixtures/structured-intent-payloads.json", import.meta.url);
+
+async function main() {
+  const cases = JSON.parse(await readFile(FIXTURES, "utf8"));
+  // The scanner logs every match — keep the report readable.
+  const log = console.log;
+  let failed = 0;
+
+  for (const c of cases) {
+    console.log = () => {};
+    const got = scanForIntent(c.payload);
+    console.log = log;
+
+    const expected = c.expected ?? null;
+    const ok = got === expected;
+    if (!ok) failed += 1;
+    console.log(`  ${ok ? "ok  " : "FAIL"} ${c.id}: expected ${expected ?? "none"}, got ${got ?? "none"}`);
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} payloads read correctly`);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error("[IntentScanCheck] Failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,17 @@
+import { defineConfig } from "vite";
+import tsconfigPaths from "vite-tsconfig-paths";
+
+// Bundles the standalone job worker (app/worker.server.js) for `npm run worker`.
+// npm packages stay external, as in the React Router server build.
+export default defineConfig({
+  plugins: [tsconfigPaths()],
+  publicDir: false,
+  build: {
+    ssr: "app/worker.server.js",
+    outDir: "build/worker",
+    emptyOutDir: true,
+    rollupOptions: {
+      output: { entryFileNames: "index.js" },
+    },
+  },
+});